@@ -13,9 +13,10 @@ import {
   Alert,
   Platform,
   LogBox,
-  TouchableOpacity
+  TouchableOpacity,
+  AppState
 } from 'react-native';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { StatusBar } from 'expo-status-bar';
@@ -25,6 +26,8 @@ import { Ionicons } from '@expo/vector-icons';
 
 // Import AppContext
 import { AppContextProvider } from './AppContext';
+import SessionService from './services/SessionService';
+import { setCurrentScreen } from './services/DataAccessAudit';
 
 // Import all screens
 import AuthScreen from './screens/AuthScreen';
@@ -38,6 +41,8 @@ import ReportScreen from './screens/ReportScreen';
 import ComparisonScreen from './screens/ComparisonScreen';
 import FitnessAssessmentScreen from './screens/FitnessAssessmentScreen';
 import HistoricalDataScreen from './screens/HistoricalDataScreen';
+import WhatIfSimulatorScreen from './screens/WhatIfSimulatorScreen';
+import MorningHRVScreen from './screens/MorningHRVScreen';
 
 // Import services for testing
 import TestScreen from './screens/TestScreen';
@@ -58,6 +63,7 @@ if (!__DEV__) {
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
+const navigationRef = createNavigationContainerRef();
 
 // Debug configuration - set to false for production
 const DEBUG_CONFIG = {
@@ -230,6 +236,26 @@ function AuthStack() {
           headerTintColor: '#fff',
         }}
       />
+      <Stack.Screen 
+        name="WhatIfSimulator" 
+        component={WhatIfSimulatorScreen}
+        options={{ 
+          headerShown: true,
+          title: 'What-If Simulator',
+          headerStyle: { backgroundColor: '#00A6B8' },
+          headerTintColor: '#fff',
+        }}
+      />
+      <Stack.Screen 
+        name="MorningHRV" 
+        component={MorningHRVScreen}
+        options={{ 
+          headerShown: true,
+          title: 'Morning HRV',
+          headerStyle: { backgroundColor: '#00A6B8' },
+          headerTintColor: '#fff',
+        }}
+      />
       
       {/* Debug screens - only in development */}
       {__DEV__ && (
@@ -304,8 +330,28 @@ export default function App() {
     loadResources();
   }, []);
 
-  // Navigation state change handler for debugging
+  // Auto-lock: follow app backgrounding and return to the PIN screen when the session locks
+  useEffect(() => {
+    if (DEBUG_CONFIG.skipAuth) return;
+
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      SessionService.handleAppStateChange(nextState);
+    });
+    const removeLockListener = SessionService.addLockListener(() => {
+      if (navigationRef.isReady()) {
+        navigationRef.reset({ index: 0, routes: [{ name: 'Auth' }] });
+      }
+    });
+
+    return () => {
+      appStateSubscription.remove();
+      removeLockListener();
+    };
+  }, []);
+
+  // Navigation state change handler: audit attribution and debugging
   const onNavigationStateChange = (state) => {
+    setCurrentScreen(navigationRef.getCurrentRoute()?.name);
     if (DEBUG_CONFIG.logNavigation) {
       console.log('📍 Navigation State:', state);
     }
@@ -340,11 +386,22 @@ export default function App() {
   return (
     <ErrorBoundary>
       <AppContextProvider>
-        <NavigationContainer 
-          onStateChange={onNavigationStateChange}
+        {/* Any touch counts as activity for the inactivity lock; never claims the responder */}
+        <View
+          style={styles.appContainer}
+          onStartShouldSetResponderCapture={() => {
+            SessionService.touch();
+            return false;
+          }}
         >
-          <AuthStack />
-        </NavigationContainer>
+          <NavigationContainer 
+            ref={navigationRef}
+            onReady={() => setCurrentScreen(navigationRef.getCurrentRoute()?.name)}
+            onStateChange={onNavigationStateChange}
+          >
+            <AuthStack />
+          </NavigationContainer>
+        </View>
         <StatusBar style="auto" />
         
         {/* Debug info overlay */}
@@ -361,6 +418,9 @@ export default function App() {
 }
 
 const styles = StyleSheet.create({
+  appContainer: {
+    flex: 1,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -1,16 +1,21 @@
 /**
  * AppContext.js - FIXED VERSION
  * ✅ Added proper error handling for SecureStore
- * ✅ AsyncStorage fallback when SecureStore fails
+ * ✅ Biomarkers stored encrypted via SecureStorageService (no plaintext fallback)
  * ✅ Fixed dispatch reference error
  * ✅ Added try-catch blocks everywhere
  */
 
-import React, { createContext, useReducer, useEffect, useState } from 'react';
+import React, { createContext, useReducer, useEffect, useState, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as SecureStore from 'expo-secure-store';
 import { Alert, Platform } from 'react-native';
-import { calculateBioAge } from './services/PraxiomAlgorithm';
+import PraxiomAlgorithm from './services/PraxiomAlgorithm';
+import StorageService from './services/StorageService';
+import SecureStorageService from './services/SecureStorageService';
+import EncryptionService from './services/EncryptionService';
+import { rollingHRVScore } from './services/MorningHRV';
+import { buildAlgorithmInput } from './services/AlgorithmInput';
 
 // Create context
 export const AppContext = createContext();
@@ -28,6 +33,9 @@ const initialState = {
   systemicHealthScore: null,
   fitnessScore: null,
   hrvScore: null,
+  dataQuality: null, // { completeness, confidence, confidenceLevel, measured, imputed }
+  clockComparison: null, // ELOVL2 / intrinsic capacity vs Praxiom deviation
+  bioAgeAttribution: [], // [{ key, label, source, value, years }] largest first
   
   // Biomarker data
   biomarkers: {},
@@ -36,12 +44,18 @@ const initialState = {
   // Wearable data
   wearableConnected: false,
   wearableData: {},
+  continuousHRV: null, // { score, rmssd, days, since } from morning HRV sessions
+  
+  // Aging clocks (Tier 2 InflammAge, Tier 3 DunedinPACE)
+  inflammAge: null,
+  dunedinPACE: null,
   
   // App settings
   settings: {
     notifications: true,
     darkMode: false,
     units: 'metric',
+    includeEpigeneticClocks: false, // add ELOVL2 age / intrinsic capacity to the Tier 3 deviation
   },
 };
 
@@ -109,57 +123,21 @@ function appReducer(state, action) {
   }
 }
 
-// Storage helper with fallback
-async function setItemInStorage(key, value) {
-  try {
-    // First try SecureStore
-    if (Platform.OS !== 'web') {
-      try {
-        await SecureStore.setItemAsync(key, value);
-        console.log(`✅ Saved ${key} to SecureStore`);
-        return true;
-      } catch (secureError) {
-        console.warn(`⚠️ SecureStore failed for ${key}:`, secureError.message);
-        // Fall through to AsyncStorage
-      }
-    }
-    
-    // Fallback to AsyncStorage
-    await AsyncStorage.setItem(key, value);
-    console.log(`✅ Saved ${key} to AsyncStorage (fallback)`);
-    return true;
-  } catch (error) {
-    console.error(`❌ Failed to save ${key}:`, error);
-    return false;
-  }
-}
+// biomarkers / biomarkerHistory used to be a single SecureStore value (or
+// plaintext AsyncStorage when that failed). SecureStorageService migrates the
+// AsyncStorage copy on read; the SecureStore copy is moved here.
+async function loadSecureRecord(key) {
+  const value = await SecureStorageService.getItem(key);
+  if (value !== null || Platform.OS === 'web') return value;
 
-async function getItemFromStorage(key) {
-  try {
-    // First try SecureStore
-    if (Platform.OS !== 'web') {
-      try {
-        const value = await SecureStore.getItemAsync(key);
-        if (value !== null) {
-          console.log(`✅ Got ${key} from SecureStore`);
-          return value;
-        }
-      } catch (secureError) {
-        console.warn(`⚠️ SecureStore read failed for ${key}:`, secureError.message);
-        // Fall through to AsyncStorage
-      }
-    }
-    
-    // Fallback to AsyncStorage
-    const value = await AsyncStorage.getItem(key);
-    if (value !== null) {
-      console.log(`✅ Got ${key} from AsyncStorage`);
-    }
-    return value;
-  } catch (error) {
-    console.error(`❌ Failed to get ${key}:`, error);
-    return null;
-  }
+  const legacy = await SecureStore.getItemAsync(key);
+  if (!legacy) return null;
+
+  const parsed = JSON.parse(legacy);
+  await SecureStorageService.setItem(key, parsed);
+  await SecureStore.deleteItemAsync(key);
+  console.log(`✅ Migrated ${key} to encrypted storage`);
+  return parsed;
 }
 
 async function removeItemFromStorage(key) {
@@ -194,24 +172,51 @@ async function removeItemFromStorage(key) {
 export function AppContextProvider({ children }) {
   const [state, dispatch] = useReducer(appReducer, initialState);
   const [isInitialized, setIsInitialized] = useState(false);
+  // Encrypted biomarkers are only saved back once they have been read
+  const [secureDataLoaded, setSecureDataLoaded] = useState(false);
+
+  // Latest state for calculations triggered right after updateState(),
+  // before the caller's closure has re-rendered
+  const stateRef = useRef(state);
+  stateRef.current = state;
 
   // Initialize app data on mount
   useEffect(() => {
     initializeAppData();
   }, []);
 
+  // Biomarkers and HRV sessions are encrypted, so they load once the PIN has
+  // unlocked the key
+  useEffect(() => {
+    if (EncryptionService.isUnlocked()) {
+      loadSecureData();
+    }
+    return EncryptionService.addUnlockListener(() => {
+      loadSecureData();
+      refreshContinuousHRV();
+    });
+  }, []);
+
   // Save critical data when it changes
   useEffect(() => {
-    if (isInitialized && state.biomarkers) {
+    if (secureDataLoaded && state.biomarkers) {
       saveBiomarkers(state.biomarkers);
     }
-  }, [state.biomarkers, isInitialized]);
+  }, [state.biomarkers, secureDataLoaded]);
 
   useEffect(() => {
-    if (isInitialized && state.biomarkerHistory) {
+    if (secureDataLoaded && state.biomarkerHistory) {
       saveBiomarkerHistory(state.biomarkerHistory);
     }
-  }, [state.biomarkerHistory, isInitialized]);
+  }, [state.biomarkerHistory, secureDataLoaded]);
+
+  // The continuous HRV score is normed for age and sex; while locked the
+  // sessions cannot be read, so the unlock listener computes it instead
+  useEffect(() => {
+    if (isInitialized && EncryptionService.isUnlocked()) {
+      refreshContinuousHRV();
+    }
+  }, [isInitialized, state.chronologicalAge, state.userProfile?.sex]);
 
   const initializeAppData = async () => {
     console.log('🚀 Initializing AppContext...');
@@ -228,30 +233,6 @@ export function AppContextProvider({ children }) {
         }
       }
 
-      // Load biomarkers
-      const biomarkersStr = await getItemFromStorage('biomarkers');
-      if (biomarkersStr) {
-        try {
-          const biomarkers = JSON.parse(biomarkersStr);
-          dispatch({ type: 'SET_BIOMARKERS', payload: biomarkers });
-          console.log('✅ Loaded biomarkers');
-        } catch (parseError) {
-          console.error('Failed to parse biomarkers:', parseError);
-        }
-      }
-
-      // Load biomarker history
-      const historyStr = await getItemFromStorage('biomarkerHistory');
-      if (historyStr) {
-        try {
-          const history = JSON.parse(historyStr);
-          dispatch({ type: 'UPDATE_STATE', payload: { biomarkerHistory: history } });
-          console.log('✅ Loaded biomarker history');
-        } catch (parseError) {
-          console.error('Failed to parse history:', parseError);
-        }
-      }
-
       // Check authentication
       const authStr = await AsyncStorage.getItem('@praxiom_authenticated');
       if (authStr === 'true') {
@@ -267,9 +248,33 @@ export function AppContextProvider({ children }) {
     }
   };
 
+  /**
+   * Load the encrypted biomarkers and history (needs an unlocked key)
+   * A record that cannot be read is left untouched: nothing is saved over it.
+   */
+  const loadSecureData = async () => {
+    try {
+      const biomarkers = await loadSecureRecord('biomarkers');
+      if (biomarkers) {
+        dispatch({ type: 'SET_BIOMARKERS', payload: biomarkers });
+        console.log('✅ Loaded biomarkers');
+      }
+
+      const history = await loadSecureRecord('biomarkerHistory');
+      if (history) {
+        dispatch({ type: 'UPDATE_STATE', payload: { biomarkerHistory: history } });
+        console.log('✅ Loaded biomarker history');
+      }
+
+      setSecureDataLoaded(true);
+    } catch (error) {
+      console.error('Failed to load encrypted biomarkers:', error);
+    }
+  };
+
   const saveBiomarkers = async (biomarkers) => {
     try {
-      await setItemInStorage('biomarkers', JSON.stringify(biomarkers));
+      await SecureStorageService.setItem('biomarkers', biomarkers);
     } catch (error) {
       console.error('Failed to save biomarkers:', error);
     }
@@ -278,12 +283,31 @@ export function AppContextProvider({ children }) {
   const saveBiomarkerHistory = async (history) => {
     try {
       const historyToSave = history.slice(0, 100);
-      await setItemInStorage('biomarkerHistory', JSON.stringify(historyToSave));
+      await SecureStorageService.setItem('biomarkerHistory', historyToSave);
     } catch (error) {
       console.error('Failed to save history:', error);
     }
   };
 
+  /**
+   * Recompute the 30-day continuous HRV score from stored morning sessions
+   * @returns {object|null} { score, rmssd, days, since }
+   */
+  const refreshContinuousHRV = async () => {
+    try {
+      const sessions = await StorageService.getHRVSessions();
+      const continuousHRV = rollingHRVScore(sessions, {
+        chronologicalAge: stateRef.current.chronologicalAge,
+        sex: stateRef.current.userProfile?.sex ?? null,
+      });
+      dispatch({ type: 'UPDATE_STATE', payload: { continuousHRV } });
+      return continuousHRV;
+    } catch (error) {
+      console.error('Failed to load HRV sessions:', error);
+      return null;
+    }
+  };
+
   // Helper functions
   const updateBiomarkers = (newBiomarkers) => {
     dispatch({ type: 'SET_BIOMARKERS', payload: newBiomarkers });
@@ -296,8 +320,60 @@ export function AppContextProvider({ children }) {
     dispatch({ type: 'ADD_BIOMARKER_ENTRY', payload: historyEntry });
     
     // Calculate bio-age
-    const ageData = calculateBioAge(newBiomarkers, state.chronologicalAge);
-    dispatch({ type: 'SET_BIO_AGE', payload: ageData });
+    calculateBiologicalAge(newBiomarkers);
+  };
+
+  /**
+   * Recalculate bio-age from the latest data of every tier (Tier 1 biomarkers,
+   * Tier 2 panel, fitness, HRV, Tier 3 scores) through the single
+   * PraxiomAlgorithm entry point, and publish the result to state.
+   * 
+   * @param {object} overrides - fields merged over current state (e.g. values
+   *                             the caller has just passed to updateState)
+   * @returns {object} PraxiomAlgorithm.calculateBiologicalAge result
+   */
+  const calculateBiologicalAge = (overrides = {}) => {
+    const result = PraxiomAlgorithm.calculateBiologicalAge(
+      buildAlgorithmInput({ ...stateRef.current, ...overrides })
+    );
+    
+    dispatch({
+      type: 'UPDATE_STATE',
+      payload: {
+        biologicalAge: result.biologicalAge,
+        bioAge: result.biologicalAge,
+        oralHealthScore: result.scores.oralHealth,
+        systemicHealthScore: result.scores.systemicHealth,
+        enhancedSystemicScore: result.scores.enhancedSystemicHealth,
+        nadScore: result.scores.nadScore,
+        hrvScore: result.scores.hrvScore,
+        vitalityIndex: result.scores.vitalityIndex,
+        assessmentTier: result.assessmentTier,
+        bioAgeContributions: result.contributions,
+        bioAgeAttribution: result.attribution,
+        dataQuality: result.dataQuality,
+        clockComparison: result.clockComparison,
+      },
+    });
+    
+    return result;
+  };
+
+  /**
+   * Project bio-age if some biomarkers changed, without touching state
+   * 
+   * @param {object} changes - { field: canonical value } hypothetical values
+   * @returns {object} PraxiomAlgorithm.simulateBioAge result
+   */
+  const simulateBioAge = (changes = {}) => {
+    return PraxiomAlgorithm.simulateBioAge(buildAlgorithmInput(stateRef.current), changes);
+  };
+
+  /**
+   * Measured Tier 1 biomarkers ranked by years gained per unit of improvement
+   */
+  const rankBiomarkerImprovements = () => {
+    return PraxiomAlgorithm.rankBiomarkerImprovements(buildAlgorithmInput(stateRef.current));
   };
 
   const updateState = (updates) => {
@@ -334,6 +410,10 @@ export function AppContextProvider({ children }) {
     dispatch, // Include dispatch for backward compatibility
     updateBiomarkers,
     updateState,
+    calculateBiologicalAge,
+    simulateBioAge,
+    rankBiomarkerImprovements,
+    refreshContinuousHRV,
     setAuthenticated,
     resetApp,
   };
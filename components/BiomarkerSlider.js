@@ -0,0 +1,85 @@
+import React, { useRef, useState } from 'react';
+import { View, PanResponder, StyleSheet } from 'react-native';
+
+const THUMB_SIZE = 24;
+
+// Horizontal slider snapping to `step`; built on PanResponder so it needs no native module
+const BiomarkerSlider = ({ value, minimumValue, maximumValue, step, onValueChange }) => {
+  const [trackWidth, setTrackWidth] = useState(0);
+
+  // PanResponder is created once, so it reads the latest props and layout through refs
+  const latest = useRef({});
+  latest.current = { minimumValue, maximumValue, step, onValueChange, trackWidth };
+  const trackLeft = useRef(0);
+
+  const valueAt = (x) => {
+    const { minimumValue: min, maximumValue: max, step: increment, trackWidth: width } = latest.current;
+    if (width <= 0) return min;
+    const ratio = Math.min(1, Math.max(0, x / width));
+    const snapped = min + Math.round((ratio * (max - min)) / increment) * increment;
+    return Math.min(max, Math.max(min, parseFloat(snapped.toFixed(6))));
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderGrant: (event) => {
+        const { pageX, locationX } = event.nativeEvent;
+        trackLeft.current = pageX - locationX;
+        latest.current.onValueChange(valueAt(locationX));
+      },
+      onPanResponderMove: (event, gesture) => {
+        latest.current.onValueChange(valueAt(gesture.moveX - trackLeft.current));
+      },
+    })
+  ).current;
+
+  const span = maximumValue - minimumValue;
+  const ratio = span > 0 ? (value - minimumValue) / span : 0;
+  const thumbLeft = Math.min(1, Math.max(0, ratio)) * trackWidth;
+
+  return (
+    <View
+      style={styles.container}
+      onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+      {...panResponder.panHandlers}
+    >
+      <View style={styles.track} pointerEvents="none">
+        <View style={[styles.fill, { width: thumbLeft }]} />
+      </View>
+      <View
+        style={[styles.thumb, { left: thumbLeft - THUMB_SIZE / 2 }]}
+        pointerEvents="none"
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    height: 40,
+    justifyContent: 'center',
+  },
+  track: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+    overflow: 'hidden',
+  },
+  fill: {
+    height: 6,
+    backgroundColor: '#00CFC1',
+  },
+  thumb: {
+    position: 'absolute',
+    width: THUMB_SIZE,
+    height: THUMB_SIZE,
+    borderRadius: THUMB_SIZE / 2,
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#00CFC1',
+  },
+});
+
+export default BiomarkerSlider;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import WearableService from '../services/WearableService';
+import { DEVICE_ROLES } from '../services/DeviceRoles';
+
+/**
+ * Heart-rate straps connected as HRV sensors next to the watch
+ * Lists connected sensors (the one feeding HRV is marked) and pairs new ones.
+ */
+const HRVSensorCard = () => {
+  const [sensors, setSensors] = useState([]);
+  const [found, setFound] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const refresh = () => setSensors(WearableService.getSensors());
+    refresh();
+    const interval = setInterval(refresh, 3000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleScan = async () => {
+    setBusy(true);
+    setFound([]);
+    try {
+      const devices = await WearableService.scanForDevices(10);
+      const connectedIds = WearableService.getSensors().map(sensor => sensor.id);
+      const straps = devices.filter(device => device.role === DEVICE_ROLES.hrvSensor && !connectedIds.includes(device.id));
+      setFound(straps);
+      if (straps.length === 0) {
+        Alert.alert('No Straps Found', 'Put the strap on (most straps only advertise while worn) and try again.');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConnect = async (device) => {
+    setBusy(true);
+    try {
+      const success = await WearableService.connectSensor(device.id);
+      if (success) {
+        setFound([]);
+        setSensors(WearableService.getSensors());
+      } else {
+        Alert.alert('Connection Failed', `Could not connect to ${device.name}`);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDisconnect = async (sensor) => {
+    await WearableService.disconnectSensor(sensor.id);
+    setSensors(WearableService.getSensors());
+  };
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.headerRow}>
+        <Ionicons name="heart-circle" size={24} color="#ef4444" />
+        <Text style={styles.title}>HRV Sensors</Text>
+      </View>
+      <Text style={styles.subtitle}>
+        Chest straps (Polar, Garmin HRM, ...) give more accurate HRV than the watch. While one is streaming it is used for HRV.
+      </Text>
+
+      {sensors.map(sensor => (
+        <View key={sensor.id} style={styles.sensorRow}>
+          <View style={styles.sensorInfo}>
+            <Text style={styles.sensorName}>{sensor.name}</Text>
+            <Text style={styles.sensorDetail}>
+              {sensor.heartRate ? `${sensor.heartRate} bpm` : 'Waiting for data'}
+              {sensor.isHRVSource ? ' · HRV source' : ''}
+            </Text>
+          </View>
+          <TouchableOpacity onPress={() => handleDisconnect(sensor)}>
+            <Ionicons name="close-circle-outline" size={24} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {found.map(device => (
+        <TouchableOpacity key={device.id} style={styles.sensorRow} onPress={() => handleConnect(device)} disabled={busy}>
+          <View style={styles.sensorInfo}>
+            <Text style={styles.sensorName}>{device.name}</Text>
+            <Text style={styles.sensorDetail}>Signal: {device.rssi} dBm</Text>
+          </View>
+          <Ionicons name="add-circle-outline" size={24} color="#4ade80" />
+        </TouchableOpacity>
+      ))}
+
+      <TouchableOpacity style={styles.scanButton} onPress={handleScan} disabled={busy}>
+        {busy ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.scanButtonText}>Pair Heart-Rate Strap</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#1e1e2e',
+    borderRadius: 16,
+    padding: 15,
+    marginBottom: 20,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#ffffff',
+    marginLeft: 8,
+  },
+  subtitle: {
+    fontSize: 12,
+    color: '#8e8e93',
+    marginBottom: 10,
+  },
+  sensorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#2a2a3e',
+  },
+  sensorInfo: {
+    flex: 1,
+  },
+  sensorName: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
+  sensorDetail: {
+    fontSize: 12,
+    color: '#4ade80',
+    marginTop: 2,
+  },
+  scanButton: {
+    backgroundColor: '#2a2a3e',
+    borderRadius: 12,
+    padding: 12,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  scanButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
+});
+
+export default HRVSensorCard;
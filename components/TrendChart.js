@@ -0,0 +1,77 @@
+import React from 'react';
+import { View, Text, StyleSheet, Dimensions } from 'react-native';
+import { LineChart } from 'react-native-chart-kit';
+
+const MAX_LABELS = 6;
+
+/**
+ * Line chart for wearable time series (heart rate, HRV)
+ * points: [{ label, value }] oldest first; only a few labels are drawn.
+ */
+const TrendChart = ({ title, points, suffix = '', color = '#00d4ff', height = 160, emptyText = 'No data yet' }) => {
+  const width = Dimensions.get('window').width - 40;
+  const values = points.filter(point => point.value !== null && point.value !== undefined);
+
+  if (values.length < 2) {
+    return (
+      <View style={styles.card}>
+        {title && <Text style={styles.title}>{title}</Text>}
+        <Text style={styles.emptyText}>{emptyText}</Text>
+      </View>
+    );
+  }
+
+  const labelEvery = Math.ceil(values.length / MAX_LABELS);
+  const rgb = color.match(/\w\w/g).map(hex => parseInt(hex, 16)).join(', ');
+
+  return (
+    <View style={styles.card}>
+      {title && <Text style={styles.title}>{title}</Text>}
+      <LineChart
+        data={{
+          labels: values.map((point, index) => (index % labelEvery === 0 ? point.label : '')),
+          datasets: [{ data: values.map(point => point.value) }]
+        }}
+        width={width - 30}
+        height={height}
+        yAxisSuffix={suffix}
+        withDots={values.length <= 31}
+        withInnerLines={false}
+        chartConfig={{
+          backgroundGradientFrom: '#1e1e2e',
+          backgroundGradientTo: '#1e1e2e',
+          decimalPlaces: 0,
+          color: (opacity = 1) => `rgba(${rgb}, ${opacity})`,
+          labelColor: () => '#8e8e93',
+          propsForDots: { r: '2' }
+        }}
+        bezier
+        style={styles.chart}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#1e1e2e',
+    borderRadius: 16,
+    padding: 15,
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#ffffff',
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 12,
+    color: '#8e8e93',
+  },
+  chart: {
+    borderRadius: 12,
+  },
+});
+
+export default TrendChart;
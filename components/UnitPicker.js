@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getUnitOptions, getDefaultUnits } from '../services/UnitConversion';
+
+// Per-field lab units the user has picked ({ field: unit }); not medical data
+const LAB_UNITS_KEY = '@praxiom_lab_units';
+
+/**
+ * Input units for the biomarker forms
+ * Every field starts on its canonical unit; a unit the user picks is
+ * remembered for that field across screens and sessions.
+ *
+ * @returns {Array} [units, updateUnit(field, unit)]
+ */
+export const useLabUnits = () => {
+  const [units, setUnits] = useState(() => getDefaultUnits());
+
+  useEffect(() => {
+    AsyncStorage.getItem(LAB_UNITS_KEY)
+      .then(saved => {
+        if (saved) setUnits(getDefaultUnits(JSON.parse(saved)));
+      })
+      .catch(error => console.error('Failed to load lab units:', error));
+  }, []);
+
+  const updateUnit = (field, unit) => {
+    setUnits(prev => ({ ...prev, [field]: unit }));
+    AsyncStorage.getItem(LAB_UNITS_KEY)
+      .then(saved => AsyncStorage.setItem(
+        LAB_UNITS_KEY,
+        JSON.stringify({ ...(saved ? JSON.parse(saved) : {}), [field]: unit })
+      ))
+      .catch(error => console.error('Failed to save lab units:', error));
+  };
+
+  return [units, updateUnit];
+};
+
+// Unit chips shown under a biomarker input; renders nothing for single-unit analytes
+const UnitPicker = ({ field, unit, onChange }) => {
+  const options = getUnitOptions(field);
+  if (options.length < 2) return null;
+
+  return (
+    <View style={styles.row}>
+      {options.map((option) => {
+        const selected = option === unit;
+        return (
+          <TouchableOpacity
+            key={option}
+            style={[styles.chip, selected && styles.chipSelected]}
+            onPress={() => onChange(field, option)}
+          >
+            <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{option}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: { flexDirection: 'row', flexWrap: 'wrap', marginTop: 8 },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.5)',
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  chipSelected: { backgroundColor: '#fff', borderColor: '#fff' },
+  chipText: { fontSize: 12, fontWeight: '600', color: '#fff' },
+  chipTextSelected: { color: '#FF6B35' },
+});
+
+export default UnitPicker;
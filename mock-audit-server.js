@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Remote Audit Server for PraxiomHealth
+ *
+ * Receives the signed audit batches sent by services/RemoteAuditSink.js so the
+ * remote audit flow can be tested end to end on a development build.
+ *
+ *   npm run audit-server
+ *   AUDIT_SIGNING_KEY=<key> PORT=8787 FAIL_RATE=0.3 node mock-audit-server.js
+ *
+ * In the app, set the audit endpoint to http://<this machine>:8787/api/audit
+ * (http://10.0.2.2:8787/api/audit from the Android emulator) and use the same
+ * signing key. FAIL_RATE makes that fraction of requests fail with 503 to
+ * exercise the retry/backoff path.
+ *
+ *   POST /api/audit   batch { deviceId, sentAt, entries } - verified, deduplicated by id
+ *   GET  /api/audit   everything received so far
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const SIGNING_KEY = process.env.AUDIT_SIGNING_KEY || 'praxiom-dev-signing-key';
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE || '0');
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Same scheme as signPayload in services/AuditTransport.js
+function sign(timestamp, body, signingKey = SIGNING_KEY) {
+    return crypto.createHmac('sha256', signingKey).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function verifySignature(timestamp, body, signature, signingKey = SIGNING_KEY) {
+    const expected = Buffer.from(sign(timestamp, body, signingKey), 'hex');
+    const received = Buffer.from(signature || '', 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * options ({ signingKey, failRate }, defaults from the environment) are read
+ * per request, so a test can start or end an outage by changing failRate
+ */
+function createMockAuditServer({ signingKey = SIGNING_KEY, failRate = FAIL_RATE } = {}) {
+    const received = new Map(); // entry id -> { deviceId, receivedAt, entry }
+    const options = { signingKey, failRate };
+
+    const respond = (res, status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    };
+
+    const server = http.createServer((req, res) => {
+        if (req.url !== '/api/audit') {
+            return respond(res, 404, { error: 'Not found' });
+        }
+
+        if (req.method === 'GET') {
+            return respond(res, 200, { count: received.size, entries: [...received.values()] });
+        }
+
+        if (req.method !== 'POST') {
+            return respond(res, 405, { error: 'Method not allowed' });
+        }
+
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (Math.random() < options.failRate) {
+                console.log('💥 Simulated outage (503)');
+                return respond(res, 503, { error: 'Simulated outage' });
+            }
+
+            const timestamp = req.headers['x-timestamp'];
+            if (!verifySignature(timestamp, body, req.headers['x-signature'], options.signingKey)) {
+                console.log('❌ Rejected batch: bad signature');
+                return respond(res, 401, { error: 'Invalid signature' });
+            }
+            if (Math.abs(Date.now() - new Date(timestamp).getTime()) > MAX_CLOCK_SKEW_MS) {
+                console.log('❌ Rejected batch: stale timestamp', timestamp);
+                return respond(res, 401, { error: 'Stale timestamp' });
+            }
+
+            let batch;
+            try {
+                batch = JSON.parse(body);
+            } catch (error) {
+                return respond(res, 400, { error: 'Invalid JSON' });
+            }
+
+            let accepted = 0;
+            for (const entry of batch.entries || []) {
+                if (!received.has(entry.id)) {
+                    received.set(entry.id, { deviceId: batch.deviceId, receivedAt: new Date().toISOString(), entry });
+                    accepted++;
+                }
+            }
+
+            console.log(`✅ ${batch.deviceId?.slice(0, 8) || 'unknown'}: ${accepted} new / ${(batch.entries || []).length} entries`);
+            (batch.entries || []).forEach(entry => console.log(`   ${entry.timestamp}  ${entry.eventType}`));
+            respond(res, 200, { accepted, duplicates: (batch.entries || []).length - accepted });
+        });
+    });
+
+    return { server, received, options };
+}
+
+if (require.main === module) {
+    const { server } = createMockAuditServer();
+    server.listen(PORT, () => {
+        console.log('📡 PraxiomHealth Mock Audit Server');
+        console.log('==================================\n');
+        console.log(`Listening on http://localhost:${PORT}/api/audit`);
+        console.log(`Signing key: ${SIGNING_KEY === 'praxiom-dev-signing-key' ? 'praxiom-dev-signing-key (default)' : '(from AUDIT_SIGNING_KEY)'}`);
+        if (FAIL_RATE > 0) console.log(`Simulating failures: ${Math.round(FAIL_RATE * 100)}% of requests`);
+        console.log('');
+    });
+}
+
+module.exports = { createMockAuditServer, sign, verifySignature };
@@ -17,30 +17,70 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import EncryptionService from '../services/EncryptionService';
+import { resumePendingRotation, migrateLegacyRecords } from '../services/KeyRotationService';
+import SessionService from '../services/SessionService';
+
+// The PIN derives the key that unlocks all encrypted health data
+const PIN_LENGTH = 6;
+// 4-digit PIN stored in plain AsyncStorage by earlier versions
+const LEGACY_PIN_KEY = '@praxiom_pin';
+
+const digitsOnly = (text) => text.replace(/[^0-9]/g, '').slice(0, PIN_LENGTH);
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
 
 export default function AuthScreen({ navigation }) {
   const [pin, setPin] = useState('');
   const [confirmPin, setConfirmPin] = useState('');
+  const [currentPin, setCurrentPin] = useState('');
+  const [legacyPin, setLegacyPin] = useState(null);
   const [isSettingUp, setIsSettingUp] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
-  const [attempts, setAttempts] = useState(0);
+  const [lockoutRemaining, setLockoutRemaining] = useState(0);
+  const [biometricEnabled, setBiometricEnabled] = useState(false);
 
   useEffect(() => {
     console.log('AuthScreen mounted - Emergency version');
     initializeAuth();
   }, []);
 
+  // Count down a persisted lockout
+  useEffect(() => {
+    if (lockoutRemaining <= 0) return;
+    const timer = setInterval(async () => {
+      const status = await SessionService.getLockoutStatus();
+      setLockoutRemaining(status.remainingMs);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lockoutRemaining > 0]);
+
   const initializeAuth = async () => {
     console.log('Initializing auth...');
     try {
       setIsLoading(true);
       
-      // Simple check using AsyncStorage only (avoiding SecureStore issues)
-      const storedPin = await AsyncStorage.getItem('@praxiom_pin');
-      const hasPin = !!storedPin;
+      const hasPin = await EncryptionService.hasPin();
       console.log('Has existing PIN:', hasPin);
       
+      // Users upgrading from the 4-digit PIN confirm it once, then choose a 6-digit PIN
+      setLegacyPin(hasPin ? null : await AsyncStorage.getItem(LEGACY_PIN_KEY));
       setIsSettingUp(!hasPin);
+      
+      const lockout = await SessionService.getLockoutStatus();
+      setLockoutRemaining(lockout.remainingMs);
+      
+      if (hasPin) {
+        const bioEnabled = await EncryptionService.isBiometricEnabled();
+        setBiometricEnabled(bioEnabled);
+        if (bioEnabled && !lockout.isLockedOut) {
+          handleBiometricUnlock();
+        }
+      }
     } catch (error) {
       console.error('Auth initialization error:', error);
       setIsSettingUp(true);
@@ -52,7 +92,7 @@ export default function AuthScreen({ navigation }) {
   const handleReset = () => {
     Alert.alert(
       '⚠️ Reset PIN',
-      'Are you sure you want to reset? This will clear all data.',
+      'Are you sure you want to reset? Your health data is encrypted with your PIN and will be permanently deleted.',
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -61,16 +101,11 @@ export default function AuthScreen({ navigation }) {
           onPress: async () => {
             try {
               setIsLoading(true);
-              // Clear everything from AsyncStorage
-              const keys = await AsyncStorage.getAllKeys();
-              await AsyncStorage.multiRemove(keys);
+              // Without the PIN the encrypted data is unreadable: drop the keys and the data
+              await SessionService.wipeAllData();
               console.log('Reset complete');
               
-              // Reset state
-              setPin('');
-              setConfirmPin('');
-              setIsSettingUp(true);
-              setAttempts(0);
+              resetToSetup();
               
               Alert.alert('✅ Success', 'PIN has been reset. Please set a new one.');
             } catch (error) {
@@ -85,11 +120,35 @@ export default function AuthScreen({ navigation }) {
     );
   };
 
+  const resetToSetup = () => {
+    setPin('');
+    setConfirmPin('');
+    setCurrentPin('');
+    setLegacyPin(null);
+    setBiometricEnabled(false);
+    setIsSettingUp(true);
+    setLockoutRemaining(0);
+  };
+
   const setupPin = async () => {
     console.log('Setting up PIN...');
     
-    if (pin.length !== 4) {
-      Alert.alert('Invalid PIN', 'PIN must be 4 digits');
+    // The old 4-digit PIN is guessed against the same lockout as the unlock
+    if (legacyPin) {
+      const lockout = await SessionService.getLockoutStatus();
+      if (lockout.isLockedOut) {
+        setLockoutRemaining(lockout.remainingMs);
+        return;
+      }
+      if (currentPin !== legacyPin) {
+        setCurrentPin('');
+        await handleFailedPin('legacy_pin', 'Your current 4-digit PIN is incorrect');
+        return;
+      }
+    }
+    
+    if (pin.length !== PIN_LENGTH) {
+      Alert.alert('Invalid PIN', `PIN must be ${PIN_LENGTH} digits`);
       return;
     }
     
@@ -101,13 +160,16 @@ export default function AuthScreen({ navigation }) {
     }
 
     try {
-      // Save to AsyncStorage (avoiding SecureStore)
-      await AsyncStorage.setItem('@praxiom_pin', pin);
+      // Wrap the encryption key under the PIN; the PIN itself is never stored
+      await EncryptionService.setupPin(pin);
+      // The plaintext 4-digit PIN goes as soon as the new one is in place
+      await AsyncStorage.removeItem(LEGACY_PIN_KEY);
+      setLegacyPin(null);
       await AsyncStorage.setItem('@praxiom_auth', 'true');
       console.log('PIN saved successfully');
       
       // Navigate to main app
-      handleSuccessfulAuth();
+      handleSuccessfulAuth('pin_setup');
     } catch (error) {
       console.error('PIN setup error:', error);
       Alert.alert('Error', 'Failed to save PIN. Please try again.');
@@ -117,44 +179,79 @@ export default function AuthScreen({ navigation }) {
   const authenticateWithPin = async () => {
     console.log('Authenticating...');
     
-    if (pin.length !== 4) {
-      Alert.alert('Invalid PIN', 'Please enter your 4-digit PIN');
+    if (pin.length !== PIN_LENGTH) {
+      Alert.alert('Invalid PIN', `Please enter your ${PIN_LENGTH}-digit PIN`);
+      return;
+    }
+
+    // Re-check the persisted lockout: the countdown on screen may be stale
+    const lockout = await SessionService.getLockoutStatus();
+    if (lockout.isLockedOut) {
+      setLockoutRemaining(lockout.remainingMs);
       return;
     }
 
     try {
-      const storedPin = await AsyncStorage.getItem('@praxiom_pin');
-      
-      if (pin === storedPin) {
-        console.log('PIN correct');
-        handleSuccessfulAuth();
+      await EncryptionService.unlockWithPin(pin);
+      console.log('PIN correct');
+      handleSuccessfulAuth('pin');
+    } catch (error) {
+      if (error.code === 'INVALID_PIN') {
+        setPin('');
+        await handleFailedPin('pin', 'Please try again');
       } else {
-        const newAttempts = attempts + 1;
-        setAttempts(newAttempts);
-        
-        if (newAttempts >= 5) {
-          Alert.alert(
-            'Too Many Attempts',
-            'Please reset the PIN.',
-            [{ text: 'Reset', onPress: handleReset }]
-          );
-        } else {
-          Alert.alert(
-            'Incorrect PIN',
-            `${5 - newAttempts} attempts remaining`,
-            [{ text: 'OK' }]
-          );
-          setPin('');
-        }
+        console.error('Auth error:', error);
+        Alert.alert('Error', 'Authentication failed');
       }
-    } catch (error) {
-      console.error('Auth error:', error);
-      Alert.alert('Error', 'Authentication failed');
     }
   };
 
-  const handleSuccessfulAuth = async () => {
+  // Count a wrong PIN (SessionService lockout / wipe policy) and tell the user
+  const handleFailedPin = async (method, retryMessage) => {
+    const status = await SessionService.recordFailedAttempt(method);
+    
+    if (status.wiped) {
+      resetToSetup();
+      Alert.alert(
+        'Data Erased',
+        'Too many incorrect PINs. All health data has been erased as set in Security settings.'
+      );
+    } else if (status.isLockedOut) {
+      setLockoutRemaining(status.remainingMs);
+      Alert.alert(
+        'Too Many Attempts',
+        `PIN entry is locked for ${formatDuration(status.remainingMs)}.`
+      );
+    } else {
+      Alert.alert(
+        'Incorrect PIN',
+        status.attemptsBeforeWipe !== null
+          ? `${status.attemptsBeforeWipe} attempts left before your data is erased`
+          : retryMessage,
+        [{ text: 'OK' }]
+      );
+    }
+  };
+
+  const handleBiometricUnlock = async () => {
+    const unlocked = await EncryptionService.unlockWithBiometrics();
+    if (unlocked) {
+      handleSuccessfulAuth('biometric');
+    }
+  };
+
+  const handleSuccessfulAuth = async (method) => {
     console.log('Auth successful, navigating...');
+    await SessionService.recordSuccess(method);
+    setPin('');
+    setConfirmPin('');
+    setCurrentPin('');
+    
+    // Finish a key rotation the app was killed in the middle of, then retire
+    // any legacy-format records (both need the unlocked key)
+    resumePendingRotation()
+      .then(() => migrateLegacyRecords())
+      .catch(error => console.warn('⚠️ Key rotation / legacy migration failed:', error.message));
     
     try {
       // Set auth flag
@@ -199,6 +296,9 @@ export default function AuthScreen({ navigation }) {
     }
   };
 
+  // New PINs are not guessed; confirming the old 4-digit PIN is
+  const isLockedOut = (!isSettingUp || !!legacyPin) && lockoutRemaining > 0;
+
   if (isLoading) {
     return (
       <LinearGradient colors={['#FF6B6B', '#4ECDC4']} style={styles.container}>
@@ -228,17 +328,32 @@ export default function AuthScreen({ navigation }) {
 
           <View style={styles.authContainer}>
             <Text style={styles.subtitle}>
-              {isSettingUp ? 'Create Your PIN' : 'Enter Your PIN'}
+              {isSettingUp
+                ? (legacyPin ? 'Upgrade to a 6-digit PIN' : 'Create Your PIN')
+                : 'Enter Your PIN'}
             </Text>
 
+            {isSettingUp && legacyPin && (
+              <TextInput
+                style={styles.input}
+                placeholder="Current 4-digit PIN"
+                placeholderTextColor="rgba(255,255,255,0.7)"
+                value={currentPin}
+                onChangeText={(text) => setCurrentPin(text.replace(/[^0-9]/g, '').slice(0, 4))}
+                keyboardType="number-pad"
+                maxLength={4}
+                secureTextEntry
+              />
+            )}
+
             <TextInput
               style={styles.input}
-              placeholder="4-digit PIN"
+              placeholder={isSettingUp ? `New ${PIN_LENGTH}-digit PIN` : `${PIN_LENGTH}-digit PIN`}
               placeholderTextColor="rgba(255,255,255,0.7)"
               value={pin}
-              onChangeText={(text) => setPin(text.replace(/[^0-9]/g, '').slice(0, 4))}
+              onChangeText={(text) => setPin(digitsOnly(text))}
               keyboardType="number-pad"
-              maxLength={4}
+              maxLength={PIN_LENGTH}
               secureTextEntry
             />
 
@@ -248,9 +363,9 @@ export default function AuthScreen({ navigation }) {
                 placeholder="Confirm PIN"
                 placeholderTextColor="rgba(255,255,255,0.7)"
                 value={confirmPin}
-                onChangeText={(text) => setConfirmPin(text.replace(/[^0-9]/g, '').slice(0, 4))}
+                onChangeText={(text) => setConfirmPin(digitsOnly(text))}
                 keyboardType="number-pad"
-                maxLength={4}
+                maxLength={PIN_LENGTH}
                 secureTextEntry
               />
             )}
@@ -258,19 +373,34 @@ export default function AuthScreen({ navigation }) {
             <TouchableOpacity
               style={[styles.button, {
                 opacity: isSettingUp
-                  ? (pin.length === 4 && confirmPin.length === 4 ? 1 : 0.5)
-                  : (pin.length === 4 ? 1 : 0.5)
+                  ? (pin.length === PIN_LENGTH && confirmPin.length === PIN_LENGTH && !isLockedOut ? 1 : 0.5)
+                  : (pin.length === PIN_LENGTH && !isLockedOut ? 1 : 0.5)
               }]}
               onPress={isSettingUp ? setupPin : authenticateWithPin}
               disabled={isSettingUp
-                ? (pin.length !== 4 || confirmPin.length !== 4)
-                : pin.length !== 4}
+                ? (pin.length !== PIN_LENGTH || confirmPin.length !== PIN_LENGTH || isLockedOut)
+                : (pin.length !== PIN_LENGTH || isLockedOut)}
             >
               <Text style={styles.buttonText}>
                 {isSettingUp ? 'Set PIN' : 'Unlock'}
               </Text>
             </TouchableOpacity>
 
+            {isLockedOut && (
+              <Text style={styles.lockoutText}>
+                Too many incorrect PINs. Try again in {formatDuration(lockoutRemaining)}
+              </Text>
+            )}
+
+            {!isSettingUp && biometricEnabled && !isLockedOut && (
+              <TouchableOpacity
+                style={styles.biometricButton}
+                onPress={handleBiometricUnlock}
+              >
+                <Text style={styles.biometricText}>Unlock with Biometrics</Text>
+              </TouchableOpacity>
+            )}
+
             <TouchableOpacity
               style={styles.resetButton}
               onPress={handleReset}
@@ -281,7 +411,7 @@ export default function AuthScreen({ navigation }) {
             {/* Debug info */}
             <View style={styles.debugContainer}>
               <Text style={styles.debugText}>
-                Emergency Mode | PIN: {pin.length}/4 | Setup: {isSettingUp ? 'Yes' : 'No'}
+                Emergency Mode | PIN: {pin.length}/{PIN_LENGTH} | Setup: {isSettingUp ? 'Yes' : 'No'}
               </Text>
             </View>
           </View>
@@ -360,6 +490,23 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  lockoutText: {
+    color: '#FFD700',
+    fontSize: 14,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 15,
+  },
+  biometricButton: {
+    marginTop: 15,
+    padding: 12,
+  },
+  biometricText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+  },
   resetButton: {
     marginTop: 30,
     padding: 15,
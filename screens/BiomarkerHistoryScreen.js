@@ -15,6 +15,7 @@ import * as Sharing from 'expo-sharing';
 import * as FileSystem from 'expo-file-system'; // ✅ ADDED: For export functionality
 import { AppContext } from '../AppContext';
 import PraxiomBackground from '../components/PraxiomBackground';
+import SessionService from '../services/SessionService';
 
 const BiomarkerHistoryScreen = ({ navigation }) => {
   const { state } = useContext(AppContext);
@@ -110,11 +111,11 @@ const BiomarkerHistoryScreen = ({ navigation }) => {
       console.log('✅ Export file created:', fileUri);
       
       if (await Sharing.isAvailableAsync()) {
-        await Sharing.shareAsync(fileUri, {
+        await SessionService.withAutoLockSuspended(() => Sharing.shareAsync(fileUri, {
           mimeType: 'application/json',
           dialogTitle: 'Export Biomarker History',
           UTI: 'public.json'
-        });
+        }));
         console.log('✅ File shared successfully');
       } else {
         Alert.alert(
@@ -449,7 +450,7 @@ const BiomarkerHistoryScreen = ({ navigation }) => {
                   </View>
                   <View style={styles.detailRow}>
                     <Text style={styles.detailLabel}>Salivary Flow (mL/min):</Text>
-                    <Text style={styles.detailValue}>{item.salivaryFlowRate || 'N/A'}</Text>
+                    <Text style={styles.detailValue}>{item.salivaryFlow || item.salivaryFlowRate || 'N/A'}</Text>
                   </View>
                 </View>
 
@@ -465,7 +466,7 @@ const BiomarkerHistoryScreen = ({ navigation }) => {
                   </View>
                   <View style={styles.detailRow}>
                     <Text style={styles.detailLabel}>HbA1c (%):</Text>
-                    <Text style={styles.detailValue}>{item.hbA1c || 'N/A'}</Text>
+                    <Text style={styles.detailValue}>{item.hba1c || item.hbA1c || 'N/A'}</Text>
                   </View>
                   <View style={styles.detailRow}>
                     <Text style={styles.detailLabel}>GDF-15 (pg/mL):</Text>
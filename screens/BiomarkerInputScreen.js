@@ -13,13 +13,15 @@ import DateTimePicker from '@react-native-community/datetimepicker';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { AppContext } from '../AppContext';
-import PraxiomAlgorithm from '../services/PraxiomAlgorithm';
 import StorageService from '../services/StorageService';
+import { validateBiomarkers } from '../services/BiomarkerSchema';
+import { formatInUnit, displayValue } from '../services/UnitConversion';
+import UnitPicker, { useLabUnits } from '../components/UnitPicker';
 import WearableService from '../services/WearableService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 export default function BiomarkerInputScreen({ navigation }) {
-  const { updateState } = useContext(AppContext);
+  const { updateState, calculateBiologicalAge } = useContext(AppContext);
   
   // ✅ Tier selection state
   const [selectedTier, setSelectedTier] = useState('tier1');
@@ -43,6 +45,9 @@ export default function BiomarkerInputScreen({ navigation }) {
   const [gdf15, setGdf15] = useState('');
   const [vitaminD, setVitaminD] = useState('');
 
+  // Lab units per field - canonical unless the user picked another unit
+  const [units, updateUnit] = useLabUnits();
+
   // Wearable Data
   const [heartRate, setHeartRate] = useState('');
   const [steps, setSteps] = useState('');
@@ -122,11 +127,34 @@ export default function BiomarkerInputScreen({ navigation }) {
       }
     }
 
-    return true;
+    // ✅ Plausible ranges come from the shared biomarker schema
+    const result = validateBiomarkers({
+      salivaryPH,
+      activeMMP8: mmp8,
+      salivaryFlow: flowRate,
+      hsCRP,
+      omega3Index: omega3,
+      hba1c,
+      gdf15,
+      vitaminD,
+      heartRate,
+      steps,
+      spO2,
+      hrv,
+      units,
+    });
+    if (!result.valid) {
+      Alert.alert('Invalid Data', result.errors.map(e => e.message).join('\n'));
+      return false;
+    }
+
+    return result.values;
   };
 
   const handleCalculate = async () => {
-    if (!validateInputs()) return;
+    // Values come back converted to the algorithm's canonical units
+    const biomarkers = validateInputs();
+    if (!biomarkers) return;
 
     setLoading(true);
 
@@ -134,24 +162,34 @@ export default function BiomarkerInputScreen({ navigation }) {
       // Prepare biomarker data
       const biomarkerData = {
         age: parseFloat(age),
-        salivaryPH: parseFloat(salivaryPH),
-        activeMMP8: parseFloat(mmp8),
-        salivaryFlowRate: parseFloat(flowRate),
-        hsCRP: parseFloat(hsCRP),
-        omega3Index: parseFloat(omega3),
-        hbA1c: parseFloat(hba1c),
-        gdf15: parseFloat(gdf15),
-        vitaminD: parseFloat(vitaminD),
-        heartRate: parseFloat(heartRate),
+        salivaryPH: biomarkers.salivaryPH,
+        activeMMP8: biomarkers.activeMMP8,
+        salivaryFlow: biomarkers.salivaryFlow,
+        hsCRP: biomarkers.hsCRP,
+        omega3Index: biomarkers.omega3Index,
+        hba1c: biomarkers.hba1c,
+        gdf15: biomarkers.gdf15,
+        vitaminD: biomarkers.vitaminD,
+        heartRate: biomarkers.heartRate,
         steps: parseInt(steps),
-        spO2: parseFloat(spO2),
-        hrv: hrv && hrv.trim() !== '' ? parseFloat(hrv) : null, // ✅ Optional HRV
+        spO2: biomarkers.spO2,
+        hrv: biomarkers.hrv ?? null, // ✅ Optional HRV
+        units: biomarkers.units,
       };
 
       console.log('📊 Calculating with data:', biomarkerData);
 
-      // ✅ Calculate Bio-Age using proper algorithm
-      const results = PraxiomAlgorithm.calculateFromBiomarkers(biomarkerData);
+      // ✅ Calculate Bio-Age through the unified pipeline (same number as every
+      // screen - Tier 2/3, fitness and HRV data already on file are included;
+      // manually entered HRV carries no watch quality score)
+      const result = calculateBiologicalAge({ ...biomarkerData, chronologicalAge: biomarkerData.age, hrvQuality: null });
+      const results = {
+        bioAge: result.biologicalAge,
+        oralScore: result.scores.oralHealth,
+        systemicScore: result.scores.systemicHealth,
+        fitnessScore: result.scores.fitnessScore,
+        deviation: result.deviation,
+      };
 
       console.log('✅ Calculation results:', results);
 
@@ -162,8 +200,8 @@ export default function BiomarkerInputScreen({ navigation }) {
         oralScore: results.oralScore,
         systemicScore: results.systemicScore,
         fitnessScore: results.fitnessScore,
-        ageGroup: results.ageGroup,
         deviation: results.deviation,
+        dataQuality: result.dataQuality,
         timestamp: selectedDate.toISOString(),
         dateEntered: selectedDate.toLocaleDateString(),
         tier: 1,
@@ -183,13 +221,11 @@ export default function BiomarkerInputScreen({ navigation }) {
       }
       await AsyncStorage.setItem('biomarkerDate', new Date().toISOString());
 
-      // ✅ Update app context
-      updateState({
-        biologicalAge: results.bioAge,
-        oralHealthScore: results.oralScore,
-        systemicHealthScore: results.systemicScore,
-        fitnessScore: results.fitnessScore,
-      });
+      // ✅ Keep the entered biomarkers in app context for later recalculations
+      // (scores were already published by calculateBiologicalAge)
+      const { age: enteredAge, ...enteredBiomarkers } = biomarkerData;
+      delete enteredBiomarkers.units;
+      updateState({ chronologicalAge: enteredAge, ...enteredBiomarkers });
 
       // ✅ Store result for push to watch
       setCalculatedResult(results);
@@ -380,7 +416,7 @@ export default function BiomarkerInputScreen({ navigation }) {
           <Text style={styles.sectionTitle}>🩸 Systemic Health Biomarkers</Text>
           
           <View style={styles.inputContainer}>
-            <Text style={styles.label}>hs-CRP (mg/L, Optimal: &lt;1.0) *</Text>
+            <Text style={styles.label}>hs-CRP (Optimal: &lt;{formatInUnit('hsCRP', 1.0, units.hsCRP)}) *</Text>
             <TextInput
               style={styles.input}
               value={hsCRP}
@@ -389,6 +425,7 @@ export default function BiomarkerInputScreen({ navigation }) {
               placeholder="e.g., 0.8"
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="hsCRP" unit={units.hsCRP} onChange={updateUnit} />
           </View>
 
           <View style={styles.inputContainer}>
@@ -404,7 +441,7 @@ export default function BiomarkerInputScreen({ navigation }) {
           </View>
 
           <View style={styles.inputContainer}>
-            <Text style={styles.label}>HbA1c (%, Optimal: &lt;5.7) *</Text>
+            <Text style={styles.label}>HbA1c (Optimal: &lt;5.7% / 39 mmol/mol) *</Text>
             <TextInput
               style={styles.input}
               value={hba1c}
@@ -413,10 +450,11 @@ export default function BiomarkerInputScreen({ navigation }) {
               placeholder="e.g., 5.4"
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="hba1c" unit={units.hba1c} onChange={updateUnit} />
           </View>
 
           <View style={styles.inputContainer}>
-            <Text style={styles.label}>GDF-15 (pg/mL, Optimal: &lt;1200) *</Text>
+            <Text style={styles.label}>GDF-15 (Optimal: &lt;1200 pg/mL) *</Text>
             <TextInput
               style={styles.input}
               value={gdf15}
@@ -425,10 +463,11 @@ export default function BiomarkerInputScreen({ navigation }) {
               placeholder="e.g., 1000"
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="gdf15" unit={units.gdf15} onChange={updateUnit} />
           </View>
 
           <View style={styles.inputContainer}>
-            <Text style={styles.label}>Vitamin D 25-OH (ng/mL, Optimal: &gt;30) *</Text>
+            <Text style={styles.label}>Vitamin D 25-OH (Optimal: &gt;30 ng/mL / 75 nmol/L) *</Text>
             <TextInput
               style={styles.input}
               value={vitaminD}
@@ -437,6 +476,7 @@ export default function BiomarkerInputScreen({ navigation }) {
               placeholder="e.g., 35"
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="vitaminD" unit={units.vitaminD} onChange={updateUnit} />
           </View>
         </View>
 
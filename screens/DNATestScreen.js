@@ -11,6 +11,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import StorageService from '../services/StorageService';
+import PraxiomAlgorithm from '../services/PraxiomAlgorithm';
 import PraxiomBackground from '../components/PraxiomBackground';
 
 export default function DNATestScreen({ navigation }) {
@@ -46,11 +47,18 @@ export default function DNATestScreen({ navigation }) {
       // Update Praxiom Age with epigenetic data
       const currentPraxiomAge = await AsyncStorage.getItem('praxiomAge');
       let finalAge = epigeneticAge;
+      let clockComparison = null;
       
       if (currentPraxiomAge) {
         // Average with existing biomarker-based age
         const biomarkerAge = parseFloat(currentPraxiomAge);
         finalAge = (biomarkerAge * 0.6) + (epigeneticAge * 0.4);
+        
+        // Only the clocks actually entered are compared (blank fields default above)
+        clockComparison = PraxiomAlgorithm.compareAgingClocks(biomarkerAge - age, age, {
+          elovl2Age: elovl2Age ? elovl2 : null,
+          intrinsicCapacity: intrinsicCapacity ? ic : null,
+        });
       }
       
       // ✅ NEW: Create Tier 3 biomarker entry for history
@@ -67,6 +75,7 @@ export default function DNATestScreen({ navigation }) {
         paceAdjustment: parseFloat(paceAdjustment.toFixed(2)),
         elovl2Deviation: parseFloat(elovl2Deviation.toFixed(2)),
         icAdjustment: parseFloat(icAdjustment.toFixed(2)),
+        clockComparison,
       };
       
       // ✅ Save to encrypted biomarker history
@@ -88,6 +97,9 @@ export default function DNATestScreen({ navigation }) {
         `Epigenetic Age: ${epigeneticAge.toFixed(1)} years\n` +
         `Pace Status: ${paceStatus}\n` +
         `Updated Praxiom Age: ${finalAge.toFixed(1)} years\n\n` +
+        (clockComparison?.hasMajorDisagreement
+          ? `⚠️ Clock disagreement:\n${clockComparison.flags.join('\n')}\n\n`
+          : '') +
         `✅ Saved to History`,
         [
           {
@@ -3,6 +3,7 @@ import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert, Modal, Ima
 import { LinearGradient } from 'expo-linear-gradient';
 import { AppContext } from '../AppContext';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDefinition } from '../services/BiomarkerSchema';
 
 export default function DashboardScreen({ navigation }) {
   const { state, updateState, calculateScores } = useContext(AppContext);
@@ -37,6 +38,12 @@ export default function DashboardScreen({ navigation }) {
     return '#E74C3C';
   };
 
+  const getConfidenceColor = (confidence) => {
+    if (confidence >= 90) return '#47C83E';
+    if (confidence >= 60) return '#FFB800';
+    return '#E74C3C';
+  };
+
   const getDeviationColor = (deviation) => {
     if (Math.abs(deviation) <= 5) return '#47C83E';
     if (Math.abs(deviation) <= 10) return '#FFB800';
@@ -102,6 +109,35 @@ export default function DashboardScreen({ navigation }) {
               </Text>
             </View>
           )}
+
+          {/* Data confidence - how much of the Tier 1 panel the bio-age rests on */}
+          {state.dataQuality && (
+            <View style={styles.confidenceContainer}>
+              <View style={styles.confidenceRow}>
+                <Text style={styles.deviationLabel}>Data Confidence:</Text>
+                <Text style={[
+                  styles.deviationValue,
+                  { color: getConfidenceColor(state.dataQuality.confidence) }
+                ]}>
+                  {state.dataQuality.confidenceLevel} ({state.dataQuality.confidence}%)
+                </Text>
+              </View>
+              <Text style={styles.confidenceDetail}>
+                {state.dataQuality.completeness}% of biomarkers measured
+              </Text>
+              {state.dataQuality.imputed?.length > 0 && (
+                <Text style={styles.confidenceDetail}>
+                  Missing: {state.dataQuality.imputed.map(key => getDefinition(key)?.displayName || key).join(', ')}
+                </Text>
+              )}
+              {state.dataQuality.emptyPanels?.length > 0 && (
+                <Text style={styles.confidenceDetail}>
+                  Not in bio-age (nothing measured): {state.dataQuality.emptyPanels
+                    .map(panel => (panel === 'oralHealth' ? 'Oral Health' : 'Systemic Health')).join(', ')}
+                </Text>
+              )}
+            </View>
+          )}
         </View>
 
         <TouchableOpacity
@@ -246,7 +282,7 @@ export default function DashboardScreen({ navigation }) {
           </TouchableOpacity>
         </View>
 
-        {/* Row 3: Biomarker History */}
+        {/* Row 3: Biomarker History and What-If Simulator */}
         <View style={styles.quickActions}>
           <TouchableOpacity
             style={[styles.actionButton, { flex: 1 }]}
@@ -255,6 +291,14 @@ export default function DashboardScreen({ navigation }) {
             <Text style={styles.actionButtonText}>📋 Biomarker</Text>
             <Text style={styles.actionButtonText}>History</Text>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.actionButton, { flex: 1 }]}
+            onPress={() => navigation.navigate('WhatIfSimulator')}
+          >
+            <Text style={styles.actionButtonText}>🔮 What-If</Text>
+            <Text style={styles.actionButtonText}>Simulator</Text>
+          </TouchableOpacity>
         </View>
 
         {(state.oralHealthScore < 75 || state.systemicHealthScore < 75) && (
@@ -363,6 +407,15 @@ const styles = StyleSheet.create({
   },
   deviationLabel: { fontSize: 16, color: '#7F8C8D', marginRight: 10 },
   deviationValue: { fontSize: 18, fontWeight: 'bold' },
+  confidenceContainer: {
+    alignItems: 'center',
+    paddingTop: 15,
+    marginTop: 15,
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  confidenceRow: { flexDirection: 'row', alignItems: 'center' },
+  confidenceDetail: { fontSize: 12, color: '#7F8C8D', marginTop: 4, textAlign: 'center' },
   watchButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -155,7 +155,7 @@ const DebugTestScreen = ({ navigation }) => {
 
       if (status.encryptedKeys > 0) {
         addResult('Test 4a: Encrypted Keys Found', 'pass', 
-          `Found ${status.encryptedKeys} encrypted keys in SecureStore`);
+          `Found ${status.encryptedKeys} encrypted records`);
       } else {
         addResult('Test 4a: Encrypted Keys', 'info', 
           'No encrypted keys yet (OK if no data entered)');
@@ -62,21 +62,22 @@ const FitnessAssessmentScreen = ({ navigation }) => {
         return;
       }
 
-      // Calculate Aerobic Score
+      // Calculate Aerobic Score (sex-specific norms when set in Profile)
+      const sex = state.userProfile?.sex || 'unknown';
       let aerobicScore;
       if (aerobicTestType === 'stepTest') {
         aerobicScore = PraxiomAlgorithm.calculateAerobicScore(
           'stepTest',
           parseFloat(recoveryHeartRate),
           age,
-          'unknown'
+          sex
         );
       } else {
         aerobicScore = PraxiomAlgorithm.calculateAerobicScore(
           '6mwt',
           parseFloat(walkDistance),
           age,
-          'unknown'
+          sex
         );
       }
 
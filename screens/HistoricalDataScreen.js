@@ -11,9 +11,19 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import PraxiomBackground from '../components/PraxiomBackground';
 import StorageService from '../services/StorageService';
+import HeartRateTimeSeries from '../services/HeartRateTimeSeries';
+import TrendChart from '../components/TrendChart';
+
+const WATCH_TREND_DAYS = 30;
+
+const toDayPoints = (summaries, field) => summaries.map(summary => ({
+  label: new Date(`${summary.date}T12:00:00Z`).toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' }),
+  value: summary[field]
+}));
 
 const HistoricalDataScreen = ({ navigation }) => {
   const [history, setHistory] = useState([]);
+  const [watchDays, setWatchDays] = useState([]);
   const [refreshing, setRefreshing] = useState(false);
 
   useEffect(() => {
@@ -28,6 +38,12 @@ const HistoricalDataScreen = ({ navigation }) => {
       console.error('Error loading history:', error);
       Alert.alert('Error', 'Failed to load historical data');
     }
+
+    try {
+      setWatchDays(await HeartRateTimeSeries.getDailySummaries(WATCH_TREND_DAYS));
+    } catch (error) {
+      console.error('Error loading watch heart rate history:', error);
+    }
   };
 
   const onRefresh = async () => {
@@ -36,7 +52,7 @@ const HistoricalDataScreen = ({ navigation }) => {
     setRefreshing(false);
   };
 
-  const handleDelete = async (timestamp) => {
+  const handleDelete = async (item) => {
     Alert.alert(
       'Delete Entry',
       'Are you sure you want to delete this biomarker entry?',
@@ -47,7 +63,7 @@ const HistoricalDataScreen = ({ navigation }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await StorageService.deleteBiomarkerEntry(timestamp);
+              await StorageService.deleteBiomarkerEntry(item.timestamp, item.importCopyId || null);
               await loadHistory();
             } catch (error) {
               Alert.alert('Error', 'Failed to delete entry');
@@ -70,7 +86,7 @@ const HistoricalDataScreen = ({ navigation }) => {
     const ageDiff = item.bioAge - item.age;
 
     return (
-      <View key={item.timestamp} style={styles.historyCard}>
+      <View key={`${item.timestamp}|${item.importCopyId || ''}`} style={styles.historyCard}>
         <View style={styles.cardHeader}>
           <View>
             <Text style={styles.cardDate}>
@@ -89,7 +105,7 @@ const HistoricalDataScreen = ({ navigation }) => {
           </View>
           
           <TouchableOpacity
-            onPress={() => handleDelete(item.timestamp)}
+            onPress={() => handleDelete(item)}
             style={styles.deleteButton}
           >
             <Ionicons name="trash-outline" size={20} color="#ef4444" />
@@ -154,6 +170,24 @@ const HistoricalDataScreen = ({ navigation }) => {
           <Text style={styles.subtitle}>{history.length} entries</Text>
         </View>
 
+        {watchDays.length > 0 && (
+          <View style={styles.watchSection}>
+            <Text style={styles.sectionTitle}>Watch Heart Rate ({WATCH_TREND_DAYS} days)</Text>
+            <TrendChart
+              title="Resting Heart Rate (bpm)"
+              points={toDayPoints(watchDays, 'restingHr')}
+              color="#ef4444"
+              emptyText="Wear your watch on at least two days to see a trend"
+            />
+            <TrendChart
+              title="HRV - RMSSD (ms)"
+              points={toDayPoints(watchDays, 'rmssd')}
+              color="#a78bfa"
+              emptyText="No beat-to-beat data recorded yet"
+            />
+          </View>
+        )}
+
         {history.length === 0 ? (
           <View style={styles.emptyContainer}>
             <Ionicons name="calendar-outline" size={64} color="#8e8e93" />
@@ -198,6 +232,15 @@ const styles = StyleSheet.create({
     color: '#8e8e93',
     marginTop: 4,
   },
+  watchSection: {
+    marginHorizontal: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#ffffff',
+    marginBottom: 10,
+  },
   emptyContainer: {
     alignItems: 'center',
     justifyContent: 'center',
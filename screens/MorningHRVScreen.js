@@ -0,0 +1,443 @@
+import React, { useState, useEffect, useRef, useContext } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Animated,
+  Easing,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { activateKeepAwakeAsync, deactivateKeepAwake } from 'expo-keep-awake';
+import PraxiomBackground from '../components/PraxiomBackground';
+import { AppContext } from '../AppContext';
+import WearableService from '../services/WearableService';
+import HeartRateTimeSeries from '../services/HeartRateTimeSeries';
+import StorageService from '../services/StorageService';
+import {
+  SETTLE_MS,
+  RECORDING_MS,
+  PACER_BREATHS_PER_MINUTE,
+  ROLLING_WINDOW_DAYS,
+  MIN_SESSIONS_FOR_SCORE,
+  evaluateSession,
+  describeRejection,
+} from '../services/MorningHRV';
+
+const KEEP_AWAKE_TAG = 'morning-hrv';
+const BREATH_MS = 60000 / PACER_BREATHS_PER_MINUTE;
+const SESSION_MS = SETTLE_MS + RECORDING_MS;
+
+const formatTime = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Guided morning HRV session
+ * idle -> connecting -> settling -> recording -> result
+ */
+const MorningHRVScreen = ({ navigation }) => {
+  const { continuousHRV, refreshContinuousHRV } = useContext(AppContext);
+  const [phase, setPhase] = useState('idle');
+  const [elapsed, setElapsed] = useState(0);
+  const [heartRate, setHeartRate] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const pacer = useRef(new Animated.Value(0)).current;
+  const sessionRef = useRef(null);
+
+  useEffect(() => {
+    return () => stopSession();
+  }, []);
+
+  const stopSession = () => {
+    const session = sessionRef.current;
+    if (!session) return;
+    clearInterval(session.timer);
+    if (session.stopMotion) session.stopMotion();
+    sessionRef.current = null;
+    pacer.stopAnimation();
+    deactivateKeepAwake(KEEP_AWAKE_TAG);
+  };
+
+  const startPacer = () => {
+    pacer.setValue(0);
+    Animated.loop(
+      Animated.sequence([
+        Animated.timing(pacer, { toValue: 1, duration: BREATH_MS / 2, easing: Easing.inOut(Easing.sin), useNativeDriver: true }),
+        Animated.timing(pacer, { toValue: 0, duration: BREATH_MS / 2, easing: Easing.inOut(Easing.sin), useNativeDriver: true }),
+      ])
+    ).start();
+  };
+
+  const handleStart = async () => {
+    setError(null);
+    setResult(null);
+
+    // A paired chest strap works as well as the watch (and gives cleaner RR data)
+    if (!WearableService.hasHeartRateSource()) {
+      setPhase('connecting');
+      await WearableService.tryAutoReconnect();
+      if (!WearableService.hasHeartRateSource()) {
+        setPhase('idle');
+        setError('Could not reach your watch or heart-rate strap. Pair one on the Watch tab and keep it nearby.');
+        return;
+      }
+    }
+
+    const startedAt = Date.now();
+    const session = {
+      startedAt,
+      stepsAtStart: WearableService.getSteps(),
+      accel: [],
+      stopMotion: null,
+      timer: null,
+    };
+    session.stopMotion = WearableService.monitorMotion((sample) => {
+      // Movement while settling does not count
+      if (Date.now() - startedAt >= SETTLE_MS) session.accel.push(sample);
+    });
+    session.timer = setInterval(() => tick(), 1000);
+    sessionRef.current = session;
+
+    activateKeepAwakeAsync(KEEP_AWAKE_TAG).catch(() => {});
+    startPacer();
+    setElapsed(0);
+    setPhase('settling');
+  };
+
+  const tick = () => {
+    const session = sessionRef.current;
+    if (!session) return;
+
+    if (!WearableService.hasHeartRateSource()) {
+      stopSession();
+      setPhase('idle');
+      setError('The heart rate device disconnected during the session. Please try again.');
+      return;
+    }
+
+    const now = Date.now() - session.startedAt;
+    setElapsed(now);
+    setHeartRate(WearableService.getHeartRate() || null);
+
+    if (now >= SESSION_MS) {
+      finishSession(session);
+    } else {
+      setPhase(now >= SETTLE_MS ? 'recording' : 'settling');
+    }
+  };
+
+  const finishSession = async (session) => {
+    stopSession();
+    setPhase('analyzing');
+
+    const recordingStart = session.startedAt + SETTLE_MS;
+    const evaluation = evaluateSession({
+      rr: HeartRateTimeSeries.getRecentRR(RECORDING_MS + 30000).filter(sample => sample.t >= recordingStart),
+      accel: session.accel,
+      stepsDelta: WearableService.getSteps() - session.stepsAtStart,
+      startedAt: session.startedAt,
+    });
+
+    if (evaluation.accepted) {
+      await StorageService.saveHRVSession(evaluation.session);
+      await refreshContinuousHRV();
+    }
+
+    setResult(evaluation);
+    setPhase('result');
+  };
+
+  const handleCancel = () => {
+    stopSession();
+    setPhase('idle');
+  };
+
+  const renderScoreCard = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Continuous HRV Score ({ROLLING_WINDOW_DAYS}-day)</Text>
+      {continuousHRV && continuousHRV.score !== null ? (
+        <>
+          <Text style={styles.scoreValue}>{continuousHRV.score}</Text>
+          <Text style={styles.cardText}>
+            Average RMSSD {continuousHRV.rmssd} ms over {continuousHRV.days} mornings. Used automatically for Tier 2.
+          </Text>
+        </>
+      ) : (
+        <Text style={styles.cardText}>
+          Record at least {MIN_SESSIONS_FOR_SCORE} mornings within {ROLLING_WINDOW_DAYS} days to calculate your score.
+        </Text>
+      )}
+    </View>
+  );
+
+  const renderIdle = () => (
+    <>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Before you start</Text>
+        <Text style={styles.cardText}>• Measure right after waking, before coffee or exercise</Text>
+        <Text style={styles.cardText}>• Sit or lie down in the same position every morning</Text>
+        <Text style={styles.cardText}>• Wear the watch or chest strap snugly and keep still</Text>
+        <Text style={styles.cardText}>
+          • Breathe with the circle: {formatTime(SETTLE_MS)} to settle, then {formatTime(RECORDING_MS)} of recording
+        </Text>
+      </View>
+
+      {error && (
+        <View style={[styles.card, styles.errorCard]}>
+          <Ionicons name="warning" size={24} color="#fbbf24" />
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      {renderScoreCard()}
+
+      <TouchableOpacity style={styles.primaryButton} onPress={handleStart}>
+        <Ionicons name="play" size={22} color="#fff" />
+        <Text style={styles.buttonText}>Start Session</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderSession = () => {
+    const breathIn = Math.floor(elapsed / (BREATH_MS / 2)) % 2 === 0;
+    const scale = pacer.interpolate({ inputRange: [0, 1], outputRange: [0.55, 1] });
+
+    return (
+      <>
+        <Text style={styles.phaseLabel}>
+          {phase === 'settling' ? 'Settling - relax and follow the circle' : 'Recording - keep still'}
+        </Text>
+
+        <View style={styles.pacerContainer}>
+          <Animated.View style={[styles.pacerCircle, { transform: [{ scale }] }]} />
+          <Text style={styles.pacerText}>{breathIn ? 'Breathe in' : 'Breathe out'}</Text>
+        </View>
+
+        <View style={styles.statsRow}>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{formatTime(SESSION_MS - elapsed)}</Text>
+            <Text style={styles.statLabel}>Remaining</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{heartRate || '--'}</Text>
+            <Text style={styles.statLabel}>Heart Rate (bpm)</Text>
+          </View>
+        </View>
+
+        <TouchableOpacity style={styles.secondaryButton} onPress={handleCancel}>
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+      </>
+    );
+  };
+
+  const renderResult = () => {
+    const { accepted, reasons, session } = result;
+
+    return (
+      <>
+        <View style={[styles.card, styles.resultCard, !accepted && styles.resultCardRejected]}>
+          <Ionicons
+            name={accepted ? 'checkmark-circle' : 'close-circle'}
+            size={48}
+            color={accepted ? '#4ade80' : '#ef4444'}
+          />
+          <Text style={styles.resultTitle}>{accepted ? 'Session saved' : 'Session not saved'}</Text>
+          {accepted ? (
+            <Text style={styles.cardText}>
+              RMSSD {session.rmssd} ms · SDNN {session.sdnn} ms · {session.meanHR} bpm · quality {session.quality}
+            </Text>
+          ) : (
+            <Text style={styles.cardText}>{describeRejection(reasons)}</Text>
+          )}
+        </View>
+
+        {renderScoreCard()}
+
+        <TouchableOpacity style={styles.primaryButton} onPress={() => setPhase('idle')}>
+          <Text style={styles.buttonText}>{accepted ? 'Done' : 'Try Again'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.buttonText}>Back</Text>
+        </TouchableOpacity>
+      </>
+    );
+  };
+
+  return (
+    <PraxiomBackground>
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <View style={styles.header}>
+          <Ionicons name="pulse" size={40} color="#a78bfa" />
+          <Text style={styles.title}>Morning HRV</Text>
+        </View>
+
+        {phase === 'idle' && renderIdle()}
+        {(phase === 'settling' || phase === 'recording') && renderSession()}
+        {(phase === 'connecting' || phase === 'analyzing') && (
+          <View style={styles.card}>
+            <ActivityIndicator color="#00d4ff" />
+            <Text style={[styles.cardText, styles.centered]}>
+              {phase === 'connecting' ? 'Connecting to your watch...' : 'Analyzing your session...'}
+            </Text>
+          </View>
+        )}
+        {phase === 'result' && result && renderResult()}
+      </ScrollView>
+    </PraxiomBackground>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 20,
+  },
+  header: {
+    alignItems: 'center',
+    marginTop: 20,
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#ffffff',
+    marginTop: 10,
+  },
+  card: {
+    backgroundColor: '#1e1e2e',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 20,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#00d4ff',
+    marginBottom: 10,
+  },
+  cardText: {
+    fontSize: 14,
+    color: '#ffffff',
+    lineHeight: 22,
+  },
+  centered: {
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  scoreValue: {
+    fontSize: 40,
+    fontWeight: 'bold',
+    color: '#a78bfa',
+    marginBottom: 5,
+  },
+  errorCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#fbbf24',
+  },
+  errorText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#ffffff',
+    marginLeft: 15,
+    lineHeight: 20,
+  },
+  phaseLabel: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#ffffff',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  pacerContainer: {
+    height: 240,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 20,
+  },
+  pacerCircle: {
+    position: 'absolute',
+    width: 220,
+    height: 220,
+    borderRadius: 110,
+    backgroundColor: 'rgba(167, 139, 250, 0.6)',
+    borderWidth: 3,
+    borderColor: '#ffffff',
+  },
+  pacerText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 20,
+  },
+  stat: {
+    backgroundColor: '#1e1e2e',
+    borderRadius: 16,
+    padding: 20,
+    width: '48%',
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#00d4ff',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#8e8e93',
+    marginTop: 5,
+  },
+  resultCard: {
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: '#4ade80',
+  },
+  resultCardRejected: {
+    borderColor: '#ef4444',
+  },
+  resultTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#ffffff',
+    marginVertical: 10,
+  },
+  primaryButton: {
+    backgroundColor: '#00d4ff',
+    borderRadius: 16,
+    padding: 18,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 15,
+    gap: 10,
+  },
+  secondaryButton: {
+    backgroundColor: 'rgba(30, 30, 46, 0.8)',
+    borderRadius: 16,
+    padding: 16,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+  buttonText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
+});
+
+export default MorningHRVScreen;
@@ -18,8 +18,14 @@ import { LinearGradient } from 'expo-linear-gradient';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { AppContext } from '../AppContext';
 
+const SEX_OPTIONS = [
+  { value: 'female', label: 'Female' },
+  { value: 'male', label: 'Male' },
+  { value: null, label: 'Not specified' },
+];
+
 export default function ProfileScreen({ navigation }) {
-  const { updateState } = useContext(AppContext); // ✅ FIXED: Use updateState instead of dispatch
+  const { updateState, calculateBiologicalAge, bioAge } = useContext(AppContext); // ✅ FIXED: Use updateState instead of dispatch
   
   // Form state
   const [name, setName] = useState('');
@@ -32,6 +38,9 @@ export default function ProfileScreen({ navigation }) {
   const [birthDay, setBirthDay] = useState('');
   const [calculatedAge, setCalculatedAge] = useState(null);
   
+  // Sex selects the fitness, HRV and GDF-15 norms; null keeps neutral norms
+  const [sex, setSex] = useState(null);
+  
   // Load saved profile
   useEffect(() => {
     loadProfile();
@@ -65,6 +74,7 @@ export default function ProfileScreen({ navigation }) {
         setName(profile.name || '');
         setEmail(profile.email || '');
         setPhone(profile.phone || '');
+        setSex(profile.sex || null);
         
         // Load DOB if available
         if (profile.birthYear) {
@@ -150,6 +160,7 @@ export default function ProfileScreen({ navigation }) {
         birthMonth: parseInt(birthMonth),
         birthDay: parseInt(birthDay),
         age,
+        sex,
       };
 
       await AsyncStorage.setItem('userProfile', JSON.stringify(profile));
@@ -158,12 +169,19 @@ export default function ProfileScreen({ navigation }) {
       updateState({
         chronologicalAge: age,
         userName: name,
+        userProfile: profile,
       });
 
+      // Age and sex both change the norms, so refresh an existing bio-age
+      if (bioAge !== null && bioAge !== undefined) {
+        calculateBiologicalAge({ chronologicalAge: age, userProfile: profile });
+      }
+
       console.log('✅ Profile saved');
       console.log('   Name:', name);
       console.log('   DOB:', `${birthYear}-${birthMonth}-${birthDay}`);
       console.log('   Age:', age);
+      console.log('   Sex:', sex || 'not specified');
 
       Alert.alert(
         '✅ Profile Saved',
@@ -280,6 +298,29 @@ export default function ProfileScreen({ navigation }) {
           )}
         </View>
 
+        {/* Sex (for sex-specific norms) */}
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Sex</Text>
+          <Text style={styles.helpText}>Used for sex-specific fitness, HRV and biomarker norms</Text>
+
+          <View style={styles.sexRow}>
+            {SEX_OPTIONS.map((option) => {
+              const selected = sex === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.label}
+                  style={[styles.sexOption, selected && styles.sexOptionSelected]}
+                  onPress={() => setSex(option.value)}
+                >
+                  <Text style={[styles.sexOptionText, selected && styles.sexOptionTextSelected]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
         {/* Save Button */}
         <TouchableOpacity style={styles.saveButton} onPress={saveProfile}>
           <Text style={styles.saveButtonText}>Save Profile</Text>
@@ -353,6 +394,32 @@ const styles = StyleSheet.create({
     borderColor: '#ddd',
     textAlign: 'center',
   },
+  sexRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  sexOption: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 10,
+    paddingVertical: 12,
+    marginHorizontal: 5,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    alignItems: 'center',
+  },
+  sexOptionSelected: {
+    backgroundColor: '#00CFC1',
+    borderColor: '#00CFC1',
+  },
+  sexOptionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  sexOptionTextSelected: {
+    color: 'white',
+  },
   ageDisplay: {
     backgroundColor: '#e6f7f5',
     borderRadius: 10,
@@ -12,6 +12,7 @@ import * as Sharing from 'expo-sharing';
 import PraxiomBackground from '../components/PraxiomBackground';
 import { AppContext } from '../AppContext';
 import PraxiomAlgorithm from '../services/PraxiomAlgorithm';
+import SessionService from '../services/SessionService';
 
 const ReportScreen = ({ navigation }) => {
   const { state } = useContext(AppContext);
@@ -26,7 +27,7 @@ const ReportScreen = ({ navigation }) => {
       const report = generateReportText();
       
       if (await Sharing.isAvailableAsync()) {
-        await Sharing.shareAsync(report);
+        await SessionService.withAutoLockSuspended(() => Sharing.shareAsync(report));
       } else {
         Alert.alert('Report Generated', report);
       }
@@ -55,14 +56,20 @@ Fitness Score: ${state.fitnessScore}/100
 
 === BIOMARKERS ===
 Salivary pH: ${state.salivaryPH || 'Not measured'}
-MMP-8: ${state.mmp8 || 'Not measured'} ng/mL
-Flow Rate: ${state.flowRate || 'Not measured'} mL/min
+MMP-8: ${state.activeMMP8 || 'Not measured'} ng/mL
+Flow Rate: ${state.salivaryFlow || 'Not measured'} mL/min
 hs-CRP: ${state.hsCRP || 'Not measured'} mg/L
 Omega-3 Index: ${state.omega3Index || 'Not measured'}%
 HbA1c: ${state.hba1c || 'Not measured'}%
 GDF-15: ${state.gdf15 || 'Not measured'} pg/mL
 Vitamin D: ${state.vitaminD || 'Not measured'} ng/mL
 
+=== WHAT DRIVES YOUR BIO-AGE ===
+${(state.bioAgeAttribution || [])
+  .filter(entry => Math.abs(entry.years) >= 0.01)
+  .map(entry => `${entry.label}: ${entry.years > 0 ? '+' : ''}${entry.years.toFixed(2)} years`)
+  .join('\n') || 'Not calculated'}
+
 === WEARABLE DATA ===
 Heart Rate: ${state.heartRate || '--'} bpm
 Daily Steps: ${state.steps || 0}
@@ -73,6 +80,8 @@ Report generated by Praxiom Health
     `.trim();
   };
 
+  const waterfall = PraxiomAlgorithm.buildAttributionWaterfall(state.bioAgeAttribution, state.chronologicalAge);
+
   const oralStatus = getHealthStatus(state.oralHealthScore);
   const systemicStatus = getHealthStatus(state.systemicHealthScore);
   const fitnessStatus = getHealthStatus(state.fitnessScore);
@@ -127,6 +136,51 @@ Report generated by Praxiom Health
           </View>
         </View>
 
+        {/* Bio-Age Attribution (waterfall from chronological age to bio-age) */}
+        {waterfall.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>What Drives Your Bio-Age</Text>
+            <View style={styles.waterfallCard}>
+              <View style={styles.waterfallRow}>
+                <Text style={styles.waterfallLabel}>Chronological age</Text>
+                <View style={styles.waterfallTrack} />
+                <Text style={styles.waterfallYears}>{state.chronologicalAge}</Text>
+              </View>
+
+              {waterfall.map((step) => (
+                <View key={`${step.source}:${step.key}`} style={styles.waterfallRow}>
+                  <Text style={styles.waterfallLabel} numberOfLines={1}>{step.label}</Text>
+                  <View style={styles.waterfallTrack}>
+                    <View
+                      style={[
+                        styles.waterfallBar,
+                        {
+                          left: `${step.left}%`,
+                          width: `${step.width}%`,
+                          backgroundColor: step.years > 0 ? '#ef4444' : '#4ade80',
+                        },
+                      ]}
+                    />
+                  </View>
+                  <Text
+                    style={[styles.waterfallYears, { color: step.years > 0 ? '#ef4444' : '#4ade80' }]}
+                  >
+                    {step.years > 0 ? '+' : ''}{step.years.toFixed(2)}
+                  </Text>
+                </View>
+              ))}
+
+              <View style={[styles.waterfallRow, styles.waterfallTotalRow]}>
+                <Text style={styles.waterfallLabel}>Praxiom Bio-Age</Text>
+                <View style={styles.waterfallTrack} />
+                <Text style={[styles.waterfallYears, styles.bioAgeValue]}>
+                  {state.biologicalAge.toFixed(1)}
+                </Text>
+              </View>
+            </View>
+          </View>
+        )}
+
         {/* Health Scores */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Health Scores</Text>
@@ -181,13 +235,13 @@ Report generated by Praxiom Health
             <View style={styles.biomarkerRow}>
               <Text style={styles.biomarkerLabel}>MMP-8</Text>
               <Text style={styles.biomarkerValue}>
-                {state.mmp8 ? `${state.mmp8} ng/mL` : '--'}
+                {state.activeMMP8 ? `${state.activeMMP8} ng/mL` : '--'}
               </Text>
             </View>
             <View style={styles.biomarkerRow}>
               <Text style={styles.biomarkerLabel}>Flow Rate</Text>
               <Text style={styles.biomarkerValue}>
-                {state.flowRate ? `${state.flowRate} mL/min` : '--'}
+                {state.salivaryFlow ? `${state.salivaryFlow} mL/min` : '--'}
               </Text>
             </View>
           </View>
@@ -310,6 +364,46 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  waterfallCard: {
+    backgroundColor: '#1e1e2e',
+    borderRadius: 16,
+    padding: 20,
+  },
+  waterfallRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  waterfallTotalRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#2a2a3e',
+    marginTop: 4,
+    paddingTop: 10,
+  },
+  waterfallLabel: {
+    flex: 2,
+    fontSize: 13,
+    color: '#8e8e93',
+    marginRight: 8,
+  },
+  waterfallTrack: {
+    flex: 3,
+    height: 14,
+    position: 'relative',
+  },
+  waterfallBar: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    borderRadius: 3,
+  },
+  waterfallYears: {
+    width: 56,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#ffffff',
+    textAlign: 'right',
+  },
   scoreCard: {
     backgroundColor: '#1e1e2e',
     borderRadius: 16,
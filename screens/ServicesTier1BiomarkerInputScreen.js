@@ -12,13 +12,15 @@ import {
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { Ionicons } from '@expo/vector-icons';
 import PraxiomBackground from '../components/PraxiomBackground';
-import PraxiomAlgorithm from '../services/PraxiomAlgorithm';
 import StorageService from '../services/StorageService';
+import { validateBiomarkers } from '../services/BiomarkerSchema';
+import { formatInUnit, displayValue } from '../services/UnitConversion';
+import UnitPicker, { useLabUnits } from '../components/UnitPicker';
 import WearableService from '../services/WearableService';
 import { AppContext } from '../AppContext';
 
 const Tier1BiomarkerInputScreen = ({ navigation }) => {
-  const { updateState } = useContext(AppContext);
+  const { updateState, calculateBiologicalAge } = useContext(AppContext);
   
   // Date selection
   const [selectedDate, setSelectedDate] = useState(new Date());
@@ -39,6 +41,9 @@ const Tier1BiomarkerInputScreen = ({ navigation }) => {
   const [gdf15, setGDF15] = useState('');
   const [vitaminD, setVitaminD] = useState('');
 
+  // Lab units per field - canonical unless the user picked another unit
+  const [units, updateUnit] = useLabUnits();
+
   // Wearable Data
   const [heartRate, setHeartRate] = useState('');
   const [steps, setSteps] = useState('');
@@ -80,11 +85,32 @@ const Tier1BiomarkerInputScreen = ({ navigation }) => {
       }
     }
 
-    return true;
+    const result = validateBiomarkers({
+      salivaryPH,
+      activeMMP8,
+      salivaryFlow: salivaryFlowRate,
+      hsCRP,
+      omega3Index,
+      hba1c: hbA1c,
+      gdf15,
+      vitaminD,
+      heartRate,
+      steps,
+      spO2,
+      units,
+    });
+    if (!result.valid) {
+      Alert.alert('Invalid Data', result.errors.map(e => e.message).join('\n'));
+      return false;
+    }
+
+    return result.values;
   };
 
   const handleCalculate = async () => {
-    if (!validateInputs()) return;
+    // Values come back converted to the algorithm's canonical units
+    const biomarkers = validateInputs();
+    if (!biomarkers) return;
 
     setLoading(true);
 
@@ -92,26 +118,33 @@ const Tier1BiomarkerInputScreen = ({ navigation }) => {
       // Prepare biomarker data
       const biomarkerData = {
         age: parseFloat(age),
-        salivaryPH: parseFloat(salivaryPH),
-        activeMMP8: parseFloat(activeMMP8),
-        salivaryFlowRate: parseFloat(salivaryFlowRate),
-        hsCRP: parseFloat(hsCRP),
-        omega3Index: parseFloat(omega3Index),
-        hbA1c: parseFloat(hbA1c),
-        gdf15: parseFloat(gdf15),
-        vitaminD: parseFloat(vitaminD),
-        heartRate: parseFloat(heartRate),
+        salivaryPH: biomarkers.salivaryPH,
+        activeMMP8: biomarkers.activeMMP8,
+        salivaryFlow: biomarkers.salivaryFlow,
+        hsCRP: biomarkers.hsCRP,
+        omega3Index: biomarkers.omega3Index,
+        hba1c: biomarkers.hba1c,
+        gdf15: biomarkers.gdf15,
+        vitaminD: biomarkers.vitaminD,
+        heartRate: biomarkers.heartRate,
         steps: parseInt(steps),
-        spO2: parseFloat(spO2),
+        spO2: biomarkers.spO2,
+        units: biomarkers.units,
       };
 
-      // Calculate Bio-Age using Praxiom Algorithm
-      const results = PraxiomAlgorithm.calculateFromBiomarkers(biomarkerData);
+      // Calculate Bio-Age through the unified Praxiom pipeline (same number as
+      // every screen - Tier 2/3, fitness and HRV data already on file are included)
+      const result = calculateBiologicalAge({ ...biomarkerData, chronologicalAge: biomarkerData.age });
 
       // Prepare entry for storage
       const entry = {
         ...biomarkerData,
-        ...results,
+        bioAge: result.biologicalAge,
+        oralScore: result.scores.oralHealth,
+        systemicScore: result.scores.systemicHealth,
+        vitalityIndex: result.scores.vitalityIndex,
+        deviation: result.deviation,
+        dataQuality: result.dataQuality,
         timestamp: selectedDate.toISOString(),
         tier: 1,
       };
@@ -119,17 +152,13 @@ const Tier1BiomarkerInputScreen = ({ navigation }) => {
       // ✨ CRITICAL FIX: Update AppContext so dashboard shows correct data
       updateState({
         chronologicalAge: biomarkerData.age,
-        biologicalAge: results.bioAge,
-        oralHealthScore: results.oralScore,
-        systemicHealthScore: results.systemicScore,
-        fitnessScore: results.fitnessScore || 75,
-        // Store biomarker values
+        // Store biomarker values (scores were published by calculateBiologicalAge)
         salivaryPH: biomarkerData.salivaryPH,
-        mmp8: biomarkerData.activeMMP8,
-        flowRate: biomarkerData.salivaryFlowRate,
+        activeMMP8: biomarkerData.activeMMP8,
+        salivaryFlow: biomarkerData.salivaryFlow,
         hsCRP: biomarkerData.hsCRP,
         omega3Index: biomarkerData.omega3Index,
-        hba1c: biomarkerData.hbA1c,
+        hba1c: biomarkerData.hba1c,
         gdf15: biomarkerData.gdf15,
         vitaminD: biomarkerData.vitaminD,
         heartRate: biomarkerData.heartRate,
@@ -139,38 +168,34 @@ const Tier1BiomarkerInputScreen = ({ navigation }) => {
       // Save to history
       await StorageService.saveBiomarkerEntry(entry);
 
-      // Get recommendation
-      const recommendation = PraxiomAlgorithm.getRecommendation(
-        results.oralScore,
-        results.systemicScore
-      );
+      // Top-priority recommendation from the algorithm
+      const topRecommendation = result.recommendations[0];
 
       // Send to watch if connected
       let watchSyncSuccess = false;
       if (WearableService.isConnected()) {
         try {
-          await WearableService.sendBioAge(results.bioAge);
+          await WearableService.sendBioAge(result.biologicalAge);
           watchSyncSuccess = true;
-          console.log('✅ Bio-Age synced to watch:', results.bioAge);
+          console.log('✅ Bio-Age synced to watch:', result.biologicalAge);
         } catch (bleError) {
           console.error('❌ BLE sync error:', bleError);
         }
       }
 
       // Show success alert with detailed results
-      const ageDiff = PraxiomAlgorithm.getAgeDifference(
-        biomarkerData.age,
-        results.bioAge
-      );
+      const ageDiffMessage = result.deviation > 0
+        ? `${result.deviation} years older`
+        : `${Math.abs(result.deviation)} years younger`;
 
       Alert.alert(
         'Success!',
-        `Praxiom Age: ${results.bioAge} years\n` +
-        `Oral Health: ${results.oralScore}%\n` +
-        `Systemic Health: ${results.systemicScore}%\n\n` +
-        `Bio-Age Deviation: ${ageDiff.message}\n\n` +
+        `Praxiom Age: ${result.biologicalAge} years\n` +
+        `Oral Health: ${result.scores.oralHealth}%\n` +
+        `Systemic Health: ${result.scores.systemicHealth}%\n\n` +
+        `Bio-Age Deviation: ${ageDiffMessage}\n\n` +
         `${watchSyncSuccess ? '✓ Synced to watch\n\n' : ''}` +
-        `${recommendation.message}`,
+        `${topRecommendation ? `${topRecommendation.action}: ${topRecommendation.details}` : 'All scores in optimal range.'}`,
         [{ text: 'OK', onPress: () => navigation.goBack() }]
       );
     } catch (error) {
@@ -274,15 +299,16 @@ const Tier1BiomarkerInputScreen = ({ navigation }) => {
           <Text style={styles.sectionTitle}>💉 Systemic Health Biomarkers</Text>
           
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>hs-CRP mg/L (Optimal: &lt;1.0)</Text>
+            <Text style={styles.label}>hs-CRP (Optimal: &lt;{formatInUnit('hsCRP', 1.0, units.hsCRP)})</Text>
             <TextInput
               style={styles.input}
               value={hsCRP}
               onChangeText={setHsCRP}
               keyboardType="decimal-pad"
-              placeholder="e.g., 0.8"
+              placeholder={`e.g., ${displayValue('hsCRP', 0.8, units.hsCRP)}`}
               placeholderTextColor="#666"
             />
+            <UnitPicker field="hsCRP" unit={units.hsCRP} onChange={updateUnit} />
           </View>
 
           <View style={styles.inputGroup}>
@@ -298,41 +324,44 @@ const Tier1BiomarkerInputScreen = ({ navigation }) => {
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>HbA1c % (Optimal: &lt;5.7)</Text>
+            <Text style={styles.label}>HbA1c (Optimal: &lt;{formatInUnit('hba1c', 5.7, units.hba1c)})</Text>
             <TextInput
               style={styles.input}
               value={hbA1c}
               onChangeText={setHbA1c}
               keyboardType="decimal-pad"
-              placeholder="e.g., 5.4"
+              placeholder={`e.g., ${displayValue('hba1c', 5.4, units.hba1c)}`}
               placeholderTextColor="#666"
             />
+            <UnitPicker field="hba1c" unit={units.hba1c} onChange={updateUnit} />
             <Text style={styles.hint}>Weight: 1.5x - ADA validated</Text>
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>GDF-15 pg/mL (Optimal: &lt;1200)</Text>
+            <Text style={styles.label}>GDF-15 (Optimal: &lt;{formatInUnit('gdf15', 1200, units.gdf15)})</Text>
             <TextInput
               style={styles.input}
               value={gdf15}
               onChangeText={setGDF15}
               keyboardType="numeric"
-              placeholder="e.g., 1000"
+              placeholder={`e.g., ${displayValue('gdf15', 1000, units.gdf15)}`}
               placeholderTextColor="#666"
             />
+            <UnitPicker field="gdf15" unit={units.gdf15} onChange={updateUnit} />
             <Text style={styles.hint}>Weight: 2.0x - Aging predictor</Text>
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>Vitamin D 25-OH ng/mL (Optimal: &gt;30)</Text>
+            <Text style={styles.label}>Vitamin D 25-OH (Optimal: &gt;{formatInUnit('vitaminD', 30, units.vitaminD)})</Text>
             <TextInput
               style={styles.input}
               value={vitaminD}
               onChangeText={setVitaminD}
               keyboardType="decimal-pad"
-              placeholder="e.g., 35"
+              placeholder={`e.g., ${displayValue('vitaminD', 35, units.vitaminD)}`}
               placeholderTextColor="#666"
             />
+            <UnitPicker field="vitaminD" unit={units.vitaminD} onChange={updateUnit} />
           </View>
         </View>
 
@@ -13,18 +13,71 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { AppContext } from '../AppContext';
+import { rotateKey } from '../services/KeyRotationService';
+import EncryptionService from '../services/EncryptionService';
+import StorageService from '../services/StorageService';
+import { MERGE_STRATEGIES } from '../services/ImportMerge';
+import SessionService, { AUTO_LOCK_OPTIONS, WIPE_AFTER_FAILURES } from '../services/SessionService';
+import RemoteAuditSink from '../services/RemoteAuditSink';
+import { AUDIT_VERBOSITY_LEVELS, getVerbosity, setVerbosity } from '../services/DataAccessAudit';
+
+const MERGE_STRATEGY_LABELS = {
+  keep_mine: 'Keep Mine',
+  keep_theirs: 'Keep Backup',
+  keep_both: 'Keep Both'
+};
+
+const VERBOSITY_DESCRIPTIONS = {
+  minimal: 'Exports, imports and deletions',
+  standard: 'Every read and change of health data',
+  verbose: 'All stored data, including settings'
+};
+
+const PIN_LENGTH = 6;
+const digitsOnly = (text) => text.replace(/[^0-9]/g, '').slice(0, PIN_LENGTH);
 
 export default function SettingsScreen({ navigation }) {
-  const { state, updateState, disconnectWatch } = useContext(AppContext);
+  const { state, updateState, disconnectWatch, calculateBiologicalAge } = useContext(AppContext);
   
   // ✅ FIX: Simple date inputs instead of DateTimePicker
   const [birthYear, setBirthYear] = useState('');
   const [birthMonth, setBirthMonth] = useState('');
   const [birthDay, setBirthDay] = useState('');
   
+  const [biometricAvailable, setBiometricAvailable] = useState(false);
+  const [biometricEnabled, setBiometricEnabled] = useState(false);
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [confirmNewPin, setConfirmNewPin] = useState('');
+  const [sessionPolicy, setSessionPolicy] = useState(null);
+  const [auditEndpoint, setAuditEndpoint] = useState('');
+  const [auditSigningKey, setAuditSigningKey] = useState('');
+  const [auditCriticalOnly, setAuditCriticalOnly] = useState(true);
+  const [auditStatus, setAuditStatus] = useState(null);
+  const [auditVerbosity, setAuditVerbosity] = useState(null);
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [confirmBackupPassphrase, setConfirmBackupPassphrase] = useState('');
+  const [importPreview, setImportPreview] = useState(null);
+  const [importStrategy, setImportStrategy] = useState('keep_mine');
+  
   const isWatchConnected = state.watchConnected === true;
   const connectedDeviceName = state.connectedDevice?.name || 'PineTime';
 
+  useEffect(() => {
+    const loadSecurityState = async () => {
+      setBiometricAvailable(await EncryptionService.isBiometricAvailable());
+      setBiometricEnabled(await EncryptionService.isBiometricEnabled());
+      setSessionPolicy(await SessionService.getPolicy());
+      setAuditVerbosity(await getVerbosity());
+      
+      const sinkStatus = await RemoteAuditSink.getStatus();
+      setAuditStatus(sinkStatus);
+      setAuditEndpoint(sinkStatus.endpoint || '');
+      setAuditCriticalOnly(sinkStatus.criticalOnly);
+    };
+    loadSecurityState();
+  }, []);
+
   // Load existing birthdate
   useEffect(() => {
     if (state.profile?.birthdate) {
@@ -121,6 +174,26 @@ export default function SettingsScreen({ navigation }) {
     });
   };
 
+  // Default unit for lab values on the biomarker input screens (metric = SI units)
+  const handleToggleUnits = (useSI) => {
+    updateState({
+      settings: {
+        ...state.settings,
+        units: useSI ? 'metric' : 'imperial'
+      }
+    });
+  };
+
+  const handleToggleEpigeneticClocks = (value) => {
+    const settings = { ...state.settings, includeEpigeneticClocks: value };
+    updateState({ settings });
+    
+    // Re-score so the dashboard reflects the new Tier 3 deviation
+    if (state.bioAge !== null && state.bioAge !== undefined) {
+      calculateBiologicalAge({ settings });
+    }
+  };
+
   const handleToggleAutoSync = async (value) => {
     // Update settings
     updateState({
@@ -144,16 +217,195 @@ export default function SettingsScreen({ navigation }) {
     }
   };
 
-  const handleExportData = () => {
+  // Backups are encrypted with the passphrase; it is needed again to restore
+  const handleExportData = async () => {
+    if (backupPassphrase !== confirmBackupPassphrase) {
+      Alert.alert('Passphrases Differ', 'Enter the same passphrase twice');
+      return;
+    }
+    
+    const result = await StorageService.exportToFile(backupPassphrase);
+    if (result.success) {
+      setBackupPassphrase('');
+      setConfirmBackupPassphrase('');
+      Alert.alert('Backup Exported', `Saved encrypted backup ${result.filename}. Keep your passphrase safe - the backup cannot be restored without it.`);
+    } else {
+      Alert.alert('Export Failed', result.error);
+    }
+  };
+
+  // Restoring merges with the data here; preview the diff before committing
+  const handleImportData = async () => {
+    previewImport(await StorageService.readBackupFile(backupPassphrase));
+  };
+
+  const previewImport = async (file) => {
+    if (!file.success) {
+      if (file.code === 'PASSPHRASE_REQUIRED' || file.code === 'INVALID_PASSPHRASE') {
+        Alert.alert('Passphrase Needed', file.error);
+      } else if (file.code === 'BACKUP_TAMPERED') {
+        Alert.alert('Backup Rejected', `${file.error}. Nothing was imported.`);
+      } else if (file.code === 'UNENCRYPTED_BACKUP') {
+        // Exports from older versions: only with explicit confirmation (audited)
+        Alert.alert(
+          'Unencrypted Backup',
+          `${file.error}. Only import it if you exported it yourself with an older version of the app.`,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            {
+              text: 'Import Anyway',
+              style: 'destructive',
+              onPress: async () => previewImport(
+                await StorageService.readBackupFile(backupPassphrase, { allowLegacy: true, uri: file.uri })
+              )
+            }
+          ]
+        );
+      } else if (file.error !== 'File selection cancelled') {
+        Alert.alert('Import Failed', file.error);
+      }
+      return;
+    }
+    
+    const preview = await StorageService.importData(file.data, { dryRun: true });
+    if (!preview.success) {
+      Alert.alert('Import Failed', preview.error);
+      return;
+    }
+    setImportStrategy('keep_mine');
+    setImportPreview({ data: file.data, diff: preview.diff });
+  };
+
+  const handleConfirmImport = async () => {
+    const result = await StorageService.importData(importPreview.data, { strategy: importStrategy });
+    setImportPreview(null);
+    if (result.success) {
+      setBackupPassphrase('');
+      setConfirmBackupPassphrase('');
+      Alert.alert('Backup Restored', `Imported ${result.itemsImported.biomarkers} biomarker entries`);
+    } else {
+      Alert.alert('Import Failed', result.error);
+    }
+  };
+
+  const handleToggleBiometric = async (value) => {
+    try {
+      if (value) {
+        await EncryptionService.enableBiometricUnlock();
+      } else {
+        await EncryptionService.disableBiometricUnlock();
+      }
+      setBiometricEnabled(value);
+    } catch (error) {
+      console.error('Biometric toggle error:', error);
+      Alert.alert('Biometric Unlock', error.message);
+    }
+  };
+
+  const handleUpdatePolicy = async (changes) => {
+    try {
+      setSessionPolicy(await SessionService.updatePolicy(changes));
+    } catch (error) {
+      console.error('Session policy error:', error);
+      Alert.alert('Error', 'Failed to save security setting');
+    }
+  };
+
+  const handleToggleWipe = (value) => {
+    if (!value) {
+      handleUpdatePolicy({ wipeAfterFailures: 0 });
+      return;
+    }
+    Alert.alert(
+      'Erase Data After Failed PINs',
+      `After ${WIPE_AFTER_FAILURES} incorrect PINs in a row, all health data on this device will be permanently erased.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Enable',
+          style: 'destructive',
+          onPress: () => handleUpdatePolicy({ wipeAfterFailures: WIPE_AFTER_FAILURES })
+        }
+      ]
+    );
+  };
+
+  // Re-wraps the encryption key under the new PIN; stored data is not re-encrypted
+  const handleChangePin = async () => {
+    if (newPin.length !== PIN_LENGTH || newPin !== confirmNewPin) {
+      Alert.alert('Invalid PIN', `New PINs must match and be ${PIN_LENGTH} digits`);
+      return;
+    }
+    
+    try {
+      await EncryptionService.changePin(currentPin, newPin);
+      setCurrentPin('');
+      setNewPin('');
+      setConfirmNewPin('');
+      Alert.alert('Success', 'Your PIN has been changed');
+    } catch (error) {
+      if (error.code === 'INVALID_PIN') {
+        Alert.alert('Incorrect PIN', 'Your current PIN is incorrect');
+        setCurrentPin('');
+      } else {
+        console.error('Change PIN error:', error);
+        Alert.alert('Error', 'Failed to change PIN');
+      }
+    }
+  };
+
+  const handleSaveAuditSink = async () => {
+    try {
+      await RemoteAuditSink.configure({
+        endpoint: auditEndpoint,
+        signingKey: auditSigningKey,
+        criticalOnly: auditCriticalOnly
+      });
+      setAuditSigningKey('');
+      setAuditStatus(await RemoteAuditSink.getStatus());
+      Alert.alert('Remote Audit', 'Audit events will be sent to this server');
+    } catch (error) {
+      Alert.alert('Remote Audit', error.message);
+    }
+  };
+
+  const handleSetVerbosity = async (level) => {
+    try {
+      setAuditVerbosity(await setVerbosity(level));
+    } catch (error) {
+      console.error('Audit verbosity error:', error);
+      Alert.alert('Error', 'Failed to save audit setting');
+    }
+  };
+
+  const handleSendAuditNow = async () => {
+    const result = await RemoteAuditSink.flush();
+    setAuditStatus(await RemoteAuditSink.getStatus());
+    if (result.error) {
+      Alert.alert('Send Failed', `${result.error}. ${result.remaining} events will be retried automatically.`);
+    } else {
+      Alert.alert('Remote Audit', `Sent ${result.sent} events, ${result.remaining} waiting`);
+    }
+  };
+
+  const handleRotateKey = () => {
     Alert.alert(
-      'Export Health Data',
-      'Export your Praxiom Age history and biomarker data?',
+      'Rotate Encryption Key',
+      'Generate a new encryption key and re-encrypt all stored health data and audit logs? Keep the app open until it finishes.',
       [
         { text: 'Cancel', style: 'cancel' },
-        { 
-          text: 'Export', 
-          onPress: () => {
-            Alert.alert('Coming Soon', 'Data export feature is under development');
+        {
+          text: 'Rotate',
+          onPress: async () => {
+            try {
+              const result = await rotateKey();
+              Alert.alert(
+                'Key Rotated',
+                `Now using key version ${result.toVersion}. Re-encrypted ${result.records} records, ${result.auditBlobs} audit log stores and ${result.backups} automatic backups.`
+              );
+            } catch (error) {
+              Alert.alert('Rotation Incomplete', error.message);
+            }
           }
         }
       ]
@@ -178,8 +430,8 @@ export default function SettingsScreen({ navigation }) {
                 vitalityIndex: 47.5,
                 fitnessScore: 65,
                 salivaryPH: null,
-                mmp8: null,
-                flowRate: null,
+                activeMMP8: null,
+                salivaryFlow: null,
                 hsCRP: null,
                 omega3Index: null,
                 hba1c: null,
@@ -367,18 +619,369 @@ export default function SettingsScreen({ navigation }) {
               />
             </View>
           </View>
+
+          <View style={styles.settingCard}>
+            <View style={styles.settingRow}>
+              <View style={styles.settingTextContainer}>
+                <Text style={styles.settingTitle}>SI Lab Units</Text>
+                <Text style={styles.settingDescription}>
+                  Enter lab values in nmol/L, mmol/mol, mg/dL (off: ng/mL, %, mg/L)
+                </Text>
+              </View>
+              <Switch
+                value={(state.settings?.units || 'metric') === 'metric'}
+                onValueChange={handleToggleUnits}
+                trackColor={{ false: '#767577', true: '#00CED1' }}
+                thumbColor={(state.settings?.units || 'metric') === 'metric' ? '#fff' : '#f4f3f4'}
+              />
+            </View>
+          </View>
+
+          <View style={styles.settingCard}>
+            <View style={styles.settingRow}>
+              <View style={styles.settingTextContainer}>
+                <Text style={styles.settingTitle}>Epigenetic Clocks in Bio-Age</Text>
+                <Text style={styles.settingDescription}>
+                  Add ELOVL2 age and intrinsic capacity to the Tier 3 bio-age (off: comparison only)
+                </Text>
+              </View>
+              <Switch
+                value={!!state.settings?.includeEpigeneticClocks}
+                onValueChange={handleToggleEpigeneticClocks}
+                trackColor={{ false: '#767577', true: '#00CED1' }}
+                thumbColor={state.settings?.includeEpigeneticClocks ? '#fff' : '#f4f3f4'}
+              />
+            </View>
+          </View>
+        </View>
+
+        {/* Security Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Security</Text>
+          
+          {biometricAvailable && (
+            <View style={styles.settingCard}>
+              <View style={styles.settingRow}>
+                <View style={styles.settingTextContainer}>
+                  <Text style={styles.settingTitle}>Biometric Unlock</Text>
+                  <Text style={styles.settingDescription}>
+                    Unlock your health data with Face ID or fingerprint instead of your PIN
+                  </Text>
+                </View>
+                <Switch
+                  value={biometricEnabled}
+                  onValueChange={handleToggleBiometric}
+                  trackColor={{ false: '#767577', true: '#00CED1' }}
+                  thumbColor={biometricEnabled ? '#fff' : '#f4f3f4'}
+                />
+              </View>
+            </View>
+          )}
+          
+          {sessionPolicy && (
+            <View style={styles.settingCard}>
+              <Text style={styles.settingTitle}>Auto-Lock</Text>
+              <Text style={styles.settingDescription}>
+                Lock after this long without activity
+              </Text>
+              <View style={styles.optionRow}>
+                {AUTO_LOCK_OPTIONS.map((minutes) => {
+                  const selected = sessionPolicy.autoLockMinutes === minutes;
+                  return (
+                    <TouchableOpacity
+                      key={minutes}
+                      style={[styles.option, selected && styles.optionSelected]}
+                      onPress={() => handleUpdatePolicy({ autoLockMinutes: minutes })}
+                    >
+                      <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                        {minutes === 0 ? 'Never' : `${minutes} min`}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          )}
+
+          {sessionPolicy && (
+            <View style={styles.settingCard}>
+              <View style={styles.settingRow}>
+                <View style={styles.settingTextContainer}>
+                  <Text style={styles.settingTitle}>Lock in Background</Text>
+                  <Text style={styles.settingDescription}>
+                    Require your PIN whenever you return to the app
+                  </Text>
+                </View>
+                <Switch
+                  value={sessionPolicy.lockOnBackground}
+                  onValueChange={(value) => handleUpdatePolicy({ lockOnBackground: value })}
+                  trackColor={{ false: '#767577', true: '#00CED1' }}
+                  thumbColor={sessionPolicy.lockOnBackground ? '#fff' : '#f4f3f4'}
+                />
+              </View>
+            </View>
+          )}
+
+          {sessionPolicy && (
+            <View style={styles.settingCard}>
+              <View style={styles.settingRow}>
+                <View style={styles.settingTextContainer}>
+                  <Text style={styles.settingTitle}>Erase After {WIPE_AFTER_FAILURES} Failed PINs</Text>
+                  <Text style={styles.settingDescription}>
+                    Permanently delete all health data after repeated incorrect PINs
+                  </Text>
+                </View>
+                <Switch
+                  value={sessionPolicy.wipeAfterFailures > 0}
+                  onValueChange={handleToggleWipe}
+                  trackColor={{ false: '#767577', true: '#00CED1' }}
+                  thumbColor={sessionPolicy.wipeAfterFailures > 0 ? '#fff' : '#f4f3f4'}
+                />
+              </View>
+            </View>
+          )}
+
+          <View style={styles.settingCard}>
+            <Text style={styles.settingLabel}>Change PIN</Text>
+            
+            <View style={styles.dateInputContainer}>
+              {[
+                { label: 'Current', value: currentPin, onChange: setCurrentPin },
+                { label: 'New', value: newPin, onChange: setNewPin },
+                { label: 'Confirm', value: confirmNewPin, onChange: setConfirmNewPin },
+              ].map(({ label, value, onChange }) => (
+                <View key={label} style={styles.dateInputWrapper}>
+                  <Text style={styles.dateInputLabel}>{label}</Text>
+                  <TextInput
+                    style={styles.dateInput}
+                    value={value}
+                    onChangeText={(text) => onChange(digitsOnly(text))}
+                    placeholder="••••••"
+                    placeholderTextColor="rgba(255,255,255,0.4)"
+                    keyboardType="number-pad"
+                    maxLength={PIN_LENGTH}
+                    secureTextEntry
+                  />
+                </View>
+              ))}
+            </View>
+            
+            <TouchableOpacity
+              style={styles.saveButton}
+              onPress={handleChangePin}
+            >
+              <Text style={styles.saveButtonText}>Change PIN</Text>
+            </TouchableOpacity>
+          </View>
+
+          {auditVerbosity && (
+            <View style={styles.settingCard}>
+              <Text style={styles.settingTitle}>Audit Log Detail</Text>
+              <Text style={styles.settingDescription}>
+                {VERBOSITY_DESCRIPTIONS[auditVerbosity]}
+              </Text>
+              <View style={styles.optionRow}>
+                {AUDIT_VERBOSITY_LEVELS.map((level) => {
+                  const selected = auditVerbosity === level;
+                  return (
+                    <TouchableOpacity
+                      key={level}
+                      style={[styles.option, selected && styles.optionSelected]}
+                      onPress={() => handleSetVerbosity(level)}
+                    >
+                      <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                        {level.charAt(0).toUpperCase() + level.slice(1)}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          )}
+
+          <View style={styles.settingCard}>
+            <Text style={styles.settingLabel}>Remote Audit Server</Text>
+            <Text style={styles.settingDescription}>
+              {auditStatus?.configured
+                ? `${auditStatus.queued} events waiting${auditStatus.lastError ? ` · last error: ${auditStatus.lastError}` : ''}`
+                : 'Send security events to your organization\'s audit server'}
+            </Text>
+            
+            <TextInput
+              style={styles.textInput}
+              value={auditEndpoint}
+              onChangeText={setAuditEndpoint}
+              placeholder="https://audit.example.com/api/audit"
+              placeholderTextColor="rgba(255,255,255,0.4)"
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+            <TextInput
+              style={styles.textInput}
+              value={auditSigningKey}
+              onChangeText={setAuditSigningKey}
+              placeholder={auditStatus?.configured ? 'Signing key (unchanged)' : 'Signing key'}
+              placeholderTextColor="rgba(255,255,255,0.4)"
+              autoCapitalize="none"
+              autoCorrect={false}
+              secureTextEntry
+            />
+            
+            <View style={styles.settingRow}>
+              <View style={styles.settingTextContainer}>
+                <Text style={styles.settingTitle}>Critical Events Only</Text>
+                <Text style={styles.settingDescription}>
+                  Failed logins, lockouts, wipes and exports (off: every event)
+                </Text>
+              </View>
+              <Switch
+                value={auditCriticalOnly}
+                onValueChange={setAuditCriticalOnly}
+                trackColor={{ false: '#767577', true: '#00CED1' }}
+                thumbColor={auditCriticalOnly ? '#fff' : '#f4f3f4'}
+              />
+            </View>
+            
+            <TouchableOpacity
+              style={styles.saveButton}
+              onPress={handleSaveAuditSink}
+            >
+              <Text style={styles.saveButtonText}>Save Audit Server</Text>
+            </TouchableOpacity>
+            
+            {auditStatus?.configured && (
+              <TouchableOpacity
+                style={styles.saveButton}
+                onPress={handleSendAuditNow}
+              >
+                <Text style={styles.saveButtonText}>Send Now</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <TouchableOpacity 
+            style={styles.actionButton}
+            onPress={() => SessionService.lock('user')}
+          >
+            <Ionicons name="lock-closed-outline" size={24} color="#fff" />
+            <Text style={styles.actionButtonText}>Lock Now</Text>
+            <Ionicons name="chevron-forward" size={24} color="rgba(255,255,255,0.5)" />
+          </TouchableOpacity>
         </View>
 
         {/* Data Management Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Data Management</Text>
           
+          <View style={styles.settingCard}>
+            <Text style={styles.settingLabel}>Encrypted Backup</Text>
+            <Text style={styles.settingDescription}>
+              Backups are encrypted with this passphrase (at least 8 characters)
+            </Text>
+            
+            <TextInput
+              style={styles.textInput}
+              value={backupPassphrase}
+              onChangeText={setBackupPassphrase}
+              placeholder="Passphrase"
+              placeholderTextColor="rgba(255,255,255,0.4)"
+              autoCapitalize="none"
+              autoCorrect={false}
+              secureTextEntry
+            />
+            <TextInput
+              style={styles.textInput}
+              value={confirmBackupPassphrase}
+              onChangeText={setConfirmBackupPassphrase}
+              placeholder="Confirm passphrase (export)"
+              placeholderTextColor="rgba(255,255,255,0.4)"
+              autoCapitalize="none"
+              autoCorrect={false}
+              secureTextEntry
+            />
+            
+            <TouchableOpacity
+              style={styles.saveButton}
+              onPress={handleExportData}
+            >
+              <Text style={styles.saveButtonText}>Export Backup</Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={styles.saveButton}
+              onPress={handleImportData}
+            >
+              <Text style={styles.saveButtonText}>Restore Backup</Text>
+            </TouchableOpacity>
+            
+            {importPreview && (
+              <View style={styles.importPreview}>
+                <Text style={styles.settingTitle}>Restore Preview</Text>
+                <Text style={styles.settingDescription}>
+                  {`${importPreview.diff.totals.added} new entries, ${importPreview.diff.totals.duplicates} already here, ${importPreview.diff.totals.localOnly} only on this device (kept)`}
+                </Text>
+                {importPreview.diff.rejected.length > 0 && (
+                  <Text style={styles.settingDescription}>
+                    {`${importPreview.diff.rejected.length} entries failed validation and will be skipped (${importPreview.diff.rejected[0].reason})`}
+                  </Text>
+                )}
+                {importPreview.diff.wearables && (
+                  <Text style={styles.settingDescription}>
+                    {`Wearable snapshots: ${importPreview.diff.wearables.added} new, ${importPreview.diff.wearables.conflicts} conflicting${importPreview.diff.wearables.dropped > 0 ? `, ${importPreview.diff.wearables.dropped} oldest dropped (limit 1000)` : ''}`}
+                  </Text>
+                )}
+                {importPreview.diff.hrvSessions && (
+                  <Text style={styles.settingDescription}>
+                    {`Morning HRV sessions: ${importPreview.diff.hrvSessions.added} new, ${importPreview.diff.hrvSessions.conflicts} conflicting${importPreview.diff.hrvSessions.dropped > 0 ? `, ${importPreview.diff.hrvSessions.dropped} oldest dropped (limit 365)` : ''}`}
+                  </Text>
+                )}
+                {(importPreview.diff.totals.conflicts > 0 || importPreview.diff.profile === 'conflict') && (
+                  <>
+                    <Text style={styles.settingDescription}>
+                      {`${importPreview.diff.totals.conflicts} entries differ from this device${importPreview.diff.profile === 'conflict' ? ', and so does the profile' : ''}. Resolve by:`}
+                    </Text>
+                    <View style={styles.optionRow}>
+                      {MERGE_STRATEGIES.map((strategy) => {
+                        const selected = importStrategy === strategy;
+                        return (
+                          <TouchableOpacity
+                            key={strategy}
+                            style={[styles.option, selected && styles.optionSelected]}
+                            onPress={() => setImportStrategy(strategy)}
+                          >
+                            <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                              {MERGE_STRATEGY_LABELS[strategy]}
+                            </Text>
+                          </TouchableOpacity>
+                        );
+                      })}
+                    </View>
+                  </>
+                )}
+                
+                <TouchableOpacity
+                  style={styles.saveButton}
+                  onPress={handleConfirmImport}
+                >
+                  <Text style={styles.saveButtonText}>Confirm Restore</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.saveButton}
+                  onPress={() => setImportPreview(null)}
+                >
+                  <Text style={styles.saveButtonText}>Cancel</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+
           <TouchableOpacity 
             style={styles.actionButton}
-            onPress={handleExportData}
+            onPress={handleRotateKey}
           >
-            <Ionicons name="download-outline" size={24} color="#fff" />
-            <Text style={styles.actionButtonText}>Export Health Data</Text>
+            <Ionicons name="key-outline" size={24} color="#fff" />
+            <Text style={styles.actionButtonText}>Rotate Encryption Key</Text>
             <Ionicons name="chevron-forward" size={24} color="rgba(255,255,255,0.5)" />
           </TouchableOpacity>
 
@@ -494,6 +1097,31 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: 'rgba(255, 255, 255, 0.3)',
   },
+  optionRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  option: {
+    flex: 1,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.5)',
+    alignItems: 'center',
+  },
+  optionSelected: {
+    backgroundColor: '#fff',
+    borderColor: '#fff',
+  },
+  optionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  optionTextSelected: {
+    color: '#FF6B35',
+  },
   settingRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -545,6 +1173,22 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: 'rgba(255, 255, 255, 0.4)',
   },
+  textInput: {
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 15,
+    color: '#fff',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.4)',
+    marginTop: 12,
+  },
+  importPreview: {
+    marginTop: 16,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.3)',
+  },
   currentValue: {
     fontSize: 14,
     color: '#fff',
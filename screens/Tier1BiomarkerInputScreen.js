@@ -12,7 +12,13 @@ import {
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import * as SecureStorage from '../services/SecureStorageService';
+import StorageService from '../services/StorageService';
+import WearableService from '../services/WearableService';
+import { readingQuality } from '../services/HRVAnalysis';
+import { chronologicalAgeFromProfile } from '../services/AlgorithmInput';
+import { validateBiomarkers, getDefinition } from '../services/BiomarkerSchema';
+import { formatInUnit, displayValue } from '../services/UnitConversion';
+import UnitPicker, { useLabUnits } from '../components/UnitPicker';
 import { AppContext } from '../AppContext';
 
 export default function Tier1BiomarkerInputScreen({ navigation }) {
@@ -27,9 +33,14 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
     );
   }
 
-  const { state, updateState, calculateBiologicalAge } = context;
+  // The context spreads app state, so fields are read from it directly
+  const { userProfile, updateState, calculateBiologicalAge } = context;
+  const watchReading = WearableService.getCachedData();
   const [isCalculating, setIsCalculating] = useState(false);
   
+  // Lab units per field - canonical unless the user picked another unit
+  const [units, updateUnit] = useLabUnits();
+  
   // ✅ FIX: Simple date inputs
   const [year, setYear] = useState('');
   const [month, setMonth] = useState('');
@@ -55,33 +66,35 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
     setMonth((today.getMonth() + 1).toString());
     setDay(today.getDate().toString());
     
-    if (state?.wearableData?.hrv) {
-      setFormData(prev => ({ ...prev, hrvValue: String(state.wearableData.hrv) }));
+    if (watchReading.hrv) {
+      setFormData(prev => ({ ...prev, hrvValue: String(watchReading.hrv) }));
     }
-  }, [state?.wearableData?.hrv]);
+  }, [watchReading.hrv]);
 
   const updateField = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
   };
 
+
   const validateInputs = () => {
     const errors = [];
     
-    const requiredFields = {
-      salivaryPH: 'Salivary pH',
-      activeMMP8: 'Active MMP-8',
-      proteinCarbonyls: 'Protein Carbonyls', // NEW: Nov 2025
-      salivaryFlow: 'Salivary Flow Rate',
-      hsCRP: 'hs-CRP',
-      omega3Index: 'Omega-3 Index',
-      hba1c: 'HbA1c',
-      gdf15: 'GDF-15',
-      vitaminD: 'Vitamin D'
-    };
+    // HRV is optional - every other Tier 1 field is required
+    const requiredFields = [
+      'salivaryPH',
+      'activeMMP8',
+      'proteinCarbonyls', // NEW: Nov 2025
+      'salivaryFlow',
+      'hsCRP',
+      'omega3Index',
+      'hba1c',
+      'gdf15',
+      'vitaminD'
+    ];
     
-    for (const [field, label] of Object.entries(requiredFields)) {
+    for (const field of requiredFields) {
       if (!formData[field] || formData[field].trim() === '') {
-        errors.push(`${label} is required`);
+        errors.push(`${getDefinition(field).displayName} is required`);
       }
     }
     
@@ -90,59 +103,38 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
       return false;
     }
     
-    const validations = {
-      salivaryPH: { min: 5.0, max: 9.0, name: 'Salivary pH' },
-      activeMMP8: { min: 0, max: 500, name: 'Active MMP-8' },
-      proteinCarbonyls: { min: 0, max: 20, name: 'Protein Carbonyls' }, // NEW: Nov 2025, 0-20 nmol/mg
-      salivaryFlow: { min: 0, max: 10, name: 'Salivary Flow' },
-      hsCRP: { min: 0, max: 50, name: 'hs-CRP' },
-      omega3Index: { min: 0, max: 20, name: 'Omega-3 Index' },
-      hba1c: { min: 4.0, max: 15.0, name: 'HbA1c' },
-      gdf15: { min: 0, max: 10000, name: 'GDF-15' },
-      vitaminD: { min: 0, max: 200, name: 'Vitamin D' }
-    };
-    
-    for (const [field, { min, max, name }] of Object.entries(validations)) {
-      const value = parseFloat(formData[field]);
-      if (isNaN(value)) {
-        errors.push(`${name} must be a valid number`);
-      } else if (value < min || value > max) {
-        errors.push(`${name} must be between ${min} and ${max}`);
-      }
-    }
-    
-    if (errors.length > 0) {
-      Alert.alert('Invalid Data', errors.join('\n'));
+    // Plausible ranges come from the shared biomarker schema (after unit conversion)
+    const result = validateBiomarkers({ ...formData, units });
+    if (!result.valid) {
+      Alert.alert('Invalid Data', result.errors.map(e => e.message).join('\n'));
       return false;
     }
     
-    return true;
+    return result.values;
   };
 
   const handleCalculate = async () => {
     try {
       setIsCalculating(true);
       
-      if (!state?.profile?.birthdate) {
+      // Same age the Profile screen shows, from the saved birth date
+      const profileAge = chronologicalAgeFromProfile(userProfile);
+      if (profileAge === null) {
         Alert.alert(
           'Profile Incomplete',
-          'Please set your birthdate in Settings before calculating Praxiom Age.',
+          'Please enter your date of birth on the Profile tab before calculating Praxiom Age.',
           [
             { text: 'Cancel', style: 'cancel' },
-            { text: 'Go to Settings', onPress: () => {
-              try {
-                navigation.navigate('Settings', { screen: 'SettingsHome' });
-              } catch (e) {
-                navigation.navigate('Settings');
-              }
-            }}
+            { text: 'Go to Profile', onPress: () => navigation.navigate('Profile') }
           ]
         );
         setIsCalculating(false);
         return;
       }
       
-      if (!validateInputs()) {
+      // Values come back converted to the algorithm's canonical units
+      const biomarkers = validateInputs();
+      if (!biomarkers) {
         setIsCalculating(false);
         return;
       }
@@ -183,19 +175,24 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
         return;
       }
       
+      // Watch readings keep their quality score; typed-in values are taken as measured
+      const hrvQuality = readingQuality(biomarkers.hrv, watchReading);
+      
       // ✅ STEP 1: Update state with biomarkers FIRST
       try {
         await updateState({
-          salivaryPH: parseFloat(formData.salivaryPH),
-          mmp8: parseFloat(formData.activeMMP8),
-          proteinCarbonyls: parseFloat(formData.proteinCarbonyls), // NEW: Nov 2025
-          flowRate: parseFloat(formData.salivaryFlow),
-          hsCRP: parseFloat(formData.hsCRP),
-          omega3Index: parseFloat(formData.omega3Index),
-          hba1c: parseFloat(formData.hba1c),
-          gdf15: parseFloat(formData.gdf15),
-          vitaminD: parseFloat(formData.vitaminD),
-          hrv: formData.hrvValue ? parseFloat(formData.hrvValue) : null,
+          salivaryPH: biomarkers.salivaryPH,
+          activeMMP8: biomarkers.activeMMP8,
+          proteinCarbonyls: biomarkers.proteinCarbonyls, // NEW: Nov 2025
+          salivaryFlow: biomarkers.salivaryFlow,
+          hsCRP: biomarkers.hsCRP,
+          omega3Index: biomarkers.omega3Index,
+          hba1c: biomarkers.hba1c,
+          gdf15: biomarkers.gdf15,
+          vitaminD: biomarkers.vitaminD,
+          hrv: biomarkers.hrv ?? null,
+          hrvQuality,
+          chronologicalAge: profileAge,
         });
       } catch (error) {
         console.error('Error updating state:', error);
@@ -207,39 +204,42 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
       // Give state time to update
       await new Promise(resolve => setTimeout(resolve, 150));
       
-      // ✅ STEP 2: Calculate biological age and scores
-      let biologicalAge;
+      // ✅ STEP 2: Calculate biological age and scores (unified pipeline - same
+      // number as every other screen, including any Tier 2/3 and fitness data)
+      let result;
       try {
-        biologicalAge = await calculateBiologicalAge();
+        result = await calculateBiologicalAge({ ...biomarkers, hrvQuality, chronologicalAge: profileAge });
       } catch (error) {
         console.error('Error calculating biological age:', error);
         throw new Error('Failed to calculate biological age');
       }
       
+      const biologicalAge = result.biologicalAge;
       console.log('✅ Scores calculated, biological age:', biologicalAge);
       
-      // ✅ STEP 3: Get all calculated scores from state
-      const oralScore = state?.oralHealthScore || 50;
-      const systemicScore = state?.systemicHealthScore || 50;
-      const vitalityIndex = state?.vitalityIndex || 50;
-      const chronologicalAge = state?.chronologicalAge || 0;
-      const fitnessScore = state?.fitnessScore || null;
+      // ✅ STEP 3: Get all calculated scores from the result
+      const oralScore = result.scores.oralHealth;
+      const systemicScore = result.scores.systemicHealth;
+      const vitalityIndex = result.scores.vitalityIndex;
+      const chronologicalAge = result.chronologicalAge;
+      const fitnessScore = result.scores.fitnessScore;
       
-      const deviation = parseFloat((biologicalAge - chronologicalAge).toFixed(1));
+      const deviation = result.deviation;
       
       // ✅ STEP 4: NOW save complete history entry with ALL calculated values
       const tier1Entry = {
         // Biomarker values
-        salivaryPH: parseFloat(formData.salivaryPH),
-        activeMMP8: parseFloat(formData.activeMMP8),
-        proteinCarbonyls: parseFloat(formData.proteinCarbonyls), // NEW: Nov 2025
-        salivaryFlowRate: parseFloat(formData.salivaryFlow),
-        hsCRP: parseFloat(formData.hsCRP),
-        omega3Index: parseFloat(formData.omega3Index),
-        hba1c: parseFloat(formData.hba1c),
-        gdf15: parseFloat(formData.gdf15),
-        vitaminD: parseFloat(formData.vitaminD),
-        hrvValue: formData.hrvValue ? parseFloat(formData.hrvValue) : null,
+        salivaryPH: biomarkers.salivaryPH,
+        activeMMP8: biomarkers.activeMMP8,
+        proteinCarbonyls: biomarkers.proteinCarbonyls, // NEW: Nov 2025
+        salivaryFlow: biomarkers.salivaryFlow,
+        hsCRP: biomarkers.hsCRP,
+        omega3Index: biomarkers.omega3Index,
+        hba1c: biomarkers.hba1c,
+        gdf15: biomarkers.gdf15,
+        vitaminD: biomarkers.vitaminD,
+        hrv: biomarkers.hrv ?? null,
+        units: biomarkers.units,
         
         // ✅ CRITICAL: Calculated values (previously missing!)
         bioAge: parseFloat(biologicalAge.toFixed(1)),
@@ -249,6 +249,7 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
         fitnessScore: fitnessScore ? Math.round(fitnessScore) : null,
         chronologicalAge: chronologicalAge,
         deviation: deviation,
+        dataQuality: result.dataQuality,
         
         // Metadata
         timestamp: assessmentDate.toISOString(),
@@ -257,15 +258,8 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
       };
 
       try {
-        // ✅ SECURITY FIX: Use encrypted storage for medical data
-        const existingData = await SecureStorage.getItem('tier1Biomarkers');
-        const tier1Array = Array.isArray(existingData) ? existingData : (existingData ? [existingData] : []);
-        tier1Array.push(tier1Entry);
-        
-        // Sort by timestamp (newest first)
-        tier1Array.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        
-        await SecureStorage.setItem('tier1Biomarkers', tier1Array);
+        // ✅ SECURITY FIX: Use encrypted storage for medical data (validated against BiomarkerSchema)
+        await StorageService.saveBiomarkerEntry(tier1Entry);
         console.log('✅ Tier 1 COMPLETE entry saved to encrypted history:', {
           bioAge: tier1Entry.bioAge,
           oralScore: tier1Entry.oralScore,
@@ -405,7 +399,7 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>Protein Carbonyls (nmol/mg, {'<'}2.0 optimal) NEW</Text>
+            <Text style={styles.label}>Salivary Protein Carbonyls (nmol/mg, {'<'}2.0 optimal) NEW</Text>
             <TextInput
               style={styles.input}
               value={formData.proteinCarbonyls}
@@ -433,15 +427,16 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
           <Text style={styles.sectionTitle}>💉 Systemic Health Biomarkers</Text>
           
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>hs-CRP (mg/L, {'<'}1.0 optimal)</Text>
+            <Text style={styles.label}>hs-CRP ({'<'}{formatInUnit('hsCRP', 1.0, units.hsCRP)} optimal)</Text>
             <TextInput
               style={styles.input}
               value={formData.hsCRP}
               onChangeText={(value) => updateField('hsCRP', value)}
               keyboardType="decimal-pad"
-              placeholder="0.8"
+              placeholder={String(displayValue('hsCRP', 0.8, units.hsCRP))}
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="hsCRP" unit={units.hsCRP} onChange={updateUnit} />
           </View>
 
           <View style={styles.inputGroup}>
@@ -457,39 +452,42 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>HbA1c (%, {'<'}5.7 optimal)</Text>
+            <Text style={styles.label}>HbA1c ({'<'}{formatInUnit('hba1c', 5.7, units.hba1c)} optimal)</Text>
             <TextInput
               style={styles.input}
               value={formData.hba1c}
               onChangeText={(value) => updateField('hba1c', value)}
               keyboardType="decimal-pad"
-              placeholder="5.5"
+              placeholder={String(displayValue('hba1c', 5.5, units.hba1c))}
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="hba1c" unit={units.hba1c} onChange={updateUnit} />
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>GDF-15 (pg/mL, {'<'}1200 optimal)</Text>
+            <Text style={styles.label}>GDF-15 ({'<'}{formatInUnit('gdf15', 1200, units.gdf15)} optimal)</Text>
             <TextInput
               style={styles.input}
               value={formData.gdf15}
               onChangeText={(value) => updateField('gdf15', value)}
               keyboardType="decimal-pad"
-              placeholder="1100"
+              placeholder={String(displayValue('gdf15', 1100, units.gdf15))}
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="gdf15" unit={units.gdf15} onChange={updateUnit} />
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>Vitamin D (ng/mL, 30-100 optimal)</Text>
+            <Text style={styles.label}>Vitamin D ({displayValue('vitaminD', 40, units.vitaminD)}-{formatInUnit('vitaminD', 60, units.vitaminD)} optimal)</Text>
             <TextInput
               style={styles.input}
               value={formData.vitaminD}
               onChangeText={(value) => updateField('vitaminD', value)}
               keyboardType="decimal-pad"
-              placeholder="35"
+              placeholder={String(displayValue('vitaminD', 35, units.vitaminD))}
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="vitaminD" unit={units.vitaminD} onChange={updateUnit} />
           </View>
         </View>
 
@@ -504,11 +502,11 @@ export default function Tier1BiomarkerInputScreen({ navigation }) {
               value={formData.hrvValue}
               onChangeText={(value) => updateField('hrvValue', value)}
               keyboardType="decimal-pad"
-              placeholder={state?.wearableData?.hrv ? state.wearableData.hrv.toString() : "Enter HRV"}
+              placeholder={watchReading.hrv ? watchReading.hrv.toString() : "Enter HRV"}
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
             <Text style={styles.helperText}>
-              {state?.wearableData?.hrv 
+              {watchReading.hrv 
                 ? '✅ Auto-filled from watch' 
                 : 'Leave empty if not measured'}
             </Text>
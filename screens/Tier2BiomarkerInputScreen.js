@@ -13,11 +13,16 @@ import {
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { AppContext } from '../AppContext';
-import * as SecureStorage from '../services/SecureStorageService';
+import StorageService from '../services/StorageService';
+import { validateBiomarkers } from '../services/BiomarkerSchema';
+import { formatInUnit, displayValue } from '../services/UnitConversion';
+import UnitPicker, { useLabUnits } from '../components/UnitPicker';
 
 const Tier2BiomarkerInputScreen = ({ navigation }) => {
   // ✅ FIX: Get correct functions from AppContext
-  const { state, updateState, calculateScores, calculateBiologicalAge } = useContext(AppContext);
+  const { state, continuousHRV, updateState, calculateScores, calculateBiologicalAge } = useContext(AppContext);
+  // Morning HRV sessions replace the typed-in continuous HRV score
+  const autoHRVScore = Number.isFinite(continuousHRV?.score) ? continuousHRV.score : null;
   
   // ✅ FIX: Simple date inputs (matching Tier 1)
   const [year, setYear] = useState('');
@@ -25,6 +30,9 @@ const Tier2BiomarkerInputScreen = ({ navigation }) => {
   const [day, setDay] = useState('');
   const [loading, setLoading] = useState(false);
 
+  // Lab units per field - canonical unless the user picked another unit
+  const [units, updateUnit] = useLabUnits();
+
   // Inflammatory Cytokines
   const [il6, setIL6] = useState('');
   const [il1b, setIL1B] = useState('');
@@ -32,7 +40,7 @@ const Tier2BiomarkerInputScreen = ({ navigation }) => {
 
   // Oxidative Stress Markers
   const [ohgd8, set8OHdG] = useState('');
-  const [proteinCarbonyls, setProteinCarbonyls] = useState('');
+  const [plasmaProteinCarbonyls, setPlasmaProteinCarbonyls] = useState('');
 
   // Advanced Markers (optional)
   const [nadPlus, setNADPlus] = useState('');
@@ -52,13 +60,19 @@ const Tier2BiomarkerInputScreen = ({ navigation }) => {
     setDay(today.getDate().toString());
   }, []);
 
+  useEffect(() => {
+    if (autoHRVScore !== null) {
+      setContinuousHRVScore(autoHRVScore.toString());
+    }
+  }, [autoHRVScore]);
+
   const validateInputs = () => {
     const requiredFields = [
       { value: il6, name: 'IL-6' },
       { value: il1b, name: 'IL-1β' },
       { value: tnfa, name: 'TNF-α' },
       { value: ohgd8, name: '8-OHdG' },
-      { value: proteinCarbonyls, name: 'Protein Carbonyls' },
+      { value: plasmaProteinCarbonyls, name: 'Plasma Protein Carbonyls' },
     ];
 
     for (const field of requiredFields) {
@@ -68,6 +82,26 @@ const Tier2BiomarkerInputScreen = ({ navigation }) => {
       }
     }
 
+    // Plausible ranges come from the shared biomarker schema (after unit conversion)
+    const result = validateBiomarkers({
+      il6,
+      il1b,
+      tnfa,
+      ohdg8: ohgd8,
+      plasmaProteinCarbonyls,
+      nadLevel: nadPlus,
+      nadRatio,
+      cd38Activity,
+      inflammAge,
+      continuousHRVScore,
+      microbiomeRiskScore,
+      units,
+    });
+    if (!result.valid) {
+      Alert.alert('Invalid Data', result.errors.map(e => e.message).join('\n'));
+      return false;
+    }
+
     // Check if Tier 1 was completed first
     if (!state.salivaryPH || !state.hsCRP) {
       Alert.alert(
@@ -81,74 +115,14 @@ const Tier2BiomarkerInputScreen = ({ navigation }) => {
       return false;
     }
 
-    return true;
-  };
-
-  // ✅ FIX: Add Tier 2 calculation logic based on protocol
-  const calculateTier2Adjustments = () => {
-    const il6Val = parseFloat(il6);
-    const il1bVal = parseFloat(il1b);
-    const tnfVal = parseFloat(tnfa);
-    const ohgd8Val = parseFloat(ohgd8);
-    const proteinCarbonylsVal = parseFloat(proteinCarbonyls);
-    const nadVal = nadPlus ? parseFloat(nadPlus) : null;
-
-    let systemicAdjustment = 0;
-    const adjustmentDetails = [];
-
-    // IL-6 adjustment (pro-inflammatory cytokine)
-    if (il6Val > 2.0) {
-      const adjustment = (il6Val - 2.0) * 5;
-      systemicAdjustment += adjustment;
-      adjustmentDetails.push(`IL-6: -${adjustment.toFixed(1)} points`);
-    }
-
-    // IL-1β adjustment
-    if (il1bVal > 0.5) {
-      const adjustment = (il1bVal - 0.5) * 8;
-      systemicAdjustment += adjustment;
-      adjustmentDetails.push(`IL-1β: -${adjustment.toFixed(1)} points`);
-    }
-
-    // TNF-α adjustment
-    if (tnfVal > 8.0) {
-      const adjustment = (tnfVal - 8.0) * 3;
-      systemicAdjustment += adjustment;
-      adjustmentDetails.push(`TNF-α: -${adjustment.toFixed(1)} points`);
-    }
-
-    // 8-OHdG adjustment (oxidative DNA damage)
-    if (ohgd8Val > 2.0) {
-      const adjustment = (ohgd8Val - 2.0) * 4;
-      systemicAdjustment += adjustment;
-      adjustmentDetails.push(`8-OHdG: -${adjustment.toFixed(1)} points`);
-    }
-
-    // Protein Carbonyls adjustment (oxidative protein damage)
-    if (proteinCarbonylsVal > 1.5) {
-      const adjustment = (proteinCarbonylsVal - 1.5) * 6;
-      systemicAdjustment += adjustment;
-      adjustmentDetails.push(`Protein Carbonyls: -${adjustment.toFixed(1)} points`);
-    }
-
-    // NAD+ adjustment (if provided)
-    if (nadVal !== null && nadVal < 40) {
-      const adjustment = (40 - nadVal) * 2;
-      systemicAdjustment += adjustment;
-      adjustmentDetails.push(`NAD+: -${adjustment.toFixed(1)} points`);
-    }
-
-    console.log('Tier 2 Adjustments:', adjustmentDetails.join(', '));
-    
-    return {
-      totalAdjustment: systemicAdjustment,
-      details: adjustmentDetails
-    };
+    return result.values;
   };
 
   // ✅ FIX: Proper calculation and state update
   const handleCalculate = async () => {
-    if (!validateInputs()) return;
+    // Values come back converted to the algorithm's canonical units
+    const biomarkers = validateInputs();
+    if (!biomarkers) return;
 
     // ✅ FIX: Validate and construct date from inputs
     if (!year || !month || !day) {
@@ -182,86 +156,63 @@ const Tier2BiomarkerInputScreen = ({ navigation }) => {
     try {
       console.log('✅ Starting Tier 2 calculation...');
 
-      // Calculate Tier 2 adjustments
-      const { totalAdjustment, details } = calculateTier2Adjustments();
-
-      // Get current systemic health score
-      const currentSystemicScore = state.systemicHealthScore || 50;
-      const currentOralScore = state.oralHealthScore || 50;
-      
-      // Apply Tier 2 adjustments to systemic score
-      const adjustedSystemicScore = Math.max(0, currentSystemicScore - totalAdjustment);
-
-      console.log(`Current Systemic Score: ${currentSystemicScore}%`);
-      console.log(`Tier 2 Adjustment: -${totalAdjustment.toFixed(1)} points`);
-      console.log(`Adjusted Systemic Score: ${adjustedSystemicScore.toFixed(1)}%`);
-
-      // Update state with adjusted scores
-      await updateState({
-        systemicHealthScore: Math.round(adjustedSystemicScore),
-        vitalityIndex: Math.round((currentOralScore + adjustedSystemicScore) / 2),
-        tier2Data: {
-          il6: parseFloat(il6),
-          il1b: parseFloat(il1b),
-          tnfa: parseFloat(tnfa),
-          ohgd8: parseFloat(ohgd8),
-          proteinCarbonyls: parseFloat(proteinCarbonyls),
-          nadPlus: nadPlus ? parseFloat(nadPlus) : null,
-          timestamp: assessmentDate.toISOString(),
-          dateEntered: assessmentDate.toLocaleDateString(),
-          adjustment: totalAdjustment,
-          tier: 2,
-        }
-      });
-
-      // Small delay to ensure state update
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      // Recalculate biological age with adjusted scores
-      let enhancedBioAge;
+      const tier2Data = {
+        il6: biomarkers.il6,
+        il1b: biomarkers.il1b,
+        tnfa: biomarkers.tnfa,
+        ohdg8: biomarkers.ohdg8,
+        plasmaProteinCarbonyls: biomarkers.plasmaProteinCarbonyls,
+        nadLevel: biomarkers.nadLevel,
+        nadRatio: biomarkers.nadRatio,
+        cd38Activity: biomarkers.cd38Activity,
+        inflammAge: biomarkers.inflammAge,
+        continuousHRVScore: biomarkers.continuousHRVScore,
+        microbiomeRiskScore: biomarkers.microbiomeRiskScore,
+        units: biomarkers.units,
+        timestamp: assessmentDate.toISOString(),
+        dateEntered: assessmentDate.toLocaleDateString(),
+        tier: 2,
+      };
+
+      await updateState({ tier2Data });
+
+      // Recalculate biological age through the unified pipeline: the Tier 2
+      // panel replaces the Tier 1 SHS with SHS_2 and adds InflammAge
+      let result;
       try {
-        enhancedBioAge = await calculateBiologicalAge();
-        console.log(`✅ Enhanced Biological Age: ${enhancedBioAge.toFixed(1)} years`);
+        result = await calculateBiologicalAge({ tier2Data });
+        console.log(`✅ Enhanced Biological Age: ${result.biologicalAge.toFixed(1)} years`);
       } catch (calcError) {
         console.error('❌ Bio-age calculation error:', calcError);
         throw new Error(`Calculation failed: ${calcError.message}`);
       }
 
+      const enhancedBioAge = result.biologicalAge;
+      const currentOralScore = result.scores.oralHealth;
+      const adjustedSystemicScore = result.scores.enhancedSystemicHealth;
+      const totalAdjustment = result.scores.systemicHealth - adjustedSystemicScore;
+
+      console.log('Tier 2 sub-scores:', result.subScores);
+
       // ✅ FIX #2: Save Tier 2 entry to encrypted history
       try {
         const tier2Entry = {
-          // Biomarker values
-          il6: parseFloat(il6),
-          il1b: parseFloat(il1b),
-          tnfa: parseFloat(tnfa),
-          ohgd8: parseFloat(ohgd8),
-          proteinCarbonyls: parseFloat(proteinCarbonyls),
-          nadPlus: nadPlus ? parseFloat(nadPlus) : null,
+          // Biomarker values + metadata
+          ...tier2Data,
           
           // Calculated values
-          bioAge: parseFloat(enhancedBioAge.toFixed(1)),
+          bioAge: enhancedBioAge,
           oralScore: Math.round(currentOralScore),
           systemicScore: Math.round(adjustedSystemicScore),
-          vitalityIndex: Math.round((currentOralScore + adjustedSystemicScore) / 2),
-          chronologicalAge: state.chronologicalAge,
-          deviation: parseFloat((enhancedBioAge - state.chronologicalAge).toFixed(1)),
+          vitalityIndex: Math.round(result.scores.vitalityIndex),
+          chronologicalAge: result.chronologicalAge,
+          deviation: result.deviation,
           tier2Adjustment: totalAdjustment,
-          
-          // Metadata
-          timestamp: assessmentDate.toISOString(),
-          dateEntered: assessmentDate.toLocaleDateString(),
-          tier: 2,
+          dataQuality: result.dataQuality,
         };
 
-        // Load existing Tier 2 history
-        const existingData = await SecureStorage.getItem('tier2Biomarkers');
-        const tier2Array = Array.isArray(existingData) ? existingData : (existingData ? [existingData] : []);
-        tier2Array.push(tier2Entry);
-        
-        // Sort by timestamp (newest first)
-        tier2Array.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        
-        await SecureStorage.setItem('tier2Biomarkers', tier2Array);
+        // Save to encrypted Tier 2 history (validated against BiomarkerSchema)
+        await StorageService.saveBiomarkerEntry(tier2Entry);
         console.log('✅ Tier 2 COMPLETE entry saved to encrypted history:', {
           bioAge: tier2Entry.bioAge,
           oralScore: tier2Entry.oralScore,
@@ -286,7 +237,7 @@ const Tier2BiomarkerInputScreen = ({ navigation }) => {
         `Enhanced Biological Age: ${enhancedBioAge.toFixed(1)} years\n` +
         `Chronological Age: ${state.chronologicalAge} years\n\n` +
         `Adjusted Systemic Score: ${adjustedSystemicScore.toFixed(1)}%\n` +
-        `Tier 2 Impact: -${totalAdjustment.toFixed(1)} points\n\n` +
+        `Tier 2 Impact: ${totalAdjustment >= 0 ? '-' : '+'}${Math.abs(totalAdjustment).toFixed(1)} points\n\n` +
         message +
         `\n\n${getTier2Recommendations(totalAdjustment, adjustedSystemicScore)}`,
         [
@@ -402,39 +353,42 @@ const Tier2BiomarkerInputScreen = ({ navigation }) => {
           <Text style={styles.sectionTitle}>🔥 Inflammatory Cytokines</Text>
           
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>IL-6 (pg/mL, {'<'}2.0 optimal)</Text>
+            <Text style={styles.label}>IL-6 ({'<'}{formatInUnit('il6', 2.0, units.il6)} optimal)</Text>
             <TextInput
               style={styles.input}
               value={il6}
               onChangeText={setIL6}
               keyboardType="decimal-pad"
-              placeholder="1.5"
+              placeholder={String(displayValue('il6', 1.5, units.il6))}
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="il6" unit={units.il6} onChange={updateUnit} />
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>IL-1β (pg/mL, {'<'}0.5 optimal)</Text>
+            <Text style={styles.label}>IL-1β ({'<'}{formatInUnit('il1b', 0.5, units.il1b)} optimal)</Text>
             <TextInput
               style={styles.input}
               value={il1b}
               onChangeText={setIL1B}
               keyboardType="decimal-pad"
-              placeholder="0.3"
+              placeholder={String(displayValue('il1b', 0.3, units.il1b))}
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="il1b" unit={units.il1b} onChange={updateUnit} />
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>TNF-α (pg/mL, {'<'}8.0 optimal)</Text>
+            <Text style={styles.label}>TNF-α ({'<'}{formatInUnit('tnfa', 8.0, units.tnfa)} optimal)</Text>
             <TextInput
               style={styles.input}
               value={tnfa}
               onChangeText={setTNFa}
               keyboardType="decimal-pad"
-              placeholder="6.5"
+              placeholder={String(displayValue('tnfa', 6.5, units.tnfa))}
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="tnfa" unit={units.tnfa} onChange={updateUnit} />
           </View>
         </View>
 
@@ -443,23 +397,24 @@ const Tier2BiomarkerInputScreen = ({ navigation }) => {
           <Text style={styles.sectionTitle}>⚡ Oxidative Stress Markers</Text>
           
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>8-OHdG (ng/mL, {'<'}2.0 optimal)</Text>
+            <Text style={styles.label}>8-OHdG ({'<'}{formatInUnit('ohdg8', 2.0, units.ohdg8)} optimal)</Text>
             <TextInput
               style={styles.input}
               value={ohgd8}
               onChangeText={set8OHdG}
               keyboardType="decimal-pad"
-              placeholder="1.5"
+              placeholder={String(displayValue('ohdg8', 1.5, units.ohdg8))}
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <UnitPicker field="ohdg8" unit={units.ohdg8} onChange={updateUnit} />
           </View>
 
           <View style={styles.inputGroup}>
-            <Text style={styles.label}>Protein Carbonyls (nmol/mg, {'<'}1.5 optimal)</Text>
+            <Text style={styles.label}>Plasma Protein Carbonyls (nmol/mg, {'<'}1.5 optimal)</Text>
             <TextInput
               style={styles.input}
-              value={proteinCarbonyls}
-              onChangeText={setProteinCarbonyls}
+              value={plasmaProteinCarbonyls}
+              onChangeText={setPlasmaProteinCarbonyls}
               keyboardType="decimal-pad"
               placeholder="1.2"
               placeholderTextColor="rgba(255,255,255,0.5)"
@@ -527,13 +482,21 @@ const Tier2BiomarkerInputScreen = ({ navigation }) => {
           <View style={styles.inputGroup}>
             <Text style={styles.label}>Continuous HRV Score (30-day avg, 0-100)</Text>
             <TextInput
-              style={styles.input}
+              style={[styles.input, autoHRVScore !== null && styles.inputLocked]}
               value={continuousHRVScore}
               onChangeText={setContinuousHRVScore}
+              editable={autoHRVScore === null}
               keyboardType="decimal-pad"
               placeholder="75"
               placeholderTextColor="rgba(255,255,255,0.5)"
             />
+            <TouchableOpacity onPress={() => navigation.navigate('MorningHRV')}>
+              <Text style={styles.hint}>
+                {autoHRVScore !== null
+                  ? `From ${continuousHRV.days} morning HRV sessions - record another ›`
+                  : 'Measure it with guided morning HRV sessions on your watch ›'}
+              </Text>
+            </TouchableOpacity>
           </View>
 
           <View style={styles.inputGroup}>
@@ -668,6 +631,16 @@ const styles = StyleSheet.create({
     borderColor: 'rgba(255, 255, 255, 0.3)',
     fontWeight: '600',
   },
+  inputLocked: {
+    opacity: 0.7,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#fff',
+    opacity: 0.9,
+    marginTop: 6,
+    textDecorationLine: 'underline',
+  },
   calculateButton: {
     backgroundColor: '#fff',
     marginHorizontal: 20,
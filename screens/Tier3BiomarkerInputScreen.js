@@ -20,7 +20,8 @@ export default function Tier3BiomarkerInputScreen({ navigation }) {
   const [mriScore, setMriScore] = useState(state.mriScore || null);
   const [geneticScore, setGeneticScore] = useState(state.geneticScore || null);
   
-  // Optional informative metrics (NOT used in algorithm calculation)
+  // Optional metrics: compared against the bio-age, and only added to it when
+  // "Epigenetic Clocks in Bio-Age" is enabled in Settings
   const [showOptionalMetrics, setShowOptionalMetrics] = useState(false);
   const [dunedinPACE, setDunedinPACE] = useState(state.dunedinPACE || '');
   const [elovl2Age, setElovl2Age] = useState(state.elovl2Age || '');
@@ -50,25 +51,34 @@ export default function Tier3BiomarkerInputScreen({ navigation }) {
       }
 
       // Update AppContext state
-      updateState({
+      const tier3Updates = {
         mriScore: mriScore,
         geneticScore: geneticScore,
         tier3AssessmentDate: new Date().toISOString(),
         dunedinPACE: dunedinPACE ? parseFloat(dunedinPACE) : null,
         elovl2Age: elovl2Age ? parseFloat(elovl2Age) : null,
         intrinsicCapacity: intrinsicCapacity ? parseFloat(intrinsicCapacity) : null,
-      });
+      };
+      updateState(tier3Updates);
 
       // Recalculate bio-age with Tier 3 data
       console.log('🔵 Recalculating bio-age with Tier 3 data...');
-      await calculateBiologicalAge();
+      const result = await calculateBiologicalAge(tier3Updates);
+      const comparison = result?.clockComparison;
+
+      let optionalSummary = '';
+      if (comparison) {
+        optionalSummary = comparison.hasMajorDisagreement
+          ? '⚠️ Clock disagreement:\n' + comparison.flags.join('\n')
+          : '✅ ELOVL2 / intrinsic capacity agree with your Praxiom bio-age.';
+      } else if (dunedinPACE) {
+        optionalSummary = 'Optional metrics saved for comparative analysis.';
+      }
 
       Alert.alert(
         'Tier 3 Data Saved',
         'Your MRI and genetic scores have been saved. Your bio-age will be recalculated.\n\n' +
-        (dunedinPACE || elovl2Age || intrinsicCapacity 
-          ? 'Optional metrics saved for comparative analysis.' 
-          : ''),
+        optionalSummary,
         [
           {
             text: 'View Dashboard',
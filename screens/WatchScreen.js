@@ -5,6 +5,7 @@ import {
   StyleSheet,
   TouchableOpacity,
   FlatList,
+  ScrollView,
   ActivityIndicator,
   Alert,
   Switch,
@@ -13,6 +14,13 @@ import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import PraxiomBackground from '../components/PraxiomBackground';
 import WearableService from '../services/WearableService';
+import HeartRateTimeSeries from '../services/HeartRateTimeSeries';
+import TrendChart from '../components/TrendChart';
+import HRVSensorCard from '../components/HRVSensorCard';
+import { DEVICE_ROLES } from '../services/DeviceRoles';
+import { MIN_QUALITY_FOR_SCORING } from '../services/HRVAnalysis';
+
+const HR_TREND_WINDOW_MS = 60 * 60 * 1000;
 
 const WatchScreen = ({ navigation }) => {
   const [scanning, setScanning] = useState(false);
@@ -22,6 +30,9 @@ const WatchScreen = ({ navigation }) => {
   const [batteryLevel, setBatteryLevel] = useState(null);
   const [heartRate, setHeartRate] = useState(null);
   const [steps, setSteps] = useState(null);
+  const [hrv, setHrv] = useState(null);
+  const [hrvQuality, setHrvQuality] = useState(null);
+  const [hrTrend, setHrTrend] = useState([]);
   const [showAllDevices, setShowAllDevices] = useState(false);
 
   useEffect(() => {
@@ -39,8 +50,15 @@ const WatchScreen = ({ navigation }) => {
       updateWearableData();
     }, 3000);
 
+    // The heart rate chart only needs minute resolution
+    loadHeartRateTrend();
+    const trendInterval = setInterval(() => {
+      loadHeartRateTrend();
+    }, 60000);
+
     return () => {
       clearInterval(dataInterval);
+      clearInterval(trendInterval);
     };
   }, []);
 
@@ -66,6 +84,8 @@ const WatchScreen = ({ navigation }) => {
         setHeartRate(data.heartRate || null);
         setSteps(data.steps !== undefined ? data.steps : null);
         setBatteryLevel(data.battery || null);
+        setHrv(data.hrv || null);
+        setHrvQuality(data.hrvQuality ?? null);
         
         // Update device name if available
         if (status.deviceName) {
@@ -77,12 +97,27 @@ const WatchScreen = ({ navigation }) => {
         setHeartRate(null);
         setSteps(null);
         setBatteryLevel(null);
+        setHrv(null);
+        setHrvQuality(null);
       }
     } catch (error) {
       console.error('Error updating wearable data:', error);
     }
   };
 
+  const loadHeartRateTrend = async () => {
+    try {
+      const now = Date.now();
+      const rows = await HeartRateTimeSeries.getMinuteSummaries(now - HR_TREND_WINDOW_MS, now);
+      setHrTrend(rows.map(row => ({
+        label: new Date(row.t).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+        value: row.hrAvg
+      })));
+    } catch (error) {
+      console.error('Error loading heart rate trend:', error);
+    }
+  };
+
   const loadDebugPreference = async () => {
     try {
       const saved = await AsyncStorage.getItem('showAllBLEDevices');
@@ -122,25 +157,16 @@ const WatchScreen = ({ navigation }) => {
       setScanning(true);
       setDevices([]);
       
-      const foundDevices = await WearableService.scanForDevices();
-      
-      // Filter devices based on debug toggle
-      let filteredDevices = foundDevices || [];
-      if (!showAllDevices) {
-        filteredDevices = foundDevices.filter(device => {
-          const name = device.name?.toLowerCase() || '';
-          return name.includes('infinit') || 
-                 name.includes('pinetime') || 
-                 name.includes('sealed');
-        });
-      }
+      // Watches by name, heart-rate straps by advertised service; debug mode adds everything else
+      const foundDevices = await WearableService.scanForDevices(10, { includeAll: showAllDevices });
+      const filteredDevices = foundDevices || [];
       
       setDevices(filteredDevices);
       
       if (filteredDevices.length === 0) {
         const message = showAllDevices 
           ? 'No BLE devices found nearby. Make sure Bluetooth is enabled.'
-          : 'No PineTime watches found. Make sure your watch is nearby with Bluetooth enabled.\n\nTip: Enable "Show All Devices" to see other BLE devices.';
+          : 'No PineTime watches or heart-rate straps found. Make sure your device is nearby with Bluetooth enabled.\n\nTip: Enable "Show All Devices" to see other BLE devices.';
         
         Alert.alert('No Devices Found', message);
       }
@@ -152,10 +178,22 @@ const WatchScreen = ({ navigation }) => {
     }
   };
 
-  const handleConnect = async (deviceId, deviceName) => {
+  const handleConnect = async (deviceId, deviceName, role) => {
     try {
       setScanning(true);
       
+      // Straps connect next to the watch as HRV sensors
+      if (role === DEVICE_ROLES.hrvSensor) {
+        const paired = await WearableService.connectSensor(deviceId);
+        if (paired) {
+          setDevices(prev => prev.filter(device => device.id !== deviceId));
+          Alert.alert('Connected!', `${deviceName} will be used for HRV while it is streaming`);
+        } else {
+          Alert.alert('Connection Failed', 'Could not connect to heart-rate strap');
+        }
+        return;
+      }
+      
       const success = await WearableService.connectToDevice(deviceId);
       
       if (success) {
@@ -192,6 +230,8 @@ const WatchScreen = ({ navigation }) => {
       setHeartRate(null);
       setSteps(null);
       setBatteryLevel(null);
+      setHrv(null);
+      setHrvQuality(null);
       
       Alert.alert('Disconnected', 'Watch disconnected successfully');
     } catch (error) {
@@ -203,13 +243,19 @@ const WatchScreen = ({ navigation }) => {
   const renderDevice = ({ item }) => (
     <TouchableOpacity
       style={styles.deviceCard}
-      onPress={() => handleConnect(item.id, item.name)}
+      onPress={() => handleConnect(item.id, item.name, item.role)}
       disabled={scanning}
     >
-      <Ionicons name="watch" size={32} color="#00d4ff" />
+      {item.role === DEVICE_ROLES.hrvSensor ? (
+        <Ionicons name="heart-circle" size={32} color="#ef4444" />
+      ) : (
+        <Ionicons name="watch" size={32} color="#00d4ff" />
+      )}
       <View style={styles.deviceInfo}>
         <Text style={styles.deviceName}>{item.name || 'Unknown Device'}</Text>
-        <Text style={styles.deviceId}>{item.id}</Text>
+        <Text style={styles.deviceId}>
+          {item.role === DEVICE_ROLES.hrvSensor ? 'Heart-rate strap (HRV sensor)' : item.id}
+        </Text>
         <Text style={styles.deviceRssi}>Signal: {item.rssi} dBm</Text>
       </View>
       <Ionicons name="chevron-forward" size={24} color="#666" />
@@ -247,7 +293,7 @@ const WatchScreen = ({ navigation }) => {
         )}
 
         {connected ? (
-          <View style={styles.connectedContainer}>
+          <ScrollView style={styles.connectedContainer} contentContainerStyle={styles.connectedContent}>
             <View style={styles.statusCard}>
               <Ionicons name="checkmark-circle" size={48} color="#4ade80" />
               <Text style={styles.statusTitle}>Connected</Text>
@@ -278,8 +324,38 @@ const WatchScreen = ({ navigation }) => {
                 </Text>
                 <Text style={styles.dataLabel}>Battery</Text>
               </View>
+
+              <View style={styles.dataCard}>
+                <Ionicons name="pulse" size={32} color="#a78bfa" />
+                <Text style={styles.dataValue}>
+                  {hrv || '--'}
+                </Text>
+                <Text style={styles.dataLabel}>HRV (ms)</Text>
+                {hrvQuality !== null && (
+                  <Text style={[styles.dataQuality, hrvQuality < MIN_QUALITY_FOR_SCORING && styles.dataQualityLow]}>
+                    Quality {hrvQuality}{hrvQuality < MIN_QUALITY_FOR_SCORING ? ' - not used for bio-age' : ''}
+                  </Text>
+                )}
+              </View>
             </View>
 
+            <TrendChart
+              title="Heart Rate - Last Hour"
+              points={hrTrend}
+              color="#ef4444"
+              emptyText="Heart rate history appears after a few minutes of wear"
+            />
+
+            <HRVSensorCard />
+
+            <TouchableOpacity
+              style={styles.sessionButton}
+              onPress={() => navigation.navigate('MorningHRV')}
+            >
+              <Ionicons name="leaf" size={20} color="#fff" />
+              <Text style={styles.buttonTextSmall}>Morning HRV Session</Text>
+            </TouchableOpacity>
+
             {/* ✅ FIXED: Test & Disconnect Buttons Side-by-Side */}
             <View style={styles.buttonRow}>
               <TouchableOpacity
@@ -298,7 +374,7 @@ const WatchScreen = ({ navigation }) => {
                 <Text style={styles.buttonTextSmall}>Disconnect</Text>
               </TouchableOpacity>
             </View>
-          </View>
+          </ScrollView>
         ) : (
           <View style={styles.disconnectedContainer}>
             <View style={styles.instructionsCard}>
@@ -308,6 +384,8 @@ const WatchScreen = ({ navigation }) => {
               </Text>
             </View>
 
+            <HRVSensorCard />
+
             {devices.length > 0 && (
               <FlatList
                 data={devices}
@@ -385,6 +463,9 @@ const styles = StyleSheet.create({
   connectedContainer: {
     flex: 1,
   },
+  connectedContent: {
+    flexGrow: 1,
+  },
   statusCard: {
     backgroundColor: '#1e1e2e',
     borderRadius: 20,
@@ -431,6 +512,15 @@ const styles = StyleSheet.create({
     marginTop: 5,
     textAlign: 'center',
   },
+  dataQuality: {
+    fontSize: 10,
+    color: '#4ade80',
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  dataQualityLow: {
+    color: '#fbbf24',
+  },
   disconnectedContainer: {
     flex: 1,
   },
@@ -488,6 +578,15 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  sessionButton: {
+    backgroundColor: '#a78bfa',
+    borderRadius: 16,
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
   // ✅ NEW: Button row for side-by-side layout
   buttonRow: {
     flexDirection: 'row',
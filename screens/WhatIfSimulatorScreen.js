@@ -0,0 +1,369 @@
+import React, { useState, useContext, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { AppContext } from '../AppContext';
+import PraxiomAlgorithm from '../services/PraxiomAlgorithm';
+import { getBiomarkersForTier } from '../services/BiomarkerSchema';
+import PraxiomBackground from '../components/PraxiomBackground';
+import BiomarkerSlider from '../components/BiomarkerSlider';
+
+const TIER1_DEFINITIONS = [
+  ...getBiomarkersForTier(1, 'oral'),
+  ...getBiomarkersForTier(1, 'systemic'),
+];
+
+const roundToStep = (value, step) => parseFloat((Math.round(value / step) * step).toFixed(6));
+
+// Slider spans the current value and the optimal range, padded, within the plausible range
+const getSliderBounds = (definition, value, optimal, step) => {
+  const low = Math.min(value, optimal[0]);
+  const high = Math.max(value, optimal[1]);
+  const pad = Math.max(step * 5, (high - low) * 0.25);
+  return {
+    min: roundToStep(Math.max(definition.range[0], low - pad), step),
+    max: roundToStep(Math.min(definition.range[1], high + pad), step),
+  };
+};
+
+const formatYears = (years) => `${years > 0 ? '+' : ''}${years.toFixed(1)} y`;
+
+export default function WhatIfSimulatorScreen({ navigation }) {
+  const context = useContext(AppContext);
+  const { simulateBioAge, rankBiomarkerImprovements, userProfile } = context;
+  const [changes, setChanges] = useState({});
+
+  // Measured Tier 1 values (canonical units) straight from app state
+  const current = TIER1_DEFINITIONS.reduce((values, definition) => {
+    const value = parseFloat(context[definition.key]);
+    if (!isNaN(value)) values[definition.key] = value;
+    return values;
+  }, {});
+  const currentKey = JSON.stringify(current);
+
+  const ranking = useMemo(() => {
+    try {
+      return rankBiomarkerImprovements();
+    } catch (error) {
+      console.error('Error ranking biomarkers:', error);
+      return [];
+    }
+  }, [currentKey, userProfile?.sex]);
+
+  const simulation = useMemo(() => {
+    if (Object.keys(current).length === 0) return null;
+    try {
+      return simulateBioAge(changes);
+    } catch (error) {
+      console.error('Error simulating bio-age:', error);
+      return null;
+    }
+  }, [changes, currentKey, userProfile?.sex]);
+
+  // Biggest lever first; markers already optimal follow in schema order
+  const rankedKeys = ranking.map(entry => entry.key);
+  const orderedDefinitions = [
+    ...rankedKeys.map(key => TIER1_DEFINITIONS.find(definition => definition.key === key)),
+    ...TIER1_DEFINITIONS.filter(definition => definition.key in current && !rankedKeys.includes(definition.key)),
+  ];
+
+  const ranges = PraxiomAlgorithm.getBiomarkerRanges(userProfile?.sex);
+
+  const updateChange = (field, value) => {
+    setChanges(prev => {
+      const next = { ...prev };
+      if (value === current[field]) delete next[field];
+      else next[field] = value;
+      return next;
+    });
+  };
+
+  if (Object.keys(current).length === 0) {
+    return (
+      <PraxiomBackground>
+        <View style={styles.emptyContainer}>
+          <Ionicons name="flask-outline" size={48} color="#fff" />
+          <Text style={styles.emptyTitle}>No biomarkers yet</Text>
+          <Text style={styles.emptyText}>
+            Enter your Tier 1 biomarkers to simulate how changes would move your bio-age.
+          </Text>
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => navigation.navigate('Tier1BiomarkerInput')}
+          >
+            <Text style={styles.primaryButtonText}>Enter Biomarkers</Text>
+          </TouchableOpacity>
+        </View>
+      </PraxiomBackground>
+    );
+  }
+
+  const yearsGained = simulation ? simulation.yearsGained : 0;
+
+  return (
+    <PraxiomBackground>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Ionicons name="options" size={40} color="#fff" />
+          <Text style={styles.headerTitle}>What-If Simulator</Text>
+          <Text style={styles.headerSubtitle}>
+            Move a slider to see how your bio-age would change. Biomarkers are ordered by
+            years gained per unit of improvement.
+          </Text>
+        </View>
+
+        {/* Projection */}
+        {simulation && (
+          <View style={styles.projectionCard}>
+            <View style={styles.projectionBox}>
+              <Text style={styles.projectionLabel}>Current</Text>
+              <Text style={styles.projectionValue}>{simulation.baseline.biologicalAge}</Text>
+            </View>
+            <Ionicons name="arrow-forward" size={28} color="#fff" />
+            <View style={styles.projectionBox}>
+              <Text style={styles.projectionLabel}>Projected</Text>
+              <Text style={styles.projectionValue}>{simulation.projected.biologicalAge}</Text>
+            </View>
+            <View style={styles.projectionBox}>
+              <Text style={styles.projectionLabel}>Change</Text>
+              <Text
+                style={[
+                  styles.projectionDelta,
+                  { color: yearsGained > 0 ? '#47C83E' : yearsGained < 0 ? '#E74C3C' : '#fff' },
+                ]}
+              >
+                {formatYears(-yearsGained)}
+              </Text>
+            </View>
+          </View>
+        )}
+
+        {simulation && Object.keys(changes).length > 0 && (
+          <View style={styles.deltaRow}>
+            <Text style={styles.deltaText}>
+              OHS {formatScoreDelta(simulation.scoreDeltas.oralHealth)} · SHS{' '}
+              {formatScoreDelta(simulation.scoreDeltas.systemicHealth)}
+            </Text>
+            <TouchableOpacity onPress={() => setChanges({})}>
+              <Text style={styles.resetText}>Reset</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Sliders */}
+        {orderedDefinitions.map((definition, index) => {
+          const field = definition.key;
+          const step = PraxiomAlgorithm.SIMULATION_STEPS[field];
+          const optimal = ranges[field].optimal;
+          const baseValue = current[field];
+          const value = changes[field] ?? baseValue;
+          const bounds = getSliderBounds(definition, baseValue, optimal, step);
+          const rank = ranking.find(entry => entry.key === field);
+          const markerEffect = field in changes ? simulateBioAge({ [field]: value }).yearsGained : 0;
+
+          return (
+            <View key={field} style={styles.section}>
+              <View style={styles.markerHeader}>
+                <Text style={styles.markerTitle}>
+                  {rank ? `${index + 1}. ` : ''}{definition.displayName}
+                </Text>
+                <Text style={styles.markerValue}>
+                  {value} {definition.unit}
+                </Text>
+              </View>
+
+              <Text style={styles.markerDetail}>
+                {rank
+                  ? `${rank.yearsPerStep.toFixed(2)} years per ${step} ${definition.unit} · optimal ${optimal[0]}–${optimal[1]}`
+                  : `✅ In optimal range (${optimal[0]}–${optimal[1]})`}
+              </Text>
+
+              <BiomarkerSlider
+                value={value}
+                minimumValue={bounds.min}
+                maximumValue={bounds.max}
+                step={step}
+                onValueChange={(newValue) => updateChange(field, newValue)}
+              />
+
+              <View style={styles.boundsRow}>
+                <Text style={styles.boundsText}>{bounds.min}</Text>
+                {field in changes && (
+                  <Text style={styles.markerEffect}>
+                    {markerEffect >= 0 ? '−' : '+'}{Math.abs(markerEffect).toFixed(2)} years
+                  </Text>
+                )}
+                <Text style={styles.boundsText}>{bounds.max}</Text>
+              </View>
+            </View>
+          );
+        })}
+
+        <Text style={styles.disclaimer}>
+          Projections hold every other input at its current value and are estimates, not medical advice.
+        </Text>
+      </ScrollView>
+    </PraxiomBackground>
+  );
+}
+
+function formatScoreDelta(delta) {
+  if (delta === undefined || delta === null) return '0';
+  return `${delta > 0 ? '+' : ''}${delta}`;
+}
+
+const styles = StyleSheet.create({
+  scrollContent: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 20,
+    paddingVertical: 20,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 10,
+    textShadowColor: 'rgba(0, 0, 0, 0.3)',
+    textShadowOffset: { width: 0, height: 2 },
+    textShadowRadius: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#fff',
+    textAlign: 'center',
+    marginTop: 8,
+    opacity: 0.9,
+    paddingHorizontal: 20,
+  },
+  projectionCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-around',
+    backgroundColor: 'rgba(0, 0, 0, 0.2)',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+  },
+  projectionBox: {
+    alignItems: 'center',
+  },
+  projectionLabel: {
+    fontSize: 12,
+    color: '#fff',
+    opacity: 0.8,
+  },
+  projectionValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  projectionDelta: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  deltaRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+    paddingHorizontal: 4,
+  },
+  deltaText: {
+    fontSize: 13,
+    color: '#fff',
+  },
+  resetText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+    textDecorationLine: 'underline',
+  },
+  section: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+  },
+  markerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  markerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  markerValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  markerDetail: {
+    fontSize: 12,
+    color: '#fff',
+    opacity: 0.85,
+    marginTop: 4,
+  },
+  boundsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  boundsText: {
+    fontSize: 11,
+    color: '#fff',
+    opacity: 0.7,
+  },
+  markerEffect: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  disclaimer: {
+    fontSize: 12,
+    color: '#fff',
+    opacity: 0.8,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  emptyContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 30,
+  },
+  emptyTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginTop: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#fff',
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 20,
+  },
+  primaryButton: {
+    backgroundColor: '#00CFC1',
+    paddingVertical: 14,
+    paddingHorizontal: 28,
+    borderRadius: 12,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
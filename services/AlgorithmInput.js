@@ -0,0 +1,87 @@
+/**
+ * AlgorithmInput.js - Bio-age pipeline input from app state
+ *
+ * AppContext keeps the latest data of every tier in state; buildAlgorithmInput
+ * turns that state into the argument of PraxiomAlgorithm.calculateBiologicalAge.
+ * The chronological age comes from the saved profile (ProfileScreen stores
+ * birthYear/birthMonth/birthDay and the age derived from them).
+ */
+
+import { getBiomarkersForTier } from './BiomarkerSchema.js';
+
+// Schema keys the unified bio-age pipeline reads from state
+const TIER1_KEYS = [
+  ...getBiomarkersForTier(1, 'oral'),
+  ...getBiomarkersForTier(1, 'systemic'),
+].map(definition => definition.key);
+const TIER2_KEYS = getBiomarkersForTier(2).map(definition => definition.key);
+
+const isMeasuredValue = (value) => value !== null && value !== undefined && value !== '';
+
+// Copy the measured values of `keys` out of `source`
+function pickMeasured(source, keys) {
+  return keys.reduce((picked, key) => {
+    const value = source?.[key];
+    if (isMeasuredValue(value)) {
+      picked[key] = value;
+    }
+    return picked;
+  }, {});
+}
+
+/**
+ * Age in whole years from a saved profile, or null when it has no birth date or age
+ * The birth date wins over the stored age, which goes stale after a birthday.
+ */
+export const chronologicalAgeFromProfile = (profile, now = new Date()) => {
+  const year = parseInt(profile?.birthYear, 10);
+  if (Number.isFinite(year)) {
+    const month = parseInt(profile.birthMonth, 10) || 1;
+    const day = parseInt(profile.birthDay, 10) || 1;
+    let age = now.getFullYear() - year;
+    if (now.getMonth() + 1 < month || (now.getMonth() + 1 === month && now.getDate() < day)) {
+      age--;
+    }
+    return age > 0 ? age : null;
+  }
+
+  const age = Number(profile?.age);
+  return Number.isFinite(age) && age > 0 ? age : null;
+};
+
+/**
+ * calculateBiologicalAge input from app state: the latest data of every tier
+ */
+export function buildAlgorithmInput(current) {
+  const tier3Data = pickMeasured(current, ['mriScore', 'geneticScore', 'elovl2Age', 'intrinsicCapacity']);
+
+  // Morning HRV sessions supply the continuous HRV score once a Tier 2 panel exists
+  const advancedBiomarkers = pickMeasured(current.tier2Data, TIER2_KEYS);
+  // Tier 2 panels saved before the split stored plasma carbonyls as proteinCarbonyls
+  if (advancedBiomarkers.plasmaProteinCarbonyls === undefined && isMeasuredValue(current.tier2Data?.proteinCarbonyls)) {
+    advancedBiomarkers.plasmaProteinCarbonyls = current.tier2Data.proteinCarbonyls;
+  }
+  if (Object.keys(advancedBiomarkers).length > 0 && Number.isFinite(current.continuousHRV?.score)) {
+    advancedBiomarkers.continuousHRVScore = current.continuousHRV.score;
+  }
+
+  return {
+    chronologicalAge: current.chronologicalAge,
+    sex: current.userProfile?.sex ?? null,
+    biomarkers: pickMeasured(current, TIER1_KEYS),
+    fitnessScore: current.fitnessScore ?? null,
+    hrvValue: current.hrv ?? null,
+    hrvQuality: current.hrvQuality ?? null,
+    advancedBiomarkers,
+    // Clocks entered on the Tier 2/3 screens; older states nest them per tier
+    inflammAge: current.inflammAge ?? current.tier2Data?.inflammAge ?? current.tier3Data?.inflammAge ?? null,
+    dunedinPACE: current.dunedinPACE ?? current.tier3Data?.dunedinPACE ?? null,
+    tier3Data: Object.keys(tier3Data).length > 0 ? tier3Data : null,
+    includeEpigeneticClocks: !!current.settings?.includeEpigeneticClocks,
+  };
+}
+
+export default {
+  chronologicalAgeFromProfile,
+  buildAlgorithmInput
+};
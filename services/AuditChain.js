@@ -0,0 +1,114 @@
+/**
+ * AuditChain.js - Hash chain over audit log entries
+ *
+ * Each entry's SHA-256 hash covers its sequence number and the previous
+ * entry's hash (GENESIS_HASH for the first), so editing, deleting, inserting
+ * or reordering entries breaks a link. The newest { sequence, hash } (the
+ * head) is stored apart from the log, which catches a log cut short or rolled
+ * back to an older copy. AuditLogger stores the entries; the hash function is
+ * passed in (expo-crypto on the device).
+ */
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Text an entry's hash is computed over
+ * Entries written before chaining have no previousHash field and hash
+ * without sequence and previousHash.
+ */
+export const hashInput = (entry) => {
+  const chained = entry.previousHash !== undefined;
+  return JSON.stringify({
+    ...(chained && { sequence: entry.sequence, previousHash: entry.previousHash }),
+    id: entry.id,
+    timestamp: entry.timestamp,
+    eventType: entry.eventType,
+    deviceId: entry.deviceId,
+    details: entry.details
+  });
+};
+
+/**
+ * Link `entries` (in order) after `head`, setting sequence, previousHash and hash
+ *
+ * @param {function} digest - async (text) => SHA-256 hex
+ * @returns {object} New head { sequence, hash }
+ */
+export const appendToChain = async (entries, head, digest) => {
+  let current = head;
+  for (const entry of entries) {
+    entry.sequence = current ? current.sequence + 1 : 0;
+    entry.previousHash = current ? current.hash : GENESIS_HASH;
+    entry.hash = await digest(hashInput(entry));
+    current = { sequence: entry.sequence, hash: entry.hash };
+  }
+  return current;
+};
+
+/**
+ * Verify a chain, oldest entry first, against the stored head
+ *
+ * @param {function} digest - async (text) => SHA-256 hex
+ * @returns {object} { valid, checkedEntries, legacyEntries, brokenAt }
+ *   brokenAt is null or { index, id, sequence, reason } for the first broken
+ *   link, reason being 'hash_mismatch' (entry altered), 'link_mismatch'
+ *   (entries missing, inserted or reordered), 'unchained_entry' or
+ *   'truncated' (newest entries missing)
+ */
+export const verifyEntries = async (entries, head, digest) => {
+  const result = { valid: true, checkedEntries: 0, legacyEntries: 0, brokenAt: null };
+  const broken = (index, entry, reason) => ({
+    ...result,
+    valid: false,
+    brokenAt: { index, id: entry?.id ?? null, sequence: entry?.sequence ?? null, reason }
+  });
+  const intact = async (entry) => entry.hash === await digest(hashInput(entry));
+
+  let previous = null;
+  const hashesBySequence = new Map();
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+
+    // Entries written before chaining may only precede the chain
+    if (entry.previousHash === undefined) {
+      if (previous) return broken(index, entry, 'unchained_entry');
+      if (!(await intact(entry))) return broken(index, entry, 'hash_mismatch');
+      result.legacyEntries++;
+      continue;
+    }
+
+    // An interrupted archive can leave the same entries in both copies
+    if (previous && entry.sequence <= previous.sequence && hashesBySequence.get(entry.sequence) === entry.hash) {
+      continue;
+    }
+
+    const expectedSequence = previous ? previous.sequence + 1 : 0;
+    const expectedPrevious = previous ? previous.hash : GENESIS_HASH;
+    if (entry.sequence !== expectedSequence || entry.previousHash !== expectedPrevious) {
+      return broken(index, entry, 'link_mismatch');
+    }
+    if (!(await intact(entry))) {
+      return broken(index, entry, 'hash_mismatch');
+    }
+
+    hashesBySequence.set(entry.sequence, entry.hash);
+    previous = entry;
+    result.checkedEntries++;
+  }
+
+  // A head beyond the last entry means entries were cut off or rolled back
+  if (head && (!previous || head.sequence > previous.sequence ||
+      (head.sequence === previous.sequence && head.hash !== previous.hash))) {
+    return broken(entries.length, { id: null, sequence: head.sequence }, 'truncated');
+  }
+
+  return result;
+};
+
+export default {
+  GENESIS_HASH,
+  hashInput,
+  appendToChain,
+  verifyEntries
+};
@@ -8,7 +8,12 @@
  * - System errors
  * - Session management
  * 
- * Audit logs are encrypted and tamper-evident
+ * Audit logs are encrypted at rest (EncryptedChunkStore) and hash-chained:
+ * each entry's hash covers its sequence number and the previous entry's hash,
+ * so editing, deleting or reordering entries breaks the chain. The latest
+ * hash is also kept in SecureStore, which catches a truncated log or one
+ * rolled back to an older copy. verifyChain() reports the first broken link
+ * (chain logic in AuditChain.js).
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -16,12 +21,24 @@ import * as SecureStore from 'expo-secure-store';
 import * as Device from 'expo-device';
 import * as Crypto from 'expo-crypto';
 import EncryptionService from './EncryptionService';
+import * as ChunkStore from './EncryptedChunkStore';
+import RemoteAuditSink from './RemoteAuditSink';
+import { hashInput, appendToChain, verifyEntries } from './AuditChain';
+
+const LOGS_KEY = 'audit_logs';
+const ARCHIVE_INDEX_KEY = 'audit_archives';
+const CHAIN_HEAD_KEY = 'audit_chain_head'; // { sequence, hash } of the newest entry
+const MAX_LOG_ENTRIES = 10000;
 
 class AuditLogger {
   constructor() {
     this.logQueue = [];
     this.isInitialized = false;
     this.deviceId = null;
+    this.chainHead = null;
+    this.writeQueue = Promise.resolve();
+    this.pendingEntries = []; // appended together by the next scheduled write
+    this.pendingWrite = null;
   }
 
   /**
@@ -40,8 +57,13 @@ class AuditLogger {
       }
       this.deviceId = deviceId;
       
-      // Load existing audit logs
-      await this.loadLogs();
+      // Resume delivery of events queued for the remote audit server
+      await RemoteAuditSink.start(deviceId);
+      
+      // Logs are encrypted, so events raised while locked wait for the unlock
+      EncryptionService.addUnlockListener(() => {
+        this.processQueue().catch(error => console.error('Audit queue flush failed:', error));
+      });
       
       this.isInitialized = true;
       console.log('✅ Audit logger initialized');
@@ -75,21 +97,21 @@ class AuditLogger {
           appVersion: '1.0.0' // Should come from app.json
         },
         details,
-        hash: null // Will be set after hashing
+        // Chain fields are set when the entry is appended, in write order
+        sequence: null,
+        previousHash: null,
+        hash: null
       };
 
-      // Generate hash for tamper detection
-      logEntry.hash = await this.generateLogHash(logEntry);
-
       // Queue or process immediately
-      if (!this.isInitialized) {
+      if (!this.isInitialized || !EncryptionService.isUnlocked()) {
         this.logQueue.push(logEntry);
       } else {
         await this.saveLog(logEntry);
       }
 
-      // For critical events, also send to remote server (if configured)
-      if (this.isCriticalEvent(eventType)) {
+      // Critical events (or all, per sink config) also go to the remote server
+      if (RemoteAuditSink.shouldSend(this.isCriticalEvent(eventType))) {
         await this.sendToRemoteAudit(logEntry);
       }
 
@@ -114,20 +136,17 @@ class AuditLogger {
 
   /**
    * Generate hash for log entry (for tamper detection)
+   * Chained entries also cover their sequence and the previous entry's hash
    */
   async generateLogHash(logEntry) {
-    const dataToHash = JSON.stringify({
-      id: logEntry.id,
-      timestamp: logEntry.timestamp,
-      eventType: logEntry.eventType,
-      deviceId: logEntry.deviceId,
-      details: logEntry.details
-    });
-    
-    return await Crypto.digestStringAsync(
-      Crypto.CryptoDigestAlgorithm.SHA256,
-      dataToHash
-    );
+    return await this.digest(hashInput(logEntry));
+  }
+
+  /**
+   * SHA-256 (hex) for AuditChain
+   */
+  async digest(text) {
+    return await Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, text);
   }
 
   /**
@@ -140,47 +159,72 @@ class AuditLogger {
   }
 
   /**
-   * Save log entry to secure storage
+   * Append a log entry to the chain and save it
+   * Entries logged while a write is running are coalesced into the next one,
+   * so a burst of events (a data read per stored key, say) costs one rewrite
+   * of the encrypted log rather than one per event.
    */
   async saveLog(logEntry) {
+    this.pendingEntries.push(logEntry);
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.serializeWrite(() => {
+        const entries = this.pendingEntries;
+        this.pendingEntries = [];
+        this.pendingWrite = null;
+        return this.appendEntries(entries);
+      });
+    }
+    return this.pendingWrite;
+  }
+
+  /**
+   * Chain `entries` onto the stored log in order and write it once
+   */
+  async appendEntries(entries) {
     try {
-      // Get existing logs
-      const logs = await this.loadLogs();
-      
-      // Add new log
-      logs.push(logEntry);
+      // Read without the loadLogs fallback: an unreadable log must not be
+      // replaced by a fresh one
+      const logs = await this.readStoredLogs();
+      const previousHead = this.newestHead(await this.getChainHead(), logs[logs.length - 1]);
+      const head = await appendToChain(entries, previousHead, text => this.digest(text));
+      logs.push(...entries);
       
       // Limit log size (keep last 10,000 entries)
-      if (logs.length > 10000) {
+      if (logs.length > MAX_LOG_ENTRIES) {
         // Archive old logs before removing
-        await this.archiveLogs(logs.slice(0, logs.length - 10000));
-        logs.splice(0, logs.length - 10000);
+        await this.archiveLogs(logs.slice(0, logs.length - MAX_LOG_ENTRIES));
+        logs.splice(0, logs.length - MAX_LOG_ENTRIES);
       }
       
-      // Encrypt and save
-      const encrypted = await EncryptionService.encryptObject(logs);
-      await SecureStore.setItemAsync('audit_logs', encrypted);
+      await this.writeStoredLogs(logs);
+      await this.setChainHead(head);
       
       // Update index for quick queries
-      await this.updateLogIndex(logEntry);
+      await this.updateLogIndex(entries);
     } catch (error) {
       console.error('Failed to save audit log:', error);
       // Try to save to emergency backup
-      await this.saveEmergencyLog(logEntry);
+      for (const logEntry of entries) {
+        await this.saveEmergencyLog(logEntry);
+      }
     }
   }
 
+  /**
+   * Run log writes one at a time so each entry chains onto the previous one
+   */
+  serializeWrite(write) {
+    const result = this.writeQueue.then(write);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
   /**
    * Load audit logs from storage
    */
   async loadLogs() {
     try {
-      const encrypted = await SecureStore.getItemAsync('audit_logs');
-      if (encrypted) {
-        const logs = await EncryptionService.decryptObject(encrypted);
-        return logs || [];
-      }
-      return [];
+      return await this.readStoredLogs();
     } catch (error) {
       console.error('Failed to load audit logs:', error);
       return [];
@@ -188,28 +232,88 @@ class AuditLogger {
   }
 
   /**
-   * Update log index for quick queries
+   * Read the current log, falling back to the pre-chunk-store SecureStore copy
+   * Throws when the stored log cannot be decrypted.
    */
-  async updateLogIndex(logEntry) {
-    try {
-      const indexKey = `audit_index_${logEntry.eventType}`;
-      let index = await AsyncStorage.getItem(indexKey);
-      index = index ? JSON.parse(index) : [];
-      
-      index.push({
-        id: logEntry.id,
-        timestamp: logEntry.timestamp,
-        summary: this.generateEventSummary(logEntry)
-      });
-      
-      // Keep index size manageable
-      if (index.length > 1000) {
-        index = index.slice(-1000);
+  async readStoredLogs() {
+    const logs = await ChunkStore.readRecord(LOGS_KEY);
+    if (logs) return logs;
+    
+    const legacy = await SecureStore.getItemAsync(LOGS_KEY);
+    return legacy ? (await EncryptionService.decryptObject(legacy)) || [] : [];
+  }
+
+  /**
+   * Encrypt and save the current log (retiring any legacy SecureStore copy)
+   */
+  async writeStoredLogs(logs) {
+    await ChunkStore.writeRecord(LOGS_KEY, logs);
+    await SecureStore.deleteItemAsync(LOGS_KEY);
+  }
+
+  /**
+   * The stored head lags the log when saving it failed after the log write
+   */
+  newestHead(head, lastEntry) {
+    if (lastEntry?.sequence != null && (!head || lastEntry.sequence > head.sequence)) {
+      return { sequence: lastEntry.sequence, hash: lastEntry.hash };
+    }
+    return head;
+  }
+
+  async getChainHead() {
+    if (!this.chainHead) {
+      const stored = await SecureStore.getItemAsync(CHAIN_HEAD_KEY);
+      this.chainHead = stored ? JSON.parse(stored) : null;
+    }
+    return this.chainHead;
+  }
+
+  async setChainHead(head) {
+    await SecureStore.setItemAsync(CHAIN_HEAD_KEY, JSON.stringify(head));
+    this.chainHead = head;
+  }
+
+  /**
+   * Forget the chain head - only for a full data wipe, when the log goes too
+   */
+  async resetChain() {
+    await this.serializeWrite(async () => {
+      await SecureStore.deleteItemAsync(CHAIN_HEAD_KEY);
+      this.chainHead = null;
+    });
+  }
+
+  /**
+   * Update log index for quick queries (one index per event type)
+   */
+  async updateLogIndex(entries) {
+    const byType = entries.reduce((groups, logEntry) => {
+      (groups[logEntry.eventType] = groups[logEntry.eventType] || []).push(logEntry);
+      return groups;
+    }, {});
+    
+    for (const [eventType, typeEntries] of Object.entries(byType)) {
+      try {
+        const indexKey = `audit_index_${eventType}`;
+        let index = await AsyncStorage.getItem(indexKey);
+        index = index ? JSON.parse(index) : [];
+        
+        index.push(...typeEntries.map(logEntry => ({
+          id: logEntry.id,
+          timestamp: logEntry.timestamp,
+          summary: this.generateEventSummary(logEntry)
+        })));
+        
+        // Keep index size manageable
+        if (index.length > 1000) {
+          index = index.slice(-1000);
+        }
+        
+        await AsyncStorage.setItem(indexKey, JSON.stringify(index));
+      } catch (error) {
+        console.error('Failed to update log index:', error);
       }
-      
-      await AsyncStorage.setItem(indexKey, JSON.stringify(index));
-    } catch (error) {
-      console.error('Failed to update log index:', error);
     }
   }
 
@@ -223,13 +327,27 @@ class AuditLogger {
       case 'AUTH_FAILED':
         return `Failed login attempt via ${logEntry.details.method}`;
       case 'DATA_ACCESS':
-        return `Accessed ${logEntry.details.dataType}`;
+        return `Accessed ${logEntry.details.key || logEntry.details.dataType}`;
       case 'DATA_MODIFIED':
         return `Modified ${logEntry.details.dataType}`;
+      case 'DATA_MODIFY':
+        return `${logEntry.details.operation} ${logEntry.details.key} (${logEntry.details.recordCount ?? '-'} records)`;
+      case 'DATA_EXPORT':
+        return `Exported ${logEntry.details.recordCount} records to ${logEntry.details.destination}`;
+      case 'AUDIT_SETTINGS_CHANGED':
+        return `Audit ${logEntry.details.setting} changed ${logEntry.details.from} → ${logEntry.details.to}`;
       case 'SESSION_EXPIRED':
-        return `Session expired after ${logEntry.details.timeSinceAuth}ms`;
+        return `Session expired after ${logEntry.details.timeSinceAuth}ms (${logEntry.details.reason})`;
+      case 'ACCOUNT_LOCKED':
+        return `PIN entry locked for ${Math.round(logEntry.details.lockedForMs / 1000)}s after ${logEntry.details.attempts} failures`;
+      case 'DATA_WIPED':
+        return `All data wiped after ${logEntry.details.attempts} failed attempts`;
       case 'LOGOUT':
         return `Logout (${logEntry.details.reason})`;
+      case 'KEY_ROTATED':
+        return `Encryption key rotated v${logEntry.details.fromVersion} → v${logEntry.details.toVersion}`;
+      case 'KEY_ROTATION_FAILED':
+        return `Key rotation to v${logEntry.details.toVersion} failed: ${logEntry.details.error}`;
       default:
         return logEntry.eventType;
     }
@@ -239,15 +357,14 @@ class AuditLogger {
    * Process queued logs
    */
   async processQueue() {
-    if (this.logQueue.length === 0) return;
+    if (this.logQueue.length === 0 || !EncryptionService.isUnlocked()) return;
     
     console.log(`Processing ${this.logQueue.length} queued audit logs...`);
     
-    for (const logEntry of this.logQueue) {
-      await this.saveLog(logEntry);
-    }
-    
+    const queued = this.logQueue;
     this.logQueue = [];
+    // Queued in order without waiting, so they are appended in one write
+    await Promise.all(queued.map(logEntry => this.saveLog(logEntry)));
   }
 
   /**
@@ -261,70 +378,38 @@ class AuditLogger {
       'MULTIPLE_FAILED_LOGINS',
       'UNAUTHORIZED_ACCESS',
       'DATA_EXPORT',
-      'ACCOUNT_LOCKED'
+      'ACCOUNT_LOCKED',
+      'DATA_WIPED',
+      'KEY_ROTATION_FAILED'
     ];
     
     return criticalEvents.includes(eventType);
   }
 
   /**
-   * Send critical events to remote audit server
+   * Send an event to the remote audit server
+   * Queued first, so it is delivered later if the server is unreachable.
    */
   async sendToRemoteAudit(logEntry) {
-    // In production, implement secure transmission to HIPAA-compliant audit server
-    // This is a placeholder for the remote audit capability
-    
     try {
-      // Example: Send to your secure audit endpoint
-      /*
-      const response = await fetch('https://your-audit-server.com/api/audit', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Device-ID': this.deviceId,
-          'X-Timestamp': logEntry.timestamp
-        },
-        body: JSON.stringify({
-          log: logEntry,
-          signature: await this.signLog(logEntry)
-        })
-      });
-      */
-      
-      console.log('📡 Critical event logged:', logEntry.eventType);
+      await RemoteAuditSink.enqueue(logEntry);
     } catch (error) {
-      console.error('Failed to send to remote audit:', error);
-      // Store for later transmission
-      await this.queueForRemote(logEntry);
-    }
-  }
-
-  /**
-   * Queue logs for remote transmission when connection is restored
-   */
-  async queueForRemote(logEntry) {
-    try {
-      let queue = await AsyncStorage.getItem('remote_audit_queue');
-      queue = queue ? JSON.parse(queue) : [];
-      queue.push(logEntry);
-      await AsyncStorage.setItem('remote_audit_queue', JSON.stringify(queue));
-    } catch (error) {
-      console.error('Failed to queue for remote:', error);
+      console.error('Failed to queue for remote audit:', error);
     }
   }
 
   /**
    * Archive old logs
+   * Throws on failure so the caller keeps the entries rather than dropping
+   * them and breaking the chain.
    */
   async archiveLogs(logsToArchive) {
     try {
       const archiveKey = `audit_archive_${Date.now()}`;
-      const encrypted = await EncryptionService.encryptObject(logsToArchive);
-      await SecureStore.setItemAsync(archiveKey, encrypted);
+      await ChunkStore.writeRecord(archiveKey, logsToArchive);
       
       // Track archive in index
-      let archiveIndex = await AsyncStorage.getItem('audit_archives');
-      archiveIndex = archiveIndex ? JSON.parse(archiveIndex) : [];
+      const archiveIndex = await this.loadArchiveIndex();
       archiveIndex.push({
         key: archiveKey,
         timestamp: new Date().toISOString(),
@@ -332,10 +417,74 @@ class AuditLogger {
         startDate: logsToArchive[0].timestamp,
         endDate: logsToArchive[logsToArchive.length - 1].timestamp
       });
-      await AsyncStorage.setItem('audit_archives', JSON.stringify(archiveIndex));
+      await AsyncStorage.setItem(ARCHIVE_INDEX_KEY, JSON.stringify(archiveIndex));
     } catch (error) {
       console.error('Failed to archive logs:', error);
+      throw error;
+    }
+  }
+
+  async loadArchiveIndex() {
+    const archiveIndex = await AsyncStorage.getItem(ARCHIVE_INDEX_KEY);
+    return archiveIndex ? JSON.parse(archiveIndex) : [];
+  }
+
+  /**
+   * Read an archive, falling back to the pre-chunk-store SecureStore copy
+   */
+  async loadArchive(archiveKey) {
+    const entries = await ChunkStore.readRecord(archiveKey);
+    if (entries) return entries;
+    
+    const legacy = await SecureStore.getItemAsync(archiveKey);
+    return legacy ? (await EncryptionService.decryptObject(legacy)) || [] : [];
+  }
+
+  /**
+   * Re-encrypt logs still in SecureStore under the incoming key
+   * (called by KeyRotationService while a key rotation is pending; logs in
+   * EncryptedChunkStore are rotated with the other records)
+   * 
+   * @returns {number} Number of stored blobs re-encrypted
+   */
+  async reencryptStoredLogs() {
+    const archiveIndex = await this.loadArchiveIndex();
+    
+    const keys = [LOGS_KEY, ...archiveIndex.map(archive => archive.key)];
+    let count = 0;
+    
+    for (const key of keys) {
+      const encrypted = await SecureStore.getItemAsync(key);
+      if (!encrypted) continue;
+      
+      await SecureStore.setItemAsync(key, await EncryptionService.reencrypt(encrypted));
+      count++;
+    }
+    
+    return count;
+  }
+
+  /**
+   * Rewrite logs still in SecureStore that predate the authenticated (v2) format
+   * (called by KeyRotationService.migrateLegacyRecords)
+   * 
+   * @returns {number} Number of stored blobs upgraded
+   */
+  async upgradeLegacyLogs() {
+    const archiveIndex = await this.loadArchiveIndex();
+    
+    const keys = [LOGS_KEY, ...archiveIndex.map(archive => archive.key)];
+    let count = 0;
+    
+    for (const key of keys) {
+      const encrypted = await SecureStore.getItemAsync(key);
+      if (!EncryptionService.isLegacyCiphertext(encrypted)) continue;
+      
+      await SecureStore.setItemAsync(key, await EncryptionService.upgradeLegacy(encrypted));
+      count++;
     }
+    
+    return count;
   }
 
   /**
@@ -351,6 +500,22 @@ class AuditLogger {
     }
   }
 
+  /**
+   * Verify the hash chain across all archives and the current log
+   * 
+   * @returns {object} { valid, checkedEntries, legacyEntries, brokenAt } (see AuditChain.verifyEntries)
+   */
+  async verifyChain() {
+    const archiveIndex = await this.loadArchiveIndex();
+    const entries = [];
+    for (const archive of archiveIndex) {
+      entries.push(...await this.loadArchive(archive.key));
+    }
+    entries.push(...await this.readStoredLogs());
+    
+    return verifyEntries(entries, await this.getChainHead(), text => this.digest(text));
+  }
+
   /**
    * Query audit logs
    */
@@ -402,6 +567,7 @@ class AuditLogger {
   async generateReport(startDate, endDate) {
     try {
       const logs = await this.queryLogs({ startDate, endDate });
+      const chainVerification = await this.verifyChain();
       
       const report = {
         generatedAt: new Date().toISOString(),
@@ -410,7 +576,8 @@ class AuditLogger {
         totalEvents: logs.length,
         eventSummary: {},
         suspiciousActivity: [],
-        integrityIssues: []
+        integrityIssues: [],
+        chainVerification
       };
       
       // Analyze logs
@@ -438,7 +605,9 @@ class AuditLogger {
           totalEvents: report.totalEvents,
           eventTypes: Object.keys(report.eventSummary).length,
           suspiciousEvents: report.suspiciousActivity.length,
-          integrityIssues: report.integrityIssues.length
+          integrityIssues: report.integrityIssues.length,
+          chainValid: chainVerification.valid,
+          chainBrokenAt: chainVerification.brokenAt
         }
       };
     } catch (error) {
@@ -451,31 +620,34 @@ class AuditLogger {
    * Clear old logs (with retention policy)
    */
   async clearOldLogs(retentionDays = 180) {
-    try {
-      const cutoffDate = Date.now() - (retentionDays * 24 * 60 * 60 * 1000);
-      const logs = await this.loadLogs();
-      
-      const logsToArchive = logs.filter(log => new Date(log.timestamp).getTime() < cutoffDate);
-      const logsToKeep = logs.filter(log => new Date(log.timestamp).getTime() >= cutoffDate);
-      
-      if (logsToArchive.length > 0) {
-        await this.archiveLogs(logsToArchive);
+    return this.serializeWrite(async () => {
+      try {
+        const cutoffDate = Date.now() - (retentionDays * 24 * 60 * 60 * 1000);
+        const logs = await this.readStoredLogs();
         
-        // Save remaining logs
-        const encrypted = await EncryptionService.encryptObject(logsToKeep);
-        await SecureStore.setItemAsync('audit_logs', encrypted);
+        // Entries are in append order, so this splits off a prefix and the
+        // chain continues from the archive into the kept entries
+        const logsToArchive = logs.filter(log => new Date(log.timestamp).getTime() < cutoffDate);
+        const logsToKeep = logs.filter(log => new Date(log.timestamp).getTime() >= cutoffDate);
+        
+        if (logsToArchive.length > 0) {
+          await this.archiveLogs(logsToArchive);
+          
+          // Save remaining logs
+          await this.writeStoredLogs(logsToKeep);
+          
+          console.log(`✅ Archived ${logsToArchive.length} old audit logs`);
+        }
         
-        console.log(`✅ Archived ${logsToArchive.length} old audit logs`);
+        return {
+          archived: logsToArchive.length,
+          retained: logsToKeep.length
+        };
+      } catch (error) {
+        console.error('Failed to clear old logs:', error);
+        throw error;
       }
-      
-      return {
-        archived: logsToArchive.length,
-        retained: logsToKeep.length
-      };
-    } catch (error) {
-      console.error('Failed to clear old logs:', error);
-      throw error;
-    }
+    });
   }
 }
 
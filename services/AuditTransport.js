@@ -0,0 +1,70 @@
+/**
+ * AuditTransport.js - Signed batch delivery to the remote audit server
+ *
+ * Each batch is POSTed as JSON { deviceId, sentAt, entries } with an
+ * HMAC-SHA256 signature over `<timestamp>.<body>` under the signing key shared
+ * with the server (headers X-Device-ID, X-Timestamp, X-Signature). The server
+ * deduplicates by entry id, so a batch resent after a lost response is safe.
+ * RemoteAuditSink owns the queue and retries failed sends after
+ * getRetryDelay(attempt); mock-audit-server.js implements the server side.
+ */
+
+import CryptoJS from 'crypto-js';
+
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * HMAC-SHA256 signature of a batch body (hex)
+ */
+export const signPayload = (signingKey, timestamp, body) =>
+  CryptoJS.HmacSHA256(`${timestamp}.${body}`, signingKey).toString(CryptoJS.enc.Hex);
+
+/**
+ * Delay before retry number `attempt` (1-based), with ±20% jitter
+ */
+export const getRetryDelay = (attempt) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * POST one signed batch; throws unless the server answers 2xx
+ *
+ * @param {object} target - { endpoint, signingKey, deviceId }
+ * @param {Array} entries - Audit log entries
+ */
+export const postBatch = async ({ endpoint, signingKey, deviceId }, entries) => {
+  const timestamp = new Date().toISOString();
+  const body = JSON.stringify({ deviceId, sentAt: timestamp, entries });
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Device-ID': deviceId || 'unknown',
+        'X-Timestamp': timestamp,
+        'X-Signature': signPayload(signingKey, timestamp, body)
+      },
+      body,
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Audit server responded ${response.status}`);
+    }
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+export default {
+  signPayload,
+  getRetryDelay,
+  postBatch
+};
@@ -0,0 +1,141 @@
+/**
+ * BackupManifest.js - Readable manifest and integrity checks of backup files
+ *
+ * The file layout is described in EncryptedBackup.js, which seals and opens
+ * the payload. Here: the manifest, the SHA-256 checksum over the payload
+ * (checked before decryption) and the manifest copy bound into the ciphertext
+ * (compared after decryption), so an edited payload or manifest is refused
+ * with code 'BACKUP_TAMPERED'.
+ */
+
+import CryptoJS from 'crypto-js';
+
+export const BACKUP_FORMAT = 'praxiom-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+
+export const backupError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const sha256 = (text) => CryptoJS.SHA256(text).toString(CryptoJS.enc.Hex);
+
+const recordCountsFor = (data) => ({
+  biomarkers: data.biomarkerHistory?.length || 0,
+  wearables: data.wearableHistory?.length || 0
+});
+
+// Manifest fields bound into the ciphertext (everything but the checksum)
+const boundFields = ({ schemaVersion, dataVersion, createdAt, keySource, recordCounts }) =>
+  JSON.stringify({ schemaVersion, dataVersion, createdAt, keySource, recordCounts });
+
+/**
+ * Whether parsed file contents are an encrypted backup (vs. a legacy plain JSON export)
+ */
+export const isEncryptedBackup = (contents) =>
+  !!contents && typeof contents === 'object' && contents.format === BACKUP_FORMAT;
+
+/**
+ * Data of a plain JSON export from an earlier version
+ * Such a file has no checksum or MAC, so it is refused ('UNENCRYPTED_BACKUP')
+ * unless the user confirmed importing it; a file that is not an export at all
+ * is refused either way ('UNSUPPORTED_BACKUP').
+ */
+export const readLegacyBackup = (contents, { allowLegacy = false } = {}) => {
+  if (!contents || typeof contents !== 'object' || !Array.isArray(contents.biomarkerHistory) ||
+      (contents.wearableHistory !== undefined && !Array.isArray(contents.wearableHistory))) {
+    throw backupError('UNSUPPORTED_BACKUP', 'This file is not a Praxiom backup');
+  }
+  if (!allowLegacy) {
+    throw backupError('UNENCRYPTED_BACKUP', 'This backup is not encrypted and cannot be checked for tampering');
+  }
+  return contents;
+};
+
+/**
+ * Manifest for exported `data` and the plaintext to seal (manifest copy plus data)
+ *
+ * @param {string} keySource - 'passphrase' or 'device'
+ * @returns {object} { manifest, plaintext }
+ */
+export const prepareBackup = (data, keySource, createdAt = new Date().toISOString()) => {
+  const manifest = {
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    dataVersion: data.version,
+    createdAt,
+    keySource,
+    recordCounts: recordCountsFor(data)
+  };
+  const plaintext = JSON.stringify({ manifest: JSON.parse(boundFields(manifest)), data });
+  return { manifest, plaintext };
+};
+
+/**
+ * File contents for a sealed payload (envelope string)
+ *
+ * @param {object} kdf - Passphrase key derivation parameters, if any
+ */
+export const finishBackup = (manifest, payload, kdf = null) => ({
+  format: BACKUP_FORMAT,
+  manifest: {
+    ...manifest,
+    ...(kdf && { kdf }),
+    cipher: payload.split(':').slice(0, 2).join(':'),
+    checksum: { algorithm: 'SHA-256', value: sha256(payload) }
+  },
+  payload
+});
+
+/**
+ * Checks before decryption: completeness, schema version and payload checksum
+ * Throws with code 'UNSUPPORTED_BACKUP' or 'BACKUP_TAMPERED'.
+ */
+export const checkBackupFile = ({ manifest, payload } = {}) => {
+  if (!manifest || typeof payload !== 'string') {
+    throw backupError('BACKUP_TAMPERED', 'Backup file is incomplete');
+  }
+  if (manifest.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw backupError('UNSUPPORTED_BACKUP', `Backup was made by a newer app version (schema ${manifest.schemaVersion})`);
+  }
+  if (manifest.checksum?.algorithm !== 'SHA-256' || manifest.checksum.value !== sha256(payload)) {
+    throw backupError('BACKUP_TAMPERED', 'Backup checksum does not match - the file is damaged or was modified');
+  }
+};
+
+/**
+ * File contents with the payload re-encrypted by `reencrypt` (key rotation)
+ * The checksum is verified first and recomputed over the new payload; the
+ * sealed manifest copy is carried over unchanged.
+ *
+ * @param {function} reencrypt - async (payload) => payload under the new key
+ */
+export const resealBackup = async (contents, reencrypt) => {
+  checkBackupFile(contents);
+  const { cipher, checksum, kdf, ...manifest } = contents.manifest;
+  return finishBackup(manifest, await reencrypt(contents.payload), kdf);
+};
+
+/**
+ * Data from decrypted plaintext; throws 'BACKUP_TAMPERED' when the readable
+ * manifest differs from the copy sealed with the data
+ */
+export const readBackupPlaintext = (manifest, plaintext) => {
+  const { manifest: sealedManifest, data } = JSON.parse(plaintext);
+  if (JSON.stringify(sealedManifest) !== boundFields(manifest)) {
+    throw backupError('BACKUP_TAMPERED', 'Backup manifest does not match its encrypted contents');
+  }
+  return data;
+};
+
+export default {
+  BACKUP_FORMAT,
+  BACKUP_SCHEMA_VERSION,
+  isEncryptedBackup,
+  readLegacyBackup,
+  prepareBackup,
+  finishBackup,
+  checkBackupFile,
+  resealBackup,
+  readBackupPlaintext
+};
@@ -0,0 +1,550 @@
+/**
+ * BiomarkerSchema.js - Canonical Biomarker Definitions & Validation
+ *
+ * Single source of truth for every analyte the app collects. Input screens,
+ * StorageService.saveBiomarkerEntry and PraxiomAlgorithm all read field names,
+ * units and plausible ranges from here, so a value entered on one screen is
+ * always scored under the same key by the algorithm.
+ *
+ * - key:         canonical field name used in storage and scoring
+ * - displayName: label shown to the user and in validation messages
+ * - unit:        canonical unit the algorithm expects
+ * - range:       plausible physiological range [min, max] (inclusive)
+ * - tier:        protocol tier that collects the marker (1, 2 or 3)
+ * - panel:       scoring panel the marker belongs to
+ * - aliases:     legacy field names still found in older entries and screens
+ *
+ * Values may be entered in any unit UnitConversion supports; a `units` map
+ * ({ field: unit }) alongside the values tells validation which unit each
+ * value is in, and everything is converted to the canonical unit before
+ * range checks and scoring.
+ */
+
+import { isSupportedUnit, toCanonical } from './UnitConversion.js';
+
+// ============================================================================
+// BIOMARKER DEFINITIONS
+// ============================================================================
+
+export const BIOMARKER_SCHEMA = {
+  // Tier 1 - Oral Health
+  salivaryPH: {
+    key: 'salivaryPH',
+    displayName: 'Salivary pH',
+    unit: 'pH',
+    range: [5.0, 9.0],
+    tier: 1,
+    panel: 'oral',
+    aliases: []
+  },
+  activeMMP8: {
+    key: 'activeMMP8',
+    displayName: 'Active MMP-8',
+    unit: 'ng/mL',
+    range: [0, 500],
+    tier: 1,
+    panel: 'oral',
+    aliases: ['mmp8']
+  },
+  proteinCarbonyls: {
+    key: 'proteinCarbonyls',
+    displayName: 'Salivary Protein Carbonyls',
+    unit: 'nmol/mg',
+    range: [0, 20],
+    tier: 1,
+    panel: 'oral',
+    aliases: []
+  },
+  salivaryFlow: {
+    key: 'salivaryFlow',
+    displayName: 'Salivary Flow Rate',
+    unit: 'mL/min',
+    range: [0, 10],
+    tier: 1,
+    panel: 'oral',
+    aliases: ['flowRate', 'salivaryFlowRate']
+  },
+
+  // Tier 1 - Systemic Health
+  hsCRP: {
+    key: 'hsCRP',
+    displayName: 'hs-CRP',
+    unit: 'mg/L',
+    range: [0, 50],
+    tier: 1,
+    panel: 'systemic',
+    aliases: []
+  },
+  omega3Index: {
+    key: 'omega3Index',
+    displayName: 'Omega-3 Index',
+    unit: '%',
+    range: [0, 20],
+    tier: 1,
+    panel: 'systemic',
+    aliases: ['omega3']
+  },
+  hba1c: {
+    key: 'hba1c',
+    displayName: 'HbA1c',
+    unit: '%',
+    range: [4.0, 15.0],
+    tier: 1,
+    panel: 'systemic',
+    aliases: ['hbA1c']
+  },
+  gdf15: {
+    key: 'gdf15',
+    displayName: 'GDF-15',
+    unit: 'pg/mL',
+    range: [0, 10000],
+    tier: 1,
+    panel: 'systemic',
+    aliases: []
+  },
+  vitaminD: {
+    key: 'vitaminD',
+    displayName: 'Vitamin D',
+    unit: 'ng/mL',
+    range: [0, 200],
+    tier: 1,
+    panel: 'systemic',
+    aliases: []
+  },
+
+  // Tier 1 - Wearable (optional)
+  hrv: {
+    key: 'hrv',
+    displayName: 'HRV RMSSD',
+    unit: 'ms',
+    range: [1, 300],
+    tier: 1,
+    panel: 'wearable',
+    aliases: ['hrvValue', 'hrvRMSSD']
+  },
+  heartRate: {
+    key: 'heartRate',
+    displayName: 'Heart Rate',
+    unit: 'bpm',
+    range: [25, 250],
+    tier: 1,
+    panel: 'wearable',
+    aliases: []
+  },
+  steps: {
+    key: 'steps',
+    displayName: 'Daily Steps',
+    unit: 'steps',
+    range: [0, 100000],
+    tier: 1,
+    panel: 'wearable',
+    aliases: ['dailySteps']
+  },
+  spO2: {
+    key: 'spO2',
+    displayName: 'Oxygen Saturation',
+    unit: '%',
+    range: [50, 100],
+    tier: 1,
+    panel: 'wearable',
+    aliases: []
+  },
+
+  // Tier 2 - Inflammatory & Oxidative Panel
+  il6: {
+    key: 'il6',
+    displayName: 'IL-6',
+    unit: 'pg/mL',
+    range: [0, 100],
+    tier: 2,
+    panel: 'inflammatory',
+    aliases: []
+  },
+  il1b: {
+    key: 'il1b',
+    displayName: 'IL-1β',
+    unit: 'pg/mL',
+    range: [0, 50],
+    tier: 2,
+    panel: 'inflammatory',
+    aliases: []
+  },
+  tnfa: {
+    key: 'tnfa',
+    displayName: 'TNF-α',
+    unit: 'pg/mL',
+    range: [0, 100],
+    tier: 2,
+    panel: 'inflammatory',
+    aliases: ['tnfAlpha']
+  },
+  ohdg8: {
+    key: 'ohdg8',
+    displayName: '8-OHdG',
+    unit: 'ng/mL',
+    range: [0, 50],
+    tier: 2,
+    panel: 'inflammatory',
+    aliases: ['ohgd8', 'ohd8g']
+  },
+  // Plasma carbonyls run lower than salivary ones, so they are scored
+  // against their own range under a separate key
+  plasmaProteinCarbonyls: {
+    key: 'plasmaProteinCarbonyls',
+    displayName: 'Plasma Protein Carbonyls',
+    unit: 'nmol/mg',
+    range: [0, 20],
+    tier: 2,
+    panel: 'inflammatory',
+    aliases: []
+  },
+
+  // Tier 2 - NAD+ Metabolism
+  nadLevel: {
+    key: 'nadLevel',
+    displayName: 'NAD+',
+    unit: 'μM',
+    range: [0, 2000],
+    tier: 2,
+    panel: 'nad',
+    aliases: ['nadPlus']
+  },
+  nadRatio: {
+    key: 'nadRatio',
+    displayName: 'NAD+/NADH Ratio',
+    unit: 'ratio',
+    range: [0, 10],
+    tier: 2,
+    panel: 'nad',
+    aliases: []
+  },
+  cd38Activity: {
+    key: 'cd38Activity',
+    displayName: 'CD38 Activity',
+    unit: 'nmol/min/μg',
+    range: [0, 500],
+    tier: 2,
+    panel: 'nad',
+    aliases: []
+  },
+
+  // Tier 2 - Clocks, Wearable & Microbiome
+  inflammAge: {
+    key: 'inflammAge',
+    displayName: 'InflammAge',
+    unit: 'years',
+    range: [0, 120],
+    tier: 2,
+    panel: 'clock',
+    aliases: []
+  },
+  continuousHRVScore: {
+    key: 'continuousHRVScore',
+    displayName: 'Continuous HRV Score',
+    unit: 'score',
+    range: [0, 100],
+    tier: 2,
+    panel: 'wearable',
+    aliases: []
+  },
+  microbiomeRiskScore: {
+    key: 'microbiomeRiskScore',
+    displayName: 'Microbiome Risk Score',
+    unit: 'score',
+    range: [0, 100],
+    tier: 2,
+    panel: 'microbiome',
+    aliases: []
+  },
+
+  // Tier 3 - Precision Mastery
+  mriScore: {
+    key: 'mriScore',
+    displayName: 'MRI Score',
+    unit: 'score',
+    range: [0, 10],
+    tier: 3,
+    panel: 'tier3',
+    aliases: []
+  },
+  geneticScore: {
+    key: 'geneticScore',
+    displayName: 'Genetic Risk Score',
+    unit: 'score',
+    range: [0, 10],
+    tier: 3,
+    panel: 'tier3',
+    aliases: ['geneticRiskScore']
+  },
+  dunedinPACE: {
+    key: 'dunedinPACE',
+    displayName: 'DunedinPACE',
+    unit: 'years/year',
+    range: [0.3, 3.0],
+    tier: 3,
+    panel: 'epigenetic',
+    aliases: []
+  },
+  elovl2Age: {
+    key: 'elovl2Age',
+    displayName: 'ELOVL2 Epigenetic Age',
+    unit: 'years',
+    range: [0, 120],
+    tier: 3,
+    panel: 'epigenetic',
+    aliases: []
+  },
+  intrinsicCapacity: {
+    key: 'intrinsicCapacity',
+    displayName: 'Intrinsic Capacity',
+    unit: 'score',
+    range: [0, 100],
+    tier: 3,
+    panel: 'epigenetic',
+    aliases: []
+  }
+};
+
+/**
+ * Non-biomarker fields that history entries carry alongside the analytes
+ * (metadata, calculated scores and screen-specific details)
+ */
+export const ENTRY_FIELDS = [
+  'timestamp',
+  'dateEntered',
+  'assessmentDate',
+  'tier',
+  'source',
+  'importCopyId',
+  'notes',
+  'age',
+  'chronologicalAge',
+  'bioAge',
+  'biologicalAge',
+  'adjustedBioAge',
+  'epigeneticAge',
+  'deviation',
+  'ageGroup',
+  'oralScore',
+  'systemicScore',
+  'vitalityIndex',
+  'fitnessScore',
+  'aerobicScore',
+  'flexibilityScore',
+  'balanceScore',
+  'mindBodyScore',
+  'testDetails',
+  'tier2Adjustment',
+  'adjustment',
+  'paceStatus',
+  'paceAdjustment',
+  'elovl2Deviation',
+  'icAdjustment',
+  'clockComparison',
+  'scores',
+  'dataQuality',
+  'recommendations'
+];
+
+// Alias -> canonical key lookup, built once from the schema
+const ALIAS_MAP = Object.values(BIOMARKER_SCHEMA).reduce((map, definition) => {
+  map[definition.key] = definition.key;
+  definition.aliases.forEach(alias => {
+    map[alias] = definition.key;
+  });
+  return map;
+}, {});
+
+// ============================================================================
+// LOOKUP HELPERS
+// ============================================================================
+
+/**
+ * Resolve a field name (canonical or legacy alias) to its canonical key
+ * Returns null for fields that are not biomarkers
+ */
+export const resolveKey = (field) => {
+  return ALIAS_MAP[field] || null;
+};
+
+/**
+ * Get the schema definition for a field name or alias
+ */
+export const getDefinition = (field) => {
+  const key = resolveKey(field);
+  return key ? BIOMARKER_SCHEMA[key] : null;
+};
+
+/**
+ * Get all definitions collected at a given tier, optionally filtered by panel
+ */
+export const getBiomarkersForTier = (tier, panel = null) => {
+  return Object.values(BIOMARKER_SCHEMA).filter(definition =>
+    definition.tier === tier && (panel === null || definition.panel === panel)
+  );
+};
+
+/**
+ * Input label in the "Name (unit)" form used across the input screens
+ */
+export const formatLabel = (field) => {
+  const definition = getDefinition(field);
+  if (!definition) return field;
+  return `${definition.displayName} (${definition.unit})`;
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const isMissing = (value) => {
+  return value === null || value === undefined || value === '';
+};
+
+/**
+ * Validate a single biomarker value against its plausible range
+ * Returns an error message, or null if the value is valid or missing
+ */
+export const validateValue = (field, value) => {
+  const definition = getDefinition(field);
+  if (!definition) {
+    return `Unknown biomarker field: ${field}`;
+  }
+
+  if (isMissing(value)) return null;
+
+  const numeric = typeof value === 'number' ? value : parseFloat(value);
+  if (isNaN(numeric)) {
+    return `${definition.displayName} must be a valid number`;
+  }
+
+  return validateCanonicalValue(definition, numeric);
+};
+
+/**
+ * Range check for a numeric value already in the canonical unit
+ */
+const validateCanonicalValue = (definition, numeric) => {
+  const [min, max] = definition.range;
+  if (numeric < min || numeric > max) {
+    return `${definition.displayName} must be between ${min} and ${max} ${definition.unit}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate and canonicalize a set of biomarker values
+ *
+ * Legacy aliases are renamed to their canonical key, numeric strings are
+ * parsed, values are converted to their canonical unit, and missing values
+ * (null, undefined, '') are kept as null so the algorithm can tell them apart
+ * from real measurements. The returned values carry a `units` map with the
+ * canonical unit of every biomarker present.
+ *
+ * @param {object} input - Raw biomarker values keyed by canonical name or alias,
+ *                         optionally with a `units` map ({ field: unit })
+ * @param {object} options - { allowedFields: extra non-biomarker keys to pass through }
+ * @returns {object} { valid, errors: [{ field, message }], values }
+ */
+export const validateBiomarkers = (input, options = {}) => {
+  const { allowedFields = [] } = options;
+  const errors = [];
+  const values = {};
+
+  if (!input || typeof input !== 'object') {
+    return { valid: false, errors: [{ field: null, message: 'Biomarker data must be an object' }], values };
+  }
+
+  const inputUnits = input.units && typeof input.units === 'object' ? input.units : {};
+
+  for (const [field, raw] of Object.entries(input)) {
+    if (field === 'units') continue;
+
+    const key = resolveKey(field);
+
+    if (!key) {
+      if (allowedFields.includes(field)) {
+        values[field] = raw;
+      } else {
+        errors.push({ field, message: `Unknown biomarker field: ${field}` });
+      }
+      continue;
+    }
+
+    if (field !== key && !isMissing(input[key])) {
+      errors.push({ field, message: `${field} duplicates ${key}` });
+      continue;
+    }
+
+    if (isMissing(raw)) {
+      if (!(key in values)) values[key] = null;
+      continue;
+    }
+
+    const definition = BIOMARKER_SCHEMA[key];
+    const unit = inputUnits[field] || inputUnits[key] || definition.unit;
+    if (!isSupportedUnit(key, unit, definition.unit)) {
+      errors.push({ field, message: `${definition.displayName} cannot be entered in ${unit}` });
+      continue;
+    }
+
+    const numeric = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (isNaN(numeric)) {
+      errors.push({ field, message: `${definition.displayName} must be a valid number` });
+      continue;
+    }
+
+    const canonical = toCanonical(key, numeric, unit);
+    const message = validateCanonicalValue(definition, canonical);
+    if (message) {
+      errors.push({ field, message });
+      continue;
+    }
+
+    values[key] = canonical;
+  }
+
+  const measured = Object.keys(values).filter(key => BIOMARKER_SCHEMA[key] && values[key] !== null);
+  if (measured.length > 0) {
+    values.units = measured.reduce((units, key) => {
+      units[key] = BIOMARKER_SCHEMA[key].unit;
+      return units;
+    }, {});
+  }
+
+  return { valid: errors.length === 0, errors, values };
+};
+
+/**
+ * Validate biomarker values and return the canonical set
+ * Throws if any field is unknown or out of range
+ */
+export const normalizeBiomarkers = (input, options = {}) => {
+  const { valid, errors, values } = validateBiomarkers(input || {}, options);
+  if (!valid) {
+    throw new Error(errors.map(e => e.message).join('\n'));
+  }
+  return values;
+};
+
+/**
+ * Validate a history entry before it is persisted
+ * Biomarker fields are canonicalized; known metadata fields pass through
+ */
+export const normalizeBiomarkerEntry = (entry) => {
+  return normalizeBiomarkers(entry, { allowedFields: ENTRY_FIELDS });
+};
+
+export default {
+  BIOMARKER_SCHEMA,
+  ENTRY_FIELDS,
+  resolveKey,
+  getDefinition,
+  getBiomarkersForTier,
+  formatLabel,
+  validateValue,
+  validateBiomarkers,
+  normalizeBiomarkers,
+  normalizeBiomarkerEntry
+};
@@ -0,0 +1,181 @@
+/**
+ * ChunkedRecordStore.js - Encrypted records split into fixed-size chunks
+ *
+ * createChunkedRecordStore binds the store to a key-value storage with the
+ * AsyncStorage interface (getItem, setItem, multiGet, multiSet, multiRemove,
+ * getAllKeys) and a cipher with the EncryptionService interface (encrypt,
+ * decrypt, reencrypt, isLegacyCiphertext). EncryptedChunkStore.js is the
+ * instance the app uses; see its header for the layout and locking.
+ */
+
+const MANIFEST_PREFIX = 'enc_';
+export const CHUNK_SIZE = 64 * 1024; // characters of ciphertext per storage row
+const STORE_VERSION = 1;
+
+const manifestKey = (key) => `${MANIFEST_PREFIX}${key}`;
+const chunkKey = (key, generation, index) => `${MANIFEST_PREFIX}${key}#${generation}:${index}`;
+
+const chunkKeysFor = (key, manifest) =>
+  Array.from({ length: manifest.chunks }, (_, index) => chunkKey(key, manifest.generation, index));
+
+/**
+ * Whether a storage key belongs to a chunked store (manifest or chunk)
+ */
+export const isStoreKey = (storageKey) => storageKey.startsWith(MANIFEST_PREFIX);
+
+/**
+ * @param {object} deps - { storage, cipher }
+ * @returns {object} { writeRecord, readRecord, reencryptRecord, hasRecord, removeRecord, listRecords, isStoreKey }
+ */
+export const createChunkedRecordStore = ({ storage, cipher }) => {
+  // Per-key promise chains serializing everything that changes a record
+  const recordLocks = new Map();
+
+  const withRecordLock = (key, task) => {
+    const result = (recordLocks.get(key) || Promise.resolve()).then(task);
+    const settled = result.catch(() => {});
+    recordLocks.set(key, settled);
+    settled.then(() => {
+      if (recordLocks.get(key) === settled) recordLocks.delete(key);
+    });
+    return result;
+  };
+
+  const readManifest = async (key) => {
+    const raw = await storage.getItem(manifestKey(key));
+    return raw ? JSON.parse(raw) : null;
+  };
+
+  const writeCiphertext = async (key, ciphertext) => {
+    const previous = await readManifest(key);
+    const generation = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+    const pairs = [];
+    for (let offset = 0; offset < ciphertext.length; offset += CHUNK_SIZE) {
+      pairs.push([chunkKey(key, generation, pairs.length), ciphertext.slice(offset, offset + CHUNK_SIZE)]);
+    }
+    await storage.multiSet(pairs);
+
+    const manifest = {
+      version: STORE_VERSION,
+      generation,
+      chunks: pairs.length,
+      length: ciphertext.length,
+      updatedAt: new Date().toISOString()
+    };
+    await storage.setItem(manifestKey(key), JSON.stringify(manifest));
+
+    if (previous && previous.generation !== generation) {
+      await storage.multiRemove(chunkKeysFor(key, previous));
+    }
+
+    return manifest;
+  };
+
+  // { manifest, ciphertext } of the current generation, or null
+  const readCiphertext = async (key) => {
+    const manifest = await readManifest(key);
+    if (!manifest) return null;
+
+    const rows = await storage.multiGet(chunkKeysFor(key, manifest));
+    const ciphertext = rows.map(([, chunk]) => chunk ?? '').join('');
+    if (ciphertext.length !== manifest.length) {
+      throw new Error(`Encrypted record ${key} is incomplete (${ciphertext.length}/${manifest.length} chars)`);
+    }
+    return { manifest, ciphertext };
+  };
+
+  /**
+   * Encrypt and store a JSON-serializable value under `key`
+   */
+  const writeRecord = async (key, value) => {
+    return withRecordLock(key, async () => {
+      const ciphertext = await cipher.encrypt(JSON.stringify(value));
+      return writeCiphertext(key, ciphertext);
+    });
+  };
+
+  /**
+   * Read and decrypt the value stored under `key`; null when there is none
+   * Throws when chunks are missing or the ciphertext does not decrypt.
+   * A record still in the legacy (v1) format is rewritten as v2 on this first read.
+   */
+  const readRecord = async (key) => {
+    const stored = await readCiphertext(key);
+    if (stored === null) return null;
+
+    const plaintext = await cipher.decrypt(stored.ciphertext);
+    if (!plaintext) {
+      throw new Error(`Encrypted record ${key} could not be decrypted`);
+    }
+
+    if (cipher.isLegacyCiphertext(stored.ciphertext)) {
+      await withRecordLock(key, async () => {
+        // A write that landed meanwhile is already v2 and newer
+        if ((await readManifest(key))?.generation !== stored.manifest.generation) return;
+        await writeCiphertext(key, await cipher.encrypt(plaintext));
+        console.log(`🔐 Migrated legacy record ${key} to authenticated encryption`);
+      });
+    }
+    return JSON.parse(plaintext);
+  };
+
+  /**
+   * Re-encrypt a record under the incoming key during key rotation
+   * Written as a new generation, so an interruption leaves the old copy intact.
+   */
+  const reencryptRecord = async (key) => {
+    return withRecordLock(key, async () => {
+      const stored = await readCiphertext(key);
+      if (stored === null) return false;
+
+      await writeCiphertext(key, await cipher.reencrypt(stored.ciphertext));
+      return true;
+    });
+  };
+
+  /**
+   * Whether a record exists under `key`
+   */
+  const hasRecord = async (key) => {
+    return (await storage.getItem(manifestKey(key))) !== null;
+  };
+
+  /**
+   * Remove the record and all of its chunks
+   * Includes chunks of generations an interrupted write never switched to.
+   */
+  const removeRecord = async (key) => {
+    return withRecordLock(key, async () => {
+      const chunkPrefix = `${manifestKey(key)}#`;
+      const allKeys = await storage.getAllKeys();
+      await storage.multiRemove([manifestKey(key), ...allKeys.filter(k => k.startsWith(chunkPrefix))]);
+    });
+  };
+
+  /**
+   * Keys of all stored records
+   */
+  const listRecords = async () => {
+    const allKeys = await storage.getAllKeys();
+    return allKeys
+      .filter(k => k.startsWith(MANIFEST_PREFIX) && !k.includes('#'))
+      .map(k => k.slice(MANIFEST_PREFIX.length));
+  };
+
+  return {
+    writeRecord,
+    readRecord,
+    reencryptRecord,
+    hasRecord,
+    removeRecord,
+    listRecords,
+    isStoreKey
+  };
+};
+
+export default {
+  CHUNK_SIZE,
+  isStoreKey,
+  createChunkedRecordStore
+};
@@ -0,0 +1,147 @@
+/**
+ * CryptoEnvelope.js - Authenticated envelope and PBKDF2 key derivation
+ *
+ * The crypto-js half of EncryptionService, kept free of native modules so the
+ * envelope can be tested under Node. Callers supply random bytes (IVs come
+ * from expo-crypto on the device).
+ *
+ *   2:A256CBC-HS256:<iv>:<ciphertext>:<tag>   (base64 fields)
+ *
+ * AES-256-CBC + HMAC-SHA256, encrypt-then-MAC: independent encryption and MAC
+ * keys are derived from the given key, the tag covers version, algorithm, IV
+ * and ciphertext, and it is compared in constant time before anything is
+ * decrypted. A modified envelope or the wrong key fails with code
+ * 'INTEGRITY_CHECK_FAILED'.
+ */
+
+import CryptoJS from 'crypto-js';
+
+export const ENVELOPE_VERSION = 2;
+export const ENVELOPE_ALGORITHM = 'A256CBC-HS256';
+export const IV_LENGTH = 16; // bytes (AES block size, required by CBC)
+
+const KEY_SIZE = 256;
+
+// Labels for deriving independent sub-keys from the key
+const KEY_LABELS = {
+  ENCRYPTION: 'praxiom-enc-v2',
+  MAC: 'praxiom-mac-v2'
+};
+
+const integrityError = () => {
+  const error = new Error('Integrity check failed - encrypted data was modified or the key does not match');
+  error.code = 'INTEGRITY_CHECK_FAILED';
+  return error;
+};
+
+/**
+ * Bytes (Uint8Array) as base64
+ */
+export const bytesToBase64 = (bytes) => CryptoJS.enc.Base64.stringify(CryptoJS.lib.WordArray.create(bytes));
+
+/**
+ * PBKDF2-SHA256 key (base64, 256 bits) from a password and salt
+ */
+export const deriveKey = (password, salt, iterations) =>
+  CryptoJS.enc.Base64.stringify(CryptoJS.PBKDF2(password, salt, {
+    keySize: KEY_SIZE / 32,
+    iterations,
+    hasher: CryptoJS.algo.SHA256
+  }));
+
+const deriveSubKeys = (key) => {
+  const keyBytes = CryptoJS.enc.Base64.parse(key);
+  return {
+    encryptionKey: CryptoJS.HmacSHA256(KEY_LABELS.ENCRYPTION, keyBytes),
+    macKey: CryptoJS.HmacSHA256(KEY_LABELS.MAC, keyBytes)
+  };
+};
+
+const computeTag = (macKey, data) => CryptoJS.enc.Base64.stringify(CryptoJS.HmacSHA256(data, macKey));
+
+// Compare two strings without short-circuiting on the first difference
+const constantTimeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+};
+
+/**
+ * Seal plaintext under `key` (base64)
+ *
+ * @param {Uint8Array} ivBytes - IV_LENGTH random bytes, never reused with the same key
+ * @returns {string} v2 envelope
+ */
+export const sealEnvelope = (plaintext, key, ivBytes) => {
+  const iv = CryptoJS.lib.WordArray.create(ivBytes);
+  const { encryptionKey, macKey } = deriveSubKeys(key);
+
+  const encrypted = CryptoJS.AES.encrypt(plaintext, encryptionKey, {
+    iv,
+    mode: CryptoJS.mode.CBC,
+    padding: CryptoJS.pad.Pkcs7
+  });
+
+  const header = `${ENVELOPE_VERSION}:${ENVELOPE_ALGORITHM}`;
+  const ivBase64 = CryptoJS.enc.Base64.stringify(iv);
+  const ciphertext = CryptoJS.enc.Base64.stringify(encrypted.ciphertext);
+  const tag = computeTag(macKey, `${header}:${ivBase64}:${ciphertext}`);
+
+  return `${header}:${ivBase64}:${ciphertext}:${tag}`;
+};
+
+/**
+ * Open a v2 envelope with whichever of `keys` produced its tag
+ */
+export const openEnvelope = (envelope, keys) => {
+  const parts = String(envelope).split(':');
+  const [version, algorithm, ivBase64, ciphertext, tag] = parts;
+  if (parts.length !== 5 || version !== String(ENVELOPE_VERSION)) {
+    throw new Error(`Unsupported encrypted data format (version ${parts.length === 5 ? version : 'unknown'})`);
+  }
+  if (algorithm !== ENVELOPE_ALGORITHM) {
+    throw new Error(`Unsupported encryption algorithm: ${algorithm}`);
+  }
+
+  const signedData = `${version}:${algorithm}:${ivBase64}:${ciphertext}`;
+  const subKeys = keys
+    .filter(Boolean)
+    .map(deriveSubKeys)
+    .find(({ macKey }) => constantTimeEqual(tag, computeTag(macKey, signedData)));
+  if (!subKeys) {
+    console.error('❌ Decryption rejected: authentication tag mismatch');
+    throw integrityError();
+  }
+
+  try {
+    const decrypted = CryptoJS.AES.decrypt(
+      CryptoJS.lib.CipherParams.create({ ciphertext: CryptoJS.enc.Base64.parse(ciphertext) }),
+      subKeys.encryptionKey,
+      {
+        iv: CryptoJS.enc.Base64.parse(ivBase64),
+        mode: CryptoJS.mode.CBC,
+        padding: CryptoJS.pad.Pkcs7
+      }
+    );
+
+    return decrypted.toString(CryptoJS.enc.Utf8);
+  } catch (error) {
+    console.error('❌ Decryption failed:', error);
+    throw new Error('Failed to decrypt data - data may be corrupted');
+  }
+};
+
+export default {
+  ENVELOPE_VERSION,
+  ENVELOPE_ALGORITHM,
+  IV_LENGTH,
+  bytesToBase64,
+  deriveKey,
+  sealEnvelope,
+  openEnvelope
+};
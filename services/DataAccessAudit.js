@@ -0,0 +1,99 @@
+/**
+ * DataAccessAudit.js - Audit events for reads and changes of stored health data
+ *
+ * SecureStorageService reports every get/set/remove and StorageService every
+ * export, import and clear. Events carry { operation, key, recordCount, screen }
+ * where screen is the route on display (reported by App.js navigation).
+ *
+ * Verbosity (Settings → Security):
+ * - minimal:  exports, imports and deletions only
+ * - standard: every read and write of medical data as well (default; bursts of
+ *             events are appended to the log in one write, see AuditLogger.saveLog)
+ * - verbose:  also non-medical keys (settings, caches, credentials)
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import AuditLogger from './AuditLogger';
+import { countRecords } from './SecureStorageCore';
+
+const VERBOSITY_KEY = 'praxiom_audit_verbosity';
+
+export { countRecords };
+
+export const AUDIT_VERBOSITY_LEVELS = ['minimal', 'standard', 'verbose'];
+const DEFAULT_VERBOSITY = 'standard';
+
+// Operations still recorded at the minimal level
+const MINIMAL_OPERATIONS = ['export', 'import', 'delete', 'clear'];
+
+const EVENT_TYPES = {
+  read: 'DATA_ACCESS',
+  write: 'DATA_MODIFY',
+  delete: 'DATA_MODIFY',
+  import: 'DATA_MODIFY',
+  clear: 'DATA_MODIFY',
+  export: 'DATA_EXPORT'
+};
+
+let verbosity = null;
+let currentScreen = null;
+
+/**
+ * Record the screen on display (attributed to subsequent data events)
+ */
+export const setCurrentScreen = (screen) => {
+  currentScreen = screen || null;
+};
+
+export const getVerbosity = async () => {
+  if (!verbosity) {
+    const stored = await SecureStore.getItemAsync(VERBOSITY_KEY);
+    verbosity = AUDIT_VERBOSITY_LEVELS.includes(stored) ? stored : DEFAULT_VERBOSITY;
+  }
+  return verbosity;
+};
+
+export const setVerbosity = async (level) => {
+  if (!AUDIT_VERBOSITY_LEVELS.includes(level)) {
+    throw new Error(`Unknown audit verbosity: ${level}`);
+  }
+  const previous = await getVerbosity();
+  await SecureStore.setItemAsync(VERBOSITY_KEY, level);
+  verbosity = level;
+
+  // Logged regardless of level: lowering verbosity is itself security-relevant
+  await AuditLogger.log('AUDIT_SETTINGS_CHANGED', { setting: 'verbosity', from: previous, to: level, screen: currentScreen });
+  return level;
+};
+
+/**
+ * Emit a DATA_ACCESS / DATA_MODIFY / DATA_EXPORT event if verbosity allows
+ * Never throws and does not wait for the log write.
+ *
+ * @param {string} operation - 'read' | 'write' | 'delete' | 'export' | 'import' | 'clear'
+ * @param {object} details - { key, recordCount, medical = true, ...extra }
+ */
+export const auditDataEvent = async (operation, { medical = true, ...details } = {}) => {
+  try {
+    const level = await getVerbosity();
+    if (!medical && level !== 'verbose') return;
+    if (level === 'minimal' && !MINIMAL_OPERATIONS.includes(operation)) return;
+
+    AuditLogger.log(EVENT_TYPES[operation], {
+      operation,
+      ...details,
+      screen: currentScreen
+    });
+  } catch (error) {
+    console.error('Data access audit failed:', error);
+  }
+};
+
+export default {
+  AUDIT_VERBOSITY_LEVELS,
+  setCurrentScreen,
+  getVerbosity,
+  setVerbosity,
+  countRecords,
+  auditDataEvent
+};
@@ -0,0 +1,81 @@
+/**
+ * DeviceRoles.js - Roles of simultaneously connected BLE devices
+ *
+ * WearableService keeps one display watch (InfiniTime: bio-age display,
+ * notifications, steps) and any number of HRV sensors - chest straps such
+ * as the Polar H10 or Garmin HRM-Pro, recognised by the Heart Rate Service
+ * in their advertisement. Straps time RR intervals from the ECG rather than
+ * an optical pulse, so while one is streaming it is the HRV source and the
+ * watch's heart-rate data is not recorded.
+ */
+
+export const DEVICE_ROLES = {
+  watch: 'watch',
+  hrvSensor: 'hrvSensor'
+};
+
+// HRV source id while no sensor is streaming
+export const WATCH_SOURCE = 'watch';
+
+export const HEART_RATE_SERVICE = '0000180D-0000-1000-8000-00805F9B34FB';
+
+// A sensor without a reading for this long no longer counts as streaming
+export const SENSOR_STALE_MS = 5000;
+
+const WATCH_NAME_PATTERNS = ['infinit', 'pinetime', 'praxiom', 'sealed'];
+
+/**
+ * Full upper-case 128-bit form of a service UUID ('180d' -> '0000180D-0000-1000-8000-00805F9B34FB')
+ */
+export const normalizeUUID = (uuid) => {
+  const upper = String(uuid).toUpperCase();
+  if (/^[0-9A-F]{4}$/.test(upper)) return `0000${upper}-0000-1000-8000-00805F9B34FB`;
+  if (/^[0-9A-F]{8}$/.test(upper)) return `${upper}-0000-1000-8000-00805F9B34FB`;
+  return upper;
+};
+
+export const isWatchName = (name) => {
+  const lower = (name || '').toLowerCase();
+  return WATCH_NAME_PATTERNS.some(pattern => lower.includes(pattern));
+};
+
+export const advertisesHeartRate = (serviceUUIDs) =>
+  (serviceUUIDs || []).some(uuid => normalizeUUID(uuid) === HEART_RATE_SERVICE);
+
+/**
+ * Role for a scanned device, or null if it is neither a watch nor a heart-rate sensor
+ * InfiniTime also offers the Heart Rate Service, so watch names win.
+ *
+ * @param {object} device - { name, serviceUUIDs } as reported by the scan
+ */
+export const classifyDevice = ({ name, serviceUUIDs } = {}) => {
+  if (isWatchName(name)) return DEVICE_ROLES.watch;
+  if (advertisesHeartRate(serviceUUIDs)) return DEVICE_ROLES.hrvSensor;
+  return null;
+};
+
+/**
+ * Which device's RR intervals feed HRV: the longest-connected sensor that is
+ * still streaming, otherwise the watch
+ *
+ * @param {Array} sensors - [{ id, connectedAt, lastSampleAt }]
+ * @returns {string} Sensor id or WATCH_SOURCE
+ */
+export const selectHRVSource = (sensors = [], now = Date.now()) => {
+  const streaming = sensors
+    .filter(sensor => sensor.lastSampleAt && now - sensor.lastSampleAt <= SENSOR_STALE_MS)
+    .sort((a, b) => a.connectedAt - b.connectedAt);
+  return streaming.length > 0 ? streaming[0].id : WATCH_SOURCE;
+};
+
+export default {
+  DEVICE_ROLES,
+  WATCH_SOURCE,
+  HEART_RATE_SERVICE,
+  SENSOR_STALE_MS,
+  normalizeUUID,
+  isWatchName,
+  advertisesHeartRate,
+  classifyDevice,
+  selectHRVSource
+};
@@ -0,0 +1,114 @@
+/**
+ * EncryptedBackup.js - Encrypted backup file format
+ *
+ * exportToFile used to write the decrypted history as plain JSON. Backup files
+ * now hold only ciphertext plus a readable manifest:
+ *
+ *   {
+ *     format: 'praxiom-backup',
+ *     manifest: { schemaVersion, dataVersion, createdAt, keySource, kdf, cipher,
+ *                 recordCounts, checksum: { algorithm: 'SHA-256', value } },
+ *     payload: '<v2 envelope>'
+ *   }
+ *
+ * keySource 'passphrase': sealed under a key from the user's passphrase
+ *   (portable between devices). keySource 'device': sealed under the device
+ *   master key (automatic backups; restorable on this install only, and
+ *   re-sealed by key rotation via resealDeviceBackup).
+ *
+ * The checksum covers the payload, so a damaged or edited file is refused
+ * before decryption ('BACKUP_TAMPERED'); the MAC then rejects a wrong
+ * passphrase ('INVALID_PASSPHRASE'). The manifest is repeated inside the
+ * ciphertext and compared after decryption, so manifest edits are refused too
+ * (manifest and checks in BackupManifest.js).
+ */
+
+import EncryptionService from './EncryptionService';
+import {
+  BACKUP_FORMAT,
+  BACKUP_SCHEMA_VERSION,
+  backupError,
+  isEncryptedBackup,
+  readLegacyBackup,
+  prepareBackup,
+  finishBackup,
+  checkBackupFile,
+  resealBackup,
+  readBackupPlaintext
+} from './BackupManifest';
+
+export { BACKUP_FORMAT, BACKUP_SCHEMA_VERSION, isEncryptedBackup, readLegacyBackup };
+
+/**
+ * Build the backup file contents for exported `data`
+ *
+ * @param {object} data - StorageService.exportData() result
+ * @param {object} options - { passphrase } or { useDeviceKey: true }
+ * @returns {object} Backup file contents (JSON-serializable)
+ */
+export const createBackup = async (data, { passphrase, useDeviceKey = false } = {}) => {
+  const { manifest, plaintext } = prepareBackup(data, useDeviceKey ? 'device' : 'passphrase');
+
+  if (useDeviceKey) {
+    return finishBackup(manifest, await EncryptionService.encrypt(plaintext));
+  }
+  const sealed = await EncryptionService.encryptWithPassphrase(plaintext, passphrase);
+  return finishBackup(manifest, sealed.envelope, sealed.kdf);
+};
+
+/**
+ * Re-encrypt a device-key backup under the incoming master key
+ * Only valid during a key rotation (EncryptionService.reencrypt).
+ *
+ * @returns {object|null} New file contents, or null for passphrase backups
+ */
+export const resealDeviceBackup = async (contents) => {
+  if (contents.manifest?.keySource !== 'device') return null;
+  return resealBackup(contents, payload => EncryptionService.reencrypt(payload));
+};
+
+/**
+ * Verify and decrypt backup file contents
+ * Throws with code 'UNSUPPORTED_BACKUP', 'BACKUP_TAMPERED', 'PASSPHRASE_REQUIRED'
+ * or 'INVALID_PASSPHRASE'.
+ *
+ * @returns {object} { data, manifest }
+ */
+export const openBackup = async (contents, passphrase) => {
+  checkBackupFile(contents);
+  const { manifest, payload } = contents;
+
+  let plaintext;
+  try {
+    if (manifest.keySource === 'device') {
+      plaintext = await EncryptionService.decrypt(payload);
+    } else {
+      if (!passphrase) {
+        throw backupError('PASSPHRASE_REQUIRED', 'This backup is protected by a passphrase');
+      }
+      plaintext = await EncryptionService.decryptWithPassphrase({ kdf: manifest.kdf, envelope: payload }, passphrase);
+    }
+  } catch (error) {
+    if (error.code === 'INTEGRITY_CHECK_FAILED') {
+      throw backupError(
+        'INVALID_PASSPHRASE',
+        manifest.keySource === 'device'
+          ? 'This backup was made on another device or install'
+          : 'Incorrect passphrase'
+      );
+    }
+    throw error;
+  }
+
+  return { data: readBackupPlaintext(manifest, plaintext), manifest };
+};
+
+export default {
+  BACKUP_FORMAT,
+  BACKUP_SCHEMA_VERSION,
+  isEncryptedBackup,
+  readLegacyBackup,
+  createBackup,
+  resealDeviceBackup,
+  openBackup
+};
@@ -0,0 +1,37 @@
+/**
+ * EncryptedChunkStore.js - Encrypted, chunked record storage
+ *
+ * expo-secure-store caps each value at a few KB, which growing histories
+ * (tier1Biomarkers, fitnessAssessments, ...) outgrow. Records here are
+ * serialized, encrypted with EncryptionService and split into fixed-size
+ * chunks in AsyncStorage; only the encryption key stays in SecureStore.
+ *
+ * Layout per record:
+ *   enc_<key>               manifest { version, generation, chunks, length, updatedAt }
+ *   enc_<key>#<gen>:<n>     ciphertext chunk n of that generation
+ *
+ * A write lands in a new generation and switches the manifest last, so an
+ * interrupted write leaves the previous record readable. Writes, removals and
+ * re-encryptions of one key run one at a time (withRecordLock), so a rotation
+ * or legacy upgrade can never put back a value that a concurrent write replaced.
+ * The store itself is in ChunkedRecordStore.js; this module binds it to
+ * AsyncStorage and EncryptionService.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import EncryptionService from './EncryptionService';
+import { createChunkedRecordStore } from './ChunkedRecordStore';
+
+const store = createChunkedRecordStore({ storage: AsyncStorage, cipher: EncryptionService });
+
+export const {
+  writeRecord,
+  readRecord,
+  reencryptRecord,
+  hasRecord,
+  removeRecord,
+  listRecords,
+  isStoreKey
+} = store;
+
+export default store;
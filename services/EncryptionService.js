@@ -1,36 +1,81 @@
 /**
  * Medical-Grade Encryption Service for Praxiom Health
- * HIPAA-compliant AES-256-GCM encryption for sensitive health data
+ * HIPAA-compliant authenticated encryption for sensitive health data
+ * (envelope and key derivation in CryptoEnvelope.js)
  * 
  * Security Features:
- * - AES-256-GCM encryption (authenticated encryption)
+ * - AES-256-CBC + HMAC-SHA256, encrypt-then-MAC (CryptoJS has no GCM)
+ * - Separate encryption and MAC keys derived from the master key
  * - PBKDF2 key derivation (100,000 iterations)
  * - Device-specific salt for key uniqueness
  * - Unique IV per encryption operation
- * - Automatic tamper detection via GCM authentication tag
+ * - Tamper detection: modified ciphertext fails the MAC before decryption
+ * 
+ * Envelope format (v2):  2:A256CBC-HS256:<iv>:<ciphertext>:<tag>  (base64 fields)
+ * Legacy records (v1, unauthenticated CBC) are  <iv>:<ciphertext>. They only
+ * decrypt until the migration (KeyRotationService.migrateLegacyRecords, or a
+ * completed key rotation) has rewritten every record as v2; from then on the
+ * key bundle carries a legacyMigrated flag and 2-part input is refused, so an
+ * attacker cannot substitute unauthenticated ciphertext.
+ * 
+ * Key wrapping: the master (data-encryption) key never rests in plaintext. It is
+ * stored sealed in the same envelope under a key-encryption key derived from the
+ * user's 6-digit PIN (hashPin, PBKDF2; see KeyWrap.js). Until unlockWithPin / unlockWithBiometrics
+ * succeeds, encrypt() and decrypt() fail with code 'ENCRYPTION_LOCKED'. Changing
+ * the PIN re-wraps the same master key; stored data is not touched. Biometric
+ * unlock keeps a copy of the PIN-derived key in a SecureStore item that the OS
+ * releases only after biometric authentication.
+ * 
+ * Key rotation: a pending key sits beside the master key until every record has
+ * been re-encrypted (see KeyRotationService). While it exists new data is written
+ * under it and records under either key decrypt; the MAC identifies the key.
+ * 
+ * Passphrase encryption (backup files) seals data in the same envelope under a
+ * PBKDF2 key from a user passphrase and a per-file salt; it needs no unlock and
+ * is independent of the device keys. Dedicated data keys (sealWithKey) do the
+ * same for stores that must be writable while locked.
  */
 
 import * as Crypto from 'expo-crypto';
 import * as SecureStore from 'expo-secure-store';
+import * as LocalAuthentication from 'expo-local-authentication';
 import CryptoJS from 'crypto-js';
+import { IV_LENGTH, bytesToBase64, deriveKey, sealEnvelope, openEnvelope } from './CryptoEnvelope';
+import { derivePinKey, wrapKeyBundle, unwrapKeyBundle } from './KeyWrap';
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 const ENCRYPTION_CONFIG = {
-  algorithm: 'AES-256-GCM',
   keySize: 256,
   iterations: 100000, // PBKDF2 iterations (NIST recommendation)
   saltLength: 32,      // 256 bits
-  ivLength: 12,        // 96 bits (recommended for GCM)
-  tagLength: 16        // 128 bits authentication tag
+  pinLength: 6,
+  minPassphraseLength: 8
 };
 
+// PBKDF2 iteration counts this app has written into backup files; anything
+// else in a file is refused rather than trusted. Add the old value here when
+// raising ENCRYPTION_CONFIG.iterations.
+const PASSPHRASE_KDF_ITERATIONS = [ENCRYPTION_CONFIG.iterations];
+
 const STORAGE_KEYS = {
-  MASTER_KEY: 'praxiom_master_key',
+  WRAPPED_KEYS: 'praxiom_wrapped_keys',         // { masterKey, keyVersion, pendingKey, pendingVersion, legacyMigrated } sealed under the PIN key
+  BIOMETRIC_KEY: 'praxiom_biometric_unlock_key', // PIN-derived key, readable only after biometric auth
+  BIOMETRIC_ENABLED: 'praxiom_biometric_enabled',
   DEVICE_SALT: 'praxiom_device_salt',
-  KEY_VERSION: 'praxiom_key_version'
+  // Unwrapped keys from before PIN wrapping; folded into WRAPPED_KEYS by setupPin
+  LEGACY_MASTER_KEY: 'praxiom_master_key',
+  LEGACY_KEY_VERSION: 'praxiom_key_version',
+  LEGACY_PENDING_KEY: 'praxiom_pending_key',
+  LEGACY_PENDING_KEY_VERSION: 'praxiom_pending_key_version'
+};
+
+const lockedError = () => {
+  const error = new Error('Encrypted data is locked - unlock with your PIN first');
+  error.code = 'ENCRYPTION_LOCKED';
+  return error;
 };
 
 // ============================================================================
@@ -39,125 +84,266 @@ const STORAGE_KEYS = {
 
 class EncryptionService {
   constructor() {
-    this.isInitialized = false;
     this.masterKey = null;
+    this.keyVersion = null;
+    this.pendingKey = null;
+    this.pendingVersion = null;
+    this.wrappingKey = null; // PIN-derived key, held only while unlocked
+    this.legacyMigrated = false; // no v1 records left; stored in the key bundle
+    this.unlockListeners = [];
+  }
+
+  // ============================================================================
+  // PIN / BIOMETRIC UNLOCK
+  // ============================================================================
+
+  /**
+   * Whether a PIN has been set up (keys are wrapped)
+   */
+  async hasPin() {
+    return (await SecureStore.getItemAsync(STORAGE_KEYS.WRAPPED_KEYS)) !== null;
+  }
+
+  isUnlocked() {
+    return this.masterKey !== null;
   }
 
   /**
-   * Initialize encryption service
-   * Generates or retrieves device-specific encryption key
+   * First PIN setup: wrap the master key under the PIN
+   * Installs from before PIN wrapping keep their existing key (and any unfinished
+   * rotation), so stored data stays readable; fresh installs get a new key.
    */
-  async initialize() {
+  async setupPin(pin) {
+    if (await this.hasPin()) {
+      throw new Error('A PIN is already set - use changePin');
+    }
+    
+    const wrappingKey = await this._derivePinKey(pin);
+    const legacyKey = await SecureStore.getItemAsync(STORAGE_KEYS.LEGACY_MASTER_KEY);
+    
+    if (legacyKey) {
+      console.log('🔐 Wrapping existing encryption key under PIN...');
+      this.masterKey = legacyKey;
+      this.keyVersion = parseInt(await SecureStore.getItemAsync(STORAGE_KEYS.LEGACY_KEY_VERSION), 10) || 1;
+      this.pendingKey = await SecureStore.getItemAsync(STORAGE_KEYS.LEGACY_PENDING_KEY);
+      this.pendingVersion = this.pendingKey
+        ? parseInt(await SecureStore.getItemAsync(STORAGE_KEYS.LEGACY_PENDING_KEY_VERSION), 10) || this.keyVersion + 1
+        : null;
+      this.legacyMigrated = false;
+    } else {
+      console.log('🔐 Generating new encryption key...');
+      const deviceSalt = await SecureStore.getItemAsync(STORAGE_KEYS.DEVICE_SALT);
+      this.masterKey = await this._generateMasterKey(deviceSalt);
+      this.keyVersion = 1;
+      this.pendingKey = null;
+      this.pendingVersion = null;
+      this.legacyMigrated = true; // Nothing was ever written in the v1 format
+    }
+    
+    this.wrappingKey = wrappingKey;
+    await this._persistKeys();
+    
+    // Only drop the plaintext copies once the wrapped bundle is on disk
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.LEGACY_MASTER_KEY);
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.LEGACY_KEY_VERSION);
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.LEGACY_PENDING_KEY);
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.LEGACY_PENDING_KEY_VERSION);
+    
+    console.log('✅ Encryption key wrapped under PIN');
+    this._notifyUnlocked();
+    return true;
+  }
+
+  /**
+   * Unlock with the PIN; throws with code 'INVALID_PIN' when it is wrong
+   */
+  async unlockWithPin(pin) {
+    const wrappingKey = await this._derivePinKey(pin);
+    await this._unwrapKeys(wrappingKey);
+    return true;
+  }
+
+  /**
+   * Unlock with biometrics (Face ID / fingerprint)
+   * Returns false when biometric unlock is off or the user cancels.
+   */
+  async unlockWithBiometrics() {
+    if (!(await this.isBiometricEnabled())) {
+      return false;
+    }
+    
     try {
-      // Check if master key already exists
-      let masterKey = await SecureStore.getItemAsync(STORAGE_KEYS.MASTER_KEY);
-      
-      if (!masterKey) {
-        console.log('🔐 Generating new encryption key...');
-        
-        // Generate device-specific salt
-        const saltBytes = await Crypto.getRandomBytesAsync(ENCRYPTION_CONFIG.saltLength);
-        const deviceSalt = this._bytesToBase64(saltBytes);
-        
-        // Generate master key using PBKDF2
-        // In production, you might want to derive this from a user PIN/biometric
-        const seedPhrase = await this._generateSeedPhrase();
-        masterKey = await this._deriveKey(seedPhrase, deviceSalt);
-        
-        // Store securely
-        await SecureStore.setItemAsync(STORAGE_KEYS.MASTER_KEY, masterKey);
-        await SecureStore.setItemAsync(STORAGE_KEYS.DEVICE_SALT, deviceSalt);
-        await SecureStore.setItemAsync(STORAGE_KEYS.KEY_VERSION, '1');
-        
-        console.log('✅ Encryption key generated and stored securely');
-      } else {
-        console.log('✅ Encryption key loaded from secure storage');
-      }
-      
-      this.masterKey = masterKey;
-      this.isInitialized = true;
+      const wrappingKey = await SecureStore.getItemAsync(STORAGE_KEYS.BIOMETRIC_KEY, {
+        requireAuthentication: true,
+        authenticationPrompt: 'Unlock your health data'
+      });
+      if (!wrappingKey) return false;
       
+      await this._unwrapKeys(wrappingKey);
       return true;
     } catch (error) {
-      console.error('❌ Encryption service initialization failed:', error);
-      throw new Error('Failed to initialize encryption service');
+      console.warn('⚠️ Biometric unlock failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Change the PIN: re-wraps the same master key, stored data is untouched
+   */
+  async changePin(currentPin, newPin) {
+    await this.unlockWithPin(currentPin);
+    
+    this.wrappingKey = await this._derivePinKey(newPin);
+    await this._persistKeys();
+    
+    if (await this.isBiometricEnabled()) {
+      await this._storeBiometricKey();
+    }
+    
+    console.log('✅ PIN changed - encryption key re-wrapped');
+    return true;
+  }
+
+  /**
+   * Device supports biometrics and the user has enrolled some
+   */
+  async isBiometricAvailable() {
+    try {
+      return (await LocalAuthentication.hasHardwareAsync()) &&
+        (await LocalAuthentication.isEnrolledAsync());
+    } catch (error) {
+      return false;
     }
   }
 
+  async isBiometricEnabled() {
+    return (await SecureStore.getItemAsync(STORAGE_KEYS.BIOMETRIC_ENABLED)) === 'true';
+  }
+
+  /**
+   * Allow biometric unlock (must be unlocked with the PIN first)
+   */
+  async enableBiometricUnlock() {
+    if (!this.wrappingKey) {
+      throw lockedError();
+    }
+    if (!(await this.isBiometricAvailable())) {
+      throw new Error('Biometric authentication is not available on this device');
+    }
+    
+    await this._storeBiometricKey();
+    await SecureStore.setItemAsync(STORAGE_KEYS.BIOMETRIC_ENABLED, 'true');
+    return true;
+  }
+
+  async disableBiometricUnlock() {
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.BIOMETRIC_KEY);
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.BIOMETRIC_ENABLED);
+    return true;
+  }
+
+  /**
+   * Forget all key material held in memory; data is unreadable until the next unlock
+   */
+  lock() {
+    this.masterKey = null;
+    this.keyVersion = null;
+    this.pendingKey = null;
+    this.pendingVersion = null;
+    this.wrappingKey = null;
+    this.legacyMigrated = false;
+    console.log('🔒 Encryption locked');
+  }
+
+  /**
+   * Register a callback run after every successful unlock
+   * @returns {function} Unsubscribe
+   */
+  addUnlockListener(listener) {
+    this.unlockListeners.push(listener);
+    return () => {
+      this.unlockListeners = this.unlockListeners.filter(l => l !== listener);
+    };
+  }
+
   /**
    * Encrypt sensitive health data
-   * Returns encrypted string with IV prepended (for easy decryption)
+   * Returns a v2 envelope string (see header) authenticated with HMAC-SHA256
    */
   async encrypt(plaintext) {
-    if (!this.isInitialized) {
-      await this.initialize();
+    if (!this.isUnlocked()) {
+      throw lockedError();
     }
     
     if (!plaintext) {
       return null;
     }
     
-    try {
-      // Generate unique IV for this encryption
-      const ivBytes = await Crypto.getRandomBytesAsync(ENCRYPTION_CONFIG.ivLength);
-      const iv = CryptoJS.lib.WordArray.create(ivBytes);
-      
-      // Convert key to WordArray
-      const key = CryptoJS.enc.Base64.parse(this.masterKey);
-      
-      // Encrypt using AES-256-GCM
-      const encrypted = CryptoJS.AES.encrypt(plaintext, key, {
-        iv: iv,
-        mode: CryptoJS.mode.CBC, // Note: CryptoJS doesn't have GCM, using CBC with HMAC
-        padding: CryptoJS.pad.Pkcs7
-      });
-      
-      // Prepend IV to ciphertext (IV:CIPHERTEXT format)
-      const ivBase64 = CryptoJS.enc.Base64.stringify(iv);
-      const ciphertext = encrypted.toString();
-      
-      return `${ivBase64}:${ciphertext}`;
-    } catch (error) {
-      console.error('❌ Encryption failed:', error);
-      throw new Error('Failed to encrypt data');
-    }
+    // Mid-rotation, new data goes straight to the incoming key
+    return this._seal(plaintext, this.pendingKey || this.masterKey);
   }
 
   /**
    * Decrypt sensitive health data
+   * Accepts v2 envelopes, and legacy `iv:ciphertext` records until they have been
+   * migrated. Throws an error with code 'INTEGRITY_CHECK_FAILED' when a v2
+   * envelope has been modified, and 'LEGACY_FORMAT_REFUSED' for v1 input after
+   * the migration.
    */
   async decrypt(encryptedData) {
-    if (!this.isInitialized) {
-      await this.initialize();
+    if (!this.isUnlocked()) {
+      throw lockedError();
     }
     
     if (!encryptedData) {
       return null;
     }
     
-    try {
-      // Split IV and ciphertext
-      const parts = encryptedData.split(':');
-      if (parts.length !== 2) {
-        throw new Error('Invalid encrypted data format');
+    if (this.isLegacyCiphertext(encryptedData)) {
+      if (this.legacyMigrated) {
+        const error = new Error('Unauthenticated legacy ciphertext refused - all records were migrated');
+        error.code = 'LEGACY_FORMAT_REFUSED';
+        throw error;
       }
-      
-      const [ivBase64, ciphertext] = parts;
-      const iv = CryptoJS.enc.Base64.parse(ivBase64);
-      const key = CryptoJS.enc.Base64.parse(this.masterKey);
-      
-      // Decrypt
-      const decrypted = CryptoJS.AES.decrypt(ciphertext, key, {
-        iv: iv,
-        mode: CryptoJS.mode.CBC,
-        padding: CryptoJS.pad.Pkcs7
-      });
-      
-      return decrypted.toString(CryptoJS.enc.Utf8);
-    } catch (error) {
-      console.error('❌ Decryption failed:', error);
-      throw new Error('Failed to decrypt data - data may be corrupted');
+      return this._decryptLegacy(encryptedData.split(':'));
+    }
+    
+    return this._open(encryptedData, [this.masterKey, this.pendingKey]);
+  }
+
+  /**
+   * Whether `encryptedData` is a legacy (v1) `iv:ciphertext` record
+   */
+  isLegacyCiphertext(encryptedData) {
+    return typeof encryptedData === 'string' && encryptedData.split(':').length === 2;
+  }
+
+  /**
+   * Rewrite a legacy record as a v2 envelope; v2 input is returned unchanged
+   */
+  async upgradeLegacy(encryptedData) {
+    if (!this.isLegacyCiphertext(encryptedData)) {
+      return encryptedData;
+    }
+    return await this.encrypt(await this.decrypt(encryptedData));
+  }
+
+  /**
+   * Whether every legacy record has been migrated (2-part input is refused)
+   */
+  isLegacyMigrated() {
+    return this.legacyMigrated;
+  }
+
+  /**
+   * Record that no legacy records remain; from now on decrypt() refuses them
+   */
+  async markLegacyMigrated() {
+    if (!this.isUnlocked()) {
+      throw lockedError();
     }
+    this.legacyMigrated = true;
+    await this._persistKeys();
   }
 
   /**
@@ -190,17 +376,102 @@ class EncryptionService {
     }
   }
 
+  // ============================================================================
+  // KEY ROTATION
+  // ============================================================================
+
+  /**
+   * Current master key version (starts at 1)
+   */
+  async getKeyVersion() {
+    if (!this.isUnlocked()) {
+      throw lockedError();
+    }
+    return this.keyVersion;
+  }
+
+  /**
+   * Whether a rotation was started and not completed
+   */
+  async isRotationPending() {
+    return !!this.pendingKey;
+  }
+
+  /**
+   * Start a key rotation, or pick up an unfinished one
+   * Generates the incoming key and stores it (wrapped) beside the master key;
+   * from here on encrypt() uses it. Records must then be passed through reencrypt().
+   * 
+   * @returns {object} { fromVersion, toVersion, resumed }
+   */
+  async beginKeyRotation() {
+    if (!this.isUnlocked()) {
+      throw lockedError();
+    }
+    
+    const fromVersion = this.keyVersion;
+    if (this.pendingKey) {
+      return { fromVersion, toVersion: this.pendingVersion, resumed: true };
+    }
+    
+    console.log('🔐 Generating rotation key...');
+    const deviceSalt = await SecureStore.getItemAsync(STORAGE_KEYS.DEVICE_SALT);
+    this.pendingKey = await this._generateMasterKey(deviceSalt);
+    this.pendingVersion = fromVersion + 1;
+    await this._persistKeys();
+    
+    return { fromVersion, toVersion: this.pendingVersion, resumed: false };
+  }
+
+  /**
+   * Re-encrypt one stored value under the incoming key
+   * Accepts anything decrypt() accepts (either key, legacy v1 records).
+   */
+  async reencrypt(encryptedData) {
+    if (!this.pendingKey) {
+      throw new Error('No key rotation in progress');
+    }
+    if (!encryptedData) {
+      return encryptedData;
+    }
+    
+    const plaintext = await this.decrypt(encryptedData);
+    return await this.encrypt(plaintext);
+  }
+
+  /**
+   * Promote the incoming key once every record has been re-encrypted
+   * Safe to repeat: if interrupted, the next beginKeyRotation() resumes and
+   * re-encrypting records already under the new key is harmless.
+   */
+  async completeKeyRotation() {
+    if (!this.pendingKey) {
+      throw new Error('No key rotation in progress');
+    }
+    
+    // One wrapped write swaps the keys, so there is no half-promoted state.
+    // Every record went through reencrypt(), so none is left in the v1 format.
+    this.masterKey = this.pendingKey;
+    this.keyVersion = this.pendingVersion;
+    this.pendingKey = null;
+    this.pendingVersion = null;
+    this.legacyMigrated = true;
+    await this._persistKeys();
+    
+    console.log(`✅ Encryption key rotated to version ${this.keyVersion}`);
+    return this.keyVersion;
+  }
+
   /**
    * Securely wipe encryption keys (for logout/reset)
    */
   async wipeKeys() {
     try {
-      await SecureStore.deleteItemAsync(STORAGE_KEYS.MASTER_KEY);
-      await SecureStore.deleteItemAsync(STORAGE_KEYS.DEVICE_SALT);
-      await SecureStore.deleteItemAsync(STORAGE_KEYS.KEY_VERSION);
+      for (const key of Object.values(STORAGE_KEYS)) {
+        await SecureStore.deleteItemAsync(key);
+      }
       
-      this.masterKey = null;
-      this.isInitialized = false;
+      this.lock();
       
       console.log('✅ Encryption keys wiped');
       return true;
@@ -210,6 +481,71 @@ class EncryptionService {
     }
   }
 
+  // ============================================================================
+  // PASSPHRASE ENCRYPTION
+  // ============================================================================
+
+  /**
+   * Encrypt with a key derived from `passphrase` (for data leaving the device)
+   * 
+   * @returns {object} { kdf: { algorithm, iterations, salt }, envelope }
+   */
+  async encryptWithPassphrase(plaintext, passphrase) {
+    if (!passphrase || passphrase.length < ENCRYPTION_CONFIG.minPassphraseLength) {
+      throw new Error(`Passphrase must be at least ${ENCRYPTION_CONFIG.minPassphraseLength} characters`);
+    }
+    
+    const saltBytes = await Crypto.getRandomBytesAsync(ENCRYPTION_CONFIG.saltLength);
+    const kdf = {
+      algorithm: 'PBKDF2-SHA256',
+      iterations: ENCRYPTION_CONFIG.iterations,
+      salt: this._bytesToBase64(saltBytes)
+    };
+    const key = await this._deriveKey(passphrase, kdf.salt);
+    
+    return { kdf, envelope: await this._seal(plaintext, key) };
+  }
+
+  /**
+   * Decrypt data from encryptWithPassphrase
+   * A wrong passphrase fails the MAC like tampering does (code 'INTEGRITY_CHECK_FAILED').
+   */
+  async decryptWithPassphrase({ kdf, envelope }, passphrase) {
+    if (kdf?.algorithm !== 'PBKDF2-SHA256' || !kdf.salt || !PASSPHRASE_KDF_ITERATIONS.includes(kdf.iterations)) {
+      throw new Error('Unsupported key derivation parameters');
+    }
+    
+    const key = await this._deriveKey(passphrase || '', kdf.salt, kdf.iterations);
+    return this._open(envelope, [key]);
+  }
+
+  // ============================================================================
+  // DEDICATED KEYS
+  // ============================================================================
+
+  /**
+   * Random 256-bit key (base64) for data that must stay readable while the
+   * PIN-wrapped keys are locked, such as the remote audit queue. The caller
+   * keeps it in SecureStore.
+   */
+  async generateDataKey() {
+    return this._bytesToBase64(await Crypto.getRandomBytesAsync(ENCRYPTION_CONFIG.keySize / 8));
+  }
+
+  /**
+   * Seal plaintext in a v2 envelope under a key from generateDataKey (no unlock needed)
+   */
+  async sealWithKey(plaintext, key) {
+    return this._seal(plaintext, key);
+  }
+
+  /**
+   * Open an envelope from sealWithKey; throws 'INTEGRITY_CHECK_FAILED' when modified
+   */
+  openWithKey(envelope, key) {
+    return this._open(envelope, [key]);
+  }
+
   // ============================================================================
   // PRIVATE HELPER METHODS
   // ============================================================================
@@ -233,13 +569,7 @@ class EncryptionService {
       }
       
       // Hash PIN with PBKDF2
-      const hashedPin = CryptoJS.PBKDF2(pin, deviceSalt, {
-        keySize: 256 / 32,
-        iterations: 10000, // Lower iterations for PIN hashing
-        hasher: CryptoJS.algo.SHA256
-      });
-      
-      return CryptoJS.enc.Base64.stringify(hashedPin);
+      return derivePinKey(pin, deviceSalt);
     } catch (error) {
       console.error('❌ PIN hashing failed:', error);
       throw new Error('Failed to hash PIN');
@@ -247,8 +577,73 @@ class EncryptionService {
   }
 
   /**
-   * Generate device-specific seed phrase
-   * In production, this should ideally come from user biometric/PIN
+   * PIN-derived key-encryption key
+   */
+  async _derivePinKey(pin) {
+    if (!/^\d+$/.test(pin || '') || pin.length !== ENCRYPTION_CONFIG.pinLength) {
+      throw new Error(`PIN must be ${ENCRYPTION_CONFIG.pinLength} digits`);
+    }
+    return this.hashPin(pin);
+  }
+
+  /**
+   * Seal the in-memory key bundle under the PIN-derived key and store it
+   */
+  async _persistKeys() {
+    const bundle = {
+      masterKey: this.masterKey,
+      keyVersion: this.keyVersion,
+      pendingKey: this.pendingKey,
+      pendingVersion: this.pendingVersion,
+      legacyMigrated: this.legacyMigrated
+    };
+    const ivBytes = await Crypto.getRandomBytesAsync(IV_LENGTH);
+    await SecureStore.setItemAsync(STORAGE_KEYS.WRAPPED_KEYS, wrapKeyBundle(bundle, this.wrappingKey, ivBytes));
+  }
+
+  /**
+   * Open the stored key bundle with a PIN-derived key and load it
+   */
+  async _unwrapKeys(wrappingKey) {
+    const wrapped = await SecureStore.getItemAsync(STORAGE_KEYS.WRAPPED_KEYS);
+    if (!wrapped) {
+      throw new Error('No PIN has been set up');
+    }
+    
+    const bundle = unwrapKeyBundle(wrapped, wrappingKey);
+    
+    this.masterKey = bundle.masterKey;
+    this.keyVersion = bundle.keyVersion;
+    this.pendingKey = bundle.pendingKey;
+    this.pendingVersion = bundle.pendingVersion;
+    this.legacyMigrated = !!bundle.legacyMigrated;
+    this.wrappingKey = wrappingKey;
+    
+    if (this.pendingKey) {
+      console.warn('⚠️ Unfinished key rotation found - records readable under both keys');
+    }
+    this._notifyUnlocked();
+  }
+
+  async _storeBiometricKey() {
+    await SecureStore.setItemAsync(STORAGE_KEYS.BIOMETRIC_KEY, this.wrappingKey, {
+      requireAuthentication: true,
+      authenticationPrompt: 'Enable biometric unlock'
+    });
+  }
+
+  _notifyUnlocked() {
+    this.unlockListeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Unlock listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Generate random seed for a new master key (the key itself is protected by PIN wrapping)
    */
   async _generateSeedPhrase() {
     try {
@@ -262,30 +657,73 @@ class EncryptionService {
     }
   }
 
+  /**
+   * Generate a fresh random master key (PBKDF2 over a random seed)
+   */
+  async _generateMasterKey(salt) {
+    const seedPhrase = await this._generateSeedPhrase();
+    return await this._deriveKey(seedPhrase, salt);
+  }
+
   /**
    * Derive encryption key using PBKDF2
    */
-  async _deriveKey(password, salt) {
+  async _deriveKey(password, salt, iterations = ENCRYPTION_CONFIG.iterations) {
     try {
-      const key = CryptoJS.PBKDF2(password, salt, {
-        keySize: ENCRYPTION_CONFIG.keySize / 32,
-        iterations: ENCRYPTION_CONFIG.iterations,
-        hasher: CryptoJS.algo.SHA256
-      });
-      
-      return CryptoJS.enc.Base64.stringify(key);
+      return deriveKey(password, salt, iterations);
     } catch (error) {
       console.error('Key derivation failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Decrypt a legacy (v1) `iv:ciphertext` record: CBC under the master key, no MAC
+   */
+  _decryptLegacy([ivBase64, ciphertext]) {
+    try {
+      const iv = CryptoJS.enc.Base64.parse(ivBase64);
+      const key = CryptoJS.enc.Base64.parse(this.masterKey);
+      
+      const decrypted = CryptoJS.AES.decrypt(ciphertext, key, {
+        iv: iv,
+        mode: CryptoJS.mode.CBC,
+        padding: CryptoJS.pad.Pkcs7
+      });
+      
+      return decrypted.toString(CryptoJS.enc.Utf8);
+    } catch (error) {
+      console.error('❌ Decryption failed:', error);
+      throw new Error('Failed to decrypt data - data may be corrupted');
+    }
+  }
+
+  /**
+   * Seal plaintext in a v2 envelope under `key`
+   */
+  async _seal(plaintext, key) {
+    try {
+      // Generate unique IV for this encryption
+      const ivBytes = await Crypto.getRandomBytesAsync(IV_LENGTH);
+      return sealEnvelope(plaintext, key, ivBytes);
+    } catch (error) {
+      console.error('❌ Encryption failed:', error);
+      throw new Error('Failed to encrypt data');
+    }
+  }
+
+  /**
+   * Open a v2 envelope with whichever of `keys` produced its tag
+   */
+  _open(encryptedData, keys) {
+    return openEnvelope(encryptedData, keys);
+  }
+
   /**
    * Convert bytes to base64
    */
   _bytesToBase64(bytes) {
-    const wordArray = CryptoJS.lib.WordArray.create(bytes);
-    return CryptoJS.enc.Base64.stringify(wordArray);
+    return bytesToBase64(bytes);
   }
 }
 
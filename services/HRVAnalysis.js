@@ -0,0 +1,308 @@
+/**
+ * HRVAnalysis.js - Heart rate variability from RR intervals
+ *
+ * Follows the short-term (5-minute) conventions of the ESC/NASPE Task Force
+ * on HRV (1996):
+ *
+ * 1. Artifact filtering: intervals outside 300-2000 ms are dropped, then any
+ *    interval deviating more than 20% from the median of its neighbours
+ *    (ectopic beats, missed or doubled detections). Successive differences
+ *    are never taken across a removed beat.
+ * 2. Time domain: mean RR/HR, SDNN, RMSSD, pNN50.
+ * 3. Frequency domain (recordings of 4+ minutes): NN series resampled at
+ *    4 Hz, linearly detrended, Hann-windowed periodogram; LF 0.04-0.15 Hz,
+ *    HF 0.15-0.40 Hz, LF/HF.
+ * 4. Quality score 0-100 from recording length, artifact rate and gaps in
+ *    the data. Readings below MIN_QUALITY_FOR_SCORING are not used for the
+ *    bio-age (calculateBiologicalAge drops HRV with a low hrvQuality).
+ */
+
+export const DEFAULT_WINDOW_MS = 5 * 60 * 1000;
+export const MIN_QUALITY_FOR_SCORING = 60;
+
+const RR_MIN_MS = 300;
+const RR_MAX_MS = 2000;
+const ECTOPIC_THRESHOLD = 0.2;
+const NEIGHBOURS = 5;
+const MIN_BEATS = 60;
+const MIN_FREQUENCY_SECONDS = 240;
+const RESAMPLE_HZ = 4;
+
+export const BANDS = {
+  lf: [0.04, 0.15],
+  hf: [0.15, 0.4]
+};
+
+const round = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Mark artifacts in a series of RR intervals (ms)
+ *
+ * @returns {object} { beats: [{ rr, valid }], segments: [[nn, ...]], removed, artifactRate }
+ *   segments are runs of consecutive valid beats
+ */
+export const filterArtifacts = (intervals) => {
+  const inRange = intervals.map(rr => rr >= RR_MIN_MS && rr <= RR_MAX_MS);
+  const candidates = intervals.map((rr, index) => ({ rr, index })).filter(({ index }) => inRange[index]);
+
+  const beats = intervals.map(rr => ({ rr, valid: false }));
+  candidates.forEach(({ rr, index }, position) => {
+    const neighbours = [
+      ...candidates.slice(Math.max(0, position - NEIGHBOURS), position),
+      ...candidates.slice(position + 1, position + 1 + NEIGHBOURS)
+    ].map(candidate => candidate.rr);
+    const reference = neighbours.length > 0 ? median(neighbours) : rr;
+    beats[index].valid = Math.abs(rr - reference) <= ECTOPIC_THRESHOLD * reference;
+  });
+
+  const segments = [];
+  let current = [];
+  beats.forEach(beat => {
+    if (beat.valid) {
+      current.push(beat.rr);
+    } else if (current.length > 0) {
+      segments.push(current);
+      current = [];
+    }
+  });
+  if (current.length > 0) segments.push(current);
+
+  const removed = beats.filter(beat => !beat.valid).length;
+  return {
+    beats,
+    segments,
+    removed,
+    artifactRate: intervals.length > 0 ? removed / intervals.length : 0
+  };
+};
+
+/**
+ * Time-domain measures from artifact-free segments
+ *
+ * @returns {object|null} { meanRR, meanHR, sdnn, rmssd, pnn50, beats }
+ */
+export const timeDomain = (segments) => {
+  const nn = segments.flat();
+  if (nn.length < 2) return null;
+
+  const meanRR = nn.reduce((sum, rr) => sum + rr, 0) / nn.length;
+  const variance = nn.reduce((sum, rr) => sum + (rr - meanRR) ** 2, 0) / (nn.length - 1);
+
+  const diffs = segments.flatMap(segment => segment.slice(1).map((rr, i) => rr - segment[i]));
+  const rmssd = diffs.length > 0
+    ? Math.sqrt(diffs.reduce((sum, d) => sum + d * d, 0) / diffs.length)
+    : null;
+  const pnn50 = diffs.length > 0
+    ? (diffs.filter(d => Math.abs(d) > 50).length / diffs.length) * 100
+    : null;
+
+  return {
+    meanRR: round(meanRR),
+    meanHR: round(60000 / meanRR),
+    sdnn: round(Math.sqrt(variance)),
+    rmssd: rmssd !== null ? round(rmssd) : null,
+    pnn50: pnn50 !== null ? round(pnn50) : null,
+    beats: nn.length
+  };
+};
+
+/**
+ * LF/HF band powers (ms²) from beats marked by filterArtifacts
+ * Artifacts keep their place on the time axis and are interpolated over.
+ *
+ * @returns {object|null} { lf, hf, lfHf, lfNu, hfNu } or null for short recordings
+ */
+export const frequencyDomain = (beats) => {
+  const points = [];
+  let time = 0;
+  beats.forEach(beat => {
+    time += beat.rr / 1000;
+    if (beat.valid) points.push([time, beat.rr]);
+  });
+  if (points.length < MIN_BEATS || points[points.length - 1][0] - points[0][0] < MIN_FREQUENCY_SECONDS) {
+    return null;
+  }
+
+  // Evenly resampled NN series (linear interpolation)
+  const start = points[0][0];
+  const count = Math.floor((points[points.length - 1][0] - start) * RESAMPLE_HZ);
+  const samples = new Array(count);
+  let segment = 0;
+  for (let n = 0; n < count; n++) {
+    const t = start + n / RESAMPLE_HZ;
+    while (segment < points.length - 2 && points[segment + 1][0] < t) segment++;
+    const [t0, v0] = points[segment];
+    const [t1, v1] = points[segment + 1];
+    samples[n] = v0 + ((v1 - v0) * (t - t0)) / (t1 - t0);
+  }
+
+  // Remove the linear trend
+  const meanN = (count - 1) / 2;
+  const meanV = samples.reduce((sum, v) => sum + v, 0) / count;
+  let slopeNum = 0;
+  let slopeDen = 0;
+  for (let n = 0; n < count; n++) {
+    slopeNum += (n - meanN) * (samples[n] - meanV);
+    slopeDen += (n - meanN) ** 2;
+  }
+  const slope = slopeNum / slopeDen;
+
+  // Hann-windowed periodogram, one-sided PSD in ms²/Hz
+  const window = samples.map((_, n) => 0.5 - 0.5 * Math.cos((2 * Math.PI * n) / (count - 1)));
+  const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+  const x = samples.map((v, n) => (v - meanV - slope * (n - meanN)) * window[n]);
+
+  const df = RESAMPLE_HZ / count;
+  const power = { lf: 0, hf: 0 };
+  for (let k = Math.ceil(BANDS.lf[0] / df); k * df < BANDS.hf[1]; k++) {
+    const f = k * df;
+    let re = 0;
+    let im = 0;
+    for (let n = 0; n < count; n++) {
+      const angle = (2 * Math.PI * k * n) / count;
+      re += x[n] * Math.cos(angle);
+      im -= x[n] * Math.sin(angle);
+    }
+    const psd = (2 * (re * re + im * im)) / (RESAMPLE_HZ * windowPower);
+    if (f < BANDS.lf[1]) power.lf += psd * df;
+    else power.hf += psd * df;
+  }
+
+  const total = power.lf + power.hf;
+  return {
+    lf: round(power.lf),
+    hf: round(power.hf),
+    lfHf: power.hf > 0 ? round(power.lf / power.hf, 2) : null,
+    lfNu: total > 0 ? round((power.lf / total) * 100) : null,
+    hfNu: total > 0 ? round((power.hf / total) * 100) : null
+  };
+};
+
+/**
+ * Quality of a reading, 0-100
+ *
+ * @param {object} input - { durationMs, windowMs, artifactRate, missingRatio, beats }
+ * @returns {object} { score, level: 'good'|'fair'|'poor', reasons }
+ */
+export const assessQuality = ({ durationMs, windowMs, artifactRate, missingRatio = 0, beats }) => {
+  const reasons = [];
+
+  const lengthFactor = Math.min(1, durationMs / windowMs);
+  if (lengthFactor < 0.9) reasons.push('short_recording');
+
+  // Up to 1% artifacts is normal; 15% or more makes the reading unusable
+  const artifactFactor = Math.max(0, Math.min(1, 1 - (artifactRate - 0.01) / 0.14));
+  if (artifactRate > 0.05) reasons.push('artifacts');
+
+  const gapFactor = Math.max(0, 1 - missingRatio);
+  if (missingRatio > 0.05) reasons.push('gaps');
+
+  let score = Math.round(100 * lengthFactor * artifactFactor * gapFactor);
+  if (beats < MIN_BEATS) {
+    reasons.push('too_few_beats');
+    score = Math.min(score, MIN_QUALITY_FOR_SCORING - 1);
+  }
+
+  return {
+    score,
+    level: score >= 80 ? 'good' : score >= MIN_QUALITY_FOR_SCORING ? 'fair' : 'poor',
+    reasons
+  };
+};
+
+/**
+ * Take the last `windowMs` of samples
+ * Accepts plain RR values (ms) or { t, rr } samples from HeartRateTimeSeries.
+ */
+const selectWindow = (samples, windowMs) => {
+  if (samples.length === 0) return { intervals: [], durationMs: 0, missingRatio: 0 };
+
+  if (typeof samples[0] === 'number') {
+    const intervals = [];
+    let durationMs = 0;
+    for (let i = samples.length - 1; i >= 0 && durationMs < windowMs; i--) {
+      intervals.unshift(samples[i]);
+      durationMs += samples[i];
+    }
+    return { intervals, durationMs, missingRatio: 0 };
+  }
+
+  const end = samples[samples.length - 1].t;
+  const selected = samples.filter(sample => sample.t > end - windowMs);
+  const intervals = selected.map(sample => sample.rr);
+  const beatTime = intervals.reduce((sum, rr) => sum + rr, 0);
+  const span = end - selected[0].t + selected[0].rr;
+  return {
+    intervals,
+    durationMs: span,
+    missingRatio: span > 0 ? Math.max(0, 1 - beatTime / span) : 0
+  };
+};
+
+/**
+ * Full HRV analysis of the last `windowMs` of RR data
+ *
+ * @param {Array} samples - RR values in ms, or [{ t, rr }]
+ * @param {object} options - { windowMs = 5 min, includeFrequency = true }
+ * @returns {object} { windowMs, durationSec, beats, artifacts, artifactRate,
+ *   timeDomain, frequencyDomain, quality, usableForScoring }
+ */
+export const analyzeHRV = (samples = [], { windowMs = DEFAULT_WINDOW_MS, includeFrequency = true } = {}) => {
+  const { intervals, durationMs, missingRatio } = selectWindow(samples, windowMs);
+  const filtered = filterArtifacts(intervals);
+  const time = timeDomain(filtered.segments);
+  const quality = assessQuality({
+    durationMs,
+    windowMs,
+    artifactRate: filtered.artifactRate,
+    missingRatio,
+    beats: intervals.length - filtered.removed
+  });
+
+  return {
+    windowMs,
+    durationSec: round(durationMs / 1000),
+    beats: intervals.length,
+    artifacts: filtered.removed,
+    artifactRate: round(filtered.artifactRate * 100),
+    timeDomain: time,
+    frequencyDomain: includeFrequency ? frequencyDomain(filtered.beats) : null,
+    quality,
+    usableForScoring: time !== null && time.rmssd !== null && quality.score >= MIN_QUALITY_FOR_SCORING
+  };
+};
+
+/**
+ * Quality score to store with an HRV value from an input screen
+ * A value matching the watch's current reading keeps that reading's quality;
+ * anything typed in is taken as measured (null, never excluded).
+ *
+ * @param {number|string} value - HRV as entered
+ * @param {object} reading - { hrv, hrvQuality } from WearableService.getCachedData()
+ * @returns {number|null}
+ */
+export const readingQuality = (value, reading = {}) => {
+  if (value === null || value === undefined || value === '' || reading?.hrv == null) return null;
+  return Number(value) === Number(reading.hrv) ? reading.hrvQuality ?? null : null;
+};
+
+export default {
+  DEFAULT_WINDOW_MS,
+  MIN_QUALITY_FOR_SCORING,
+  BANDS,
+  filterArtifacts,
+  timeDomain,
+  frequencyDomain,
+  assessQuality,
+  analyzeHRV,
+  readingQuality
+};
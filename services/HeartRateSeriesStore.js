@@ -0,0 +1,293 @@
+/**
+ * HeartRateSeriesStore.js - Buffering, hourly records, downsampling and queries
+ * of the heart-rate time series
+ *
+ * HeartRateTimeSeries.js is the instance the app uses (on EncryptedChunkStore,
+ * audited through DataAccessAudit); its header describes the record layout.
+ */
+
+import {
+  hourKey,
+  dayKey,
+  hourStart,
+  timestampRRIntervals,
+  aggregateMinutes,
+  mergeMinuteRows,
+  summarizeMinutes
+} from './TimeSeriesAggregation.js';
+
+const RAW_PREFIX = 'hr_raw_';
+const MINUTE_PREFIX = 'hr_min_';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RAW_RETENTION_MS = 48 * HOUR_MS;
+const MINUTE_RETENTION_DAYS = 365;
+const FLUSH_INTERVAL_MS = 60 * 1000;
+const COMPACT_INTERVAL_MS = HOUR_MS;
+const RECENT_WINDOW_MS = 10 * 60 * 1000;
+// Unwritten samples kept while storage is unavailable (e.g. encryption locked)
+const MAX_PENDING_SAMPLES = 20000;
+
+const inRange = (from, to) => ([t]) => t >= from && t <= to;
+
+/**
+ * Heart-rate and RR-interval history on a chunked record store
+ *
+ * @param {object} deps - { records: record store, audit: auditDataEvent }
+ */
+export class HeartRateSeriesStore {
+  constructor({ records, audit }) {
+    this.records = records;
+    this.audit = audit;
+    this.pending = { hr: [], rr: [] };
+    this.recent = { hr: [], rr: [] };
+    this.flushTimer = null;
+    this.writeChain = Promise.resolve();
+    this.lastCompaction = 0;
+  }
+
+  // ==================== RECORDING ====================
+
+  /**
+   * Record one heart-rate notification
+   * @param {number} bpm - Heart rate (ignored when 0)
+   * @param {Array} rrIntervals - RR intervals in ms from the same notification
+   * @param {number} receivedAt - Arrival time (ms)
+   */
+  recordSample(bpm, rrIntervals = [], receivedAt = Date.now()) {
+    const hr = bpm > 0 ? [[receivedAt, bpm]] : [];
+    const rr = timestampRRIntervals(rrIntervals, receivedAt);
+
+    this.pending.hr.push(...hr);
+    this.pending.rr.push(...rr);
+    this.recent.hr.push(...hr);
+    this.recent.rr.push(...rr);
+    this._trimRecent(receivedAt);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, FLUSH_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * RR intervals from the last `windowMs` as [{ t, rr }], oldest first - no storage access
+   */
+  getRecentRR(windowMs = 5 * 60 * 1000) {
+    const since = Date.now() - windowMs;
+    return this.recent.rr.filter(([t]) => t >= since).map(([t, rr]) => ({ t, rr }));
+  }
+
+  _trimRecent(now) {
+    const since = now - RECENT_WINDOW_MS;
+    if (this.recent.hr.length && this.recent.hr[0][0] < since) {
+      this.recent.hr = this.recent.hr.filter(([t]) => t >= since);
+    }
+    if (this.recent.rr.length && this.recent.rr[0][0] < since) {
+      this.recent.rr = this.recent.rr.filter(([t]) => t >= since);
+    }
+  }
+
+  // Storage writes run one at a time
+  _serialize(task) {
+    const result = this.writeChain.then(task);
+    this.writeChain = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Write buffered samples to their hour records
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    return this._serialize(async () => {
+      const { hr, rr } = this.pending;
+      if (hr.length === 0 && rr.length === 0) return 0;
+      this.pending = { hr: [], rr: [] };
+
+      const byHour = new Map();
+      const bucketFor = (t) => {
+        const key = hourKey(t);
+        if (!byHour.has(key)) byHour.set(key, { hr: [], rr: [] });
+        return byHour.get(key);
+      };
+      hr.forEach(sample => bucketFor(sample[0]).hr.push(sample));
+      rr.forEach(sample => bucketFor(sample[0]).rr.push(sample));
+
+      const written = new Set();
+      try {
+        for (const [key, samples] of byHour) {
+          const existing = (await this.records.readRecord(RAW_PREFIX + key)) || { hr: [], rr: [] };
+          await this.records.writeRecord(RAW_PREFIX + key, {
+            hr: existing.hr.concat(samples.hr),
+            rr: existing.rr.concat(samples.rr)
+          });
+          written.add(key);
+        }
+      } catch (error) {
+        // Keep the unwritten hours for the next attempt
+        const unwritten = [...byHour].filter(([key]) => !written.has(key)).map(([, samples]) => samples);
+        this.pending.hr = unwritten.flatMap(samples => samples.hr).concat(this.pending.hr).slice(-MAX_PENDING_SAMPLES);
+        this.pending.rr = unwritten.flatMap(samples => samples.rr).concat(this.pending.rr).slice(-MAX_PENDING_SAMPLES);
+        console.error('Heart rate series flush failed:', error);
+        return 0;
+      }
+
+      if (Date.now() - this.lastCompaction > COMPACT_INTERVAL_MS) {
+        await this._compact();
+      }
+      return hr.length + rr.length;
+    });
+  }
+
+  // ==================== DOWNSAMPLING ====================
+
+  async _compact() {
+    this.lastCompaction = Date.now();
+    try {
+      const keys = await this.records.listRecords();
+      const rawCutoff = Date.now() - RAW_RETENTION_MS;
+      const minuteCutoff = dayKey(Date.now() - MINUTE_RETENTION_DAYS * DAY_MS);
+
+      const expiredHours = keys
+        .filter(key => key.startsWith(RAW_PREFIX))
+        .map(key => key.slice(RAW_PREFIX.length))
+        .filter(hour => hourStart(hour) + HOUR_MS <= rawCutoff)
+        .sort();
+
+      for (const hour of expiredHours) {
+        const raw = await this.records.readRecord(RAW_PREFIX + hour);
+        if (raw) {
+          const dayRecord = MINUTE_PREFIX + dayKey(hourStart(hour));
+          const existing = (await this.records.readRecord(dayRecord)) || [];
+          await this.records.writeRecord(dayRecord, mergeMinuteRows(existing, aggregateMinutes(raw.hr, raw.rr)));
+        }
+        await this.records.removeRecord(RAW_PREFIX + hour);
+      }
+
+      const expiredDays = keys.filter(key => key.startsWith(MINUTE_PREFIX) && key.slice(MINUTE_PREFIX.length) < minuteCutoff);
+      for (const key of expiredDays) {
+        await this.records.removeRecord(key);
+      }
+
+      if (expiredHours.length > 0) {
+        console.log(`💓 Downsampled ${expiredHours.length} hour(s) of heart rate data`);
+      }
+    } catch (error) {
+      console.error('Heart rate series compaction failed:', error);
+    }
+  }
+
+  // ==================== QUERIES ====================
+
+  async _readRaw(from, to) {
+    const hr = [];
+    const rr = [];
+    for (let start = Math.floor(from / HOUR_MS) * HOUR_MS; start <= to; start += HOUR_MS) {
+      const record = await this.records.readRecord(RAW_PREFIX + hourKey(start));
+      if (record) {
+        hr.push(...record.hr.filter(inRange(from, to)));
+        rr.push(...record.rr.filter(inRange(from, to)));
+      }
+    }
+    hr.push(...this.pending.hr.filter(inRange(from, to)));
+    rr.push(...this.pending.rr.filter(inRange(from, to)));
+
+    const byTime = (a, b) => a[0] - b[0];
+    return { hr: hr.sort(byTime), rr: rr.sort(byTime) };
+  }
+
+  /**
+   * Heart-rate samples between `from` and `to` (ms), oldest first
+   * Returns [{ t, bpm }] while raw data is kept, otherwise minute averages
+   * [{ t, bpm, min, max }].
+   */
+  async getHeartRate(from, to = Date.now()) {
+    if (from >= Date.now() - RAW_RETENTION_MS) {
+      const { hr } = await this._readRaw(from, to);
+      this.audit('read', { key: 'heart_rate_series', recordCount: hr.length });
+      return hr.map(([t, bpm]) => ({ t, bpm }));
+    }
+
+    const rows = await this.getMinuteSummaries(from, to);
+    return rows
+      .filter(row => row.hrCount > 0)
+      .map(row => ({ t: row.t, bpm: row.hrAvg, min: row.hrMin, max: row.hrMax }));
+  }
+
+  /**
+   * RR intervals between `from` and `to` (ms) as [{ t, rr }]
+   * Beat-to-beat data only exists for the last RAW_RETENTION_MS.
+   */
+  async getRRIntervals(from, to = Date.now()) {
+    const { rr } = await this._readRaw(Math.max(from, Date.now() - RAW_RETENTION_MS), to);
+    this.audit('read', { key: 'rr_interval_series', recordCount: rr.length });
+    return rr.map(([t, ms]) => ({ t, rr: ms }));
+  }
+
+  /**
+   * Per-minute rows between `from` and `to`, computed from raw data where it is still kept
+   */
+  async getMinuteSummaries(from, to = Date.now()) {
+    const rawFrom = Math.max(from, Math.floor((Date.now() - RAW_RETENTION_MS) / HOUR_MS) * HOUR_MS);
+
+    let rows = [];
+    for (let day = Date.parse(dayKey(from)); day <= Math.min(to, rawFrom); day += DAY_MS) {
+      const record = await this.records.readRecord(MINUTE_PREFIX + dayKey(day));
+      if (record) rows = rows.concat(record);
+    }
+
+    if (to >= rawFrom) {
+      const raw = await this._readRaw(rawFrom, to);
+      rows = mergeMinuteRows(rows, aggregateMinutes(raw.hr, raw.rr));
+    }
+
+    rows = rows.filter(row => row.t >= from && row.t <= to);
+    this.audit('read', { key: 'heart_rate_series', recordCount: rows.length });
+    return rows;
+  }
+
+  /**
+   * One summary per UTC day for the last `days` days, oldest first
+   * @returns {Array} [{ date, hrAvg, hrMin, hrMax, restingHr, rmssd, minutes }]
+   */
+  async getDailySummaries(days = 30) {
+    const to = Date.now();
+    const from = Date.parse(dayKey(to - (days - 1) * DAY_MS));
+    const rows = await this.getMinuteSummaries(from, to);
+
+    const byDay = new Map();
+    rows.forEach(row => {
+      const date = dayKey(row.t);
+      if (!byDay.has(date)) byDay.set(date, []);
+      byDay.get(date).push(row);
+    });
+
+    return [...byDay.entries()]
+      .map(([date, dayRows]) => ({ date, ...summarizeMinutes(dayRows) }))
+      .filter(summary => summary.minutes > 0);
+  }
+
+  /**
+   * Drop buffered samples (stored records are removed with the rest of the data on wipe)
+   */
+  reset() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.pending = { hr: [], rr: [] };
+    this.recent = { hr: [], rr: [] };
+  }
+}
+
+export default {
+  HeartRateSeriesStore
+};
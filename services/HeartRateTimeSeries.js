@@ -0,0 +1,24 @@
+/**
+ * HeartRateTimeSeries.js - Persistent heart-rate and RR-interval history from the watch
+ *
+ * Every heart-rate sample and RR interval WearableService receives is kept
+ * with its timestamp. Samples are buffered in memory and written once a
+ * minute to encrypted EncryptedChunkStore records:
+ *
+ *   hr_raw_<YYYY-MM-DDTHH>   { hr: [[t, bpm]], rr: [[t, ms]] }   one per UTC hour
+ *   hr_min_<YYYY-MM-DD>      [minute rows]                       one per UTC day
+ *
+ * Raw hours older than RAW_RETENTION_MS are downsampled into per-minute rows
+ * (see TimeSeriesAggregation.js) and removed; minute rows are kept for
+ * MINUTE_RETENTION_DAYS.
+ *
+ * Background writes are not audited (one per minute would flood the audit
+ * log); range queries are, as reads of medical data.
+ * The store itself is in HeartRateSeriesStore.js.
+ */
+
+import ChunkStore from './EncryptedChunkStore';
+import { auditDataEvent } from './DataAccessAudit';
+import { HeartRateSeriesStore } from './HeartRateSeriesStore';
+
+export default new HeartRateSeriesStore({ records: ChunkStore, audit: auditDataEvent });
@@ -0,0 +1,176 @@
+/**
+ * ImportMerge.js - Merging imported history into the history on this device
+ *
+ * Imported entries are first validated like new entries (validateImportedEntries);
+ * the ones that fail are reported and left out of the merge.
+ *
+ * Entries are matched by identity: tier plus timestamp, plus importCopyId for
+ * copies kept by keep_both (entries without a timestamp are matched by
+ * content). For each imported entry:
+ * - no local match            → added
+ * - identical local entry     → duplicate, skipped
+ * - different local entry     → conflict, resolved by strategy:
+ *     keep_mine   local entry stays
+ *     keep_theirs imported entry replaces it
+ *     keep_both   both stay; the imported copy keeps its timestamp and gets an
+ *                 importCopyId (derived from its content, so importing the
+ *                 same backup again finds it) to tell the two apart
+ * Local entries missing from the import are always kept. With a limit, only
+ * the newest entries are kept, as the live stores cap their histories.
+ */
+
+import { normalizeBiomarkerEntry } from './BiomarkerSchema.js';
+
+export const MERGE_STRATEGIES = ['keep_mine', 'keep_theirs', 'keep_both'];
+
+// Tiers a history entry is stored under (none means Tier 1)
+const ENTRY_TIERS = [1, 2, 3, 'Fitness Assessment'];
+
+/**
+ * JSON with object keys sorted, so equal entries compare equal
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// FNV-1a hash (hex) of an entry's content, the importCopyId of its copy
+const contentHash = (entry) => {
+  let hash = 0x811c9dc5;
+  for (const char of stableStringify(entry)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Identity of a history entry: tier, timestamp instant and import copy id
+ */
+export const entryIdentity = (entry) => {
+  const time = Date.parse(entry.timestamp);
+  if (Number.isNaN(time)) {
+    return `content|${stableStringify(entry)}`;
+  }
+  const identity = `${entry.tier ?? 1}|${time}`;
+  return entry.importCopyId ? `${identity}|${entry.importCopyId}` : identity;
+};
+
+export const entriesEqual = (a, b) => stableStringify(a) === stableStringify(b);
+
+/**
+ * Validate imported history entries the way saveBiomarkerEntry validates new ones
+ *
+ * @param {Array} incoming - Entries from the import
+ * @returns {object} { entries (canonicalized), rejected: [{ index, timestamp, reason }] }
+ */
+export const validateImportedEntries = (incoming = []) => {
+  const entries = [];
+  const rejected = [];
+
+  incoming.forEach((entry, index) => {
+    try {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error('Entry is not an object');
+      }
+      if (entry.tier && !ENTRY_TIERS.includes(entry.tier)) {
+        throw new Error(`Unknown tier: ${entry.tier}`);
+      }
+      entries.push(normalizeBiomarkerEntry(entry));
+    } catch (error) {
+      rejected.push({ index, timestamp: entry?.timestamp ?? null, reason: error.message });
+    }
+  });
+
+  return { entries, rejected };
+};
+
+/**
+ * Merge `incoming` entries into `local`
+ *
+ * @param {Array} local - Entries on this device
+ * @param {Array} incoming - Entries from the import
+ * @param {string} strategy - One of MERGE_STRATEGIES
+ * @param {object} options - { limit: keep only the newest `limit` entries }
+ * @returns {object} { merged, added, duplicates, conflicts, localOnly, dropped, changed }
+ *   merged is sorted newest first; conflicts lists { timestamp, tier, mine, theirs };
+ *   dropped counts the oldest entries cut by the limit
+ */
+export const mergeEntries = (local = [], incoming = [], strategy = 'keep_mine', { limit = Infinity } = {}) => {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy: ${strategy}`);
+  }
+
+  const byIdentity = new Map(local.map(entry => [entryIdentity(entry), entry]));
+  const matched = new Set();
+  const conflicts = [];
+  let added = 0;
+  let duplicates = 0;
+  let replaced = 0;
+
+  for (const theirs of incoming) {
+    const identity = entryIdentity(theirs);
+    const mine = byIdentity.get(identity);
+
+    if (!mine) {
+      byIdentity.set(identity, theirs);
+      matched.add(identity);
+      added++;
+      continue;
+    }
+
+    matched.add(identity);
+    if (entriesEqual(mine, theirs)) {
+      duplicates++;
+      continue;
+    }
+
+    if (strategy === 'keep_both') {
+      // Same content gives the same copy id, so an earlier import's copy is found
+      const copy = { ...theirs, importCopyId: contentHash(theirs) };
+      const copyIdentity = entryIdentity(copy);
+      matched.add(copyIdentity);
+      if (byIdentity.has(copyIdentity)) {
+        duplicates++;
+        continue;
+      }
+      byIdentity.set(copyIdentity, copy);
+      added++;
+    } else if (strategy === 'keep_theirs') {
+      byIdentity.set(identity, theirs);
+      replaced++;
+    }
+
+    conflicts.push({ timestamp: theirs.timestamp, tier: theirs.tier ?? 1, mine, theirs });
+  }
+
+  const sorted = [...byIdentity.values()]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const merged = sorted.slice(0, limit);
+
+  return {
+    merged,
+    added,
+    duplicates,
+    conflicts,
+    localOnly: local.filter(entry => !matched.has(entryIdentity(entry))).length,
+    dropped: sorted.length - merged.length,
+    changed: added > 0 || replaced > 0
+  };
+};
+
+export default {
+  MERGE_STRATEGIES,
+  entryIdentity,
+  entriesEqual,
+  validateImportedEntries,
+  mergeEntries
+};
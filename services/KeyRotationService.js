@@ -0,0 +1,33 @@
+/**
+ * KeyRotationService.js - Master key rotation for encrypted health data
+ *
+ * Rotation re-encrypts everything EncryptionService has encrypted:
+ * - Chunked records (biomarker histories, Tier 3 data, ...) in EncryptedChunkStore
+ * - Audit logs and their archives
+ * - Automatic backup files (sealed under the device key)
+ *
+ * A completed rotation also retires the legacy (v1) format; without one,
+ * migrateLegacyRecords rewrites v1 records in place.
+ *
+ * Crash safety: the incoming key is persisted before any record is touched and
+ * is only promoted once every record has been rewritten. Until then records
+ * under either key stay readable, and calling rotateKey() again resumes.
+ * The steps are in KeyRotationSteps.js; this module binds them to the services.
+ */
+
+import EncryptionService from './EncryptionService';
+import ChunkStore from './EncryptedChunkStore';
+import AuditLogger from './AuditLogger';
+import StorageService from './StorageService';
+import { createKeyRotation } from './KeyRotationSteps';
+
+const rotation = createKeyRotation({
+  encryption: EncryptionService,
+  records: ChunkStore,
+  auditLogger: AuditLogger,
+  backups: StorageService
+});
+
+export const { rotateKey, migrateLegacyRecords, resumePendingRotation } = rotation;
+
+export default rotation;
@@ -0,0 +1,88 @@
+/**
+ * KeyRotationSteps.js - Order of a master key rotation and the legacy migration
+ *
+ * createKeyRotation binds the steps to the services they drive:
+ * - encryption:  EncryptionService (pending key, reencrypt, promotion)
+ * - records:     chunked record store (listRecords, reencryptRecord, readRecord)
+ * - auditLogger: AuditLogger (log, reencryptStoredLogs, upgradeLegacyLogs)
+ * - backups:     StorageService (reencryptAutoBackups)
+ * KeyRotationService.js is the instance the app uses; its header describes
+ * the crash safety these steps rely on.
+ */
+
+/**
+ * @param {object} deps - { encryption, records, auditLogger, backups }
+ * @returns {object} { rotateKey, migrateLegacyRecords, resumePendingRotation }
+ */
+export const createKeyRotation = ({ encryption, records, auditLogger, backups }) => {
+  /**
+   * Rotate the master key and re-encrypt all stored data
+   *
+   * @returns {object} { fromVersion, toVersion, records, auditBlobs, backups, resumed }
+   */
+  const rotateKey = async () => {
+    const rotation = await encryption.beginKeyRotation();
+    console.log(`🔄 ${rotation.resumed ? 'Resuming' : 'Starting'} key rotation v${rotation.fromVersion} → v${rotation.toVersion}`);
+
+    try {
+      const recordKeys = await records.listRecords();
+      for (const key of recordKeys) {
+        await records.reencryptRecord(key);
+      }
+
+      const auditBlobs = await auditLogger.reencryptStoredLogs();
+      const backupFiles = await backups.reencryptAutoBackups();
+      await encryption.completeKeyRotation();
+
+      const result = { ...rotation, records: recordKeys.length, auditBlobs, backups: backupFiles };
+      await auditLogger.log('KEY_ROTATED', result);
+      return result;
+    } catch (error) {
+      console.error('❌ Key rotation failed:', error);
+      await auditLogger.log('KEY_ROTATION_FAILED', { ...rotation, error: error.message });
+      throw new Error('Key rotation did not finish - it will resume on the next attempt');
+    }
+  };
+
+  /**
+   * Rewrite every legacy (v1, unauthenticated) record as v2, then record that
+   * the migration is done so EncryptionService refuses v1 input from then on.
+   * Reading a chunked record upgrades it (see ChunkedRecordStore readRecord).
+   * Nothing is flagged if any record fails, so the next unlock retries.
+   *
+   * @returns {object|null} { records, auditBlobs }, or null when already migrated
+   */
+  const migrateLegacyRecords = async () => {
+    if (encryption.isLegacyMigrated()) return null;
+
+    const recordKeys = await records.listRecords();
+    for (const key of recordKeys) {
+      await records.readRecord(key);
+    }
+    const auditBlobs = await auditLogger.upgradeLegacyLogs();
+
+    await encryption.markLegacyMigrated();
+    console.log(`✅ Legacy encryption migrated (${recordKeys.length} records, ${auditBlobs} audit blobs)`);
+    return { records: recordKeys.length, auditBlobs };
+  };
+
+  /**
+   * Finish a rotation interrupted by a crash or app kill, if there is one
+   */
+  const resumePendingRotation = async () => {
+    if (await encryption.isRotationPending()) {
+      return rotateKey();
+    }
+    return null;
+  };
+
+  return {
+    rotateKey,
+    migrateLegacyRecords,
+    resumePendingRotation
+  };
+};
+
+export default {
+  createKeyRotation
+};
@@ -0,0 +1,52 @@
+/**
+ * KeyWrap.js - PIN-derived key-encryption key and the wrapped key bundle
+ *
+ * The master key (and any pending rotation key) rests only inside a
+ * CryptoEnvelope sealed under a key derived from the user's PIN and the
+ * device salt. A wrong PIN derives a different key, which fails the
+ * envelope's MAC; unwrapKeyBundle reports that as 'INVALID_PIN'. Changing
+ * the PIN re-wraps the same bundle, so stored data is not touched.
+ */
+
+import { deriveKey, sealEnvelope, openEnvelope } from './CryptoEnvelope.js';
+
+// Lower than the passphrase KDF: the PIN key is only usable with the device salt in SecureStore
+export const PIN_KDF_ITERATIONS = 10000;
+
+/**
+ * Key-encryption key (base64) for `pin` on this device
+ */
+export const derivePinKey = (pin, deviceSalt) => deriveKey(pin, deviceSalt, PIN_KDF_ITERATIONS);
+
+/**
+ * Seal the key bundle under the PIN-derived key
+ *
+ * @param {object} bundle - { masterKey, keyVersion, pendingKey, pendingVersion, legacyMigrated }
+ * @param {Uint8Array} ivBytes - Random IV for the envelope
+ * @returns {string} Envelope to store
+ */
+export const wrapKeyBundle = (bundle, wrappingKey, ivBytes) =>
+  sealEnvelope(JSON.stringify(bundle), wrappingKey, ivBytes);
+
+/**
+ * Open a wrapped bundle; throws with code 'INVALID_PIN' when the key does not match
+ */
+export const unwrapKeyBundle = (wrapped, wrappingKey) => {
+  try {
+    return JSON.parse(openEnvelope(wrapped, [wrappingKey]));
+  } catch (error) {
+    if (error.code === 'INTEGRITY_CHECK_FAILED') {
+      const pinError = new Error('Incorrect PIN');
+      pinError.code = 'INVALID_PIN';
+      throw pinError;
+    }
+    throw error;
+  }
+};
+
+export default {
+  PIN_KDF_ITERATIONS,
+  derivePinKey,
+  wrapKeyBundle,
+  unwrapKeyBundle
+};
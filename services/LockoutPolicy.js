@@ -0,0 +1,53 @@
+/**
+ * LockoutPolicy.js - Escalating lockout after failed PIN attempts
+ *
+ * SessionService persists the failure count and applies the outcome; the
+ * schedule itself lives here. Below LOCKOUT_SCHEDULE[0].failures a wrong PIN
+ * costs nothing; from there each further failure locks PIN entry for longer,
+ * the last delay repeating. With wipeAfterFailures set, reaching it wipes
+ * the data instead of locking.
+ */
+
+// Delay imposed once the failure count reaches `failures`; the last row repeats
+export const LOCKOUT_SCHEDULE = [
+  { failures: 5, delayMs: 30 * 1000 },
+  { failures: 6, delayMs: 60 * 1000 },
+  { failures: 7, delayMs: 5 * 60 * 1000 },
+  { failures: 8, delayMs: 15 * 60 * 1000 },
+  { failures: 9, delayMs: 60 * 60 * 1000 }
+];
+
+/**
+ * Lockout delay after `failedAttempts` consecutive failures (0 below the threshold)
+ */
+export const getLockoutDelay = (failedAttempts) => {
+  const step = [...LOCKOUT_SCHEDULE].reverse().find(s => failedAttempts >= s.failures);
+  return step ? step.delayMs : 0;
+};
+
+/**
+ * Outcome of one more failed attempt
+ *
+ * @param {number} previousFailures - Consecutive failures before this one
+ * @param {object} policy - { wipeAfterFailures } (0 = never wipe)
+ * @returns {object} { failedAttempts, delayMs, lockedUntil, wipe, attemptsBeforeWipe }
+ */
+export const nextLockout = (previousFailures, { wipeAfterFailures = 0 } = {}, now = Date.now()) => {
+  const failedAttempts = previousFailures + 1;
+  const wipe = wipeAfterFailures > 0 && failedAttempts >= wipeAfterFailures;
+  const delayMs = wipe ? 0 : getLockoutDelay(failedAttempts);
+
+  return {
+    failedAttempts,
+    delayMs,
+    lockedUntil: delayMs > 0 ? now + delayMs : 0,
+    wipe,
+    attemptsBeforeWipe: wipeAfterFailures > 0 ? Math.max(0, wipeAfterFailures - failedAttempts) : null
+  };
+};
+
+export default {
+  LOCKOUT_SCHEDULE,
+  getLockoutDelay,
+  nextLockout
+};
@@ -0,0 +1,152 @@
+/**
+ * MorningHRV.js - Guided resting HRV sessions and the 30-day continuous HRV score
+ *
+ * Protocol (MorningHRVScreen): on waking, sitting or lying still, the user
+ * follows a breathing pacer at PACER_BREATHS_PER_MINUTE. The first
+ * SETTLE_MS let heart rate settle and are discarded; the next RECORDING_MS
+ * of RR intervals are analysed (see HRVAnalysis). Keeping position, time of
+ * day and breathing the same every morning makes sessions comparable.
+ *
+ * A session is rejected when the wrist moved (accelerometer or step count)
+ * or the RR signal was too poor to score. The continuous HRV score is the
+ * age- and sex-normed HRV score (PraxiomAlgorithm.calculateHRVScore) of the
+ * average RMSSD over the last ROLLING_WINDOW_DAYS, once MIN_SESSIONS_FOR_SCORE
+ * mornings have been recorded.
+ */
+
+import { analyzeHRV } from './HRVAnalysis.js';
+import PraxiomAlgorithm from './PraxiomAlgorithm.js';
+
+export const SETTLE_MS = 60 * 1000;
+export const RECORDING_MS = 5 * 60 * 1000;
+export const PACER_BREATHS_PER_MINUTE = 6;
+export const ROLLING_WINDOW_DAYS = 30;
+export const MIN_SESSIONS_FOR_SCORE = 3;
+
+// Accelerometer samples whose magnitude changes by more than 10% of the
+// resting magnitude count as movement; more than 10% of such samples, or a
+// few steps, rejects the session
+const MOTION_DELTA = 0.1;
+const MAX_MOTION_FRACTION = 0.1;
+const MAX_SESSION_STEPS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Share of accelerometer samples showing movement
+ *
+ * @param {Array} samples - [[x, y, z], ...] raw accelerometer readings
+ * @returns {number} 0-1
+ */
+export const motionFraction = (samples = []) => {
+  if (samples.length < 2) return 0;
+
+  const magnitudes = samples.map(([x, y, z]) => Math.sqrt(x * x + y * y + z * z));
+  const resting = magnitudes.reduce((sum, m) => sum + m, 0) / magnitudes.length;
+  if (resting === 0) return 0;
+
+  let moving = 0;
+  for (let i = 1; i < magnitudes.length; i++) {
+    if (Math.abs(magnitudes[i] - magnitudes[i - 1]) > MOTION_DELTA * resting) moving++;
+  }
+  return moving / (magnitudes.length - 1);
+};
+
+/**
+ * Evaluate a finished recording
+ *
+ * @param {object} recording - { rr: [{ t, rr }] from the recording period,
+ *   accel: [[x, y, z]], stepsDelta, startedAt, endedAt }
+ * @returns {object} { accepted, reasons: ['motion'|'poor_signal'], analysis,
+ *   session } - session is the record to store when accepted
+ */
+export const evaluateSession = ({ rr = [], accel = [], stepsDelta = 0, startedAt, endedAt = Date.now() }) => {
+  const analysis = analyzeHRV(rr, { windowMs: RECORDING_MS });
+  const motion = motionFraction(accel);
+
+  const reasons = [];
+  if (motion > MAX_MOTION_FRACTION || stepsDelta > MAX_SESSION_STEPS) reasons.push('motion');
+  if (!analysis.usableForScoring) reasons.push('poor_signal');
+
+  const time = analysis.timeDomain;
+  const session = {
+    timestamp: new Date(startedAt ?? endedAt).toISOString(),
+    durationSec: analysis.durationSec,
+    rmssd: time?.rmssd ?? null,
+    sdnn: time?.sdnn ?? null,
+    meanHR: time?.meanHR ?? null,
+    lfHf: analysis.frequencyDomain?.lfHf ?? null,
+    quality: analysis.quality.score,
+    artifactRate: analysis.artifactRate,
+    motion: round(motion * 100)
+  };
+
+  return { accepted: reasons.length === 0, reasons, analysis, session };
+};
+
+/**
+ * Human-readable reason for a rejected session
+ */
+export const describeRejection = (reasons = []) => {
+  if (reasons.includes('motion')) {
+    return 'Movement was detected. Keep your arm still and rest for the whole session.';
+  }
+  if (reasons.includes('poor_signal')) {
+    return 'The heart rate signal was too noisy. Tighten the strap slightly above the wrist bone and try again.';
+  }
+  return null;
+};
+
+/**
+ * Continuous HRV score from stored sessions
+ * Only the latest session of each day counts, so repeating a morning does
+ * not weigh it twice. RMSSD is log-normally distributed, so days are
+ * averaged on ln(RMSSD).
+ *
+ * @param {Array} sessions - Stored session records
+ * @param {object} options - { chronologicalAge, sex, now }
+ * @returns {object|null} { score, rmssd, days, since } or null with too few mornings
+ */
+export const rollingHRVScore = (sessions = [], { chronologicalAge, sex = null, now = Date.now() } = {}) => {
+  const since = now - ROLLING_WINDOW_DAYS * DAY_MS;
+
+  const byDay = new Map();
+  sessions
+    .filter(session => session.rmssd > 0)
+    .filter(session => {
+      const t = Date.parse(session.timestamp);
+      return t >= since && t <= now;
+    })
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+    .forEach(session => byDay.set(session.timestamp.slice(0, 10), session));
+
+  if (byDay.size < MIN_SESSIONS_FOR_SCORE) return null;
+
+  const days = [...byDay.values()];
+  const rmssd = Math.exp(days.reduce((sum, session) => sum + Math.log(session.rmssd), 0) / days.length);
+  const score = PraxiomAlgorithm.calculateHRVScore(rmssd, chronologicalAge, sex);
+
+  return {
+    score: score === null ? null : Math.round(score),
+    rmssd: round(rmssd),
+    days: days.length,
+    since: new Date(since).toISOString()
+  };
+};
+
+export default {
+  SETTLE_MS,
+  RECORDING_MS,
+  PACER_BREATHS_PER_MINUTE,
+  ROLLING_WINDOW_DAYS,
+  MIN_SESSIONS_FOR_SCORE,
+  motionFraction,
+  evaluateSession,
+  describeRejection,
+  rollingHRVScore
+};
@@ -188,26 +188,24 @@ class NotificationService {
 
   /**
    * Forward notification to PineTime watch
+   * Sent over the Alert Notification Service; queued by WearableService while
+   * the watch is disconnected. Returns true once delivered or queued.
    */
   async forwardToWatch(notification) {
     try {
-      // Check if watch is connected
-      if (!WearableService.isConnected) {
-        return false;
-      }
-
-      // Send notification data via BLE
       const message = {
         type: 'notification',
-        title: notification.title,
-        body: notification.body,
-        category: notification.category,
-        timestamp: Date.now(),
+        ...notification,
+        timestamp: notification.timestamp || Date.now(),
       };
 
-      await WearableService.sendNotification(message);
-      console.log('📤 Notification forwarded to watch');
-      return true;
+      const result = await WearableService.sendNotification(message);
+      if (result.delivered) {
+        console.log('📤 Notification forwarded to watch');
+      } else if (result.queued) {
+        console.log('🕓 Watch disconnected - notification queued');
+      }
+      return result.delivered || result.queued;
     } catch (error) {
       console.error('Error forwarding to watch:', error);
       return false;
@@ -7,6 +7,9 @@
 import * as Print from 'expo-print';
 import * as Sharing from 'expo-sharing';
 import * as FileSystem from 'expo-file-system';
+import { getDefinition } from './BiomarkerSchema';
+import PraxiomAlgorithm from './PraxiomAlgorithm';
+import SessionService from './SessionService';
 
 class PDFReportService {
   constructor() {
@@ -37,6 +40,8 @@ class PDFReportService {
       tier2Data,
       tier3Data,
       recommendations,
+      dataQuality = null,
+      attribution = null,
       assessmentDate = new Date().toISOString(),
     } = data;
 
@@ -223,6 +228,20 @@ class PDFReportService {
       page-break-after: always;
     }
     
+    .waterfall-bar-track {
+      position: relative;
+      height: 14px;
+      background: #f5f5f5;
+      border-radius: 3px;
+    }
+    
+    .waterfall-bar {
+      position: absolute;
+      top: 0;
+      bottom: 0;
+      border-radius: 3px;
+    }
+    
     .chart-placeholder {
       background: #f5f5f5;
       height: 200px;
@@ -256,13 +275,14 @@ class PDFReportService {
     <div style="margin-top: 10px; font-size: 14px;">
       Risk Category: <span class="${riskCategory.toLowerCase()}">${riskCategory}</span>
     </div>
+    ${this.generateDataQualityHTML(dataQuality)}
   </div>
   
   <h2>Health Scores Overview</h2>
   <div class="scores-grid">
     <div class="score-card">
       <div class="score-title">Oral Health Score</div>
-      <div class="score-value ${this.getScoreClass(scores.oralHealthScore)}">${scores.oralHealthScore.toFixed(1)}%</div>
+      <div class="score-value ${this.getScoreClass(scores.oralHealthScore)}">${this.formatScore(scores.oralHealthScore)}</div>
       <div class="score-status ${this.getScoreClass(scores.oralHealthScore)}">
         ${this.getScoreStatus(scores.oralHealthScore)}
       </div>
@@ -270,7 +290,7 @@ class PDFReportService {
     
     <div class="score-card">
       <div class="score-title">Systemic Health Score</div>
-      <div class="score-value ${this.getScoreClass(scores.systemicHealthScore)}">${scores.systemicHealthScore.toFixed(1)}%</div>
+      <div class="score-value ${this.getScoreClass(scores.systemicHealthScore)}">${this.formatScore(scores.systemicHealthScore)}</div>
       <div class="score-status ${this.getScoreClass(scores.systemicHealthScore)}">
         ${this.getScoreStatus(scores.systemicHealthScore)}
       </div>
@@ -278,7 +298,7 @@ class PDFReportService {
     
     <div class="score-card">
       <div class="score-title">Vitality Index</div>
-      <div class="score-value ${this.getScoreClass(scores.vitalityIndex)}">${scores.vitalityIndex.toFixed(1)}%</div>
+      <div class="score-value ${this.getScoreClass(scores.vitalityIndex)}">${this.formatScore(scores.vitalityIndex)}</div>
       <div class="score-status ${this.getScoreClass(scores.vitalityIndex)}">
         ${this.getScoreStatus(scores.vitalityIndex)}
       </div>
@@ -295,6 +315,8 @@ class PDFReportService {
     ` : ''}
   </div>
   
+  ${this.generateAttributionHTML(attribution, chronologicalAge)}
+  
   <div class="page-break"></div>
   
   <!-- Page 2: Biomarker Details -->
@@ -317,15 +339,15 @@ class PDFReportService {
       </tr>
       <tr>
         <td>MMP-8 (ng/mL)</td>
-        <td class="${this.getValueClass(tier1Data.mmp8, 0, 60, 60, 100)}">${tier1Data.mmp8 || 'N/A'}</td>
+        <td class="${this.getValueClass(tier1Data.activeMMP8, 0, 60, 60, 100)}">${tier1Data.activeMMP8 || 'N/A'}</td>
         <td>&lt;60</td>
-        <td>${this.getValueStatus(tier1Data.mmp8, 0, 60, 60, 100)}</td>
+        <td>${this.getValueStatus(tier1Data.activeMMP8, 0, 60, 60, 100)}</td>
       </tr>
       <tr>
         <td>Flow Rate (mL/min)</td>
-        <td class="${this.getValueClass(tier1Data.flowRate, 1.5, 999, 1.0, 1.5)}">${tier1Data.flowRate || 'N/A'}</td>
+        <td class="${this.getValueClass(tier1Data.salivaryFlow, 1.5, 999, 1.0, 1.5)}">${tier1Data.salivaryFlow || 'N/A'}</td>
         <td>&gt;1.5</td>
-        <td>${this.getValueStatus(tier1Data.flowRate, 1.5, 999, 1.0, 1.5)}</td>
+        <td>${this.getValueStatus(tier1Data.salivaryFlow, 1.5, 999, 1.0, 1.5)}</td>
       </tr>
       <tr>
         <td>hs-CRP (mg/L)</td>
@@ -444,10 +466,10 @@ class PDFReportService {
       
       // Share the PDF
       if (await Sharing.isAvailableAsync()) {
-        await Sharing.shareAsync(newUri, {
+        await SessionService.withAutoLockSuspended(() => Sharing.shareAsync(newUri, {
           mimeType: 'application/pdf',
           dialogTitle: 'Share Bio-Age Report',
-        });
+        }));
       }
       
       return {
@@ -627,10 +649,10 @@ class PDFReportService {
       });
       
       if (await Sharing.isAvailableAsync()) {
-        await Sharing.shareAsync(newUri, {
+        await SessionService.withAutoLockSuspended(() => Sharing.shareAsync(newUri, {
           mimeType: 'application/pdf',
           dialogTitle: 'Share Vitality Roadmap',
-        });
+        }));
       }
       
       return {
@@ -648,6 +670,82 @@ class PDFReportService {
   }
 
   // Helper functions
+  /**
+   * Data completeness / confidence line shown under the bio-age
+   */
+  generateDataQualityHTML(dataQuality) {
+    if (!dataQuality) return '';
+
+    const missing = (dataQuality.imputed || [])
+      .map(key => getDefinition(key)?.displayName || key)
+      .join(', ');
+    const emptyPanels = (dataQuality.emptyPanels || [])
+      .map(panel => (panel === 'oralHealth' ? 'Oral Health' : 'Systemic Health'))
+      .join(', ');
+
+    return `
+    <div style="margin-top: 10px; font-size: 14px; color: #666;">
+      Data Confidence: <strong class="${dataQuality.confidence >= 90 ? 'optimal' : dataQuality.confidence >= 60 ? 'warning' : 'danger'}">${dataQuality.confidenceLevel} (${dataQuality.confidence}%)</strong>
+      &middot; ${dataQuality.completeness}% of biomarkers measured
+      ${missing ? `<div style="font-size: 12px; margin-top: 5px;">Not measured (weights re-normalized): ${missing}</div>` : ''}
+      ${emptyPanels ? `<div style="font-size: 12px; margin-top: 5px;">Left out of the bio-age (nothing measured): ${emptyPanels}</div>` : ''}
+    </div>
+    `;
+  }
+
+  /**
+   * Ranked waterfall from chronological age to bio-age, one row per
+   * attribution entry (PraxiomAlgorithm result.attribution)
+   */
+  generateAttributionHTML(attribution, chronologicalAge) {
+    const steps = PraxiomAlgorithm.buildAttributionWaterfall(attribution, chronologicalAge);
+    if (steps.length === 0) return '';
+
+    const rows = steps.map(step => {
+      const color = step.years > 0 ? '#F44336' : '#4CAF50';
+      return `
+      <tr>
+        <td>${step.label}</td>
+        <td style="width: 45%;">
+          <div class="waterfall-bar-track">
+            <div class="waterfall-bar" style="left: ${step.left.toFixed(1)}%; width: ${step.width.toFixed(1)}%; background: ${color};"></div>
+          </div>
+        </td>
+        <td class="${step.years > 0 ? 'danger' : 'optimal'}">${step.years > 0 ? '+' : ''}${step.years.toFixed(2)}</td>
+        <td>${step.end.toFixed(1)}</td>
+      </tr>`;
+    }).join('');
+
+    return `
+  <h2>What Drives Your Bio-Age</h2>
+  <table class="biomarker-table">
+    <thead>
+      <tr>
+        <th>Component</th>
+        <th>Contribution</th>
+        <th>Years</th>
+        <th>Running Age</th>
+      </tr>
+    </thead>
+    <tbody>
+      <tr>
+        <td><strong>Chronological Age</strong></td>
+        <td></td>
+        <td></td>
+        <td><strong>${chronologicalAge.toFixed(1)}</strong></td>
+      </tr>
+      ${rows}
+      <tr>
+        <td><strong>Biological Age</strong></td>
+        <td></td>
+        <td></td>
+        <td><strong>${steps[steps.length - 1].end.toFixed(1)}</strong></td>
+      </tr>
+    </tbody>
+  </table>
+    `;
+  }
+
   getRiskCategory(deviation) {
     if (deviation <= -5) return 'Exceptional';
     if (deviation <= 2) return 'Optimal';
@@ -655,13 +753,20 @@ class PDFReportService {
     return 'Elevated';
   }
 
+  // Panels with nothing measured have no score (null)
+  formatScore(score) {
+    return score === null || score === undefined ? 'Not measured' : `${score.toFixed(1)}%`;
+  }
+
   getScoreClass(score) {
+    if (score === null || score === undefined) return '';
     if (score >= 85) return 'optimal';
     if (score >= 75) return 'warning';
     return 'danger';
   }
 
   getScoreStatus(score) {
+    if (score === null || score === undefined) return '';
     if (score >= 85) return 'Optimal';
     if (score >= 75) return 'Good';
     if (score >= 60) return 'Fair';
@@ -746,7 +851,7 @@ class PDFReportService {
       steps.push('Urgent: Schedule mitochondrial function panel');
     }
     
-    if (biomarkers.mmp8 > 100 && biomarkers.hsCRP > 3) {
+    if (biomarkers.activeMMP8 > 100 && biomarkers.hsCRP > 3) {
       steps.push('Begin immediate anti-inflammatory intervention');
     }
     
@@ -765,7 +870,7 @@ class PDFReportService {
       actions.push('<strong>PRIORITY 1:</strong> Start NAD+ supplementation immediately');
     }
     
-    if (biomarkers.mmp8 > 100) {
+    if (biomarkers.activeMMP8 > 100) {
       actions.push('<strong>PRIORITY 1:</strong> Begin oral health protocol with antimicrobial rinse');
     }
     
@@ -22,9 +22,14 @@
  * - Tier3_Mri_Genome_UpdateGPT.pdf
  */
 
+import { normalizeBiomarkers, normalizeBiomarkerEntry, getDefinition } from './BiomarkerSchema.js';
+import { MIN_QUALITY_FOR_SCORING } from './HRVAnalysis.js';
+
 // ============================================================================
 // BIOMARKER OPTIMAL RANGES & WEIGHT FACTORS
 // ============================================================================
+// Ranges are in canonical (US conventional) units. Inputs may carry a `units`
+// map; normalizeBiomarkers converts SI values (see UnitConversion.js) first.
 
 const BIOMARKER_RANGES = {
   // Oral Health Biomarkers
@@ -116,6 +121,73 @@ const BIOMARKER_RANGES = {
   }
 };
 
+// Sex-specific overrides of BIOMARKER_RANGES; markers not listed use the
+// neutral ranges above, which also apply when sex is unknown.
+// GDF-15: men run ~10-20% higher than women at the same age.
+const SEX_SPECIFIC_RANGES = {
+  male: {
+    gdf15: {
+      optimal: [0, 1350],
+      normal: [1350, 2000],
+      risk: [2000, 10000],
+      weight: 2.5
+    }
+  },
+  female: {
+    gdf15: {
+      optimal: [0, 1050],
+      normal: [1050, 1600],
+      risk: [1600, 10000],
+      weight: 2.5
+    }
+  }
+};
+
+// Tier 2 inflammatory / oxidative panel (serum/plasma, lower is better)
+// Weights: IL-6 and TNF-α are the strongest inflammaging cytokines; 8-OHdG
+// captures oxidative DNA damage, protein carbonyls oxidative protein damage.
+const TIER2_PANEL_RANGES = {
+  il6: {
+    optimal: [0, 1.5],
+    normal: [1.5, 3.0],
+    risk: [3.0, 10.0],
+    weight: 2.0
+  },
+  il1b: {
+    optimal: [0, 0.5],
+    normal: [0.5, 1.0],
+    risk: [1.0, 3.0],
+    weight: 1.0
+  },
+  tnfa: {
+    optimal: [0, 8.0],
+    normal: [8.0, 12.0],
+    risk: [12.0, 30.0],
+    weight: 1.5
+  },
+  ohdg8: {
+    optimal: [0, 2.0],
+    normal: [2.0, 4.0],
+    risk: [4.0, 10.0],
+    weight: 1.5
+  },
+  plasmaProteinCarbonyls: {
+    optimal: [0, 1.5],
+    normal: [1.5, 2.5],
+    risk: [2.5, 5.0],
+    weight: 1.0  // Tier 1 proteinCarbonyls ranges are salivary
+  }
+};
+
+// Nov 2025 Formula: SHS_2 = [(Tier1 SHS×0.50) + (Inflammatory×0.20) + (NAD×0.15) + (Wearable×0.10) + (Microbiome×0.05)]
+const TIER2_SHS_WEIGHTS = {
+  tier1SystemicHealth: 0.50,
+  inflammatory: 0.20,
+  nadMetabolism: 0.15,
+  wearable: 0.10,
+  microbiome: 0.05
+};
+
 // ============================================================================
 // AGE-STRATIFIED COEFFICIENTS
 // ============================================================================
@@ -141,6 +213,61 @@ const AGE_COEFFICIENTS = {
   }
 };
 
+// Coefficients are interpolated linearly between these anchor ages instead of
+// switching at 50 and 70: each bracket's values hold on its plateau and ramp
+// over the 10 years centred on the boundary (45-55, 65-75).
+const AGE_COEFFICIENT_ANCHORS = [
+  { age: 45, values: AGE_COEFFICIENTS.under50 },
+  { age: 55, values: AGE_COEFFICIENTS.age50to70 },
+  { age: 65, values: AGE_COEFFICIENTS.age50to70 },
+  { age: 75, values: AGE_COEFFICIENTS.over70 }
+];
+
+// ============================================================================
+// WHAT-IF SIMULATION STEPS
+// ============================================================================
+// One "unit of improvement" per Tier 1 biomarker (canonical units): the
+// smallest clinically meaningful change, also used as the simulator slider step.
+
+const SIMULATION_STEPS = {
+  salivaryPH: 0.1,
+  activeMMP8: 10,       // ng/mL
+  proteinCarbonyls: 0.25, // nmol/mg
+  salivaryFlow: 0.1,    // mL/min
+  hsCRP: 0.1,           // mg/L
+  omega3Index: 0.5,     // %
+  hba1c: 0.1,           // %
+  gdf15: 50,            // pg/mL
+  vitaminD: 2           // ng/mL
+};
+
+// ============================================================================
+// TIER 3: EPIGENETIC CLOCK WEIGHTS
+// ============================================================================
+// ELOVL2 age and intrinsic capacity (IC) are compared against the Praxiom
+// bio-age by default and only enter the deviation when explicitly requested.
+//   elovl2:            (ELOVL2 Age - Chronological Age) × 0.25
+//                      same weight as the InflammAge deviance clock
+//   intrinsicCapacity: (85 - IC%) × 0.10
+//                      85% is the optimal IC threshold; each point below it
+//                      adds 0.1 years, matching the DNA test IC adjustment
+// For comparison only, IC is read as an age-equivalent of 0.25 years per point
+// below 85% (IC 65% ≈ 5 years older), so it can be set against bio-age.
+// Clocks disagree when their implied deviations differ by more than
+// majorYears (> ±5 years is flagged red on the Tier 3 screen).
+
+const TIER3_CLOCK_WEIGHTS = {
+  elovl2: 0.25,
+  intrinsicCapacity: 0.10,
+  icReference: 85,
+  icYearsPerPoint: 0.25
+};
+
+const CLOCK_AGREEMENT = {
+  minorYears: 2,
+  majorYears: 5
+};
+
 // ============================================================================
 // HRV AGE-ADJUSTED NORMALIZATION (6-Tier Specification)
 // ============================================================================
@@ -154,10 +281,164 @@ const HRV_NORMS = {
   '70+': { optimal: 28, good: 22, fair: 15, poor: 0 }
 };
 
+// HRV norms are interpolated between bracket midpoints (25, 35, ... 75)
+const HRV_NORM_ANCHOR_AGES = {
+  '20-29': 25,
+  '30-39': 35,
+  '40-49': 45,
+  '50-59': 55,
+  '60-69': 65,
+  '70+': 75
+};
+
+// RMSSD (ms) by sex: women run slightly higher before menopause, the gap
+// closes after 50. HRV_NORMS above is the sex-neutral fallback.
+const HRV_NORMS_BY_SEX = {
+  male: {
+    '20-29': { optimal: 60, good: 48, fair: 34, poor: 0 },
+    '30-39': { optimal: 54, good: 42, fair: 30, poor: 0 },
+    '40-49': { optimal: 46, good: 36, fair: 25, poor: 0 },
+    '50-59': { optimal: 40, good: 31, fair: 22, poor: 0 },
+    '60-69': { optimal: 34, good: 26, fair: 18, poor: 0 },
+    '70+': { optimal: 28, good: 22, fair: 15, poor: 0 }
+  },
+  female: {
+    '20-29': { optimal: 65, good: 52, fair: 37, poor: 0 },
+    '30-39': { optimal: 58, good: 46, fair: 32, poor: 0 },
+    '40-49': { optimal: 50, good: 40, fair: 27, poor: 0 },
+    '50-59': { optimal: 40, good: 31, fair: 22, poor: 0 },
+    '60-69': { optimal: 34, good: 26, fair: 18, poor: 0 },
+    '70+': { optimal: 28, good: 22, fair: 15, poor: 0 }
+  }
+};
+
+// ============================================================================
+// AEROBIC TEST NORMS (step test recovery HR, 6-minute walk distance)
+// ============================================================================
+// Rows apply below maxAge; thresholds are [excellent, average, poor].
+// Step test recovery HR (bpm, lower is better): women ~5 bpm higher than men.
+// 6MWT distance (m, higher is better): men walk ~60 m further than women.
+
+const AEROBIC_NORMS = {
+  stepTest: {
+    neutral: [
+      { maxAge: 30, excellent: 85, average: 100, poor: 115 },
+      { maxAge: 40, excellent: 90, average: 105, poor: 120 },
+      { maxAge: 50, excellent: 95, average: 110, poor: 125 },
+      { maxAge: 60, excellent: 100, average: 115, poor: 130 },
+      { maxAge: Infinity, excellent: 105, average: 120, poor: 135 }
+    ],
+    male: [
+      { maxAge: 30, excellent: 82, average: 97, poor: 112 },
+      { maxAge: 40, excellent: 87, average: 102, poor: 117 },
+      { maxAge: 50, excellent: 92, average: 107, poor: 122 },
+      { maxAge: 60, excellent: 97, average: 112, poor: 127 },
+      { maxAge: Infinity, excellent: 102, average: 117, poor: 132 }
+    ],
+    female: [
+      { maxAge: 30, excellent: 88, average: 103, poor: 118 },
+      { maxAge: 40, excellent: 93, average: 108, poor: 123 },
+      { maxAge: 50, excellent: 98, average: 113, poor: 128 },
+      { maxAge: 60, excellent: 103, average: 118, poor: 133 },
+      { maxAge: Infinity, excellent: 108, average: 123, poor: 138 }
+    ]
+  },
+  '6mwt': {
+    neutral: [
+      { maxAge: 30, excellent: 650, average: 550, poor: 450 },
+      { maxAge: 40, excellent: 620, average: 530, poor: 440 },
+      { maxAge: 50, excellent: 600, average: 510, poor: 420 },
+      { maxAge: 60, excellent: 570, average: 490, poor: 400 },
+      { maxAge: 70, excellent: 540, average: 460, poor: 380 },
+      { maxAge: Infinity, excellent: 500, average: 430, poor: 350 }
+    ],
+    male: [
+      { maxAge: 30, excellent: 680, average: 580, poor: 480 },
+      { maxAge: 40, excellent: 650, average: 560, poor: 470 },
+      { maxAge: 50, excellent: 630, average: 540, poor: 450 },
+      { maxAge: 60, excellent: 600, average: 520, poor: 430 },
+      { maxAge: 70, excellent: 570, average: 490, poor: 410 },
+      { maxAge: Infinity, excellent: 530, average: 460, poor: 380 }
+    ],
+    female: [
+      { maxAge: 30, excellent: 620, average: 520, poor: 420 },
+      { maxAge: 40, excellent: 590, average: 500, poor: 410 },
+      { maxAge: 50, excellent: 570, average: 480, poor: 390 },
+      { maxAge: 60, excellent: 540, average: 460, poor: 370 },
+      { maxAge: 70, excellent: 510, average: 430, poor: 350 },
+      { maxAge: Infinity, excellent: 470, average: 400, poor: 320 }
+    ]
+  }
+};
+
+// ============================================================================
+// SEX-SPECIFIC NORM SELECTION
+// ============================================================================
+
+/**
+ * Canonical sex for norm lookup: 'male', 'female', or null (unknown)
+ * Accepts 'M'/'F' and any casing; anything else falls back to neutral norms.
+ */
+function normalizeSex(sex) {
+  if (typeof sex !== 'string') return null;
+  const value = sex.trim().toLowerCase();
+  if (value === 'male' || value === 'm') return 'male';
+  if (value === 'female' || value === 'f') return 'female';
+  return null;
+}
+
+/**
+ * BIOMARKER_RANGES with the sex-specific overrides applied
+ */
+function getBiomarkerRanges(sex) {
+  const key = normalizeSex(sex);
+  return key ? { ...BIOMARKER_RANGES, ...SEX_SPECIFIC_RANGES[key] } : BIOMARKER_RANGES;
+}
+
+/**
+ * HRV norm table for a sex (neutral HRV_NORMS when unknown)
+ */
+function getHRVNorms(sex) {
+  const key = normalizeSex(sex);
+  return key ? HRV_NORMS_BY_SEX[key] : HRV_NORMS;
+}
+
+/**
+ * HRV thresholds for an exact age, interpolated between bracket midpoints
+ */
+function getHRVNormsForAge(chronologicalAge, sex = null) {
+  const table = getHRVNorms(sex);
+  const anchors = Object.keys(HRV_NORM_ANCHOR_AGES).map(group => ({
+    age: HRV_NORM_ANCHOR_AGES[group],
+    values: table[group]
+  }));
+  return interpolateByAge(anchors, chronologicalAge);
+}
+
 // ============================================================================
 // HELPER FUNCTIONS - LINEAR INTERPOLATION SCORING
 // ============================================================================
 
+/**
+ * Interpolate numeric fields between age anchors ([{ age, values }], sorted)
+ * Ages outside the anchors take the nearest anchor's values.
+ */
+function interpolateByAge(anchors, age) {
+  if (age <= anchors[0].age) return { ...anchors[0].values };
+  const last = anchors[anchors.length - 1];
+  if (age >= last.age) return { ...last.values };
+  
+  const upperIndex = anchors.findIndex(anchor => anchor.age > age);
+  const lower = anchors[upperIndex - 1];
+  const upper = anchors[upperIndex];
+  const t = (age - lower.age) / (upper.age - lower.age);
+  
+  return Object.keys(lower.values).reduce((values, key) => {
+    values[key] = lower.values[key] + (upper.values[key] - lower.values[key]) * t;
+    return values;
+  }, {});
+}
+
 /**
  * Linear interpolation for biomarker scoring
  * Returns score 0-100 based on value position between optimal/normal/risk ranges
@@ -217,50 +498,89 @@ function scoreSalivaryPH(value) {
   return 50;
 }
 
+function isMeasured(value) {
+  return value !== null && value !== undefined && !isNaN(value);
+}
+
+/**
+ * Weighted average over the biomarkers that were actually measured
+ * Missing biomarkers are dropped and the remaining weights re-normalized rather
+ * than scored at a neutral 50; a panel with nothing measured has no score (null).
+ * 
+ * @param {Array} components - [{ key, value, score, weight }]
+ * @returns {object} { score (null when empty), coverage (0-1 share of weight measured),
+ *                     measured, imputed, components (measured only, for attribution) }
+ */
+function weightedPanelScore(components) {
+  const present = components.filter(c => isMeasured(c.value));
+  const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+  const presentWeight = present.reduce((sum, c) => sum + c.weight, 0);
+  
+  const score = presentWeight > 0
+    ? present.reduce((sum, c) => sum + c.score * c.weight, 0) / presentWeight
+    : null;
+  
+  return {
+    score: score !== null ? Math.round(score * 100) / 100 : null,
+    coverage: totalWeight > 0 ? presentWeight / totalWeight : 0,
+    measured: present.map(c => c.key),
+    imputed: components.filter(c => !isMeasured(c.value)).map(c => c.key),
+    components: present
+  };
+}
+
 // ============================================================================
 // ORAL HEALTH SCORE (OHS) CALCULATION
 // ============================================================================
 
 /**
- * Calculate Oral Health Score from individual biomarkers
- * Returns percentage 0-100
- * 
- * Updated Nov 2025 Formula:
- * OHS = [(MMP-8_score × 2.5) + (Protein Carbonyls_score × 1.5) + (Salivary pH_score × 1.0) + (Flow_score × 1.0)] / 6.0
+ * Oral panel breakdown (canonical biomarkers in, weightedPanelScore result out)
+ * Ranges are sex-specific where SEX_SPECIFIC_RANGES defines them
  */
-function calculateOralHealthScore(biomarkers) {
+function scoreOralPanel(biomarkers, sex = null) {
+  const ranges = getBiomarkerRanges(sex);
   const phScore = scoreSalivaryPH(biomarkers.salivaryPH);
   
   const mmp8Score = linearInterpolation(
     biomarkers.activeMMP8,
-    BIOMARKER_RANGES.activeMMP8.optimal,
-    [BIOMARKER_RANGES.activeMMP8.normal[0], BIOMARKER_RANGES.activeMMP8.normal[1]],
-    [BIOMARKER_RANGES.activeMMP8.risk[0], BIOMARKER_RANGES.activeMMP8.risk[1]]
+    ranges.activeMMP8.optimal,
+    [ranges.activeMMP8.normal[0], ranges.activeMMP8.normal[1]],
+    [ranges.activeMMP8.risk[0], ranges.activeMMP8.risk[1]]
   );
   
   const proteinCarbonylsScore = linearInterpolation(
     biomarkers.proteinCarbonyls,
-    BIOMARKER_RANGES.proteinCarbonyls.optimal,
-    [BIOMARKER_RANGES.proteinCarbonyls.normal[0], BIOMARKER_RANGES.proteinCarbonyls.normal[1]],
-    [BIOMARKER_RANGES.proteinCarbonyls.risk[0], BIOMARKER_RANGES.proteinCarbonyls.risk[1]]
+    ranges.proteinCarbonyls.optimal,
+    [ranges.proteinCarbonyls.normal[0], ranges.proteinCarbonyls.normal[1]],
+    [ranges.proteinCarbonyls.risk[0], ranges.proteinCarbonyls.risk[1]]
   );
   
   const flowScore = linearInterpolation(
     biomarkers.salivaryFlow,
-    BIOMARKER_RANGES.salivaryFlow.optimal,
-    [BIOMARKER_RANGES.salivaryFlow.normal[0], BIOMARKER_RANGES.salivaryFlow.normal[1]],
-    [BIOMARKER_RANGES.salivaryFlow.risk[0], BIOMARKER_RANGES.salivaryFlow.risk[1]]
+    ranges.salivaryFlow.optimal,
+    [ranges.salivaryFlow.normal[0], ranges.salivaryFlow.normal[1]],
+    [ranges.salivaryFlow.risk[0], ranges.salivaryFlow.risk[1]]
   );
   
   // Nov 2025 Formula: OHS = [(MMP8×2.5) + (ProteinCarbonyls×1.5) + (pH×1.0) + (Flow×1.0)] / 6.0
-  const weightedScore = (
-    (mmp8Score * 2.5) +
-    (proteinCarbonylsScore * 1.5) +
-    (phScore * 1.0) +
-    (flowScore * 1.0)
-  ) / 6.0;
-  
-  return Math.round(weightedScore * 100) / 100;
+  return weightedPanelScore([
+    { key: 'activeMMP8', value: biomarkers.activeMMP8, score: mmp8Score, weight: 2.5 },
+    { key: 'proteinCarbonyls', value: biomarkers.proteinCarbonyls, score: proteinCarbonylsScore, weight: 1.5 },
+    { key: 'salivaryPH', value: biomarkers.salivaryPH, score: phScore, weight: 1.0 },
+    { key: 'salivaryFlow', value: biomarkers.salivaryFlow, score: flowScore, weight: 1.0 }
+  ]);
+}
+
+/**
+ * Calculate Oral Health Score from individual biomarkers
+ * Returns percentage 0-100, weights re-normalized over the markers provided
+ * (null when none is)
+ * 
+ * Updated Nov 2025 Formula:
+ * OHS = [(MMP-8_score × 2.5) + (Protein Carbonyls_score × 1.5) + (Salivary pH_score × 1.0) + (Flow_score × 1.0)] / 6.0
+ */
+function calculateOralHealthScore(input, sex = null) {
+  return scoreOralPanel(normalizeBiomarkers(input), sex).score;
 }
 
 // ============================================================================
@@ -268,58 +588,65 @@ function calculateOralHealthScore(biomarkers) {
 // ============================================================================
 
 /**
- * Calculate Systemic Health Score from blood biomarkers
- * Returns percentage 0-100
- * 
- * Updated Nov 2025 Formula:
- * SHS = [(hs-CRP_score × 2.0) + (Omega-3_score × 2.0) + (GDF-15_score × 2.5) + (HbA1c_score × 1.5) + (Vitamin D_score × 1.0)] / 10.0
+ * Systemic panel breakdown (canonical biomarkers in, weightedPanelScore result out)
+ * Ranges are sex-specific where SEX_SPECIFIC_RANGES defines them (GDF-15)
  */
-function calculateSystemicHealthScore(biomarkers) {
+function scoreSystemicPanel(biomarkers, sex = null) {
+  const ranges = getBiomarkerRanges(sex);
   const crpScore = linearInterpolation(
     biomarkers.hsCRP,
-    BIOMARKER_RANGES.hsCRP.optimal,
-    [BIOMARKER_RANGES.hsCRP.normal[0], BIOMARKER_RANGES.hsCRP.normal[1]],
-    [BIOMARKER_RANGES.hsCRP.risk[0], BIOMARKER_RANGES.hsCRP.risk[1]]
+    ranges.hsCRP.optimal,
+    [ranges.hsCRP.normal[0], ranges.hsCRP.normal[1]],
+    [ranges.hsCRP.risk[0], ranges.hsCRP.risk[1]]
   );
   
   const omega3Score = linearInterpolation(
     biomarkers.omega3Index,
-    BIOMARKER_RANGES.omega3Index.optimal,
-    [BIOMARKER_RANGES.omega3Index.normal[0], BIOMARKER_RANGES.omega3Index.normal[1]],
-    [BIOMARKER_RANGES.omega3Index.risk[0], BIOMARKER_RANGES.omega3Index.risk[1]]
+    ranges.omega3Index.optimal,
+    [ranges.omega3Index.normal[0], ranges.omega3Index.normal[1]],
+    [ranges.omega3Index.risk[0], ranges.omega3Index.risk[1]]
   );
   
   const hba1cScore = linearInterpolation(
     biomarkers.hba1c,
-    BIOMARKER_RANGES.hba1c.optimal,
-    [BIOMARKER_RANGES.hba1c.normal[0], BIOMARKER_RANGES.hba1c.normal[1]],
-    [BIOMARKER_RANGES.hba1c.risk[0], BIOMARKER_RANGES.hba1c.risk[1]]
+    ranges.hba1c.optimal,
+    [ranges.hba1c.normal[0], ranges.hba1c.normal[1]],
+    [ranges.hba1c.risk[0], ranges.hba1c.risk[1]]
   );
   
   const gdf15Score = linearInterpolation(
     biomarkers.gdf15,
-    BIOMARKER_RANGES.gdf15.optimal,
-    [BIOMARKER_RANGES.gdf15.normal[0], BIOMARKER_RANGES.gdf15.normal[1]],
-    [BIOMARKER_RANGES.gdf15.risk[0], BIOMARKER_RANGES.gdf15.risk[1]]
+    ranges.gdf15.optimal,
+    [ranges.gdf15.normal[0], ranges.gdf15.normal[1]],
+    [ranges.gdf15.risk[0], ranges.gdf15.risk[1]]
   );
   
   const vitaminDScore = linearInterpolation(
     biomarkers.vitaminD,
-    BIOMARKER_RANGES.vitaminD.optimal,
-    [BIOMARKER_RANGES.vitaminD.normal[0], BIOMARKER_RANGES.vitaminD.normal[1]],
-    [BIOMARKER_RANGES.vitaminD.risk[0], BIOMARKER_RANGES.vitaminD.risk[1]]
+    ranges.vitaminD.optimal,
+    [ranges.vitaminD.normal[0], ranges.vitaminD.normal[1]],
+    [ranges.vitaminD.risk[0], ranges.vitaminD.risk[1]]
   );
   
   // Nov 2025 Formula: SHS = [(CRP×2.0) + (Omega3×2.0) + (GDF15×2.5) + (HbA1c×1.5) + (VitD×1.0)] / 10.0
-  const weightedScore = (
-    (crpScore * 2.0) +
-    (omega3Score * 2.0) +
-    (gdf15Score * 2.5) +
-    (hba1cScore * 1.5) +
-    (vitaminDScore * 1.0)
-  ) / 10.0;
-  
-  return Math.round(weightedScore * 100) / 100;
+  return weightedPanelScore([
+    { key: 'hsCRP', value: biomarkers.hsCRP, score: crpScore, weight: 2.0 },
+    { key: 'omega3Index', value: biomarkers.omega3Index, score: omega3Score, weight: 2.0 },
+    { key: 'gdf15', value: biomarkers.gdf15, score: gdf15Score, weight: 2.5 },
+    { key: 'hba1c', value: biomarkers.hba1c, score: hba1cScore, weight: 1.5 },
+    { key: 'vitaminD', value: biomarkers.vitaminD, score: vitaminDScore, weight: 1.0 }
+  ]);
+}
+
+/**
+ * Calculate Systemic Health Score from blood biomarkers
+ * Returns percentage 0-100, weights re-normalized over the markers provided
+ * 
+ * Updated Nov 2025 Formula:
+ * SHS = [(hs-CRP_score × 2.0) + (Omega-3_score × 2.0) + (GDF-15_score × 2.5) + (HbA1c_score × 1.5) + (Vitamin D_score × 1.0)] / 10.0
+ */
+function calculateSystemicHealthScore(input, sex = null) {
+  return scoreSystemicPanel(normalizeBiomarkers(input), sex).score;
 }
 
 // ============================================================================
@@ -387,7 +714,8 @@ function calculateFitnessScore(arg1, arg2, arg3, arg4) {
 
 /**
  * Calculate Aerobic Fitness Score (0-10 scale)
- * Based on Step Test or 6-Minute Walk Test
+ * Based on Step Test or 6-Minute Walk Test, against age- and sex-specific
+ * AEROBIC_NORMS (neutral norms when sex is unknown)
  * 
  * @param {string} testType - 'stepTest' or '6mwt'
  * @param {number} value - Recovery HR (bpm) for step test OR distance (meters) for 6MWT
@@ -397,34 +725,15 @@ function calculateFitnessScore(arg1, arg2, arg3, arg4) {
 function calculateAerobicScore(testType, value, age, sex = 'unknown') {
   if (!value || value <= 0) return 5; // Default to average if no data
   
+  const table = AEROBIC_NORMS[testType];
+  if (!table) return 5; // Default
+  
+  const rows = table[normalizeSex(sex) || 'neutral'];
+  const { excellent: excellentThreshold, average: averageThreshold, poor: poorThreshold } =
+    rows.find(row => age < row.maxAge);
+  
   if (testType === 'stepTest') {
     // Step Test: Lower recovery HR = better fitness
-    // Age-adjusted norms (approximate)
-    let excellentThreshold, averageThreshold, poorThreshold;
-    
-    if (age < 30) {
-      excellentThreshold = 85;
-      averageThreshold = 100;
-      poorThreshold = 115;
-    } else if (age < 40) {
-      excellentThreshold = 90;
-      averageThreshold = 105;
-      poorThreshold = 120;
-    } else if (age < 50) {
-      excellentThreshold = 95;
-      averageThreshold = 110;
-      poorThreshold = 125;
-    } else if (age < 60) {
-      excellentThreshold = 100;
-      averageThreshold = 115;
-      poorThreshold = 130;
-    } else {
-      excellentThreshold = 105;
-      averageThreshold = 120;
-      poorThreshold = 135;
-    }
-    
-    // Score calculation
     if (value <= excellentThreshold) return 10;
     if (value <= averageThreshold) {
       return 5 + ((averageThreshold - value) / (averageThreshold - excellentThreshold)) * 5;
@@ -433,50 +742,17 @@ function calculateAerobicScore(testType, value, age, sex = 'unknown') {
       return 2 + ((poorThreshold - value) / (poorThreshold - averageThreshold)) * 3;
     }
     return Math.max(0, 2 - ((value - poorThreshold) / 20)); // Very poor
-    
-  } else if (testType === '6mwt') {
-    // 6-Minute Walk Test: Longer distance = better fitness
-    // Age-adjusted norms (meters)
-    let excellentThreshold, averageThreshold, poorThreshold;
-    
-    if (age < 30) {
-      excellentThreshold = 650;
-      averageThreshold = 550;
-      poorThreshold = 450;
-    } else if (age < 40) {
-      excellentThreshold = 620;
-      averageThreshold = 530;
-      poorThreshold = 440;
-    } else if (age < 50) {
-      excellentThreshold = 600;
-      averageThreshold = 510;
-      poorThreshold = 420;
-    } else if (age < 60) {
-      excellentThreshold = 570;
-      averageThreshold = 490;
-      poorThreshold = 400;
-    } else if (age < 70) {
-      excellentThreshold = 540;
-      averageThreshold = 460;
-      poorThreshold = 380;
-    } else {
-      excellentThreshold = 500;
-      averageThreshold = 430;
-      poorThreshold = 350;
-    }
-    
-    // Score calculation
-    if (value >= excellentThreshold) return 10;
-    if (value >= averageThreshold) {
-      return 5 + ((value - averageThreshold) / (excellentThreshold - averageThreshold)) * 5;
-    }
-    if (value >= poorThreshold) {
-      return 2 + ((value - poorThreshold) / (averageThreshold - poorThreshold)) * 3;
-    }
-    return Math.max(0, (value / poorThreshold) * 2); // Very poor
   }
   
-  return 5; // Default
+  // 6-Minute Walk Test: Longer distance = better fitness
+  if (value >= excellentThreshold) return 10;
+  if (value >= averageThreshold) {
+    return 5 + ((value - averageThreshold) / (excellentThreshold - averageThreshold)) * 5;
+  }
+  if (value >= poorThreshold) {
+    return 2 + ((value - poorThreshold) / (averageThreshold - poorThreshold)) * 3;
+  }
+  return Math.max(0, (value / poorThreshold) * 2); // Very poor
 }
 
 /**
@@ -578,23 +854,16 @@ function calculateMindBodyScore(confidenceRating, awarenessRating) {
 
 /**
  * Calculate HRV Score with age-adjusted normalization
- * Returns percentage 0-100 based on age-specific norms
+ * Returns percentage 0-100 based on age- and sex-specific norms
+ * (neutral HRV_NORMS when sex is unknown)
  */
-function calculateHRVScore(hrvValue, chronologicalAge) {
+function calculateHRVScore(hrvValue, chronologicalAge, sex = null) {
   if (!hrvValue || hrvValue <= 0) {
     return null; // HRV is optional
   }
   
-  // Determine age bracket
-  let ageGroup;
-  if (chronologicalAge < 30) ageGroup = '20-29';
-  else if (chronologicalAge < 40) ageGroup = '30-39';
-  else if (chronologicalAge < 50) ageGroup = '40-49';
-  else if (chronologicalAge < 60) ageGroup = '50-59';
-  else if (chronologicalAge < 70) ageGroup = '60-69';
-  else ageGroup = '70+';
-  
-  const norms = HRV_NORMS[ageGroup];
+  // Norms vary continuously with age (no jumps at bracket boundaries)
+  const norms = getHRVNormsForAge(chronologicalAge, sex);
   
   // Score calculation
   if (hrvValue >= norms.optimal) return 100;
@@ -622,8 +891,10 @@ function calculateHRVScore(hrvValue, chronologicalAge) {
  * @param {object} advancedBiomarkers - { nadLevel, nadRatio, cd38Activity }
  * @returns {number} 0-100 score
  */
-function calculateNADScore(advancedBiomarkers) {
-  if (!advancedBiomarkers) return 50; // Default if no data
+function calculateNADScore(advancedInput) {
+  if (!advancedInput) return 50; // Default if no data
+  
+  const advancedBiomarkers = normalizeBiomarkers(advancedInput);
   
   // NAD+ Level Score (higher is better)
   let nadScore = 50;
@@ -695,181 +966,239 @@ function calculateInflammAgeDeviance(inflammAge, chronologicalAge) {
 }
 
 // ============================================================================
-// TIER 2: ENHANCED SYSTEMIC HEALTH SCORE (Nov 2025)
+// TIER 3: EPIGENETIC CLOCK COMPARISON
 // ============================================================================
 
 /**
- * Calculate Tier 2 Systemic Health Score with advanced inflammatory panel
- * 
- * Formula: SHS_2 = [(Tier 1 SHS × 0.50) + (Inflammatory Panel × 0.20) + (NAD_score × 0.15) + (Wearable_score × 0.10) + (Microbiome Risk_score × 0.05)]
- * 
- * @param {number} tier1SHS - Original Tier 1 SHS score (0-100)
- * @param {object} advancedBiomarkers - Advanced panel scores
- * @returns {number} Enhanced SHS for Tier 2
+ * Age-equivalent deviation (years) implied by intrinsic capacity
+ * IC is a 0-100% score: (85 - IC) × 0.25 years, positive below the optimal threshold
  */
-function calculateTier2SystemicScore(tier1SHS, advancedBiomarkers = {}) {
-  if (!advancedBiomarkers || Object.keys(advancedBiomarkers).length === 0) {
-    return tier1SHS; // Return Tier 1 if no advanced data
+function intrinsicCapacityDeviation(intrinsicCapacity) {
+  return (TIER3_CLOCK_WEIGHTS.icReference - intrinsicCapacity) * TIER3_CLOCK_WEIGHTS.icYearsPerPoint;
+}
+
+function classifyAgreement(difference) {
+  const magnitude = Math.abs(difference);
+  if (magnitude > CLOCK_AGREEMENT.majorYears) return 'major';
+  if (magnitude > CLOCK_AGREEMENT.minorYears) return 'minor';
+  return 'agree';
+}
+
+/**
+ * Compare the Praxiom bio-age against ELOVL2 epigenetic age and intrinsic capacity
+ *
+ * Each clock's implied deviation (years above chronological age) is set
+ * against the Praxiom deviation; differences beyond CLOCK_AGREEMENT.majorYears
+ * are flagged so a clinician can review which signal to trust.
+ *
+ * @param {number} praxiomDeviation - Praxiom bio-age minus chronological age
+ * @param {number} chronologicalAge - Age in years
+ * @param {object} clocks - { elovl2Age, intrinsicCapacity } (either may be missing)
+ * @returns {object|null} Comparison, or null when neither clock is measured
+ */
+function compareAgingClocks(praxiomDeviation, chronologicalAge, clocks = {}) {
+  const { elovl2Age = null, intrinsicCapacity = null } = clocks || {};
+  const comparison = {};
+
+  if (isMeasured(elovl2Age)) {
+    const deviation = elovl2Age - chronologicalAge;
+    comparison.elovl2Age = {
+      value: elovl2Age,
+      deviation: Math.round(deviation * 10) / 10,
+      difference: Math.round((deviation - praxiomDeviation) * 10) / 10
+    };
   }
-  
-  // Inflammatory Panel Score (IL-6, IL-1β, 8-OHdG)
-  let inflammatoryScore = 75; // Neutral default
-  if (advancedBiomarkers.il6 !== undefined || advancedBiomarkers.il1b !== undefined) {
-    let scores = [];
-    
-    if (advancedBiomarkers.il6 !== undefined) {
-      const il6Score = linearInterpolation(
-        advancedBiomarkers.il6,
-        [0, 1.5],      // optimal
-        [1.5, 3.0],    // normal
-        [3.0, 10.0],   // risk
-        false
-      );
-      scores.push(il6Score);
-    }
-    
-    if (advancedBiomarkers.il1b !== undefined) {
-      const il1bScore = linearInterpolation(
-        advancedBiomarkers.il1b,
-        [0, 0.5],      // optimal
-        [0.5, 1.0],    // normal
-        [1.0, 3.0],    // risk
-        false
-      );
-      scores.push(il1bScore);
-    }
-    
-    inflammatoryScore = scores.length > 0 ? scores.reduce((a,b) => a+b) / scores.length : 75;
+
+  if (isMeasured(intrinsicCapacity)) {
+    const deviation = intrinsicCapacityDeviation(intrinsicCapacity);
+    comparison.intrinsicCapacity = {
+      value: intrinsicCapacity,
+      deviation: Math.round(deviation * 10) / 10,
+      difference: Math.round((deviation - praxiomDeviation) * 10) / 10
+    };
   }
+
+  const keys = Object.keys(comparison);
+  if (keys.length === 0) return null;
+
+  const flags = [];
+  keys.forEach(key => {
+    const clock = comparison[key];
+    clock.agreement = classifyAgreement(clock.difference);
+    if (clock.agreement === 'major') {
+      const direction = clock.difference > 0 ? 'older' : 'younger';
+      flags.push(`${key === 'elovl2Age' ? 'ELOVL2 age' : 'Intrinsic capacity'} suggests ` +
+        `${Math.abs(clock.difference)} years ${direction} than the Praxiom bio-age`);
+    }
+  });
+
+  return {
+    praxiomDeviation: Math.round(praxiomDeviation * 10) / 10,
+    clocks: comparison,
+    hasMajorDisagreement: flags.length > 0,
+    flags
+  };
+}
+
+// ============================================================================
+// TIER 2: ENHANCED SYSTEMIC HEALTH SCORE (Nov 2025)
+// ============================================================================
+
+/**
+ * Inflammatory / oxidative panel: IL-6, IL-1β, TNF-α, 8-OHdG, plasma protein carbonyls
+ * Weights from TIER2_PANEL_RANGES, re-normalized over the markers provided
+ */
+function scoreInflammatoryPanel(advancedBiomarkers) {
+  const components = Object.entries(TIER2_PANEL_RANGES).map(([key, range]) => ({
+    key,
+    value: advancedBiomarkers[key],
+    score: linearInterpolation(advancedBiomarkers[key], range.optimal, range.normal, range.risk),
+    weight: range.weight
+  }));
+  
+  const panel = weightedPanelScore(components);
+  
+  // Per-marker sub-scores for the markers that were measured
+  const markers = components
+    .filter(c => isMeasured(c.value))
+    .reduce((acc, c) => ({ ...acc, [c.key]: Math.round(c.score * 10) / 10 }), {});
+  
+  return {
+    score: panel.measured.length > 0 ? panel.score : 75, // Neutral default
+    markers,
+    components: panel.components
+  };
+}
+
+/**
+ * Tier 2 systemic breakdown (canonical advanced biomarkers in)
+ * Returns the SHS_2 score plus every sub-score and the weights that feed it;
+ * without a Tier 1 SHS (no systemic marker measured) the other weights are
+ * re-normalized
+ */
+function scoreTier2SystemicPanel(tier1SHS, advancedBiomarkers) {
+  // Inflammatory / Oxidative Panel Score
+  const inflammatoryPanel = scoreInflammatoryPanel(advancedBiomarkers);
   
   // NAD+ Metabolism Score
   const nadScore = calculateNADScore(advancedBiomarkers);
   
   // Wearable Integration Score (continuous HRV/heart rate)
   let wearableScore = 75; // Neutral default
-  if (advancedBiomarkers.continuousHRVScore !== undefined) {
+  if (isMeasured(advancedBiomarkers.continuousHRVScore)) {
     wearableScore = Math.max(0, Math.min(100, advancedBiomarkers.continuousHRVScore));
   }
   
   // Microbiome Risk Score (P. gingivalis, F. nucleatum)
   let microbiomeScore = 75; // Neutral default
-  if (advancedBiomarkers.microbiomeRiskScore !== undefined) {
+  if (isMeasured(advancedBiomarkers.microbiomeRiskScore)) {
     microbiomeScore = Math.max(0, Math.min(100, advancedBiomarkers.microbiomeRiskScore));
   }
   
+  const { tier1SystemicHealth, ...otherWeights } = TIER2_SHS_WEIGHTS;
+  const otherTotal = Object.values(otherWeights).reduce((sum, weight) => sum + weight, 0);
+  const weights = tier1SHS !== null
+    ? TIER2_SHS_WEIGHTS
+    : Object.keys(otherWeights).reduce((acc, key) => ({ ...acc, [key]: otherWeights[key] / otherTotal }), {});
+  
   // Nov 2025 Formula: SHS_2 = [(Tier1 SHS×0.50) + (Inflammatory×0.20) + (NAD×0.15) + (Wearable×0.10) + (Microbiome×0.05)]
   const tier2SHS = (
-    (tier1SHS * 0.50) +
-    (inflammatoryScore * 0.20) +
-    (nadScore * 0.15) +
-    (wearableScore * 0.10) +
-    (microbiomeScore * 0.05)
+    (tier1SHS !== null ? tier1SHS * weights.tier1SystemicHealth : 0) +
+    (inflammatoryPanel.score * weights.inflammatory) +
+    (nadScore * weights.nadMetabolism) +
+    (wearableScore * weights.wearable) +
+    (microbiomeScore * weights.microbiome)
   );
   
-  return Math.round(tier2SHS * 100) / 100;
+  return {
+    score: Math.round(tier2SHS * 100) / 100,
+    weights,
+    inflammatoryComponents: inflammatoryPanel.components,
+    subScores: {
+      tier1SystemicHealth: tier1SHS !== null ? Math.round(tier1SHS * 10) / 10 : null,
+      inflammatoryScore: Math.round(inflammatoryPanel.score * 10) / 10,
+      inflammatoryMarkers: inflammatoryPanel.markers,
+      nadMetabolismScore: Math.round(nadScore * 10) / 10,
+      wearableScore: Math.round(wearableScore * 10) / 10,
+      microbiomeScore: Math.round(microbiomeScore * 10) / 10
+    }
+  };
 }
 
-// ============================================================================
-// TIER 2: COMPLETE BIO-AGE CALCULATION
-// ============================================================================
-
 /**
- * Calculate Tier 2 Biological Age with advanced multi-system integration
+ * Calculate Tier 2 Systemic Health Score with advanced inflammatory panel
  * 
- * Formula: Bio-Age_2 = Chronological_Age + [(100-OHS_2)×α] + [(100-SHS_2)×β] + [InflammAge Deviance] + [(DunedinPACE_rate-1.0)×10]
+ * Formula: SHS_2 = [(Tier 1 SHS × 0.50) + (Inflammatory Panel × 0.20) + (NAD_score × 0.15) + (Wearable_score × 0.10) + (Microbiome Risk_score × 0.05)]
+ * Inflammatory Panel = weighted IL-6, IL-1β, TNF-α, 8-OHdG and plasma protein carbonyls (TIER2_PANEL_RANGES)
  * 
- * @param {object} data - { chronologicalAge, biomarkers, advancedBiomarkers, inflammAge, dunedinPACE }
- * @returns {object} Tier 2 bio-age calculation result
+ * @param {number} tier1SHS - Original Tier 1 SHS score (0-100)
+ * @param {object} advancedBiomarkers - Advanced panel scores
+ * @returns {number} Enhanced SHS for Tier 2
  */
-function calculateTier2BioAge(data) {
-  const {
-    chronologicalAge,
-    biomarkers,
-    advancedBiomarkers = {},
-    inflammAge = null,
-    dunedinPACE = null
-  } = data;
-  
-  // Calculate Tier 1 scores first
-  const OHS = calculateOralHealthScore(biomarkers);
-  const SHS = calculateSystemicHealthScore(biomarkers);
-  
-  // Calculate Tier 2 enhancements
-  const enhancedSHS = calculateTier2SystemicScore(SHS, advancedBiomarkers);
-  
-  // Calculate InflammAge Deviance
-  const inflammAgeDeviance = calculateInflammAgeDeviance(inflammAge, chronologicalAge);
-  
-  // Calculate DunedinPACE contribution
-  let dunedinContribution = 0;
-  if (dunedinPACE !== null && dunedinPACE !== undefined) {
-    // Formula: (DunedinPACE_rate - 1.0) × 10
-    // DunedinPACE_rate typically 0.5-2.0 (1.0 = normal aging)
-    dunedinContribution = (dunedinPACE - 1.0) * 10;
-  }
-  
-  // Select age-appropriate coefficients
-  let coeffs;
-  if (chronologicalAge < 50) {
-    coeffs = AGE_COEFFICIENTS.under50;
-  } else if (chronologicalAge <= 70) {
-    coeffs = AGE_COEFFICIENTS.age50to70;
-  } else {
-    coeffs = AGE_COEFFICIENTS.over70;
+function calculateTier2SystemicScore(tier1SHS, advancedInput = {}) {
+  if (!advancedInput || Object.keys(advancedInput).length === 0) {
+    return tier1SHS; // Return Tier 1 if no advanced data
   }
   
-  // Calculate Tier 2 deviation
-  const deviation = 
-    ((100 - OHS) * coeffs.alpha) +
-    ((100 - enhancedSHS) * coeffs.beta) +
-    inflammAgeDeviance +
-    dunedinContribution;
-  
-  // Final Tier 2 biological age
-  const biologicalAge = chronologicalAge + deviation;
-  
-  return {
-    biologicalAge: Math.round(biologicalAge * 10) / 10,
-    chronologicalAge,
-    deviation: Math.round(deviation * 10) / 10,
-    tier: 'Tier 2',
-    scores: {
-      oralHealth: Math.round(OHS * 10) / 10,
-      systemicHealth: Math.round(SHS * 10) / 10,
-      enhancedSystemicHealth: Math.round(enhancedSHS * 10) / 10,
-      nadScore: Math.round(calculateNADScore(advancedBiomarkers) * 10) / 10,
-      inflammAge: inflammAge,
-      inflammAgeDeviance: Math.round(inflammAgeDeviance * 10) / 10,
-      dunedinPACE: dunedinPACE,
-      dunedinContribution: Math.round(dunedinContribution * 10) / 10
-    },
-    coefficients: {
-      alpha: coeffs.alpha,
-      beta: coeffs.beta,
-      gamma: coeffs.gamma,
-      delta: coeffs.delta
-    }
-  };
+  return scoreTier2SystemicPanel(tier1SHS, normalizeBiomarkers(advancedInput)).score;
 }
 
+// ============================================================================
+// UNIFIED BIO-AGE CALCULATION (Tier 1 + Tier 2 + Fitness + HRV + Tier 3)
+// ============================================================================
 
+/**
+ * Age-stratified coefficients (α, β, γ, δ), interpolated across bracket
+ * boundaries so bio-age stays continuous in chronological age
+ */
+function getAgeCoefficients(chronologicalAge) {
+  return interpolateByAge(AGE_COEFFICIENT_ANCHORS, chronologicalAge);
+}
 
 /**
  * Calculate Biological Age using complete Praxiom Protocol
  * 
- * Formula (Tier 1-2): Bio-Age = Chronological Age + [(100-OHS)×α + (100-SHS)×β + (100-FS)×γ + (100-HRV)×δ]
+ * Single entry point for every tier: pass whatever data is available and the
+ * applicable formula components are picked automatically.
+ * 
+ * Formula (Tier 1): Bio-Age = Chronological Age + [(100-OHS)×α + (100-SHS)×β + (100-FS)×γ + (100-HRV)×δ]
+ * Formula (Tier 2): SHS is replaced by SHS_2, plus [InflammAge Deviance] + [(DunedinPACE_rate-1.0)×10]
  * Formula (Tier 3): Bio-Age = ... + [(10-MRI Score)×0.10 + (10-Genetic Score)×0.10]
+ *   with includeEpigeneticClocks: + [(ELOVL2 Age-Chronological Age)×0.25 + (85-IC)×0.10]
+ * 
+ * ELOVL2 age and intrinsic capacity in tier3Data are always reported in
+ * clockComparison against the deviation before they are (optionally) added.
  * 
  * Where α, β, γ, δ are age-stratified coefficients
  * MRI & Genetic scores: 0-10 scale (0=optimal, 10=high risk)
+ * 
+ * A panel with no biomarker measured has no OHS/SHS term at all (its score is
+ * null and it is listed in dataQuality.emptyPanels) instead of a neutral guess.
+ * 
+ * @param {object} data - {
+ *   chronologicalAge,
+ *   biomarkers,          // Tier 1 panel
+ *   fitnessData,         // Fitness domains (0-10 each), or fitnessScore (0-100)
+ *   hrvValue,            // RMSSD in ms
+ *   hrvQuality,          // HRVAnalysis quality score (0-100) for watch readings; null for manual/chest band
+ *   advancedBiomarkers,  // Tier 2 panel (IL-6, TNF-α, NAD+, ...)
+ *   inflammAge,          // defaults to advancedBiomarkers.inflammAge
+ *   dunedinPACE,
+ *   sex,                 // 'male' | 'female'; neutral norms when unknown
+ *   tier3Data,           // { mriScore, geneticScore, elovl2Age, intrinsicCapacity }
+ *   includeEpigeneticClocks // add ELOVL2/IC to the deviation (default: compare only)
+ * }
+ * @returns {object} Bio-age, scores, and per-component contributions (years)
  */
 function calculateBiologicalAge(data) {
   const {
     chronologicalAge,
-    biomarkers,
     fitnessData = null,
     hrvValue = null,
-    tier3Data = null  // NEW: Optional Tier 3 data (MRI, Genome)
+    hrvQuality = null,
+    advancedBiomarkers = null,
+    dunedinPACE = null,
+    includeEpigeneticClocks = false
   } = data;
   
   // Validate chronological age
@@ -877,61 +1206,106 @@ function calculateBiologicalAge(data) {
     throw new Error('Chronological age must be between 18 and 120');
   }
   
-  // Calculate component scores
-  const OHS = calculateOralHealthScore(biomarkers);
-  const SHS = calculateSystemicHealthScore(biomarkers);
-  const FS = calculateFitnessScore(fitnessData);
-  const HRVScore = calculateHRVScore(hrvValue, chronologicalAge);
-  
-  // Select age-appropriate coefficients
-  let coeffs;
-  if (chronologicalAge < 50) {
-    coeffs = AGE_COEFFICIENTS.under50;
-  } else if (chronologicalAge <= 70) {
-    coeffs = AGE_COEFFICIENTS.age50to70;
-  } else {
-    coeffs = AGE_COEFFICIENTS.over70;
+  // Canonicalize field names and reject unknown or out-of-range values
+  const biomarkers = normalizeBiomarkers(data.biomarkers);
+  const tier3Data = data.tier3Data ? normalizeBiomarkerEntry(data.tier3Data) : null;  // Optional Tier 3 data (MRI, Genome)
+  const advanced = advancedBiomarkers && Object.keys(advancedBiomarkers).length > 0
+    ? normalizeBiomarkers(advancedBiomarkers)
+    : null;
+  
+  // Calculate component scores (weights re-normalized over measured markers)
+  // Sex-specific norms where known, neutral tables otherwise
+  const sex = normalizeSex(data.sex);
+  const oralPanel = scoreOralPanel(biomarkers, sex);
+  const systemicPanel = scoreSystemicPanel(biomarkers, sex);
+  const OHS = oralPanel.score;
+  const SHS = systemicPanel.score;
+  const FS = isMeasured(data.fitnessScore)
+    ? Math.max(0, Math.min(100, data.fitnessScore))
+    : calculateFitnessScore(fitnessData);
+  // Low-quality watch readings (artifacts, short or gappy recordings) are left out
+  const hrvExcluded = isMeasured(hrvValue) && isMeasured(hrvQuality) && hrvQuality < MIN_QUALITY_FOR_SCORING;
+  const HRVScore = hrvExcluded ? null : calculateHRVScore(hrvValue, chronologicalAge, sex);
+  
+  // Tier 2: enhanced SHS replaces the Tier 1 SHS when the advanced panel is present
+  const tier2Panel = advanced ? scoreTier2SystemicPanel(SHS, advanced) : null;
+  const effectiveSHS = tier2Panel ? tier2Panel.score : SHS;
+  const inflammAge = isMeasured(data.inflammAge) ? data.inflammAge : (advanced?.inflammAge ?? null);
+  
+  const coeffs = getAgeCoefficients(chronologicalAge);
+  
+  // Each applicable component's contribution to the deviation, in years
+  const contributions = {};
+  if (OHS !== null) {
+    contributions.oralHealth = (100 - OHS) * coeffs.alpha;
+  }
+  if (effectiveSHS !== null) {
+    contributions.systemicHealth = (100 - effectiveSHS) * coeffs.beta;
   }
   
-  // Calculate biological age deviation (Tier 1 & 2)
-  let deviation = (100 - OHS) * coeffs.alpha + (100 - SHS) * coeffs.beta;
-  
-  // Add fitness component if available
+  // Fitness component if available
   if (FS !== null) {
-    deviation += (100 - FS) * coeffs.gamma;
+    contributions.fitness = (100 - FS) * coeffs.gamma;
   }
   
-  // Add HRV component if available (optional - NEW 2025)
+  // HRV component if available (optional - NEW 2025)
   if (HRVScore !== null) {
-    deviation += (100 - HRVScore) * coeffs.delta;
+    contributions.hrv = (100 - HRVScore) * coeffs.delta;
+  }
+  
+  // Tier 2 clocks: InflammAge Deviance and DunedinPACE
+  if (isMeasured(inflammAge) && inflammAge > 0) {
+    contributions.inflammAge = calculateInflammAgeDeviance(inflammAge, chronologicalAge);
+  }
+  if (isMeasured(dunedinPACE)) {
+    // Formula: (DunedinPACE_rate - 1.0) × 10
+    // DunedinPACE_rate typically 0.5-2.0 (1.0 = normal aging)
+    contributions.dunedinPACE = (dunedinPACE - 1.0) * 10;
   }
   
-  // NEW: Add Tier 3 components (MRI & Genome) - November 2025 Protocol Update
+  // Tier 3 components (MRI & Genome) - November 2025 Protocol Update
   let mriScore = null;
   let geneticScore = null;
-  let tier3Deviation = 0;
   
   if (tier3Data) {
     // MRI Score (0-10: 0=no findings, 10=critical findings)
     // Formula: (10 - MRI Score) × 0.10
-    if (tier3Data.mriScore !== null && tier3Data.mriScore !== undefined) {
+    if (isMeasured(tier3Data.mriScore)) {
       mriScore = Math.max(0, Math.min(10, tier3Data.mriScore));
-      tier3Deviation += (10 - mriScore) * 0.10;
+      contributions.mri = (10 - mriScore) * 0.10;
     }
     
     // Genetic Score (0-10: 0=optimal genetics, 10=high risk)
     // Formula: (10 - Genetic Score) × 0.10
-    if (tier3Data.geneticScore !== null && tier3Data.geneticScore !== undefined) {
+    if (isMeasured(tier3Data.geneticScore)) {
       geneticScore = Math.max(0, Math.min(10, tier3Data.geneticScore));
-      tier3Deviation += (10 - geneticScore) * 0.10;
+      contributions.genetic = (10 - geneticScore) * 0.10;
+    }
+  }
+  
+  // Epigenetic clocks are compared against the panel-based deviation, so the
+  // comparison is independent of whether they are also added to it
+  const sumContributions = () => Object.values(contributions).reduce((sum, years) => sum + years, 0);
+  const clockComparison = tier3Data
+    ? compareAgingClocks(sumContributions(), chronologicalAge, tier3Data)
+    : null;
+  
+  if (clockComparison && includeEpigeneticClocks) {
+    if (isMeasured(tier3Data.elovl2Age)) {
+      contributions.elovl2 = (tier3Data.elovl2Age - chronologicalAge) * TIER3_CLOCK_WEIGHTS.elovl2;
+    }
+    if (isMeasured(tier3Data.intrinsicCapacity)) {
+      contributions.intrinsicCapacity =
+        (TIER3_CLOCK_WEIGHTS.icReference - tier3Data.intrinsicCapacity) * TIER3_CLOCK_WEIGHTS.intrinsicCapacity;
     }
   }
   
-  // Final biological age = Chronological + Tier1/2 deviation + Tier3 deviation
-  const biologicalAge = chronologicalAge + deviation + tier3Deviation;
+  // Final biological age = Chronological + sum of all applicable components
+  const deviation = sumContributions();
+  const biologicalAge = chronologicalAge + deviation;
   
   // Calculate vitality index (composite health score)
-  let vitalityComponents = [OHS, SHS];
+  let vitalityComponents = [OHS, effectiveSHS].filter(score => score !== null);
   if (FS !== null) vitalityComponents.push(FS);
   if (HRVScore !== null) vitalityComponents.push(HRVScore);
   
@@ -943,29 +1317,352 @@ function calculateBiologicalAge(data) {
     vitalityComponents.push((10 - geneticScore) * 10);
   }
   
-  const vitalityIndex = vitalityComponents.reduce((sum, score) => sum + score, 0) / vitalityComponents.length;
+  const vitalityIndex = vitalityComponents.length > 0
+    ? vitalityComponents.reduce((sum, score) => sum + score, 0) / vitalityComponents.length
+    : null;
+  
+  // Highest tier whose data actually entered the formula
+  let assessmentTier = 'Tier 1';
+  if (mriScore !== null || geneticScore !== null || contributions.elovl2 !== undefined ||
+    contributions.intrinsicCapacity !== undefined) assessmentTier = 'Tier 3';
+  else if (tier2Panel || contributions.inflammAge !== undefined || contributions.dunedinPACE !== undefined) assessmentTier = 'Tier 2';
   
   return {
     biologicalAge: Math.round(biologicalAge * 10) / 10,
     chronologicalAge,
-    deviation: Math.round((biologicalAge - chronologicalAge) * 10) / 10,
+    deviation: Math.round(deviation * 10) / 10,
+    assessmentTier,
+    norms: sex || 'neutral',
+    hrvExcluded, // HRV supplied but below MIN_QUALITY_FOR_SCORING
     scores: {
-      oralHealth: Math.round(OHS * 10) / 10,
-      systemicHealth: Math.round(SHS * 10) / 10,
+      oralHealth: OHS !== null ? Math.round(OHS * 10) / 10 : null,
+      systemicHealth: SHS !== null ? Math.round(SHS * 10) / 10 : null,
+      enhancedSystemicHealth: tier2Panel ? Math.round(tier2Panel.score * 10) / 10 : null,
+      nadScore: tier2Panel ? tier2Panel.subScores.nadMetabolismScore : null,
       fitnessScore: FS !== null ? Math.round(FS * 10) / 10 : null,
       hrvScore: HRVScore !== null ? Math.round(HRVScore * 10) / 10 : null,
+      inflammAge: isMeasured(inflammAge) ? inflammAge : null,
+      dunedinPACE: isMeasured(dunedinPACE) ? dunedinPACE : null,
       mriScore: mriScore !== null ? Math.round(mriScore * 10) / 10 : null,  // NEW
       geneticScore: geneticScore !== null ? Math.round(geneticScore * 10) / 10 : null,  // NEW
-      vitalityIndex: Math.round(vitalityIndex * 10) / 10
+      vitalityIndex: vitalityIndex !== null ? Math.round(vitalityIndex * 10) / 10 : null
     },
+    contributions: Object.keys(contributions).reduce((acc, key) => ({
+      ...acc,
+      [key]: Math.round(contributions[key] * 100) / 100
+    }), {}),
+    subScores: tier2Panel ? tier2Panel.subScores : null,
+    attribution: attributeDeviation(oralPanel, systemicPanel, tier2Panel, coeffs, contributions),
+    clockComparison,
     coefficients: {
-      alpha: coeffs.alpha,
-      beta: coeffs.beta,
-      gamma: coeffs.gamma,
-      delta: coeffs.delta
+      alpha: Math.round(coeffs.alpha * 10000) / 10000,
+      beta: Math.round(coeffs.beta * 10000) / 10000,
+      gamma: Math.round(coeffs.gamma * 10000) / 10000,
+      delta: Math.round(coeffs.delta * 10000) / 10000
     },
-    tier: determineTier(OHS, SHS, FS, tier3Data),
-    recommendations: generateRecommendations(OHS, SHS, FS, HRVScore, biomarkers, fitnessData, tier3Data)
+    dataQuality: assessDataQuality(oralPanel, systemicPanel, coeffs),
+    tier: determineTier(OHS, effectiveSHS, FS, tier3Data),
+    recommendations: generateRecommendations(OHS, effectiveSHS, FS, HRVScore, biomarkers, fitnessData, tier3Data)
+  };
+}
+
+/**
+ * Calculate Tier 2 Biological Age with advanced multi-system integration
+ * 
+ * Formula: Bio-Age_2 = Chronological_Age + [(100-OHS_2)×α] + [(100-SHS_2)×β] + [InflammAge Deviance] + [(DunedinPACE_rate-1.0)×10]
+ * 
+ * Delegates to calculateBiologicalAge so Tier 2 screens get the same number
+ * as every other caller; fitness/HRV are included when passed.
+ * 
+ * @param {object} data - { chronologicalAge, biomarkers, advancedBiomarkers, inflammAge, dunedinPACE }
+ * @returns {object} Unified bio-age result
+ */
+function calculateTier2BioAge(data) {
+  return calculateBiologicalAge(data);
+}
+
+// ============================================================================
+// BIO-AGE ATTRIBUTION
+// ============================================================================
+
+const ATTRIBUTION_LABELS = {
+  inflammatory: 'Inflammatory Panel (not measured)',
+  nadMetabolism: 'NAD+ Metabolism',
+  wearable: 'Continuous Wearable HRV',
+  microbiome: 'Oral Microbiome Risk',
+  fitness: 'Fitness Score',
+  hrv: 'Heart Rate Variability',
+  inflammAge: 'InflammAge Clock',
+  dunedinPACE: 'DunedinPACE',
+  mri: 'MRI Score',
+  genetic: 'Genetic Score',
+  elovl2: 'ELOVL2 Epigenetic Age',
+  intrinsicCapacity: 'Intrinsic Capacity'
+};
+
+/**
+ * Split a weighted panel's deviation across its measured biomarkers
+ * 
+ * (100 - panel) × yearsPerPoint = Σ wᵢ(100 - scoreᵢ)/Σw × yearsPerPoint, so each
+ * biomarker's share is exact; a panel scored at a neutral default is one entry
+ * and a panel without a score has none.
+ */
+function attributePanel(panelScore, components, yearsPerPoint, source) {
+  if (panelScore === null) {
+    return [];
+  }
+  if (!components || components.length === 0) {
+    return [{ key: source, source, value: null, years: (100 - panelScore) * yearsPerPoint, imputed: true }];
+  }
+  
+  const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+  return components.map(c => ({
+    key: c.key,
+    source,
+    value: c.value,
+    years: (c.weight * (100 - c.score) / totalWeight) * yearsPerPoint
+  }));
+}
+
+/**
+ * Per-biomarker attribution of the bio-age deviation
+ * 
+ * OHS/SHS contributions are split across their biomarkers through each
+ * marker's panel weight and the α/β coefficient (for Tier 2, β × the SHS_2
+ * weight of each sub-panel); every other contribution (fitness, HRV, clocks,
+ * Tier 3) is its own entry. Entries sum to the deviation.
+ * 
+ * @returns {Array} [{ key, label, source, value, years }] sorted by years, largest first
+ */
+function attributeDeviation(oralPanel, systemicPanel, tier2Panel, coeffs, contributions) {
+  const entries = [
+    ...attributePanel(oralPanel.score, oralPanel.components, coeffs.alpha, 'oralHealth')
+  ];
+  
+  if (tier2Panel) {
+    const { subScores, weights } = tier2Panel;
+    const beta = coeffs.beta;
+    entries.push(
+      ...attributePanel(systemicPanel.score, systemicPanel.components,
+        beta * (weights.tier1SystemicHealth ?? 0), 'systemicHealth'),
+      ...attributePanel(subScores.inflammatoryScore, tier2Panel.inflammatoryComponents,
+        beta * weights.inflammatory, 'inflammatory'),
+      { key: 'nadMetabolism', source: 'nadMetabolism', value: subScores.nadMetabolismScore,
+        years: (100 - subScores.nadMetabolismScore) * beta * weights.nadMetabolism },
+      { key: 'wearable', source: 'wearable', value: subScores.wearableScore,
+        years: (100 - subScores.wearableScore) * beta * weights.wearable },
+      { key: 'microbiome', source: 'microbiome', value: subScores.microbiomeScore,
+        years: (100 - subScores.microbiomeScore) * beta * weights.microbiome }
+    );
+  } else {
+    entries.push(...attributePanel(systemicPanel.score, systemicPanel.components, coeffs.beta, 'systemicHealth'));
+  }
+  
+  Object.keys(contributions)
+    .filter(key => key !== 'oralHealth' && key !== 'systemicHealth')
+    .forEach(key => entries.push({ key, source: key, value: null, years: contributions[key] }));
+  
+  return entries
+    .map(entry => ({
+      ...entry,
+      label: entry.imputed || !getDefinition(entry.key)
+        ? ATTRIBUTION_LABELS[entry.key] || entry.key
+        : getDefinition(entry.key).displayName,
+      years: Math.round(entry.years * 100) / 100
+    }))
+    .sort((a, b) => b.years - a.years);
+}
+
+/**
+ * Waterfall steps from chronological age to bio-age for display
+ * Each step carries its running start/end age and bar offsets (left/width,
+ * % of the span the waterfall covers); negligible entries are dropped.
+ */
+function buildAttributionWaterfall(attribution, chronologicalAge) {
+  let running = chronologicalAge;
+  const steps = (attribution || [])
+    .filter(entry => Math.abs(entry.years) >= 0.01)
+    .map(entry => {
+      const start = running;
+      running += entry.years;
+      return { ...entry, start, end: running };
+    });
+  
+  const points = [chronologicalAge, ...steps.map(step => step.end)];
+  const min = Math.min(...points);
+  const span = Math.max(...points) - min || 1;
+  
+  return steps.map(step => ({
+    ...step,
+    left: ((Math.min(step.start, step.end) - min) / span) * 100,
+    width: Math.max(1, (Math.abs(step.years) / span) * 100)
+  }));
+}
+
+// ============================================================================
+// WHAT-IF SIMULATION
+// ============================================================================
+
+function sumContributions(result) {
+  return Object.values(result.contributions).reduce((sum, years) => sum + years, 0);
+}
+
+/**
+ * Merge hypothetical values into calculateBiologicalAge input
+ * Biomarker overrides are canonical values routed to the Tier 1 or Tier 2
+ * panel by schema tier; fitnessScore / hrvValue replace the top-level inputs.
+ */
+function applySimulationOverrides(data, overrides) {
+  const simulated = {
+    ...data,
+    biomarkers: normalizeBiomarkers(data.biomarkers),
+    advancedBiomarkers: data.advancedBiomarkers && Object.keys(data.advancedBiomarkers).length > 0
+      ? normalizeBiomarkers(data.advancedBiomarkers)
+      : data.advancedBiomarkers
+  };
+  
+  Object.keys(overrides).forEach(field => {
+    const value = overrides[field];
+    if (field === 'fitnessScore' || field === 'hrvValue') {
+      simulated[field] = value;
+      return;
+    }
+    
+    const definition = getDefinition(field);
+    if (!definition) {
+      throw new Error(`Cannot simulate unknown biomarker "${field}"`);
+    }
+    if (definition.tier === 2) {
+      simulated.advancedBiomarkers = { ...(simulated.advancedBiomarkers || {}), [definition.key]: value };
+    } else {
+      simulated.biomarkers = { ...simulated.biomarkers, [definition.key]: value };
+    }
+  });
+  
+  return simulated;
+}
+
+/**
+ * Project bio-age under hypothetical biomarker values
+ * 
+ * @param {object} data - calculateBiologicalAge input (the current data set)
+ * @param {object} overrides - { field: canonical value, ... }
+ * @returns {object} {
+ *   baseline, projected,   // calculateBiologicalAge results
+ *   bioAgeDelta,           // projected - baseline years (negative = younger)
+ *   yearsGained,           // -bioAgeDelta
+ *   scoreDeltas, contributionDeltas
+ * }
+ */
+function simulateBioAge(data, overrides = {}) {
+  const baseline = calculateBiologicalAge(data);
+  const projected = calculateBiologicalAge(applySimulationOverrides(data, overrides));
+  
+  // Contributions carry more precision than the rounded bio-age
+  const bioAgeDelta = Math.round((sumContributions(projected) - sumContributions(baseline)) * 100) / 100;
+  
+  const scoreDeltas = Object.keys(baseline.scores).reduce((deltas, key) => {
+    if (baseline.scores[key] !== null && projected.scores[key] !== null) {
+      deltas[key] = Math.round((projected.scores[key] - baseline.scores[key]) * 10) / 10;
+    }
+    return deltas;
+  }, {});
+  
+  const contributionKeys = new Set([...Object.keys(baseline.contributions), ...Object.keys(projected.contributions)]);
+  const contributionDeltas = [...contributionKeys].reduce((deltas, key) => {
+    deltas[key] = Math.round(((projected.contributions[key] || 0) - (baseline.contributions[key] || 0)) * 100) / 100;
+    return deltas;
+  }, {});
+  
+  return {
+    baseline,
+    projected,
+    bioAgeDelta,
+    yearsGained: bioAgeDelta === 0 ? 0 : -bioAgeDelta,
+    scoreDeltas,
+    contributionDeltas
+  };
+}
+
+/**
+ * Rank measured Tier 1 biomarkers by years of bio-age gained per unit of
+ * improvement (SIMULATION_STEPS), averaged over the move into the optimal range
+ * 
+ * Markers already in their optimal range are omitted.
+ * 
+ * @param {object} data - calculateBiologicalAge input
+ * @returns {Array} [{ key, value, target, step, steps, yearsToOptimal, yearsPerStep }]
+ */
+function rankBiomarkerImprovements(data) {
+  const biomarkers = normalizeBiomarkers(data.biomarkers);
+  const ranges = getBiomarkerRanges(data.sex);
+  
+  return Object.keys(SIMULATION_STEPS)
+    .filter(key => isMeasured(biomarkers[key]))
+    .map(key => {
+      const value = biomarkers[key];
+      const [low, high] = ranges[key].optimal;
+      const target = Math.min(Math.max(value, low), high);
+      if (target === value) return null;
+      
+      const step = SIMULATION_STEPS[key];
+      const steps = Math.abs(target - value) / step;
+      const { yearsGained } = simulateBioAge(data, { [key]: target });
+      
+      return {
+        key,
+        value,
+        target,
+        step,
+        steps: Math.round(steps * 10) / 10,
+        yearsToOptimal: yearsGained,
+        yearsPerStep: Math.round((yearsGained / steps) * 1000) / 1000
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.yearsPerStep - a.yearsPerStep);
+}
+
+// ============================================================================
+// DATA COMPLETENESS & CONFIDENCE
+// ============================================================================
+
+/**
+ * Summarize how much of the Tier 1 panel the bio-age actually rests on
+ * 
+ * completeness: % of the nine Tier 1 biomarkers that were measured
+ * confidence:   % of the OHS/SHS weight measured, each panel weighted by its
+ *               age coefficient (α, β) so gaps in the dominant panel cost more
+ * 
+ * emptyPanels:  panels with nothing measured, left out of the bio-age
+ * 
+ * Fitness and HRV are optional inputs and never count as missing.
+ */
+function assessDataQuality(oralPanel, systemicPanel, coeffs) {
+  const measured = [...oralPanel.measured, ...systemicPanel.measured];
+  const imputed = [...oralPanel.imputed, ...systemicPanel.imputed];
+  const completeness = (measured.length / (measured.length + imputed.length)) * 100;
+  
+  const confidence = (
+    (oralPanel.coverage * coeffs.alpha) +
+    (systemicPanel.coverage * coeffs.beta)
+  ) / (coeffs.alpha + coeffs.beta) * 100;
+  
+  let confidenceLevel;
+  if (confidence >= 90) confidenceLevel = 'High';
+  else if (confidence >= 60) confidenceLevel = 'Moderate';
+  else confidenceLevel = 'Low';
+  
+  return {
+    completeness: Math.round(completeness),
+    confidence: Math.round(confidence),
+    confidenceLevel,
+    measured,
+    imputed,
+    emptyPanels: [
+      ...(oralPanel.score === null ? ['oralHealth'] : []),
+      ...(systemicPanel.score === null ? ['systemicHealth'] : [])
+    ]
   };
 }
 
@@ -979,13 +1676,17 @@ function calculateBiologicalAge(data) {
  * Updated November 2025: Includes Tier 3 determination logic
  */
 function determineTier(OHS, SHS, FS, tier3Data = null) {
+  // Panels with nothing measured (null) neither trigger nor block a tier
+  const below = (score, threshold) => score !== null && score < threshold;
+  const atLeast = (score, threshold) => score === null || score >= threshold;
+  
   // If Tier 3 data present, user is already in Tier 3
-  if (tier3Data && (tier3Data.mriScore !== null || tier3Data.geneticScore !== null)) {
+  if (tier3Data && (isMeasured(tier3Data.mriScore) || isMeasured(tier3Data.geneticScore))) {
     return 'Tier 3'; // Mastery/Optimization tier
   }
   
   // Critical triggers for immediate Tier 2/3
-  if (OHS < 75 || SHS < 75) {
+  if (below(OHS, 75) || below(SHS, 75)) {
     return 'Tier 2'; // Personalization required
   }
   
@@ -994,12 +1695,12 @@ function determineTier(OHS, SHS, FS, tier3Data = null) {
   }
   
   // Tier 1 maintenance if all scores good
-  if (OHS >= 85 && SHS >= 85 && (FS === null || FS >= 75)) {
+  if (atLeast(OHS, 85) && atLeast(SHS, 85) && (FS === null || FS >= 75)) {
     return 'Tier 1'; // Foundation maintenance
   }
   
   // Borderline cases
-  if (OHS >= 75 && SHS >= 75 && (FS === null || FS >= 70)) {
+  if (atLeast(OHS, 75) && atLeast(SHS, 75) && (FS === null || FS >= 70)) {
     return 'Tier 1'; // Continue monitoring
   }
   
@@ -1089,8 +1790,15 @@ function generateRecommendations(OHS, SHS, FS, HRVScore, biomarkers, fitnessData
     }
   }
   
-  // Fitness Recommendations
-  if (FS !== null && FS < 75) {
+  // Fitness Recommendations (domain detail only when the domain scores were passed)
+  if (FS !== null && FS < 75 && !fitnessData) {
+    recommendations.push({
+      category: 'Fitness',
+      priority: 'High',
+      action: 'Below-target fitness score',
+      details: 'Complete the fitness assessment to identify which domain (aerobic, balance, flexibility, confidence) to train'
+    });
+  } else if (FS !== null && FS < 75) {
     if (fitnessData.aerobicFitness < 7) {
       recommendations.push({
         category: 'Fitness',
@@ -1236,14 +1944,37 @@ export default {
   calculateTier2SystemicScore,
   calculateTier2BioAge,
   
+  // Tier 3 Epigenetic Clock Comparison
+  compareAgingClocks,
+  
   // Fitness Assessment Helper Functions
   calculateAerobicScore,
   calculateFlexibilityScore,
   calculateBalanceScore,
   calculateMindBodyScore,
   
+  // Attribution & What-If Simulation
+  buildAttributionWaterfall,
+  simulateBioAge,
+  rankBiomarkerImprovements,
+  
+  // Sex-specific norms
+  normalizeSex,
+  getBiomarkerRanges,
+  getHRVNorms,
+  getHRVNormsForAge,
+  getAgeCoefficients,
+  
   // Constants
   BIOMARKER_RANGES,
+  SEX_SPECIFIC_RANGES,
+  TIER2_PANEL_RANGES,
+  TIER2_SHS_WEIGHTS,
   AGE_COEFFICIENTS,
-  HRV_NORMS
+  SIMULATION_STEPS,
+  TIER3_CLOCK_WEIGHTS,
+  CLOCK_AGREEMENT,
+  HRV_NORMS,
+  HRV_NORMS_BY_SEX,
+  AEROBIC_NORMS
 };
@@ -0,0 +1,317 @@
+/**
+ * RemoteAuditSink.js - Delivery of audit events to a remote audit server
+ *
+ * Events are appended to remote_audit_queue first and sent from there in
+ * batches, so nothing is lost while offline or while the server is down.
+ * Failed sends back off exponentially; the queue is flushed again when
+ * expo-network reports connectivity, on startup and after each new event.
+ *
+ * The queue holds { id, sealed } items: each event sealed (EncryptionService
+ * envelope) under a dedicated queue key kept in SecureStore. Critical events
+ * such as AUTH_FAILED and DATA_WIPED are raised while the PIN-wrapped keys are
+ * locked or gone, so the queue cannot use them. Every read-modify-write of the
+ * queue (enqueue, removal of delivered events) runs on one promise chain.
+ *
+ * Each batch is POSTed as JSON { deviceId, sentAt, entries } and signed with
+ * HMAC-SHA256 over `<timestamp>.<body>` using the signing key shared with the
+ * server (headers X-Device-ID, X-Timestamp, X-Signature; see AuditTransport.js).
+ *
+ * For local testing run `npm run audit-server` (mock-audit-server.js) and
+ * point the endpoint at http://<host>:8787/api/audit. Plain HTTP is only
+ * accepted for localhost and emulator/LAN addresses.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import * as Network from 'expo-network';
+import EncryptionService from './EncryptionService';
+import { getRetryDelay, postBatch } from './AuditTransport';
+
+export { signPayload, getRetryDelay } from './AuditTransport';
+
+const STORAGE_KEYS = {
+  CONFIG: 'praxiom_audit_sink',        // { endpoint, signingKey, criticalOnly }
+  QUEUE_KEY: 'praxiom_audit_queue_key', // key the queued events are sealed under
+  QUEUE: 'remote_audit_queue'          // [{ id, sealed }]
+};
+
+const BATCH_SIZE = 50;
+const MAX_QUEUE_LENGTH = 5000;
+
+// Hosts a development build can reach over plain HTTP (mock server)
+const LOCAL_HOST_PATTERN = /^http:\/\/(localhost|127\.0\.0\.1|10\.0\.2\.2|192\.168\.\d+\.\d+|10\.\d+\.\d+\.\d+)(:\d+)?\//;
+
+/**
+ * Whether an AsyncStorage key holds the undelivered event queue
+ */
+export const isQueueKey = (storageKey) => storageKey === STORAGE_KEYS.QUEUE;
+
+class RemoteAuditSink {
+  constructor() {
+    this.config = null;
+    this.deviceId = null;
+    this.isFlushing = false;
+    this.failedAttempts = 0;
+    this.retryTimer = null;
+    this.networkSubscription = null;
+    this.lastError = null;
+    this.lastSuccessAt = null;
+    this.queueKey = null;
+    this.queueChain = Promise.resolve();
+  }
+
+  /**
+   * Load the configuration, watch connectivity and send anything queued
+   *
+   * @param {string} deviceId - Audit device ID sent with every batch
+   */
+  async start(deviceId) {
+    this.deviceId = deviceId;
+    await this.getConfig();
+
+    if (!this.networkSubscription) {
+      this.networkSubscription = Network.addNetworkStateListener(({ isConnected, isInternetReachable }) => {
+        if (isConnected && isInternetReachable !== false) {
+          // Connectivity is back: retry now rather than wait out the backoff
+          this.failedAttempts = 0;
+          this.flush();
+        }
+      });
+    }
+
+    this.flush();
+  }
+
+  // ==================== CONFIGURATION ====================
+
+  async getConfig() {
+    if (!this.config) {
+      const stored = await SecureStore.getItemAsync(STORAGE_KEYS.CONFIG);
+      this.config = stored ? JSON.parse(stored) : null;
+    }
+    return this.config;
+  }
+
+  isConfigured() {
+    return !!(this.config?.endpoint && this.config?.signingKey);
+  }
+
+  /**
+   * Set the audit endpoint and the key batches are signed with
+   *
+   * @param {object} config - { endpoint, signingKey, criticalOnly = true }
+   */
+  async configure({ endpoint, signingKey, criticalOnly = true }) {
+    const url = (endpoint || '').trim();
+    // A blank key keeps the one already configured
+    signingKey = signingKey || (await this.getConfig())?.signingKey;
+    if (!url.startsWith('https://') && !LOCAL_HOST_PATTERN.test(url)) {
+      throw new Error('Audit endpoint must use HTTPS');
+    }
+    if (!signingKey || signingKey.length < 16) {
+      throw new Error('Signing key must be at least 16 characters');
+    }
+
+    this.config = { endpoint: url, signingKey, criticalOnly };
+    await SecureStore.setItemAsync(STORAGE_KEYS.CONFIG, JSON.stringify(this.config));
+    this.failedAttempts = 0;
+    this.flush();
+    return { endpoint: url, criticalOnly };
+  }
+
+  /**
+   * Stop sending; queued events are kept
+   */
+  async disable() {
+    this.config = null;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.CONFIG);
+  }
+
+  /**
+   * Whether an event should go to the remote server
+   */
+  shouldSend(isCritical) {
+    return this.isConfigured() && (isCritical || !this.config.criticalOnly);
+  }
+
+  // ==================== QUEUE ====================
+
+  /**
+   * Run a queue read-modify-write after every earlier one has finished
+   */
+  serializeQueue(task) {
+    const result = this.queueChain.then(task);
+    this.queueChain = result.catch(() => {});
+    return result;
+  }
+
+  async getQueueKey() {
+    if (!this.queueKey) {
+      let key = await SecureStore.getItemAsync(STORAGE_KEYS.QUEUE_KEY);
+      if (!key) {
+        key = await EncryptionService.generateDataKey();
+        await SecureStore.setItemAsync(STORAGE_KEYS.QUEUE_KEY, key);
+      }
+      this.queueKey = key;
+    }
+    return this.queueKey;
+  }
+
+  async sealEntry(logEntry) {
+    return { id: logEntry.id, sealed: await EncryptionService.sealWithKey(JSON.stringify(logEntry), await this.getQueueKey()) };
+  }
+
+  /**
+   * Queued items, oldest first; plaintext entries queued by older versions are sealed here
+   */
+  async loadQueue() {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.QUEUE);
+    const queue = stored ? JSON.parse(stored) : [];
+    return Promise.all(queue.map(item => (item.sealed ? item : this.sealEntry(item))));
+  }
+
+  async saveQueue(queue) {
+    await AsyncStorage.setItem(STORAGE_KEYS.QUEUE, JSON.stringify(queue));
+  }
+
+  /**
+   * Open queued items for sending; items that fail the integrity check are
+   * returned in `rejected` (they can never be sent and would block the queue)
+   */
+  async openItems(items) {
+    const key = await this.getQueueKey();
+    const entries = [];
+    const rejected = [];
+    for (const item of items) {
+      try {
+        entries.push(JSON.parse(EncryptionService.openWithKey(item.sealed, key)));
+      } catch (error) {
+        console.error(`❌ Queued audit event ${item.id} failed its integrity check, dropping it`);
+        rejected.push(item.id);
+      }
+    }
+    return { entries, rejected };
+  }
+
+  /**
+   * Remove delivered (or unreadable) items by id
+   */
+  async removeFromQueue(ids) {
+    return this.serializeQueue(async () => {
+      const remove = new Set(ids);
+      const queue = (await this.loadQueue()).filter(item => !remove.has(item.id));
+      await this.saveQueue(queue);
+      return queue;
+    });
+  }
+
+  /**
+   * Queue an audit entry for delivery and start a flush
+   */
+  async enqueue(logEntry) {
+    await this.serializeQueue(async () => {
+      const queue = await this.loadQueue();
+      queue.push(await this.sealEntry(logEntry));
+
+      // Bound storage if the server stays unreachable; oldest events go first
+      if (queue.length > MAX_QUEUE_LENGTH) {
+        console.warn(`⚠️ Remote audit queue full, dropping ${queue.length - MAX_QUEUE_LENGTH} oldest events`);
+        queue.splice(0, queue.length - MAX_QUEUE_LENGTH);
+      }
+
+      await this.saveQueue(queue);
+    });
+
+    if (!this.retryTimer) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Send queued events in batches until the queue is empty or a send fails
+   *
+   * @returns {object} { sent, remaining }
+   */
+  async flush() {
+    if (this.isFlushing || !this.isConfigured()) {
+      return { sent: 0, remaining: (await this.loadQueue()).length };
+    }
+
+    this.isFlushing = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    let sent = 0;
+
+    try {
+      const network = await Network.getNetworkStateAsync();
+      if (!network.isConnected || network.isInternetReachable === false) {
+        // The network listener flushes when connectivity returns
+        return { sent, remaining: (await this.loadQueue()).length };
+      }
+
+      let queue = await this.loadQueue();
+      while (queue.length > 0 && this.isConfigured()) {
+        const batch = queue.slice(0, BATCH_SIZE);
+        const { entries, rejected } = await this.openItems(batch);
+        if (entries.length > 0) {
+          await this.sendBatch(entries);
+          sent += entries.length;
+        }
+
+        // Removed on the queue chain: entries may have been queued while the batch was in flight
+        queue = await this.removeFromQueue([...entries.map(entry => entry.id), ...rejected]);
+      }
+
+      this.failedAttempts = 0;
+      this.lastError = null;
+      if (sent > 0) {
+        this.lastSuccessAt = new Date().toISOString();
+        console.log(`📡 Sent ${sent} audit events to remote server`);
+      }
+      return { sent, remaining: queue.length };
+    } catch (error) {
+      this.failedAttempts++;
+      this.lastError = error.message;
+      const delay = getRetryDelay(this.failedAttempts);
+      console.warn(`⚠️ Remote audit send failed (attempt ${this.failedAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.flush();
+      }, delay);
+      return { sent, remaining: (await this.loadQueue()).length, error: error.message };
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * POST one signed batch; throws unless the server answers 2xx
+   */
+  async sendBatch(entries) {
+    const { endpoint, signingKey } = this.config;
+    await postBatch({ endpoint, signingKey, deviceId: this.deviceId }, entries);
+  }
+
+  /**
+   * @returns {object} { configured, endpoint, criticalOnly, queued, failedAttempts, lastError, lastSuccessAt }
+   */
+  async getStatus() {
+    const config = await this.getConfig();
+    return {
+      configured: this.isConfigured(),
+      endpoint: config?.endpoint || null,
+      criticalOnly: config?.criticalOnly ?? true,
+      queued: (await this.loadQueue()).length,
+      failedAttempts: this.failedAttempts,
+      lastError: this.lastError,
+      lastSuccessAt: this.lastSuccessAt
+    };
+  }
+}
+
+// Export singleton instance
+const remoteAuditSink = new RemoteAuditSink();
+
+export default remoteAuditSink;
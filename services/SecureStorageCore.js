@@ -0,0 +1,191 @@
+/**
+ * SecureStorageCore.js - Routing of stored values to encrypted or plain storage
+ *
+ * Keys matching SECURE_KEYS go to the chunked encrypted record store; values
+ * saved by earlier versions (a single SecureStore item, or plain AsyncStorage)
+ * move there on first read. Every get/set/remove reports a data access event.
+ *
+ * createSecureStorage binds the routing to its stores:
+ * - records:     chunked record store (EncryptedChunkStore)
+ * - secureStore: expo-secure-store (pre-chunked `secure_<key>` values)
+ * - storage:     AsyncStorage (non-sensitive and legacy plain values)
+ * - audit:       auditDataEvent (DataAccessAudit)
+ * SecureStorageService.js is the instance the app uses.
+ */
+
+export const SECURE_KEYS = [
+  'bioAge',
+  'tier1Results',
+  'tier2Results',
+  'tier3Results',
+  'biomarkers',  // Latest Tier 1 panel (AppContext)
+  'biomarkerHistory',
+  'tier1Biomarkers',
+  'tier2Biomarkers',
+  'tier3Biomarkers',
+  'tier3OptionalMetrics',  // NEW: Optional DNA methylation data
+  'fitnessAssessment',
+  'fitnessAssessments',
+  'hrvSessions',
+  'dateOfBirth',
+  'userProfile',
+  'oura_client_id',
+  'oura_client_secret'
+];
+
+export const requiresEncryption = (key) => {
+  return SECURE_KEYS.some(secureKey => key.includes(secureKey));
+};
+
+/**
+ * Number of records in a stored value (history arrays count their entries)
+ */
+export const countRecords = (value) => {
+  if (value === null || value === undefined) return 0;
+  return Array.isArray(value) ? value.length : 1;
+};
+
+/**
+ * @param {object} deps - { records, secureStore, storage, audit }
+ * @returns {object} { setItem, getItem, removeItem, migrateSecureStoreValues }
+ */
+export const createSecureStorage = ({ records, secureStore, storage, audit }) => {
+  /**
+   * Store data (sensitive data is encrypted into chunked storage; see EncryptedChunkStore)
+   */
+  const setItem = async (key, value) => {
+    try {
+      if (requiresEncryption(key)) {
+        await records.writeRecord(key, value);
+        // Drop any pre-chunked copy so it can never shadow the new value
+        await secureStore.deleteItemAsync(`secure_${key}`).catch(() => {});
+        console.log(`✅ Encrypted and stored: ${key}`);
+      } else {
+        // Use AsyncStorage for non-sensitive data
+        await storage.setItem(key, JSON.stringify(value));
+        console.log(`✅ Stored (unencrypted): ${key}`);
+      }
+      audit('write', { key, recordCount: countRecords(value), medical: requiresEncryption(key) });
+    } catch (error) {
+      console.error(`Storage error for ${key}:`, error);
+      throw error;
+    }
+  };
+
+  /**
+   * Move a value saved before chunked storage (a single SecureStore item) into the chunk store
+   */
+  const migrateSecureStoreValue = async (key) => {
+    const value = await secureStore.getItemAsync(`secure_${key}`);
+    if (!value) return null;
+
+    console.warn(`⚠️ Found SecureStore value for ${key}, migrating to chunked storage...`);
+    const parsed = JSON.parse(value);
+    await setItem(key, parsed);
+    return parsed;
+  };
+
+  /**
+   * Retrieve data; null only when nothing is stored under `key`
+   * Throws when a stored record cannot be read (locked key, tampered or
+   * incomplete ciphertext), so read-modify-write callers never mistake an
+   * unreadable history for an empty one and overwrite it.
+   */
+  const getItem = async (key) => {
+    try {
+      if (requiresEncryption(key)) {
+        if (await records.hasRecord(key)) {
+          const value = await records.readRecord(key);
+          console.log(`✅ Retrieved encrypted: ${key}`);
+          audit('read', { key, recordCount: countRecords(value) });
+          return value;
+        }
+
+        const migrated = await migrateSecureStoreValue(key);
+        if (migrated !== null) {
+          audit('read', { key, recordCount: countRecords(migrated) });
+          return migrated;
+        }
+
+        // Fallback: check AsyncStorage for legacy data
+        const legacy = await storage.getItem(key);
+        if (legacy) {
+          console.warn(`⚠️ Found unencrypted data for ${key}, migrating...`);
+          const parsed = JSON.parse(legacy);
+          // Migrate to encrypted storage
+          await setItem(key, parsed);
+          await storage.removeItem(key);
+          audit('read', { key, recordCount: countRecords(parsed) });
+          return parsed;
+        }
+
+        audit('read', { key, recordCount: 0 });
+        return null;
+      } else {
+        // Retrieve from AsyncStorage
+        const jsonValue = await storage.getItem(key);
+        console.log(`✅ Retrieved (unencrypted): ${key}`);
+        const value = jsonValue != null ? JSON.parse(jsonValue) : null;
+        audit('read', { key, recordCount: countRecords(value), medical: false });
+        return value;
+      }
+    } catch (error) {
+      console.error(`Retrieval error for ${key}:`, error);
+      throw error;
+    }
+  };
+
+  /**
+   * Remove data
+   */
+  const removeItem = async (key) => {
+    try {
+      if (requiresEncryption(key)) {
+        await records.removeRecord(key);
+        await secureStore.deleteItemAsync(`secure_${key}`); // Remove pre-chunked value
+        await storage.removeItem(key); // Remove legacy
+      } else {
+        await storage.removeItem(key);
+      }
+      console.log(`✅ Removed: ${key}`);
+      audit('delete', { key, medical: requiresEncryption(key) });
+    } catch (error) {
+      console.error(`Removal error for ${key}:`, error);
+      throw error;
+    }
+  };
+
+  /**
+   * Migrate every known SecureStore value into chunked storage up front
+   * (getItem also migrates lazily, so this only saves work on first reads)
+   */
+  const migrateSecureStoreValues = async () => {
+    const migrated = [];
+    for (const key of SECURE_KEYS) {
+      try {
+        if (await records.hasRecord(key)) continue;
+        if ((await migrateSecureStoreValue(key)) !== null) migrated.push(key);
+      } catch (error) {
+        console.error(`Migration error for ${key}:`, error);
+      }
+    }
+    if (migrated.length > 0) {
+      console.log(`✅ Migrated ${migrated.length} SecureStore values to chunked storage`);
+    }
+    return migrated;
+  };
+
+  return {
+    setItem,
+    getItem,
+    removeItem,
+    migrateSecureStoreValues
+  };
+};
+
+export default {
+  SECURE_KEYS,
+  requiresEncryption,
+  countRecords,
+  createSecureStorage
+};
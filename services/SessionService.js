@@ -0,0 +1,283 @@
+/**
+ * SessionService.js - Brute-force lockout and auto-lock session management
+ *
+ * Lockout: failed PIN attempts are counted in SecureStore, so restarting the
+ * app does not reset them. From LOCKOUT_SCHEDULE[0].failures on, each further
+ * failure locks PIN entry for a longer delay (LockoutPolicy.js); if the user
+ * opted in, reaching policy.wipeAfterFailures erases the encryption keys and
+ * all stored data.
+ *
+ * Auto-lock: once unlocked, the session locks again (EncryptionService.lock)
+ * after policy.autoLockMinutes without user activity, or as soon as the app is
+ * backgrounded when policy.lockOnBackground is set. Lock listeners (App.js)
+ * return the user to the PIN screen. System sheets the app opens itself
+ * (share sheet, document picker) background it on Android, so callers wrap
+ * them in withAutoLockSuspended (or suspendAutoLock() / resume).
+ *
+ * AUTH_SUCCESS, AUTH_FAILED, ACCOUNT_LOCKED, DATA_WIPED, SESSION_EXPIRED and
+ * LOGOUT events go to AuditLogger.
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import EncryptionService from './EncryptionService';
+import AuditLogger from './AuditLogger';
+import { isQueueKey } from './RemoteAuditSink';
+import HeartRateTimeSeries from './HeartRateTimeSeries';
+import { nextLockout } from './LockoutPolicy';
+
+export { getLockoutDelay } from './LockoutPolicy';
+
+const STORAGE_KEYS = {
+  LOCKOUT: 'praxiom_auth_lockout',   // { failedAttempts, lockedUntil }
+  POLICY: 'praxiom_session_policy'
+};
+
+const DEFAULT_POLICY = {
+  autoLockMinutes: 5,        // 0 = never lock for inactivity
+  lockOnBackground: true,
+  wipeAfterFailures: 0       // 0 = never wipe; otherwise failures before erasing data
+};
+
+export const AUTO_LOCK_OPTIONS = [1, 5, 15, 0];
+export const WIPE_AFTER_FAILURES = 10;
+
+class SessionService {
+  constructor() {
+    this.authenticatedAt = null;
+    this.lastActivity = null;
+    this.inactivityTimer = null;
+    this.policy = null;
+    this.lockListeners = [];
+    this.autoLockSuspensions = 0; // system sheets currently open
+  }
+
+  // ==================== POLICY ====================
+
+  async getPolicy() {
+    if (!this.policy) {
+      const stored = await SecureStore.getItemAsync(STORAGE_KEYS.POLICY);
+      this.policy = { ...DEFAULT_POLICY, ...(stored ? JSON.parse(stored) : {}) };
+    }
+    return this.policy;
+  }
+
+  async updatePolicy(changes) {
+    this.policy = { ...(await this.getPolicy()), ...changes };
+    await SecureStore.setItemAsync(STORAGE_KEYS.POLICY, JSON.stringify(this.policy));
+    if (this.isSessionActive()) {
+      this._scheduleInactivityCheck();
+    }
+    return this.policy;
+  }
+
+  // ==================== LOCKOUT ====================
+
+  /**
+   * @returns {object} { failedAttempts, lockedUntil, remainingMs, isLockedOut }
+   */
+  async getLockoutStatus() {
+    const stored = await SecureStore.getItemAsync(STORAGE_KEYS.LOCKOUT);
+    const { failedAttempts = 0, lockedUntil = 0 } = stored ? JSON.parse(stored) : {};
+    const remainingMs = Math.max(0, lockedUntil - Date.now());
+    return { failedAttempts, lockedUntil, remainingMs, isLockedOut: remainingMs > 0 };
+  }
+
+  /**
+   * Count a failed unlock; escalates the lockout and may wipe data per policy
+   *
+   * @returns {object} Lockout status plus { wiped, attemptsBeforeWipe }
+   */
+  async recordFailedAttempt(method) {
+    const policy = await this.getPolicy();
+    const previous = await this.getLockoutStatus();
+    const { failedAttempts, delayMs, lockedUntil, wipe, attemptsBeforeWipe } = nextLockout(previous.failedAttempts, policy);
+
+    // Counted before anything else: a slow or failing audit write (or the app
+    // being killed meanwhile) must not let an attempt go uncounted
+    await SecureStore.setItemAsync(STORAGE_KEYS.LOCKOUT, JSON.stringify({ failedAttempts, lockedUntil }));
+
+    AuditLogger.log('AUTH_FAILED', { method, attempts: failedAttempts });
+
+    if (wipe) {
+      // Awaited so the event is queued for the remote server before the wipe
+      await AuditLogger.log('DATA_WIPED', { reason: 'failed_attempts', attempts: failedAttempts });
+      await this.wipeAllData();
+      return { failedAttempts: 0, lockedUntil: 0, remainingMs: 0, isLockedOut: false, wiped: true };
+    }
+
+    if (delayMs > 0) {
+      AuditLogger.log('ACCOUNT_LOCKED', { attempts: failedAttempts, lockedForMs: delayMs });
+    }
+
+    return {
+      failedAttempts,
+      lockedUntil,
+      remainingMs: delayMs,
+      isLockedOut: delayMs > 0,
+      wiped: false,
+      attemptsBeforeWipe
+    };
+  }
+
+  /**
+   * Erase keys and every stored value (the encrypted data is unreadable without the keys)
+   */
+  async wipeAllData() {
+    this._endSession();
+    await EncryptionService.wipeKeys();
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.LOCKOUT);
+    await AuditLogger.resetChain();
+    HeartRateTimeSeries.reset();
+    // Undelivered remote audit events (DATA_WIPED among them) survive the wipe
+    const keys = (await AsyncStorage.getAllKeys()).filter(key => !isQueueKey(key));
+    await AsyncStorage.multiRemove(keys);
+    console.warn('⚠️ All data wiped');
+  }
+
+  // ==================== SESSION ====================
+
+  /**
+   * Successful unlock: clear the failure count and start the session
+   */
+  async recordSuccess(method) {
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.LOCKOUT);
+    await this.getPolicy();
+
+    this.authenticatedAt = Date.now();
+    this.lastActivity = this.authenticatedAt;
+    this._scheduleInactivityCheck();
+
+    await AuditLogger.log('AUTH_SUCCESS', { method });
+  }
+
+  isSessionActive() {
+    return this.authenticatedAt !== null;
+  }
+
+  /**
+   * Note user activity (touches) to postpone the inactivity lock
+   */
+  touch() {
+    if (this.isSessionActive()) {
+      this.lastActivity = Date.now();
+    }
+  }
+
+  /**
+   * React to AppState changes ('active' | 'background' | 'inactive')
+   */
+  handleAppStateChange(nextState) {
+    if (!this.isSessionActive() || this.autoLockSuspensions > 0) return;
+
+    if (nextState === 'background' && this.policy?.lockOnBackground) {
+      this.lock('background');
+    } else if (nextState === 'active' && this._isInactivityExpired()) {
+      // Timers do not fire while backgrounded, so check on return
+      this.lock('inactivity');
+    }
+  }
+
+  /**
+   * Keep the session unlocked while the app opens a system sheet
+   * Backgrounding and inactivity do not lock until the returned resume() is
+   * called; the time spent in the sheet does not count as inactivity.
+   *
+   * @returns {function} resume - safe to call more than once
+   */
+  suspendAutoLock() {
+    this.autoLockSuspensions++;
+    let resumed = false;
+    return () => {
+      if (resumed) return;
+      resumed = true;
+      this.autoLockSuspensions--;
+      this.touch();
+    };
+  }
+
+  /**
+   * Run `task` (which opens a system sheet) with auto-lock suspended
+   */
+  async withAutoLockSuspended(task) {
+    const resume = this.suspendAutoLock();
+    try {
+      return await task();
+    } finally {
+      resume();
+    }
+  }
+
+  /**
+   * End the session and lock encrypted data
+   *
+   * @param {string} reason - 'inactivity' | 'background' | 'user'
+   */
+  lock(reason = 'user') {
+    if (!this.isSessionActive()) return;
+
+    const timeSinceAuth = Date.now() - this.authenticatedAt;
+    this._endSession();
+    EncryptionService.lock();
+
+    // Logged after locking: queued in memory until the next unlock
+    if (reason === 'user') {
+      AuditLogger.log('LOGOUT', { reason, timeSinceAuth });
+    } else {
+      AuditLogger.log('SESSION_EXPIRED', { reason, timeSinceAuth });
+    }
+
+    this.lockListeners.forEach(listener => {
+      try {
+        listener(reason);
+      } catch (error) {
+        console.error('Lock listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Register a callback run when the session locks
+   * @returns {function} Unsubscribe
+   */
+  addLockListener(listener) {
+    this.lockListeners.push(listener);
+    return () => {
+      this.lockListeners = this.lockListeners.filter(l => l !== listener);
+    };
+  }
+
+  _isInactivityExpired() {
+    const minutes = this.policy?.autoLockMinutes;
+    return !!minutes && Date.now() - this.lastActivity >= minutes * 60 * 1000;
+  }
+
+  _scheduleInactivityCheck() {
+    clearTimeout(this.inactivityTimer);
+    this.inactivityTimer = null;
+
+    const minutes = this.policy?.autoLockMinutes;
+    if (!minutes || !this.isSessionActive()) return;
+
+    const remaining = this.lastActivity + minutes * 60 * 1000 - Date.now();
+    this.inactivityTimer = setTimeout(() => {
+      if (this._isInactivityExpired() && this.autoLockSuspensions === 0) {
+        this.lock('inactivity');
+      } else {
+        this._scheduleInactivityCheck();
+      }
+    }, Math.max(remaining, 1000));
+  }
+
+  _endSession() {
+    clearTimeout(this.inactivityTimer);
+    this.inactivityTimer = null;
+    this.authenticatedAt = null;
+    this.lastActivity = null;
+  }
+}
+
+// Export singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
@@ -8,6 +8,8 @@
  * - Proper tier-based storage (tier1Biomarkers, tier2Biomarkers, fitnessAssessments)
  * - Data migration from legacy unencrypted storage
  * - Maintains backup/export functionality
+ * - Backup files are encrypted (passphrase, or device key for auto-backups);
+ *   see EncryptedBackup
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -15,6 +17,11 @@ import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 import * as DocumentPicker from 'expo-document-picker';
 import * as SecureStorage from './SecureStorageService';
+import { normalizeBiomarkerEntry } from './BiomarkerSchema';
+import { auditDataEvent, countRecords } from './DataAccessAudit';
+import { createBackup, openBackup, resealDeviceBackup, isEncryptedBackup, readLegacyBackup } from './EncryptedBackup';
+import { MERGE_STRATEGIES, mergeEntries, entriesEqual, validateImportedEntries } from './ImportMerge';
+import SessionService from './SessionService';
 
 const STORAGE_KEYS = {
   BIOMARKER_HISTORY: '@praxiom_biomarker_history', // LEGACY - will be migrated
@@ -25,6 +32,26 @@ const STORAGE_KEYS = {
   LAST_BACKUP: '@praxiom_last_backup',
 };
 
+// Live history caps, applied on save and on import
+const WEARABLE_HISTORY_LIMIT = 1000;
+const HRV_SESSION_LIMIT = 365;
+
+// Counts from a mergeEntries result, for import previews
+const summarizeMerge = ({ added, duplicates, conflicts, localOnly, dropped }) => ({
+  added,
+  duplicates,
+  conflicts: conflicts.length,
+  localOnly,
+  dropped,
+  conflictTimestamps: conflicts.map(c => c.timestamp)
+});
+
+// 'new' (nothing here), 'same' or 'conflict' for single imported values
+const compareSingle = (local, incoming) => {
+  if (!local) return 'new';
+  return entriesEqual(local, incoming) ? 'same' : 'conflict';
+};
+
 class StorageService {
   constructor() {
     this.autoBackupEnabled = false;
@@ -56,6 +83,10 @@ class StorageService {
     try {
       console.log('🔄 Starting legacy data migration...');
       
+      // Single-item SecureStore values predate chunked storage; move them every session
+      // until none are left (cheap once migrated)
+      await SecureStorage.migrateSecureStoreValues();
+      
       // Check if migration already completed
       const migrationStatus = await AsyncStorage.getItem('@migration_completed');
       if (migrationStatus === 'true') {
@@ -153,9 +184,13 @@ class StorageService {
 
   /**
    * ✅ FIXED: Save biomarker entry with proper tier-based encrypted storage
+   * Biomarker fields are validated against BiomarkerSchema and stored under
+   * their canonical keys; unknown or out-of-range fields are rejected.
    */
-  async saveBiomarkerEntry(entry) {
+  async saveBiomarkerEntry(rawEntry) {
     try {
+      const entry = normalizeBiomarkerEntry(rawEntry);
+
       // Run migration if not completed
       if (!this.migrationCompleted) {
         await this.migrateLegacyData();
@@ -212,54 +247,64 @@ class StorageService {
 
   /**
    * ✅ UPDATED: Get all biomarker history from encrypted storage
+   * Screens get [] when a store cannot be read (see readBiomarkerHistory)
    */
   async getBiomarkerHistory() {
     try {
-      // Run migration if not completed
-      if (!this.migrationCompleted) {
-        await this.migrateLegacyData();
-      }
-
-      // Get from all tiers
-      const tier1Data = await SecureStorage.getItem('tier1Biomarkers');
-      const tier2Data = await SecureStorage.getItem('tier2Biomarkers');
-      const tier3Data = await SecureStorage.getItem('tier3Biomarkers');
-      const fitnessData = await SecureStorage.getItem('fitnessAssessments');
-      
-      let allHistory = [];
-      
-      if (tier1Data) {
-        const tier1Array = Array.isArray(tier1Data) ? tier1Data : [tier1Data];
-        allHistory = [...allHistory, ...tier1Array];
-      }
-      
-      if (tier2Data) {
-        const tier2Array = Array.isArray(tier2Data) ? tier2Data : [tier2Data];
-        allHistory = [...allHistory, ...tier2Array];
-      }
-      
-      if (tier3Data) {
-        const tier3Array = Array.isArray(tier3Data) ? tier3Data : [tier3Data];
-        allHistory = [...allHistory, ...tier3Array];
-      }
-      
-      if (fitnessData) {
-        const fitnessArray = Array.isArray(fitnessData) ? fitnessData : [fitnessData];
-        allHistory = [...allHistory, ...fitnessArray];
-      }
-      
-      // Sort by timestamp (newest first)
-      allHistory.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-      
-      console.log(`📋 Retrieved ${allHistory.length} total biomarker entries from encrypted storage`);
-      
-      return allHistory;
+      return await this.readBiomarkerHistory();
     } catch (error) {
       console.error('Error getting biomarker history:', error);
       return [];
     }
   }
 
+  /**
+   * All biomarker history, newest first; throws when a store cannot be
+   * decrypted or fails its integrity check, so exports and backups never
+   * seal an empty history in place of the real one
+   */
+  async readBiomarkerHistory() {
+    // Run migration if not completed
+    if (!this.migrationCompleted) {
+      await this.migrateLegacyData();
+    }
+
+    // Get from all tiers
+    const tier1Data = await SecureStorage.getItem('tier1Biomarkers');
+    const tier2Data = await SecureStorage.getItem('tier2Biomarkers');
+    const tier3Data = await SecureStorage.getItem('tier3Biomarkers');
+    const fitnessData = await SecureStorage.getItem('fitnessAssessments');
+    
+    let allHistory = [];
+    
+    if (tier1Data) {
+      const tier1Array = Array.isArray(tier1Data) ? tier1Data : [tier1Data];
+      allHistory = [...allHistory, ...tier1Array];
+    }
+    
+    if (tier2Data) {
+      const tier2Array = Array.isArray(tier2Data) ? tier2Data : [tier2Data];
+      allHistory = [...allHistory, ...tier2Array];
+    }
+    
+    if (tier3Data) {
+      const tier3Array = Array.isArray(tier3Data) ? tier3Data : [tier3Data];
+      allHistory = [...allHistory, ...tier3Array];
+    }
+    
+    if (fitnessData) {
+      const fitnessArray = Array.isArray(fitnessData) ? fitnessData : [fitnessData];
+      allHistory = [...allHistory, ...fitnessArray];
+    }
+    
+    // Sort by timestamp (newest first)
+    allHistory.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    
+    console.log(`📋 Retrieved ${allHistory.length} total biomarker entries from encrypted storage`);
+    
+    return allHistory;
+  }
+
   /**
    * Get biomarker entry by date
    */
@@ -299,12 +344,18 @@ class StorageService {
 
   /**
    * ✅ UPDATED: Delete biomarker entry from encrypted storage
+   * 
+   * @param {string} timestamp - Entry timestamp
+   * @param {string} importCopyId - Set on a copy kept by a keep_both import
    */
-  async deleteBiomarkerEntry(timestamp) {
+  async deleteBiomarkerEntry(timestamp, importCopyId = null) {
     try {
+      const matches = (entry) =>
+        entry.timestamp === timestamp && (entry.importCopyId || null) === importCopyId;
+
       // Get all history to find which tier the entry belongs to
-      const allHistory = await this.getBiomarkerHistory();
-      const entryToDelete = allHistory.find(e => e.timestamp === timestamp);
+      const allHistory = await this.readBiomarkerHistory();
+      const entryToDelete = allHistory.find(matches);
       
       if (!entryToDelete) {
         console.warn('Entry not found:', timestamp);
@@ -328,10 +379,11 @@ class StorageService {
       if (!tierData) return false;
 
       const tierArray = Array.isArray(tierData) ? tierData : [tierData];
-      const updated = tierArray.filter(entry => entry.timestamp !== timestamp);
+      const updated = tierArray.filter(entry => !matches(entry));
       
       // Save updated history
       await SecureStorage.setItem(storageKey, updated);
+      auditDataEvent('delete', { key: storageKey, recordCount: tierArray.length - updated.length, entryTimestamp: timestamp });
       
       console.log(`✅ Entry deleted from ${storageKey}`);
       return true;
@@ -365,6 +417,7 @@ class StorageService {
         STORAGE_KEYS.USER_PROFILE,
         JSON.stringify(profile)
       );
+      auditDataEvent('write', { key: STORAGE_KEYS.USER_PROFILE, recordCount: 1 });
       return true;
     } catch (error) {
       console.error('Error saving user profile:', error);
@@ -378,6 +431,7 @@ class StorageService {
   async getUserProfile() {
     try {
       const data = await AsyncStorage.getItem(STORAGE_KEYS.USER_PROFILE);
+      auditDataEvent('read', { key: STORAGE_KEYS.USER_PROFILE, recordCount: data ? 1 : 0 });
       return data ? JSON.parse(data) : null;
     } catch (error) {
       console.error('Error getting user profile:', error);
@@ -403,14 +457,15 @@ class StorageService {
       history.push(snapshot);
       
       // Keep only last 1000 snapshots
-      if (history.length > 1000) {
-        history.splice(0, history.length - 1000);
+      if (history.length > WEARABLE_HISTORY_LIMIT) {
+        history.splice(0, history.length - WEARABLE_HISTORY_LIMIT);
       }
       
       await AsyncStorage.setItem(
         STORAGE_KEYS.WEARABLE_DATA,
         JSON.stringify(history)
       );
+      auditDataEvent('write', { key: STORAGE_KEYS.WEARABLE_DATA, recordCount: history.length });
       
       return true;
     } catch (error) {
@@ -420,30 +475,76 @@ class StorageService {
   }
 
   /**
-   * Get wearable history
+   * Get wearable history ([] when it cannot be read, see readWearableHistory)
    */
   async getWearableHistory() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.WEARABLE_DATA);
-      return data ? JSON.parse(data) : [];
+      return await this.readWearableHistory();
     } catch (error) {
       console.error('Error getting wearable history:', error);
       return [];
     }
   }
 
+  /**
+   * Wearable history, oldest first; throws when the stored value is unreadable
+   */
+  async readWearableHistory() {
+    const data = await AsyncStorage.getItem(STORAGE_KEYS.WEARABLE_DATA);
+    const history = data ? JSON.parse(data) : [];
+    auditDataEvent('read', { key: STORAGE_KEYS.WEARABLE_DATA, recordCount: history.length });
+    return history;
+  }
+
+  /**
+   * Save an accepted morning HRV session (see MorningHRV)
+   */
+  async saveHRVSession(session) {
+    try {
+      // Read directly: an unreadable history must abort the save, not be replaced
+      const sessions = (await SecureStorage.getItem('hrvSessions')) || [];
+      sessions.push(session);
+      
+      // Keep only the last year of mornings
+      if (sessions.length > HRV_SESSION_LIMIT) {
+        sessions.splice(0, sessions.length - HRV_SESSION_LIMIT);
+      }
+      
+      await SecureStorage.setItem('hrvSessions', sessions);
+      return true;
+    } catch (error) {
+      console.error('Error saving HRV session:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get morning HRV sessions, oldest first
+   */
+  async getHRVSessions() {
+    try {
+      return (await SecureStorage.getItem('hrvSessions')) || [];
+    } catch (error) {
+      console.error('Error getting HRV sessions:', error);
+      return [];
+    }
+  }
+
   // ==================== BACKUP & EXPORT ====================
 
   /**
    * Export all data as JSON
+   * Throws when a history cannot be read (exportToFile and automatic backups
+   * then fail instead of writing a backup without it)
    */
   async exportData() {
     try {
-      const [history, profile, ouraData, wearableData] = await Promise.all([
-        this.getBiomarkerHistory(),
+      const [history, profile, ouraData, wearableData, hrvSessions] = await Promise.all([
+        this.readBiomarkerHistory(),
         this.getUserProfile(),
         AsyncStorage.getItem(STORAGE_KEYS.OURA_DATA),
-        this.getWearableHistory(),
+        this.readWearableHistory(),
+        SecureStorage.getItem('hrvSessions'),
       ]);
       
       return {
@@ -453,6 +554,7 @@ class StorageService {
         biomarkerHistory: history,
         ouraData: ouraData ? JSON.parse(ouraData) : null,
         wearableHistory: wearableData,
+        hrvSessions: hrvSessions || [],
       };
     } catch (error) {
       console.error('Error exporting data:', error);
@@ -461,25 +563,37 @@ class StorageService {
   }
 
   /**
-   * Export data to file and share
+   * Export data to a passphrase-encrypted backup file and share it
+   * 
+   * @param {string} passphrase - Needed again to import the file
    */
-  async exportToFile() {
+  async exportToFile(passphrase) {
     try {
       const data = await this.exportData();
+      const backup = await createBackup(data, { passphrase });
       const filename = `praxiom_backup_${new Date().toISOString().split('T')[0]}.json`;
       const fileUri = FileSystem.documentDirectory + filename;
       
       await FileSystem.writeAsStringAsync(
         fileUri,
-        JSON.stringify(data, null, 2),
+        JSON.stringify(backup, null, 2),
         { encoding: FileSystem.EncodingType.UTF8 }
       );
       
+      auditDataEvent('export', {
+        key: 'all',
+        recordCount: data.biomarkerHistory.length,
+        destination: 'file',
+        filename,
+        encrypted: true
+      });
+      
       if (await Sharing.isAvailableAsync()) {
-        await Sharing.shareAsync(fileUri, {
+        // The share sheet backgrounds the app on Android
+        await SessionService.withAutoLockSuspended(() => Sharing.shareAsync(fileUri, {
           mimeType: 'application/json',
           dialogTitle: 'Export Praxiom Health Data',
-        });
+        }));
       }
       
       return {
@@ -497,56 +611,136 @@ class StorageService {
   }
 
   /**
-   * Import data from JSON
+   * Merge imported data into the data on this device
+   * Histories merge by entry identity (see ImportMerge); conflicting entries
+   * follow `strategy`. Biomarker entries are validated first; the ones that
+   * fail are listed in diff.rejected ({ index, timestamp, reason }) and skipped.
+   * Wearable snapshots and HRV sessions are capped like their live stores;
+   * diff.wearables.dropped / diff.hrvSessions.dropped count the oldest cut.
+   * With dryRun nothing is written and only the diff is returned, for preview
+   * before committing.
+   * 
+   * @param {object} data - exportData() result (decrypted backup contents)
+   * @param {object} options - { strategy: 'keep_mine' | 'keep_theirs' | 'keep_both', dryRun }
+   * @returns {object} { success, dryRun, strategy, diff, itemsImported }
    */
-  async importData(data) {
+  async importData(data, { strategy = 'keep_mine', dryRun = false } = {}) {
     try {
       if (!data || typeof data !== 'object') {
         throw new Error('Invalid import data format');
       }
-
-      // Import profile
-      if (data.profile) {
-        await this.saveUserProfile(data.profile);
+      if (!MERGE_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown merge strategy: ${strategy}`);
       }
+
+      const diff = {
+        biomarkers: {},
+        wearables: null,
+        hrvSessions: null,
+        profile: 'none',
+        ouraData: 'none',
+        totals: { added: 0, duplicates: 0, conflicts: 0, localOnly: 0 },
+        rejected: []
+      };
+      const writes = [];
+      
+      // Biomarker history, per tier store; entries failing the schema are
+      // reported in the diff and never written
+      const { entries: imported, rejected } = validateImportedEntries(
+        Array.isArray(data.biomarkerHistory) ? data.biomarkerHistory : []
+      );
+      diff.rejected = rejected;
+      const tierStores = {
+        tier1Biomarkers: imported.filter(e => e.tier === 1 || !e.tier),
+        tier2Biomarkers: imported.filter(e => e.tier === 2),
+        tier3Biomarkers: imported.filter(e => e.tier === 3),
+        fitnessAssessments: imported.filter(e => e.tier === 'Fitness Assessment'),
+      };
       
-      // Import biomarker history to encrypted storage
-      if (data.biomarkerHistory && Array.isArray(data.biomarkerHistory)) {
-        // Separate by tier
-        const tier1 = data.biomarkerHistory.filter(e => e.tier === 1 || !e.tier);
-        const tier2 = data.biomarkerHistory.filter(e => e.tier === 2);
-        const tier3 = data.biomarkerHistory.filter(e => e.tier === 3);
-        const fitness = data.biomarkerHistory.filter(e => e.tier === 'Fitness Assessment');
+      for (const [storageKey, incoming] of Object.entries(tierStores)) {
+        if (incoming.length === 0) continue;
+        
+        // Throws for an unreadable store, before any write has been queued
+        const existing = await SecureStorage.getItem(storageKey);
+        const local = Array.isArray(existing) ? existing : (existing ? [existing] : []);
+        const result = mergeEntries(local, incoming, strategy);
+        
+        diff.biomarkers[storageKey] = summarizeMerge(result);
+        for (const total of Object.keys(diff.totals)) {
+          diff.totals[total] += diff.biomarkers[storageKey][total];
+        }
+        if (result.changed) {
+          writes.push(() => SecureStorage.setItem(storageKey, result.merged));
+        }
+      }
+
+      // Wearable snapshots merge the same way (by timestamp)
+      if (Array.isArray(data.wearableHistory) && data.wearableHistory.length > 0) {
+        const result = mergeEntries(await this.readWearableHistory(), data.wearableHistory, strategy,
+          { limit: WEARABLE_HISTORY_LIMIT });
+        diff.wearables = summarizeMerge(result);
+        if (result.changed) {
+          // Stored oldest first, like saveWearableSnapshot
+          const history = [...result.merged].reverse();
+          writes.push(() => AsyncStorage.setItem(STORAGE_KEYS.WEARABLE_DATA, JSON.stringify(history)));
+        }
+      }
 
-        if (tier1.length > 0) await SecureStorage.setItem('tier1Biomarkers', tier1);
-        if (tier2.length > 0) await SecureStorage.setItem('tier2Biomarkers', tier2);
-        if (tier3.length > 0) await SecureStorage.setItem('tier3Biomarkers', tier3);
-        if (fitness.length > 0) await SecureStorage.setItem('fitnessAssessments', fitness);
+      // Morning HRV sessions likewise
+      if (Array.isArray(data.hrvSessions) && data.hrvSessions.length > 0) {
+        const local = (await SecureStorage.getItem('hrvSessions')) || [];
+        const result = mergeEntries(local, data.hrvSessions, strategy, { limit: HRV_SESSION_LIMIT });
+        diff.hrvSessions = summarizeMerge(result);
+        if (result.changed) {
+          // Stored oldest first, like saveHRVSession
+          const sessions = [...result.merged].reverse();
+          writes.push(() => SecureStorage.setItem('hrvSessions', sessions));
+        }
       }
 
-      // Import Oura data
+      // Single values: only keep_theirs overwrites one that exists here
+      if (data.profile) {
+        const local = await this.getUserProfile();
+        diff.profile = compareSingle(local, data.profile);
+        if (diff.profile === 'new' || (diff.profile === 'conflict' && strategy === 'keep_theirs')) {
+          writes.push(() => this.saveUserProfile(data.profile));
+        }
+      }
+      
       if (data.ouraData) {
-        await AsyncStorage.setItem(
-          STORAGE_KEYS.OURA_DATA,
-          JSON.stringify(data.ouraData)
-        );
+        const stored = await AsyncStorage.getItem(STORAGE_KEYS.OURA_DATA);
+        diff.ouraData = compareSingle(stored ? JSON.parse(stored) : null, data.ouraData);
+        if (diff.ouraData === 'new' || (diff.ouraData === 'conflict' && strategy === 'keep_theirs')) {
+          writes.push(() => AsyncStorage.setItem(STORAGE_KEYS.OURA_DATA, JSON.stringify(data.ouraData)));
+        }
       }
 
-      // Import wearable history
-      if (data.wearableHistory && Array.isArray(data.wearableHistory)) {
-        await AsyncStorage.setItem(
-          STORAGE_KEYS.WEARABLE_DATA,
-          JSON.stringify(data.wearableHistory)
-        );
+      if (!dryRun) {
+        for (const write of writes) {
+          await write();
+        }
+        
+        auditDataEvent('import', {
+          key: 'all',
+          recordCount: countRecords(data.biomarkerHistory) + countRecords(data.wearableHistory) +
+            countRecords(data.hrvSessions),
+          exportDate: data.exportDate || null,
+          strategy,
+          ...diff.totals,
+          rejected: rejected.length
+        });
       }
       
       return {
         success: true,
+        dryRun,
+        strategy,
+        diff,
         itemsImported: {
-          profile: !!data.profile,
-          biomarkers: data.biomarkerHistory?.length || 0,
-          ouraData: !!data.ouraData,
-          wearables: data.wearableHistory?.length || 0,
+          profile: diff.profile === 'new' || (diff.profile === 'conflict' && strategy === 'keep_theirs'),
+          biomarkers: diff.totals.added + (strategy === 'keep_theirs' ? diff.totals.conflicts : 0),
+          ouraData: diff.ouraData === 'new' || (diff.ouraData === 'conflict' && strategy === 'keep_theirs'),
+          wearables: diff.wearables?.added || 0,
         },
       };
     } catch (error) {
@@ -559,35 +753,76 @@ class StorageService {
   }
 
   /**
-   * Import data from file
+   * Pick a backup file and return its data without importing it
+   * Encrypted backups are verified and decrypted first; tampered files or a
+   * wrong passphrase are refused (result.code from EncryptedBackup.openBackup).
+   * Plain JSON exports from older versions are refused with code
+   * 'UNENCRYPTED_BACKUP' and the file's uri; reading them again with
+   * allowLegacy (after the user confirmed) accepts them and audits that.
+   * 
+   * @param {string} passphrase - Passphrase the backup was exported with
+   * @param {object} options - { allowLegacy, uri } (uri skips the file picker)
+   * @returns {object} { success, data } or { success: false, error, code, uri }
    */
-  async importFromFile() {
+  async readBackupFile(passphrase, { allowLegacy = false, uri = null } = {}) {
+    let fileUri = uri;
     try {
-      const result = await DocumentPicker.getDocumentAsync({
-        type: 'application/json',
-        copyToCacheDirectory: true,
-      });
+      if (!fileUri) {
+        // The document picker backgrounds the app on Android
+        const result = await SessionService.withAutoLockSuspended(() => DocumentPicker.getDocumentAsync({
+          type: 'application/json',
+          copyToCacheDirectory: true,
+        }));
+
+        if (result.canceled || !result.assets?.length) {
+          return {
+            success: false,
+            error: 'File selection cancelled',
+          };
+        }
+        fileUri = result.assets[0].uri;
+      }
 
-      if (result.type === 'success') {
-        const fileContent = await FileSystem.readAsStringAsync(result.uri);
-        const data = JSON.parse(fileContent);
-        
-        return await this.importData(data);
+      const fileContent = await FileSystem.readAsStringAsync(fileUri);
+      const contents = JSON.parse(fileContent);
+      
+      if (isEncryptedBackup(contents)) {
+        const { data } = await openBackup(contents, passphrase);
+        return { success: true, data };
       }
       
-      return {
-        success: false,
-        error: 'File selection cancelled',
-      };
+      const data = readLegacyBackup(contents, { allowLegacy });
+      console.warn('⚠️ Reading unencrypted legacy backup (confirmed by the user)');
+      auditDataEvent('import', {
+        key: 'all',
+        recordCount: countRecords(data.biomarkerHistory) + countRecords(data.wearableHistory),
+        source: 'unencrypted_backup',
+        confirmed: true
+      });
+      return { success: true, data };
     } catch (error) {
-      console.error('Error importing from file:', error);
+      console.error('Error reading backup file:', error);
       return {
         success: false,
         error: error.message,
+        code: error.code,
+        uri: fileUri,
       };
     }
   }
 
+  /**
+   * Import data from a backup file (see readBackupFile and importData)
+   * 
+   * @param {string} passphrase - Passphrase the backup was exported with
+   * @param {object} options - importData options { strategy, dryRun }
+   */
+  async importFromFile(passphrase, options = {}) {
+    const file = await this.readBackupFile(passphrase);
+    if (!file.success) return file;
+    return await this.importData(file.data, options);
+  }
+
   // ==================== AUTOMATIC BACKUP ====================
 
   /**
@@ -720,12 +955,14 @@ class StorageService {
       console.log('💾 Performing automatic backup...');
       
       const data = await this.exportData();
+      // No passphrase without the user: sealed under the device key instead
+      const backup = await createBackup(data, { useDeviceKey: true });
       const filename = `praxiom_auto_backup_${new Date().toISOString().split('T')[0]}.json`;
       const fileUri = FileSystem.documentDirectory + filename;
       
       await FileSystem.writeAsStringAsync(
         fileUri,
-        JSON.stringify(data),
+        JSON.stringify(backup),
         { encoding: FileSystem.EncodingType.UTF8 }
       );
       
@@ -742,6 +979,16 @@ class StorageService {
         new Date().toISOString()
       );
       
+      auditDataEvent('export', {
+        key: 'all',
+        recordCount: data.biomarkerHistory.length,
+        destination: 'auto_backup',
+        filename,
+        encrypted: true
+      });
+      
+      await this.removePlaintextBackups();
+      
       console.log('✅ Automatic backup completed:', filename);
       
       return {
@@ -759,6 +1006,65 @@ class StorageService {
     }
   }
 
+  /**
+   * Delete backup files written unencrypted by earlier versions
+   */
+  async removePlaintextBackups() {
+    try {
+      const files = await FileSystem.readDirectoryAsync(FileSystem.documentDirectory);
+      for (const file of files.filter(name => /^praxiom_(auto_)?backup_.*\.json$/.test(name))) {
+        const fileUri = FileSystem.documentDirectory + file;
+        const contents = JSON.parse(await FileSystem.readAsStringAsync(fileUri));
+        if (!isEncryptedBackup(contents)) {
+          await FileSystem.deleteAsync(fileUri, { idempotent: true });
+          console.log('🗑️ Removed unencrypted backup:', file);
+        }
+      }
+    } catch (error) {
+      console.error('Error removing unencrypted backups:', error);
+    }
+  }
+
+  /**
+   * Re-encrypt automatic backups under the incoming key during a key rotation
+   * (called by KeyRotationService.rotateKey). Files that are damaged or were
+   * already unreadable are skipped; any other failure is thrown so the
+   * rotation stays pending and resumes.
+   *
+   * @returns {number} Number of backup files re-sealed
+   */
+  async reencryptAutoBackups() {
+    const files = await FileSystem.readDirectoryAsync(FileSystem.documentDirectory);
+    let count = 0;
+
+    for (const file of files.filter(name => /^praxiom_auto_backup_.*\.json$/.test(name))) {
+      const fileUri = FileSystem.documentDirectory + file;
+      try {
+        const contents = JSON.parse(await FileSystem.readAsStringAsync(fileUri));
+        if (!isEncryptedBackup(contents)) continue;
+
+        const resealed = await resealDeviceBackup(contents);
+        if (!resealed) continue;
+
+        await FileSystem.writeAsStringAsync(
+          fileUri,
+          JSON.stringify(resealed),
+          { encoding: FileSystem.EncodingType.UTF8 }
+        );
+        count++;
+      } catch (error) {
+        if (error instanceof SyntaxError ||
+            ['BACKUP_TAMPERED', 'UNSUPPORTED_BACKUP', 'INTEGRITY_CHECK_FAILED'].includes(error.code)) {
+          console.warn(`⚠️ Skipping unreadable backup ${file}:`, error.message);
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    return count;
+  }
+
   /**
    * Get last backup info
    */
@@ -790,6 +1096,9 @@ class StorageService {
       await SecureStorage.removeItem('tier2Biomarkers');
       await SecureStorage.removeItem('tier3Biomarkers');
       await SecureStorage.removeItem('fitnessAssessments');
+      await SecureStorage.removeItem('hrvSessions');
+      await SecureStorage.removeItem('biomarkers');
+      await SecureStorage.removeItem('biomarkerHistory');
       
       // Clear legacy and other data
       await AsyncStorage.multiRemove([
@@ -798,6 +1107,7 @@ class StorageService {
         STORAGE_KEYS.OURA_DATA,
         STORAGE_KEYS.WEARABLE_DATA,
       ]);
+      auditDataEvent('clear', { key: 'all' });
       
       console.log('✅ All data cleared (including encrypted storage)');
       return true;
@@ -0,0 +1,139 @@
+/**
+ * TimeSeriesAggregation.js - Pure helpers for the heart-rate time series
+ *
+ * Samples are compact [timestamp ms, value] pairs: heart rate in bpm,
+ * RR intervals in ms. Older raw data is folded into one row per minute:
+ *
+ *   { t, hrMin, hrAvg, hrMax, hrCount, rrCount, rrMean, rmssd }
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Raw partition for a timestamp: UTC hour, e.g. '2025-03-01T09'
+ */
+export const hourKey = (t) => new Date(t).toISOString().slice(0, 13);
+
+/**
+ * Minute partition for a timestamp: UTC day, e.g. '2025-03-01'
+ */
+export const dayKey = (t) => new Date(t).toISOString().slice(0, 10);
+
+/**
+ * Start (ms) of the UTC hour named by hourKey()
+ */
+export const hourStart = (key) => Date.parse(`${key}:00:00.000Z`);
+
+/**
+ * Timestamp RR intervals from one heart-rate notification
+ * The last interval ends when the notification arrived; earlier ones are
+ * placed back to back before it.
+ *
+ * @returns {Array} [[t, rr], ...] oldest first
+ */
+export const timestampRRIntervals = (intervals, receivedAt) => {
+  const result = [];
+  let end = receivedAt;
+  for (let i = intervals.length - 1; i >= 0; i--) {
+    result.unshift([Math.round(end), Math.round(intervals[i])]);
+    end -= intervals[i];
+  }
+  return result;
+};
+
+/**
+ * Root mean square of successive differences, or null for fewer than 2 intervals
+ */
+export const rmssd = (intervals) => {
+  if (!intervals || intervals.length < 2) return null;
+
+  let sumSquaredDiff = 0;
+  for (let i = 1; i < intervals.length; i++) {
+    const diff = intervals[i] - intervals[i - 1];
+    sumSquaredDiff += diff * diff;
+  }
+  return Math.sqrt(sumSquaredDiff / (intervals.length - 1));
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Fold raw samples into per-minute rows
+ *
+ * @param {Array} hr - [[t, bpm], ...]
+ * @param {Array} rr - [[t, ms], ...]
+ * @returns {Array} Minute rows sorted by t
+ */
+export const aggregateMinutes = (hr = [], rr = []) => {
+  const minutes = new Map();
+  const minuteFor = (t) => {
+    const start = Math.floor(t / MINUTE_MS) * MINUTE_MS;
+    if (!minutes.has(start)) minutes.set(start, { hr: [], rr: [] });
+    return minutes.get(start);
+  };
+
+  hr.forEach(([t, bpm]) => minuteFor(t).hr.push(bpm));
+  [...rr].sort((a, b) => a[0] - b[0]).forEach(([t, ms]) => minuteFor(t).rr.push(ms));
+
+  return [...minutes.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([t, bucket]) => ({
+      t,
+      hrMin: bucket.hr.length ? Math.min(...bucket.hr) : null,
+      hrAvg: bucket.hr.length ? round1(bucket.hr.reduce((sum, v) => sum + v, 0) / bucket.hr.length) : null,
+      hrMax: bucket.hr.length ? Math.max(...bucket.hr) : null,
+      hrCount: bucket.hr.length,
+      rrCount: bucket.rr.length,
+      rrMean: bucket.rr.length ? round1(bucket.rr.reduce((sum, v) => sum + v, 0) / bucket.rr.length) : null,
+      rmssd: bucket.rr.length >= 2 ? round1(rmssd(bucket.rr)) : null
+    }));
+};
+
+/**
+ * Merge minute rows, later rows replacing earlier ones for the same minute
+ */
+export const mergeMinuteRows = (existing = [], rows = []) => {
+  const byMinute = new Map(existing.map(row => [row.t, row]));
+  rows.forEach(row => byMinute.set(row.t, row));
+  return [...byMinute.values()].sort((a, b) => a.t - b.t);
+};
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((sorted.length - 1) * p))];
+};
+
+/**
+ * Summary of one day's minute rows
+ * restingHr is the 10th percentile of minute averages; rmssd the median of
+ * per-minute RMSSD values.
+ *
+ * @returns {object|null} { hrAvg, hrMin, hrMax, restingHr, rmssd, minutes }
+ */
+export const summarizeMinutes = (rows) => {
+  const withHr = rows.filter(row => row.hrCount > 0);
+  if (withHr.length === 0) return null;
+
+  const samples = withHr.reduce((sum, row) => sum + row.hrCount, 0);
+  const rmssdValues = rows.map(row => row.rmssd).filter(value => value !== null);
+
+  return {
+    hrAvg: round1(withHr.reduce((sum, row) => sum + row.hrAvg * row.hrCount, 0) / samples),
+    hrMin: Math.min(...withHr.map(row => row.hrMin)),
+    hrMax: Math.max(...withHr.map(row => row.hrMax)),
+    restingHr: round1(percentile(withHr.map(row => row.hrAvg), 0.1)),
+    rmssd: rmssdValues.length ? round1(percentile(rmssdValues, 0.5)) : null,
+    minutes: withHr.length
+  };
+};
+
+export default {
+  hourKey,
+  dayKey,
+  hourStart,
+  timestampRRIntervals,
+  rmssd,
+  aggregateMinutes,
+  mergeMinuteRows,
+  summarizeMinutes
+};
@@ -0,0 +1,195 @@
+/**
+ * UnitConversion.js - Lab Unit Conversion (SI vs Conventional)
+ *
+ * PraxiomAlgorithm scores every analyte in one canonical unit (US conventional
+ * units, matching BIOMARKER_RANGES). European lab reports use SI units, so
+ * values are converted to the canonical unit before validation and scoring.
+ *
+ * Each entry lists the canonical unit, the unit a metric (SI) lab report uses,
+ * and the conversions from every supported unit into the canonical one.
+ * Analytes not listed here are only accepted in their canonical unit.
+ */
+
+// ============================================================================
+// CONVERSION TABLE
+// ============================================================================
+
+export const UNIT_CONVERSIONS = {
+  vitaminD: {
+    canonical: 'ng/mL',
+    si: 'nmol/L',
+    units: {
+      'ng/mL': { toCanonical: v => v, fromCanonical: v => v },
+      'nmol/L': { toCanonical: v => v / 2.496, fromCanonical: v => v * 2.496 }
+    }
+  },
+  hba1c: {
+    canonical: '%',
+    si: 'mmol/mol',
+    units: {
+      '%': { toCanonical: v => v, fromCanonical: v => v },
+      // IFCC <-> NGSP master equation
+      'mmol/mol': { toCanonical: v => (v / 10.929) + 2.15, fromCanonical: v => (v - 2.15) * 10.929 }
+    }
+  },
+  hsCRP: {
+    canonical: 'mg/L',
+    si: 'mg/dL',
+    units: {
+      'mg/L': { toCanonical: v => v, fromCanonical: v => v },
+      'mg/dL': { toCanonical: v => v * 10, fromCanonical: v => v / 10 }
+    }
+  },
+  gdf15: {
+    canonical: 'pg/mL',
+    si: 'ng/L',
+    units: {
+      'pg/mL': { toCanonical: v => v, fromCanonical: v => v },
+      'ng/L': { toCanonical: v => v, fromCanonical: v => v },
+      'ng/mL': { toCanonical: v => v * 1000, fromCanonical: v => v / 1000 }
+    }
+  },
+  il6: {
+    canonical: 'pg/mL',
+    si: 'ng/L',
+    units: {
+      'pg/mL': { toCanonical: v => v, fromCanonical: v => v },
+      'ng/L': { toCanonical: v => v, fromCanonical: v => v }
+    }
+  },
+  il1b: {
+    canonical: 'pg/mL',
+    si: 'ng/L',
+    units: {
+      'pg/mL': { toCanonical: v => v, fromCanonical: v => v },
+      'ng/L': { toCanonical: v => v, fromCanonical: v => v }
+    }
+  },
+  tnfa: {
+    canonical: 'pg/mL',
+    si: 'ng/L',
+    units: {
+      'pg/mL': { toCanonical: v => v, fromCanonical: v => v },
+      'ng/L': { toCanonical: v => v, fromCanonical: v => v }
+    }
+  },
+  ohdg8: {
+    canonical: 'ng/mL',
+    si: 'nmol/L',
+    units: {
+      'ng/mL': { toCanonical: v => v, fromCanonical: v => v },
+      // 8-OHdG molar mass 283.24 g/mol
+      'nmol/L': { toCanonical: v => v * 0.28324, fromCanonical: v => v / 0.28324 }
+    }
+  }
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Units the user may enter a biomarker in (canonical unit first)
+ * Returns an empty array for analytes without alternative units
+ */
+export const getUnitOptions = (key) => {
+  const entry = UNIT_CONVERSIONS[key];
+  return entry ? Object.keys(entry.units) : [];
+};
+
+/**
+ * Whether a biomarker can be entered in more than one unit
+ */
+export const hasUnitOptions = (key) => {
+  return getUnitOptions(key).length > 1;
+};
+
+/**
+ * Default input unit for a biomarker: the canonical (conventional) unit
+ * unless the user has explicitly chosen another unit for this field
+ */
+export const getDefaultUnit = (key, savedUnit = null) => {
+  const entry = UNIT_CONVERSIONS[key];
+  if (!entry) return null;
+  return savedUnit && savedUnit in entry.units ? savedUnit : entry.canonical;
+};
+
+/**
+ * Default unit for every convertible biomarker, keyed by biomarker
+ * @param {object} savedUnits - { field: unit } choices the user made before
+ */
+export const getDefaultUnits = (savedUnits = {}) => {
+  return Object.keys(UNIT_CONVERSIONS).reduce((units, key) => {
+    units[key] = getDefaultUnit(key, savedUnits?.[key]);
+    return units;
+  }, {});
+};
+
+/**
+ * Whether a unit is accepted for a biomarker
+ * The canonical unit is always accepted, even for analytes without a table
+ */
+export const isSupportedUnit = (key, unit, canonicalUnit = null) => {
+  const entry = UNIT_CONVERSIONS[key];
+  if (entry) return unit in entry.units;
+  return unit === canonicalUnit;
+};
+
+/**
+ * Convert a value from the given unit into the canonical unit
+ */
+export const toCanonical = (key, value, unit) => {
+  const entry = UNIT_CONVERSIONS[key];
+  if (!entry || !unit || unit === entry.canonical) return value;
+
+  const conversion = entry.units[unit];
+  if (!conversion) {
+    throw new Error(`Unsupported unit "${unit}" for ${key}`);
+  }
+  return conversion.toCanonical(value);
+};
+
+/**
+ * Convert a canonical value into the given display unit
+ */
+export const fromCanonical = (key, value, unit) => {
+  const entry = UNIT_CONVERSIONS[key];
+  if (!entry || !unit || unit === entry.canonical) return value;
+
+  const conversion = entry.units[unit];
+  if (!conversion) {
+    throw new Error(`Unsupported unit "${unit}" for ${key}`);
+  }
+  return conversion.fromCanonical(value);
+};
+
+/**
+ * A canonical value (reference range, example) expressed in the input unit,
+ * rounded for labels and placeholders: whole numbers from 10 up, otherwise
+ * two significant digits
+ */
+export const displayValue = (key, value, unit) => {
+  const converted = fromCanonical(key, value, unit);
+  return Math.abs(converted) >= 10 ? Math.round(converted) : Number(converted.toPrecision(2));
+};
+
+/**
+ * displayValue with its unit, e.g. formatInUnit('hsCRP', 1.0, 'mg/dL') -> '0.1 mg/dL'
+ */
+export const formatInUnit = (key, value, unit) => {
+  const shown = unit || UNIT_CONVERSIONS[key]?.canonical || '';
+  return `${displayValue(key, value, unit)}${shown === '%' ? '' : ' '}${shown}`;
+};
+
+export default {
+  UNIT_CONVERSIONS,
+  getUnitOptions,
+  hasUnitOptions,
+  getDefaultUnit,
+  getDefaultUnits,
+  isSupportedUnit,
+  toCanonical,
+  fromCanonical,
+  displayValue,
+  formatInUnit
+};
@@ -0,0 +1,272 @@
+/**
+ * WatchAlert.js - Alert Notification Service (ANS) payloads for InfiniTime
+ *
+ * InfiniTime receives notifications on the ANS New Alert characteristic
+ * (0x2A46). Each write is one alert:
+ *
+ *   [category id] [alert count = 1] [UTF-8 title] 0x00 [UTF-8 body]
+ *
+ * The watch keeps at most 100 bytes of text per notification (terminator
+ * included) and a single write cannot exceed the ATT MTU - 3, so text is
+ * truncated on UTF-8 character boundaries to whichever limit is smaller.
+ */
+
+// ANS category ids (Bluetooth Assigned Numbers, as understood by InfiniTime)
+export const ALERT_CATEGORIES = {
+  simple: 0,
+  email: 1,
+  call: 3,
+  missedCall: 4,
+  sms: 5,
+  instantMessage: 9
+};
+
+export const MAX_ALERT_TEXT_BYTES = 99;
+const MAX_TITLE_BYTES = 30;
+const HEADER_BYTES = 2;
+const ELLIPSIS = '...'; // InfiniTime fonts have no U+2026
+
+// Alerts kept for the next connection while the watch is away
+export const MAX_QUEUED_ALERTS = 20;
+
+// Undelivered alerts are dropped after this long; a ringing call is stale quickly
+const ALERT_TTL_MS = {
+  call: 30 * 1000,
+  default: 60 * 60 * 1000
+};
+
+/**
+ * UTF-8 bytes of a string (Hermes has no guaranteed TextEncoder)
+ */
+export const utf8Encode = (text) => {
+  const bytes = [];
+  for (const char of String(text ?? '')) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+    } else if (code < 0x10000) {
+      bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+    } else {
+      bytes.push(
+        0xF0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3F),
+        0x80 | ((code >> 6) & 0x3F),
+        0x80 | (code & 0x3F)
+      );
+    }
+  }
+  return bytes;
+};
+
+/**
+ * Shorten text to at most maxBytes of UTF-8 without splitting a character
+ * Truncated text ends in '...'.
+ */
+export const truncateUtf8 = (text, maxBytes) => {
+  const value = String(text ?? '').replace(/\0/g, ' ');
+  if (utf8Encode(value).length <= maxBytes) {
+    return value;
+  }
+  if (maxBytes < ELLIPSIS.length) {
+    return '';
+  }
+
+  let result = '';
+  let used = 0;
+  for (const char of value) {
+    const size = utf8Encode(char).length;
+    if (used + size > maxBytes - ELLIPSIS.length) break;
+    result += char;
+    used += size;
+  }
+  return result.trimEnd() + ELLIPSIS;
+};
+
+/**
+ * Normalize a NotificationService message into an alert
+ *
+ * @param {object} message - { type: 'call'|'sms'|'app'|'notification', title, body, caller, app, category }
+ * @returns {object} { kind, category, title, body, createdAt, expiresAt }
+ */
+export const buildAlert = (message = {}) => {
+  const now = Date.now();
+  let alert;
+
+  switch (message.type) {
+    case 'call':
+      alert = { kind: 'call', category: ALERT_CATEGORIES.call, title: message.caller || message.title || 'Unknown', body: '' };
+      break;
+    case 'missed_call':
+      alert = { kind: 'missed_call', category: ALERT_CATEGORIES.missedCall, title: message.caller || message.title || 'Unknown', body: '' };
+      break;
+    case 'sms':
+      alert = { kind: 'sms', category: ALERT_CATEGORIES.sms, title: message.title || 'New Message', body: message.body || '' };
+      break;
+    case 'app':
+      alert = {
+        kind: 'app',
+        category: ALERT_CATEGORIES.instantMessage,
+        title: message.app || message.title || 'Notification',
+        body: message.app ? [message.title, message.body].filter(Boolean).join(': ') : (message.body || '')
+      };
+      break;
+    default:
+      alert = {
+        kind: 'notification',
+        category: message.category === 'email' ? ALERT_CATEGORIES.email : ALERT_CATEGORIES.simple,
+        title: message.title || 'Notification',
+        body: message.body || ''
+      };
+  }
+
+  return {
+    ...alert,
+    createdAt: now,
+    expiresAt: now + (ALERT_TTL_MS[alert.kind] || ALERT_TTL_MS.default)
+  };
+};
+
+/**
+ * Encode an alert as a New Alert characteristic value
+ *
+ * @param {object} alert - buildAlert() result
+ * @param {number} maxPacketBytes - Largest single write (ATT MTU - 3)
+ * @returns {Uint8Array}
+ */
+export const encodeAlert = (alert, maxPacketBytes = 20) => {
+  const textBudget = Math.min(MAX_ALERT_TEXT_BYTES, maxPacketBytes - HEADER_BYTES);
+  const hasBody = !!alert.body;
+
+  const title = truncateUtf8(alert.title, Math.min(MAX_TITLE_BYTES, textBudget - (hasBody ? 1 : 0)));
+  const titleBytes = utf8Encode(title);
+  const bodyBytes = hasBody
+    ? utf8Encode(truncateUtf8(alert.body, textBudget - titleBytes.length - 1))
+    : [];
+
+  return Uint8Array.from([
+    alert.category,
+    1,
+    ...titleBytes,
+    ...(bodyBytes.length > 0 ? [0, ...bodyBytes] : [])
+  ]);
+};
+
+/**
+ * Label used in the transmission log
+ */
+export const describeAlert = (alert) => {
+  const labels = { call: 'Call', missed_call: 'Missed call', sms: 'SMS', app: 'App', notification: 'Notification' };
+  return `${labels[alert.kind] || 'Notification'}: ${truncateUtf8(alert.title, 24)}`;
+};
+
+/**
+ * Delivery queue for alerts: writes go out one at a time and in order; alerts
+ * sent while the watch is away (or lost mid-write) wait for flush() after the
+ * next connection, oldest dropped beyond `limit`; stale alerts are dropped.
+ *
+ * @param {object} deps - {
+ *   isConnected: () => boolean,
+ *   hasAlertService: () => boolean,
+ *   writeAlert: async (alert) => bytes written (throws on failure),
+ *   log: (message) => void,
+ *   limit
+ * }
+ * @returns {object} { send, flush, clear, size }; send and flush resolve to
+ *   { delivered, queued, error } per alert
+ */
+export const createAlertQueue = ({ isConnected, hasAlertService, writeAlert, log = () => {}, limit = MAX_QUEUED_ALERTS }) => {
+  let queued = [];
+  let writeChain = Promise.resolve();
+
+  const enqueue = (alert) => {
+    queued.push(alert);
+    if (queued.length > limit) {
+      queued.shift();
+    }
+    log(`🕓 Queued ${describeAlert(alert)} (watch disconnected)`);
+    return { delivered: false, queued: true };
+  };
+
+  // Writes are serialized so alerts arrive in order
+  const serialize = (task) => {
+    const result = writeChain.then(task);
+    writeChain = result.catch(() => {});
+    return result;
+  };
+
+  const deliver = async (alert) => {
+    if (Date.now() > alert.expiresAt) {
+      log(`⌛ Dropped stale ${describeAlert(alert)}`);
+      return { delivered: false, queued: false, error: 'expired' };
+    }
+
+    if (!isConnected()) {
+      return enqueue(alert);
+    }
+
+    if (!hasAlertService()) {
+      log(`❌ ${describeAlert(alert)} - watch has no notification service`);
+      return { delivered: false, queued: false, error: 'Alert Notification Service not available' };
+    }
+
+    try {
+      const bytes = await writeAlert(alert);
+      log(`✅ ${describeAlert(alert)} delivered (${bytes} bytes, acknowledged)`);
+      return { delivered: true, queued: false };
+    } catch (error) {
+      if (!isConnected()) {
+        // Link dropped mid-write: try again after reconnect
+        return enqueue(alert);
+      }
+
+      log(`❌ ${describeAlert(alert)} failed: ${error.message}`);
+      return { delivered: false, queued: false, error: error.message };
+    }
+  };
+
+  /**
+   * Deliver an alert now, or queue it until the watch reconnects
+   */
+  const send = async (alert) => {
+    if (!isConnected()) {
+      return enqueue(alert);
+    }
+    return serialize(() => deliver(alert));
+  };
+
+  /**
+   * Deliver alerts queued while disconnected (call after connecting)
+   */
+  const flush = async () => {
+    const pending = queued;
+    queued = [];
+
+    const results = [];
+    for (const alert of pending) {
+      results.push(await serialize(() => deliver(alert)));
+    }
+    return results;
+  };
+
+  const clear = () => {
+    queued = [];
+  };
+
+  const size = () => queued.length;
+
+  return { send, flush, clear, size };
+};
+
+export default {
+  ALERT_CATEGORIES,
+  MAX_ALERT_TEXT_BYTES,
+  MAX_QUEUED_ALERTS,
+  utf8Encode,
+  truncateUtf8,
+  buildAlert,
+  encodeAlert,
+  describeAlert,
+  createAlertQueue
+};
@@ -8,9 +8,18 @@ import { BleManager } from 'react-native-ble-plx';
 import { Platform, PermissionsAndroid, AppState, Alert, Linking } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Location from 'expo-location';
+import { buildAlert, encodeAlert, createAlertQueue } from './WatchAlert';
+import HeartRateTimeSeries from './HeartRateTimeSeries';
+import { analyzeHRV, DEFAULT_WINDOW_MS } from './HRVAnalysis';
+import {
+  DEVICE_ROLES,
+  WATCH_SOURCE,
+  HEART_RATE_SERVICE,
+  classifyDevice,
+  selectHRVSource
+} from './DeviceRoles';
 
 // BLE SERVICE & CHARACTERISTIC UUIDs
-const HEART_RATE_SERVICE = '0000180D-0000-1000-8000-00805F9B34FB';
 const HEART_RATE_MEASUREMENT = '00002A37-0000-1000-8000-00805F9B34FB';
 
 const BATTERY_SERVICE = '0000180F-0000-1000-8000-00805F9B34FB';
@@ -19,8 +28,12 @@ const BATTERY_LEVEL = '00002A19-0000-1000-8000-00805F9B34FB';
 const CTS_SERVICE_UUID = '00001805-0000-1000-8000-00805F9B34FB';
 const CURRENT_TIME_CHAR_UUID = '00002A2B-0000-1000-8000-00805F9B34FB';
 
+const ALERT_NOTIFICATION_SERVICE = '00001811-0000-1000-8000-00805F9B34FB';
+const NEW_ALERT_CHAR = '00002A46-0000-1000-8000-00805F9B34FB';
+
 const MOTION_SERVICE = '00030000-78fc-48fe-8e23-433b3a1942d0';
 const STEP_COUNT_CHAR = '00030001-78fc-48fe-8e23-433b3a1942d0';
+const MOTION_VALUES_CHAR = '00030002-78fc-48fe-8e23-433b3a1942d0';
 
 // Praxiom Custom Service
 const PRAXIOM_SERVICE = '00190000-78fc-48fe-8e23-433b3a1942d0';
@@ -46,6 +59,7 @@ class WearableService {
       steps: 0,
       battery: 0,
       hrv: null,
+      hrvQuality: null,
       bioAge: 0,
       lastUpdate: null
     };
@@ -57,13 +71,35 @@ class WearableService {
     this.pollingInterval = null;
     this.timeSyncInterval = null;
     this.transmissionLog = [];
+    // Notifications held while the watch is out of range, written in order
+    this.alertQueue = createAlertQueue({
+      isConnected: () => !!this.device && this.isConnected,
+      hasAlertService: () => this.availableServices.alertNotification,
+      writeAlert: async (alert) => {
+        const packet = encodeAlert(alert, this.negotiatedMTU - 3);
+        await this.writeWithRetry(
+          ALERT_NOTIFICATION_SERVICE,
+          NEW_ALERT_CHAR,
+          this.bufferToBase64(packet),
+          IOS_RETRY_MAX_ATTEMPTS,
+          true
+        );
+        return packet.length;
+      },
+      log: (message) => this.addTransmissionLog(`[${new Date().toLocaleTimeString()}] ${message}`)
+    });
+    
+    // HRV sensors (chest straps) connected next to the watch, by device id
+    this.sensors = new Map();
+    this.hrvSource = WATCH_SOURCE;
     
     this.availableServices = {
       praxiom: false,
       heartRate: false,
       battery: false,
       motion: false,
-      timeSync: false
+      timeSync: false,
+      alertNotification: false
     };
     
     this.appStateSubscription = null;
@@ -162,6 +198,8 @@ class WearableService {
         if (this.shouldAutoReconnect && !this.isConnected) {
           this.log('🔄 Attempting auto-reconnect...');
           await this.tryAutoReconnect();
+        } else {
+          await this.reconnectSensors();
         }
       } else if (nextAppState === 'background') {
         this.log('📱 App moved to background');
@@ -214,7 +252,13 @@ class WearableService {
   // DEVICE SCANNING
   // ===================================
 
-  async scanForDevices(timeoutSeconds = 10) {
+  /**
+   * Scan for watches (by name) and heart-rate sensors (by advertised Heart Rate Service)
+   * @param {number} timeoutSeconds
+   * @param {object} options - { includeAll: also return unrecognised named devices (debug) }
+   * @returns {Array} [{ id, name, rssi, role }] - role is null for unrecognised devices
+   */
+  async scanForDevices(timeoutSeconds = 10, { includeAll = false } = {}) {
     try {
       if (this.isScanning) {
         this.log('⚠️ Already scanning');
@@ -241,20 +285,17 @@ class WearableService {
               return;
             }
 
-            if (device && device.name) {
-              const name = device.name.toLowerCase();
-              if (name.includes('infinit') || 
-                  name.includes('pinetime') || 
-                  name.includes('praxiom') ||
-                  name.includes('sealed')) {
-                if (!foundDevices.has(device.id)) {
-                  foundDevices.set(device.id, {
-                    id: device.id,
-                    name: device.name,
-                    rssi: device.rssi
-                  });
-                  this.log(`📱 Found device: ${device.name} (${device.id}) RSSI: ${device.rssi}`);
-                }
+            if (device && !foundDevices.has(device.id)) {
+              const name = device.name || device.localName;
+              const role = classifyDevice({ name, serviceUUIDs: device.serviceUUIDs });
+              if (role || (includeAll && name)) {
+                foundDevices.set(device.id, {
+                  id: device.id,
+                  name: name || 'Heart Rate Sensor',
+                  rssi: device.rssi,
+                  role
+                });
+                this.log(`📱 Found ${role || 'device'}: ${name} (${device.id}) RSSI: ${device.rssi}`);
               }
             }
           }
@@ -313,6 +354,7 @@ class WearableService {
       );
 
       this.device = await Promise.race([connectionPromise, timeoutPromise]);
+      this.negotiatedMTU = this.device.mtu || this.negotiatedMTU;
       this.log(`✅ Connected to ${this.device.name}`);
 
       // Discover services
@@ -351,6 +393,7 @@ class WearableService {
       
       await this.startMonitoring();
       this.startPeriodicTimeSync();
+      this.flushNotificationQueue();
 
       return true;
     } catch (error) {
@@ -382,6 +425,8 @@ class WearableService {
         
         this.shouldAutoReconnect = false;
         this.connectionRetryCount = 0;
+        this.alertQueue.clear();
+        await HeartRateTimeSeries.flush();
         await AsyncStorage.removeItem('lastConnectedDevice');
         
         this.log('✅ Disconnected successfully (auto-reconnect disabled)');
@@ -396,7 +441,189 @@ class WearableService {
     this.isConnected = false;
     this.stopMonitoring();
     this.stopPeriodicTimeSync();
-    this.rrIntervals = [];
+    if (this.hrvSource === WATCH_SOURCE) {
+      this.rrIntervals = [];
+    }
+    HeartRateTimeSeries.flush();
+  }
+
+  // ===================================
+  // HRV SENSORS (CHEST STRAPS)
+  // ===================================
+
+  /**
+   * Connect a heart-rate strap as an HRV sensor, alongside the watch
+   * @returns {boolean} Connected and streaming heart rate
+   */
+  async connectSensor(deviceId) {
+    if (this.sensors.has(deviceId)) {
+      return true;
+    }
+    if (this.device && this.device.id === deviceId) {
+      this.log('⚠️ Device is already connected as the watch');
+      return false;
+    }
+
+    let device = null;
+    try {
+      this.log(`🔗 Connecting HRV sensor: ${deviceId}`);
+      this.stopScan();
+
+      const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Connection timeout')), IOS_CONNECTION_TIMEOUT)
+      );
+      device = await Promise.race([
+        this.manager.connectToDevice(deviceId, { autoConnect: false }),
+        timeoutPromise
+      ]);
+      await device.discoverAllServicesAndCharacteristics();
+
+      const services = await device.services();
+      if (!services.some(service => service.uuid.toUpperCase() === HEART_RATE_SERVICE)) {
+        this.log(`❌ ${device.name || deviceId} has no Heart Rate Service`);
+        await device.cancelConnection();
+        return false;
+      }
+
+      const sensor = {
+        id: deviceId,
+        name: device.name || 'Heart Rate Sensor',
+        device,
+        heartRate: 0,
+        connectedAt: Date.now(),
+        lastSampleAt: null,
+        subscriptions: []
+      };
+
+      sensor.subscriptions.push(device.monitorCharacteristicForService(
+        HEART_RATE_SERVICE,
+        HEART_RATE_MEASUREMENT,
+        (error, characteristic) => {
+          if (error) {
+            this.log(`⚠️ ${sensor.name} HR monitor error: ${error.message}`);
+            return;
+          }
+
+          if (characteristic && characteristic.value) {
+            this.handleHeartRateData(deviceId, this.parseHeartRateWithRR(this.base64ToBuffer(characteristic.value)));
+          }
+        }
+      ));
+      sensor.subscriptions.push(device.onDisconnected(() => {
+        this.log(`❌ HRV sensor disconnected: ${sensor.name}`);
+        this.removeSensor(deviceId);
+      }));
+
+      this.sensors.set(deviceId, sensor);
+      await this.savePairedSensor({ id: deviceId, name: sensor.name });
+      this.log(`✅ HRV sensor connected: ${sensor.name}`);
+      return true;
+    } catch (error) {
+      this.log(`❌ HRV sensor connection failed: ${error.message}`);
+      if (device) {
+        await device.cancelConnection().catch(() => {});
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Disconnect a sensor and forget it (no auto-reconnect)
+   */
+  async disconnectSensor(deviceId) {
+    const sensor = this.sensors.get(deviceId);
+    this.removeSensor(deviceId);
+    await this.forgetPairedSensor(deviceId);
+
+    if (sensor) {
+      try {
+        await sensor.device.cancelConnection();
+        this.log(`✅ HRV sensor disconnected: ${sensor.name}`);
+      } catch (error) {
+        this.log(`⚠️ Sensor disconnect error: ${error.message}`);
+      }
+    }
+  }
+
+  removeSensor(deviceId) {
+    const sensor = this.sensors.get(deviceId);
+    if (!sensor) return;
+
+    sensor.subscriptions.forEach(sub => sub.remove());
+    this.sensors.delete(deviceId);
+    this.updateHRVSource();
+  }
+
+  async getPairedSensors() {
+    try {
+      const saved = await AsyncStorage.getItem('pairedSensors');
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async savePairedSensor(entry) {
+    const paired = (await this.getPairedSensors()).filter(sensor => sensor.id !== entry.id);
+    await AsyncStorage.setItem('pairedSensors', JSON.stringify([...paired, entry]));
+  }
+
+  async forgetPairedSensor(deviceId) {
+    const paired = (await this.getPairedSensors()).filter(sensor => sensor.id !== deviceId);
+    await AsyncStorage.setItem('pairedSensors', JSON.stringify(paired));
+  }
+
+  /**
+   * Reconnect paired sensors that are in range
+   */
+  async reconnectSensors() {
+    const paired = await this.getPairedSensors();
+    for (const { id, name } of paired) {
+      if (!this.sensors.has(id)) {
+        this.log(`🔄 Attempting sensor reconnect: ${name}`);
+        await this.connectSensor(id);
+      }
+    }
+  }
+
+  /**
+   * Connected sensors for display
+   * @returns {Array} [{ id, name, role, heartRate, connectedAt, lastSampleAt, isHRVSource }]
+   */
+  getSensors() {
+    return [...this.sensors.values()].map(sensor => ({
+      id: sensor.id,
+      name: sensor.name,
+      role: DEVICE_ROLES.hrvSensor,
+      heartRate: sensor.heartRate,
+      connectedAt: sensor.connectedAt,
+      lastSampleAt: sensor.lastSampleAt,
+      isHRVSource: sensor.id === this.hrvSource
+    }));
+  }
+
+  /**
+   * Sensor id whose RR intervals currently feed HRV, or 'watch'
+   */
+  getHRVSource() {
+    return this.hrvSource;
+  }
+
+  /**
+   * A watch or sensor is connected that streams heart rate
+   */
+  hasHeartRateSource() {
+    return (this.isConnected && this.availableServices.heartRate) || this.sensors.size > 0;
+  }
+
+  updateHRVSource(now = Date.now()) {
+    const source = selectHRVSource([...this.sensors.values()], now);
+    if (source !== this.hrvSource) {
+      this.hrvSource = source;
+      // Never compute HRV across two devices' beats
+      this.rrIntervals = [];
+      this.log(`📈 HRV source: ${source === WATCH_SOURCE ? 'watch' : this.sensors.get(source).name}`);
+    }
   }
 
   // ===================================
@@ -419,6 +646,7 @@ class WearableService {
       this.availableServices.battery = serviceUUIDs.includes(BATTERY_SERVICE.toUpperCase());
       this.availableServices.motion = serviceUUIDs.includes(MOTION_SERVICE.toUpperCase());
       this.availableServices.timeSync = serviceUUIDs.includes(CTS_SERVICE_UUID.toUpperCase());
+      this.availableServices.alertNotification = serviceUUIDs.includes(ALERT_NOTIFICATION_SERVICE.toUpperCase());
 
       this.log(`📊 Service Detection Results:`);
       this.log(`   Praxiom Bio-Age: ${this.availableServices.praxiom ? '✅' : '❌'}`);
@@ -426,6 +654,7 @@ class WearableService {
       this.log(`   Battery: ${this.availableServices.battery ? '✅' : '❌'}`);
       this.log(`   Motion/Steps: ${this.availableServices.motion ? '✅' : '❌'}`);
       this.log(`   Time Sync: ${this.availableServices.timeSync ? '✅' : '❌'}`);
+      this.log(`   Notifications: ${this.availableServices.alertNotification ? '✅' : '❌'}`);
 
     } catch (error) {
       this.log(`⚠️ Service detection failed: ${error.message}`);
@@ -558,7 +787,8 @@ class WearableService {
   }
 
   // iOS: Enhanced write method with retry logic and timeout
-  async writeWithRetry(serviceUUID, characteristicUUID, base64Data, maxAttempts = IOS_RETRY_MAX_ATTEMPTS) {
+  // requireResponse: only accept acknowledged writes (no write-without-response fallback)
+  async writeWithRetry(serviceUUID, characteristicUUID, base64Data, maxAttempts = IOS_RETRY_MAX_ATTEMPTS, requireResponse = false) {
     let lastError;
     
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -596,6 +826,10 @@ class WearableService {
           return true;
           
         } catch (writeError) {
+          if (requireResponse) {
+            throw writeError;
+          }
+
           // If writeWithResponse fails, try writeWithoutResponse
           this.log('⚠️ WriteWithResponse failed, trying without response...');
           
@@ -717,6 +951,34 @@ class WearableService {
     return this.sendTestAge(bioAge);
   }
 
+  // ===================================
+  // NOTIFICATION RELAY (ALERT NOTIFICATION SERVICE)
+  // ===================================
+
+  /**
+   * Send a phone notification to the watch, or queue it until the watch reconnects
+   * @param {object} message - { type: 'call'|'sms'|'app'|'notification', title, body, caller, app }
+   * @returns {object} { delivered, queued, error }
+   */
+  async sendNotification(message) {
+    return this.alertQueue.send(buildAlert(message));
+  }
+
+  /**
+   * Deliver notifications queued while disconnected (called after connecting)
+   */
+  async flushNotificationQueue() {
+    const pending = this.alertQueue.size();
+    if (pending > 0) {
+      this.log(`🔔 Delivering ${pending} queued notification(s)`);
+    }
+    return this.alertQueue.flush();
+  }
+
+  getNotificationQueueLength() {
+    return this.alertQueue.size();
+  }
+
   addTransmissionLog(message) {
     this.transmissionLog.push(message);
     if (this.transmissionLog.length > 50) {
@@ -779,19 +1041,7 @@ class WearableService {
 
           if (characteristic && characteristic.value) {
             const hrData = this.base64ToBuffer(characteristic.value);
-            
-            const result = this.parseHeartRateWithRR(hrData);
-            
-            if (result.heartRate > 0) {
-              this.cachedData.heartRate = result.heartRate;
-              this.cachedData.lastUpdate = new Date();
-              this.log(`❤️ HR: ${result.heartRate} bpm`);
-              
-              if (result.rrIntervals && result.rrIntervals.length > 0) {
-                this.addRRIntervals(result.rrIntervals);
-                this.calculateHRV();
-              }
-            }
+            this.handleHeartRateData(WATCH_SOURCE, this.parseHeartRateWithRR(hrData));
           }
         }
       );
@@ -802,6 +1052,38 @@ class WearableService {
     }
   }
 
+  /**
+   * Handle one Heart Rate Measurement from the watch or a sensor
+   * Only the current HRV source is recorded, so the stored RR series never
+   * interleaves beats from two devices.
+   */
+  handleHeartRateData(source, { heartRate, rrIntervals, sensorContact }) {
+    if (heartRate <= 0 || sensorContact === false) {
+      return;
+    }
+
+    const now = Date.now();
+    const sensor = this.sensors.get(source);
+    if (sensor) {
+      sensor.heartRate = heartRate;
+      sensor.lastSampleAt = now;
+    }
+    this.updateHRVSource(now);
+    if (source !== this.hrvSource) {
+      return;
+    }
+
+    this.cachedData.heartRate = heartRate;
+    this.cachedData.lastUpdate = new Date();
+    this.log(`❤️ HR: ${heartRate} bpm${sensor ? ` (${sensor.name})` : ''}`);
+    HeartRateTimeSeries.recordSample(heartRate, rrIntervals, now);
+
+    if (rrIntervals && rrIntervals.length > 0) {
+      this.addRRIntervals(rrIntervals);
+      this.calculateHRV();
+    }
+  }
+
   async monitorBattery() {
     try {
       const subscription = this.device.monitorCharacteristicForService(
@@ -865,6 +1147,43 @@ class WearableService {
     }
   }
 
+  /**
+   * Stream accelerometer readings (used to reject HRV sessions with movement)
+   * @param {function} onSample - called with [x, y, z] raw readings
+   * @returns {function|null} stop function, or null if the watch has no motion service
+   */
+  monitorMotion(onSample) {
+    if (!this.device || !this.isConnected || !this.availableServices.motion) {
+      return null;
+    }
+
+    try {
+      const subscription = this.device.monitorCharacteristicForService(
+        MOTION_SERVICE,
+        MOTION_VALUES_CHAR,
+        (error, characteristic) => {
+          if (error) {
+            this.log(`⚠️ Motion monitor error: ${error.message}`);
+            return;
+          }
+
+          if (characteristic && characteristic.value) {
+            onSample(this.parseMotion(this.base64ToBuffer(characteristic.value)));
+          }
+        }
+      );
+
+      this.subscriptions.push(subscription);
+      return () => {
+        subscription.remove();
+        this.subscriptions = this.subscriptions.filter(sub => sub !== subscription);
+      };
+    } catch (error) {
+      this.log(`⚠️ Motion monitoring failed: ${error.message}`);
+      return null;
+    }
+  }
+
   // ===================================
   // DATA PARSING
   // ===================================
@@ -883,6 +1202,8 @@ class WearableService {
   parseHeartRateWithRR(data) {
     const flags = data[0];
     const isUint16 = (flags & 0x01) !== 0;
+    const contactSupported = (flags & 0x04) !== 0;
+    const hasEnergyExpended = (flags & 0x08) !== 0;
     const hasRRInterval = (flags & 0x10) !== 0;
 
     let heartRate;
@@ -896,6 +1217,11 @@ class WearableService {
       offset = 2;
     }
 
+    // Straps may send energy expended (uint16) before the RR intervals
+    if (hasEnergyExpended) {
+      offset += 2;
+    }
+
     const rrIntervals = [];
     
     if (hasRRInterval && data.length > offset) {
@@ -913,7 +1239,9 @@ class WearableService {
 
     return {
       heartRate,
-      rrIntervals
+      rrIntervals,
+      // null when the device cannot tell whether it is being worn
+      sensorContact: contactSupported ? (flags & 0x02) !== 0 : null
     };
   }
 
@@ -921,6 +1249,11 @@ class WearableService {
     return data[0] | (data[1] << 8) | (data[2] << 16) | (data[3] << 24);
   }
 
+  parseMotion(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return [view.getInt16(0, true), view.getInt16(2, true), view.getInt16(4, true)];
+  }
+
   // ===================================
   // HRV CALCULATION
   // ===================================
@@ -933,27 +1266,34 @@ class WearableService {
     }
   }
 
+  /**
+   * Live HRV from the last 5 minutes of the recorded series (artifact-filtered)
+   * Falls back to the short rolling window before the series has any data.
+   */
   calculateHRV() {
-    if (this.rrIntervals.length < 2) {
-      return null;
-    }
+    const recent = HeartRateTimeSeries.getRecentRR(DEFAULT_WINDOW_MS);
+    const samples = recent.length > this.rrIntervals.length ? recent : this.rrIntervals;
 
-    let sumSquaredDiff = 0;
-    
-    for (let i = 1; i < this.rrIntervals.length; i++) {
-      const diff = this.rrIntervals[i] - this.rrIntervals[i - 1];
-      sumSquaredDiff += diff * diff;
+    const analysis = analyzeHRV(samples, { includeFrequency: false });
+    if (!analysis.timeDomain || analysis.timeDomain.rmssd === null) {
+      return null;
     }
     
-    const rmssd = Math.sqrt(sumSquaredDiff / (this.rrIntervals.length - 1));
+    this.cachedData.hrv = Math.round(analysis.timeDomain.rmssd);
+    this.cachedData.hrvQuality = analysis.quality.score;
     
-    this.cachedData.hrv = Math.round(rmssd);
-    
-    this.log(`📈 HRV (RMSSD): ${this.cachedData.hrv} ms (from ${this.rrIntervals.length} intervals)`);
+    this.log(`📈 HRV (RMSSD): ${this.cachedData.hrv} ms, quality ${analysis.quality.score} (${analysis.beats} beats, ${analysis.artifacts} artifacts)`);
     
     return this.cachedData.hrv;
   }
 
+  /**
+   * Full analysis (time and frequency domain, quality) of the last `windowMs`
+   */
+  getHRVAnalysis(windowMs = DEFAULT_WINDOW_MS) {
+    return analyzeHRV(HeartRateTimeSeries.getRecentRR(windowMs), { windowMs });
+  }
+
   // ===================================
   // DATA ACCESS
   // ===================================
@@ -972,7 +1312,9 @@ class WearableService {
       deviceName: this.device ? this.device.name : null,
       deviceId: this.device ? this.device.id : null,
       mtu: this.negotiatedMTU,
-      platform: Platform.OS
+      platform: Platform.OS,
+      sensors: this.getSensors(),
+      hrvSource: this.hrvSource
     };
   }
 
@@ -1047,12 +1389,15 @@ class WearableService {
 
   async tryAutoReconnect() {
     try {
+      let connected = false;
       const lastDeviceId = await AsyncStorage.getItem('lastConnectedDevice');
       if (lastDeviceId) {
         this.log(`🔄 Attempting auto-reconnect to ${lastDeviceId}`);
-        return await this.connectToDevice(lastDeviceId);
+        connected = await this.connectToDevice(lastDeviceId);
       }
-      return false;
+
+      await this.reconnectSensors();
+      return connected;
     } catch (error) {
       this.log(`⚠️ Auto-reconnect failed: ${error.message}`);
       return false;
@@ -1070,6 +1415,10 @@ class WearableService {
     }
     
     await this.disconnect();
+    for (const sensor of [...this.sensors.values()]) {
+      this.removeSensor(sensor.id);
+      await sensor.device.cancelConnection().catch(() => {});
+    }
     this.manager.destroy();
     this.log('🗑️ Service destroyed');
   }
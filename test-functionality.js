@@ -80,6 +80,7 @@ section('1. FILE STRUCTURE VALIDATION');
 const requiredFiles = [
   'AppContext.js',
   'services/SecureStorageService.js',
+  'services/EncryptedChunkStore.js',
   'screens/SettingsScreen.js',
   'screens/DashboardScreen.js'
 ];
@@ -129,8 +130,11 @@ if (appContextContent) {
   fail('AppContext.js read', 'Could not read AppContext.js');
 }
 
-// Check SecureStorageService exports
-const secureStorageContent = readFile(path.join(__dirname, 'services/SecureStorageService.js'));
+// Check SecureStorageService exports (get/set/remove are built in SecureStorageCore)
+const secureStorageContent = ['services/SecureStorageService.js', 'services/SecureStorageCore.js']
+  .map(file => readFile(path.join(__dirname, file)))
+  .filter(Boolean)
+  .join('\n') || null;
 if (secureStorageContent) {
   const requiredStorageFunctions = ['setItem', 'getItem', 'removeItem', 'clear', 'getSecurityStatus'];
   
@@ -279,6 +283,61 @@ if (appContextContent) {
   }
 }
 
+const wearableContent = readFile(path.join(__dirname, 'services/WearableService.js'));
+if (wearableContent && wearableContent.includes('async sendNotification(') &&
+    wearableContent.includes('NEW_ALERT_CHAR') && wearableContent.includes('flushNotificationQueue')) {
+  pass('Phone notifications relayed over the Alert Notification Service');
+} else {
+  fail('Notification relay', 'WearableService.sendNotification not implemented');
+}
+
+if (wearableContent && wearableContent.includes('HeartRateTimeSeries.recordSample(') &&
+    fileExists(path.join(__dirname, 'services/HeartRateTimeSeries.js'))) {
+  pass('Heart rate and RR intervals persisted as a time series');
+} else {
+  fail('Heart rate history', 'Beat-to-beat data is only kept in memory');
+}
+
+const algorithmContent = readFile(path.join(__dirname, 'services/PraxiomAlgorithm.js'));
+if (wearableContent && wearableContent.includes('analyzeHRV(') &&
+    algorithmContent && algorithmContent.includes('MIN_QUALITY_FOR_SCORING')) {
+  pass('Watch HRV is artifact-filtered and quality-gated before scoring');
+} else {
+  fail('HRV quality', 'Raw watch RMSSD feeds the bio-age unchecked');
+}
+
+const algorithmInputContent = readFile(path.join(__dirname, 'services/AlgorithmInput.js'));
+if (algorithmInputContent && algorithmInputContent.includes('dunedinPACE: current.dunedinPACE') &&
+    algorithmInputContent.includes('inflammAge: current.inflammAge')) {
+  pass('DunedinPACE and InflammAge from state reach the bio-age pipeline');
+} else {
+  fail('Aging clocks', 'buildAlgorithmInput drops DunedinPACE / InflammAge');
+}
+
+const tier1ScreenContent = readFile(path.join(__dirname, 'screens/Tier1BiomarkerInputScreen.js'));
+if (tier1ScreenContent && tier1ScreenContent.includes('WearableService.getCachedData()') &&
+    tier1ScreenContent.includes('calculateBiologicalAge({ ...biomarkers, hrvQuality, chronologicalAge: profileAge })') &&
+    !tier1ScreenContent.includes('state?.wearableData')) {
+  pass('Tier 1 screen passes the watch HRV quality to the bio-age');
+} else {
+  fail('HRV quality', 'Tier 1 screen reads wearable data the context does not provide');
+}
+
+const tier2ScreenContent = readFile(path.join(__dirname, 'screens/Tier2BiomarkerInputScreen.js'));
+if (fs.existsSync(path.join(__dirname, 'screens/MorningHRVScreen.js')) &&
+    tier2ScreenContent && tier2ScreenContent.includes('autoHRVScore')) {
+  pass('Guided morning HRV sessions supply the continuous HRV score');
+} else {
+  fail('Morning HRV', 'Continuous HRV score still typed in by hand');
+}
+
+if (wearableContent && wearableContent.includes('connectSensor(') &&
+    wearableContent.includes('classifyDevice(') && !wearableContent.includes("name.includes('pinetime')")) {
+  pass('Heart-rate straps paired as HRV sensors alongside the watch');
+} else {
+  fail('HRV sensors', 'Scanning only keeps InfiniTime device names');
+}
+
 /**
  * TEST 6: Toggle Persistence Logic
  */
@@ -372,6 +431,127 @@ if (secureStorageContent) {
   } else {
     warn('Legacy migration', 'No migration path for existing unencrypted data');
   }
+
+  // Records live in encrypted AsyncStorage chunks; SecureStore keeps only key material
+  if (secureStorageContent.includes('records.writeRecord') &&
+      !/SecureStore\.setItemAsync\(`secure_/.test(secureStorageContent)) {
+    pass('Sensitive records stored in encrypted chunks');
+  } else {
+    fail('Chunked storage', 'Records still written as single SecureStore values');
+  }
+
+  if (secureStorageContent.includes('migrateSecureStoreValue')) {
+    pass('SecureStore values migrate to chunked storage');
+  } else {
+    fail('SecureStore migration', 'No migration path for existing secure_* values');
+  }
+}
+
+const encryptionContent = readFile(path.join(__dirname, 'services/EncryptionService.js'));
+const envelopeContent = readFile(path.join(__dirname, 'services/CryptoEnvelope.js'));
+if (encryptionContent) {
+  // Ciphertext must be authenticated so tampering is detected before decryption
+  if (envelopeContent && envelopeContent.includes('CryptoJS.HmacSHA256') && envelopeContent.includes('INTEGRITY_CHECK_FAILED') &&
+      encryptionContent.includes('openEnvelope(')) {
+    pass('Authenticated encryption (encrypt-then-MAC)');
+  } else {
+    fail('Authenticated encryption', 'Ciphertext is not covered by a MAC');
+  }
+
+  if (encryptionContent.includes('_decryptLegacy')) {
+    pass('Legacy iv:ciphertext records still decrypt');
+  } else {
+    fail('Legacy decryption', 'Existing iv:ciphertext records cannot be read');
+  }
+}
+
+const authContent = readFile(path.join(__dirname, 'screens/AuthScreen.js'));
+if (authContent && encryptionContent) {
+  // The PIN only derives the key that unwraps the master key; neither rests in plaintext
+  const storesPin = /AsyncStorage\.setItem\(\s*(LEGACY_PIN_KEY|'@praxiom_pin')/.test(authContent);
+  const storesMasterKey = /setItemAsync\(STORAGE_KEYS\.(LEGACY_)?MASTER_KEY/.test(encryptionContent);
+  if (!storesPin && !storesMasterKey && authContent.includes('EncryptionService.unlockWithPin')) {
+    pass('Master key wrapped by PIN-derived key');
+  } else {
+    fail('PIN key wrapping', 'PIN or master key stored in plaintext');
+  }
+}
+
+const keyRotationContent = readFile(path.join(__dirname, 'services/KeyRotationSteps.js'));
+if (keyRotationContent) {
+  const rotationSteps = ['beginKeyRotation', 'reencryptRecord', 'reencryptStoredLogs', 'completeKeyRotation', "'KEY_ROTATED'"];
+  const missing = rotationSteps.filter(step => !keyRotationContent.includes(step));
+  if (missing.length === 0) {
+    pass('Key rotation re-encrypts records and audit logs before promoting the key');
+  } else {
+    fail('Key rotation', `Missing steps: ${missing.join(', ')}`);
+  }
+} else {
+  fail('Key rotation', 'services/KeyRotationSteps.js not found');
+}
+
+const sessionContent = readFile(path.join(__dirname, 'services/SessionService.js'));
+if (sessionContent) {
+  const sessionEvents = ["'AUTH_FAILED'", "'ACCOUNT_LOCKED'", "'SESSION_EXPIRED'"];
+  const missing = sessionEvents.filter(event => !sessionContent.includes(event));
+  if (sessionContent.includes('praxiom_auth_lockout') && missing.length === 0 &&
+      authContent && authContent.includes('SessionService.recordFailedAttempt')) {
+    pass('Persisted PIN lockout and auto-lock sessions are audited');
+  } else {
+    fail('Session management', `Lockout not persisted or events missing: ${missing.join(', ')}`);
+  }
+} else {
+  fail('Session management', 'services/SessionService.js not found');
+}
+
+const auditContent = readFile(path.join(__dirname, 'services/AuditLogger.js'));
+const auditChainContent = readFile(path.join(__dirname, 'services/AuditChain.js'));
+if (auditContent && auditChainContent && auditChainContent.includes('previousHash') && auditContent.includes('async verifyChain') &&
+    auditContent.includes('verifyEntries(') && auditContent.includes('ChunkStore.writeRecord')) {
+  pass('Audit log is hash-chained and encrypted at rest');
+} else {
+  fail('Audit log chain', 'Entries not chained, verifyChain missing or log not encrypted');
+}
+
+const auditSinkContent = readFile(path.join(__dirname, 'services/RemoteAuditSink.js'));
+const auditTransportContent = readFile(path.join(__dirname, 'services/AuditTransport.js'));
+if (auditSinkContent && auditTransportContent && auditTransportContent.includes('X-Signature') &&
+    auditSinkContent.includes('postBatch(') && auditSinkContent.includes('addNetworkStateListener') &&
+    auditSinkContent.includes('getRetryDelay') && fs.existsSync(path.join(__dirname, 'mock-audit-server.js'))) {
+  pass('Remote audit sink signs batches and retries queued events');
+} else {
+  fail('Remote audit sink', 'Signed batching, reconnect flush or mock server missing');
+}
+
+const storageServiceContent = readFile(path.join(__dirname, 'services/StorageService.js'));
+if (secureStorageContent && storageServiceContent) {
+  const auditedOps = ["'read'", "'write'", "'delete'"].filter(op => secureStorageContent.includes(`audit(${op}`));
+  const auditedBulk = ["'export'", "'import'", "'clear'"].filter(op => storageServiceContent.includes(`auditDataEvent(${op}`));
+  if (auditedOps.length === 3 && auditedBulk.length === 3) {
+    pass('Reads, writes, deletes, exports and imports of health data are audited');
+  } else {
+    fail('Data access audit', 'Storage operations without audit events');
+  }
+
+  const exportToFileMatch = storageServiceContent.match(/async exportToFile\([\s\S]*?\n  }\n/);
+  const backupContent = readFile(path.join(__dirname, 'services/EncryptedBackup.js'));
+  const backupManifestContent = readFile(path.join(__dirname, 'services/BackupManifest.js'));
+  if (exportToFileMatch && exportToFileMatch[0].includes('createBackup(') &&
+      !exportToFileMatch[0].includes('JSON.stringify(data') &&
+      backupContent && backupContent.includes('checkBackupFile(') &&
+      backupManifestContent && backupManifestContent.includes('checksum') && backupManifestContent.includes("'BACKUP_TAMPERED'")) {
+    pass('Backup files are passphrase-encrypted and integrity-checked');
+  } else {
+    fail('Backup encryption', 'exportToFile writes plaintext or backups lack a checksum');
+  }
+
+  const importMergeContent = readFile(path.join(__dirname, 'services/ImportMerge.js'));
+  if (importMergeContent && storageServiceContent.includes('mergeEntries(') &&
+      storageServiceContent.includes('dryRun')) {
+    pass('Import merges by entry identity with dry-run preview');
+  } else {
+    fail('Import merge', 'importData overwrites local history');
+  }
 }
 
 /**
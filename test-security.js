@@ -0,0 +1,801 @@
+/**
+ * Security Behaviour Test
+ * Runs the encryption, key wrapping, lockout, audit chain, backup, remote
+ * audit, chunked storage and key rotation code on real data (the pure modules
+ * the services are built on, with in-memory storage in place of AsyncStorage)
+ */
+
+const crypto = require('crypto');
+
+console.log('🔐 Starting Security Tests...\n');
+
+const randomBytes = (length) => new Uint8Array(crypto.randomBytes(length));
+
+// Expect `fn` to throw an error with `code`
+const throwsCode = async (fn, code) => {
+  try {
+    await fn();
+    return false;
+  } catch (error) {
+    return error.code === code;
+  }
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+// In-memory stand-in for AsyncStorage
+const memoryStorage = () => {
+  const rows = new Map();
+  return {
+    rows,
+    getItem: async (key) => (rows.has(key) ? rows.get(key) : null),
+    setItem: async (key, value) => { rows.set(key, value); },
+    removeItem: async (key) => { rows.delete(key); },
+    multiGet: async (keys) => keys.map(key => [key, rows.has(key) ? rows.get(key) : null]),
+    multiSet: async (pairs) => { pairs.forEach(([key, value]) => rows.set(key, value)); },
+    multiRemove: async (keys) => { keys.forEach(key => rows.delete(key)); },
+    getAllKeys: async () => [...rows.keys()]
+  };
+};
+
+// EncryptionService stand-in on the real envelope: master key plus the
+// pending key of a rotation; `legacy:<base64>` plays the v1 format
+const testCipher = () => {
+  const CryptoEnvelope = require('./services/CryptoEnvelope').default;
+  const newKey = () => CryptoEnvelope.bytesToBase64(randomBytes(32));
+  const cipher = {
+    masterKey: newKey(),
+    pendingKey: null,
+    keyVersion: 1,
+    legacyMigrated: false,
+    encrypt: async (plaintext) => {
+      await tick();
+      return CryptoEnvelope.sealEnvelope(plaintext, cipher.pendingKey || cipher.masterKey, randomBytes(CryptoEnvelope.IV_LENGTH));
+    },
+    decrypt: async (data) => (cipher.isLegacyCiphertext(data)
+      ? Buffer.from(data.split(':')[1], 'base64').toString()
+      : CryptoEnvelope.openEnvelope(data, [cipher.masterKey, cipher.pendingKey])),
+    reencrypt: async (data) => cipher.encrypt(await cipher.decrypt(data)),
+    isLegacyCiphertext: (data) => data.split(':').length === 2,
+    legacy: (plaintext) => `legacy:${Buffer.from(plaintext).toString('base64')}`,
+    isRotationPending: async () => !!cipher.pendingKey,
+    beginKeyRotation: async () => {
+      const resumed = !!cipher.pendingKey;
+      cipher.pendingKey = cipher.pendingKey || newKey();
+      return { fromVersion: cipher.keyVersion, toVersion: cipher.keyVersion + 1, resumed };
+    },
+    completeKeyRotation: async () => {
+      cipher.masterKey = cipher.pendingKey;
+      cipher.pendingKey = null;
+      cipher.legacyMigrated = true;
+      return ++cipher.keyVersion;
+    },
+    isLegacyMigrated: () => cipher.legacyMigrated,
+    markLegacyMigrated: async () => { cipher.legacyMigrated = true; }
+  };
+  return cipher;
+};
+
+// Failed checks report through console.error as "   ❌ ..." or "❌ TEST n FAILED";
+// services under test log their own ❌ lines, which are not counted
+let failedChecks = 0;
+const reportError = console.error;
+console.error = (...args) => {
+  if (/^(\s+❌|❌ TEST)/.test(String(args[0]))) failedChecks++;
+  reportError(...args);
+};
+
+const runTests = async () => {
+  // TEST 1: Authenticated envelope
+  console.log('='.repeat(60));
+  console.log('TEST 1: Authenticated Envelope (encrypt-then-MAC)');
+  console.log('='.repeat(60));
+
+  try {
+    const CryptoEnvelope = require('./services/CryptoEnvelope').default;
+    const key = CryptoEnvelope.bytesToBase64(randomBytes(32));
+    const otherKey = CryptoEnvelope.bytesToBase64(randomBytes(32));
+    const plaintext = JSON.stringify({ hsCRP: 1.2, hba1c: 5.4 });
+    const envelope = CryptoEnvelope.sealEnvelope(plaintext, key, randomBytes(CryptoEnvelope.IV_LENGTH));
+
+    if (CryptoEnvelope.openEnvelope(envelope, [key]) === plaintext &&
+        CryptoEnvelope.openEnvelope(envelope, [otherKey, key]) === plaintext &&
+        envelope !== CryptoEnvelope.sealEnvelope(plaintext, key, randomBytes(CryptoEnvelope.IV_LENGTH))) {
+      console.log('   ✓ Round trip under the right key (any of several); fresh IV per seal');
+    } else {
+      console.error('   ❌ Envelope round trip failed');
+    }
+
+    // Flip one base64 character in each field after the header
+    const parts = envelope.split(':');
+    const flip = (text) => (text[0] === 'A' ? 'B' : 'A') + text.slice(1);
+    const tampered = [2, 3, 4].map(field => parts.map((part, i) => (i === field ? flip(part) : part)).join(':'));
+    const results = await Promise.all([
+      ...tampered.map(modified => throwsCode(() => CryptoEnvelope.openEnvelope(modified, [key]), 'INTEGRITY_CHECK_FAILED')),
+      throwsCode(() => CryptoEnvelope.openEnvelope(envelope, [otherKey]), 'INTEGRITY_CHECK_FAILED')
+    ]);
+    if (results.every(Boolean)) {
+      console.log('   ✓ Modified IV, ciphertext or tag and wrong key are rejected before decryption');
+    } else {
+      console.error('   ❌ Tampered envelope accepted:', results);
+    }
+
+    let legacyRefused = false;
+    try {
+      CryptoEnvelope.openEnvelope(`${parts[2]}:${parts[3]}`, [key]);
+    } catch (error) {
+      legacyRefused = /Unsupported encrypted data format/.test(error.message);
+    }
+    if (legacyRefused) {
+      console.log('   ✓ Unauthenticated iv:ciphertext input is not opened as an envelope');
+    } else {
+      console.error('   ❌ 2-part input opened as an envelope');
+    }
+  } catch (error) {
+    console.error('❌ TEST 1 FAILED:', error.message);
+  }
+
+  // TEST 2: PIN key wrapping
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST 2: PIN-Wrapped Master Key');
+  console.log('='.repeat(60));
+
+  try {
+    const CryptoEnvelope = require('./services/CryptoEnvelope').default;
+    const KeyWrap = require('./services/KeyWrap').default;
+    const deviceSalt = CryptoEnvelope.bytesToBase64(randomBytes(32));
+    const bundle = {
+      masterKey: CryptoEnvelope.bytesToBase64(randomBytes(32)),
+      keyVersion: 1,
+      pendingKey: null,
+      pendingVersion: null,
+      legacyMigrated: true
+    };
+    const pinKey = KeyWrap.derivePinKey('246810', deviceSalt);
+    const wrapped = KeyWrap.wrapKeyBundle(bundle, pinKey, randomBytes(CryptoEnvelope.IV_LENGTH));
+
+    const unwrapped = KeyWrap.unwrapKeyBundle(wrapped, KeyWrap.derivePinKey('246810', deviceSalt));
+    if (JSON.stringify(unwrapped) === JSON.stringify(bundle) && !wrapped.includes(bundle.masterKey)) {
+      console.log('   ✓ Same PIN and device salt unwrap the bundle; master key not in the stored value');
+    } else {
+      console.error('   ❌ Key bundle did not survive wrapping');
+    }
+
+    const wrongPin = await throwsCode(() => KeyWrap.unwrapKeyBundle(wrapped, KeyWrap.derivePinKey('246811', deviceSalt)), 'INVALID_PIN');
+    const otherDevice = await throwsCode(
+      () => KeyWrap.unwrapKeyBundle(wrapped, KeyWrap.derivePinKey('246810', CryptoEnvelope.bytesToBase64(randomBytes(32)))),
+      'INVALID_PIN'
+    );
+    if (wrongPin && otherDevice) {
+      console.log('   ✓ Wrong PIN, or the right PIN with another device salt, fails with INVALID_PIN');
+    } else {
+      console.error('   ❌ Bundle opened with the wrong key-encryption key');
+    }
+
+    // Changing the PIN re-wraps the same master key
+    const rewrapped = KeyWrap.wrapKeyBundle(unwrapped, KeyWrap.derivePinKey('135790', deviceSalt), randomBytes(CryptoEnvelope.IV_LENGTH));
+    const afterChange = KeyWrap.unwrapKeyBundle(rewrapped, KeyWrap.derivePinKey('135790', deviceSalt));
+    const oldPinRefused = await throwsCode(() => KeyWrap.unwrapKeyBundle(rewrapped, pinKey), 'INVALID_PIN');
+    if (afterChange.masterKey === bundle.masterKey && oldPinRefused) {
+      console.log('   ✓ PIN change keeps the master key; the old PIN no longer unwraps it');
+    } else {
+      console.error('   ❌ PIN change lost the key or left the old PIN valid');
+    }
+  } catch (error) {
+    console.error('❌ TEST 2 FAILED:', error.message);
+  }
+
+  // TEST 3: Brute-force lockout
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST 3: Lockout Escalation');
+  console.log('='.repeat(60));
+
+  try {
+    const LockoutPolicy = require('./services/LockoutPolicy').default;
+    const now = Date.parse('2026-01-01T08:00:00Z');
+
+    // Replay twelve wrong PINs the way SessionService.recordFailedAttempt counts them
+    const outcomes = [];
+    let failures = 0;
+    for (let i = 0; i < 12; i++) {
+      const outcome = LockoutPolicy.nextLockout(failures, { wipeAfterFailures: 0 }, now);
+      outcomes.push(outcome);
+      failures = outcome.failedAttempts;
+    }
+    const delays = outcomes.map(outcome => outcome.delayMs / 1000);
+    const escalates = delays.every((delay, i) => i === 0 || delay >= delays[i - 1]);
+    if (delays.slice(0, 4).every(delay => delay === 0) && delays[4] === 30 && delays[5] === 60 &&
+        delays[8] === 3600 && delays[11] === 3600 && escalates &&
+        outcomes[4].lockedUntil === now + 30 * 1000 && outcomes[3].lockedUntil === 0 &&
+        outcomes.every(outcome => !outcome.wipe)) {
+      console.log(`   ✓ Delays ${delays.join(', ')} s: free until the 5th failure, then escalating, capped at 1 h`);
+    } else {
+      console.error('   ❌ Lockout schedule wrong:', delays);
+    }
+
+    const countdown = [];
+    let wipedAt = null;
+    failures = 0;
+    while (wipedAt === null && failures < 20) {
+      const outcome = LockoutPolicy.nextLockout(failures, { wipeAfterFailures: 10 }, now);
+      if (outcome.wipe) wipedAt = outcome.failedAttempts;
+      else countdown.push(outcome.attemptsBeforeWipe);
+      failures = outcome.failedAttempts;
+    }
+    if (wipedAt === 10 && countdown.join(',') === '9,8,7,6,5,4,3,2,1' &&
+        LockoutPolicy.nextLockout(9, { wipeAfterFailures: 10 }, now).lockedUntil === 0) {
+      console.log('   ✓ With wipe-after-10 the user is warned 9..1 and the 10th failure wipes');
+    } else {
+      console.error('   ❌ Wipe policy wrong:', wipedAt, countdown);
+    }
+  } catch (error) {
+    console.error('❌ TEST 3 FAILED:', error.message);
+  }
+
+  // TEST 4: Audit log hash chain
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST 4: Audit Hash Chain');
+  console.log('='.repeat(60));
+
+  try {
+    const AuditChain = require('./services/AuditChain').default;
+    const digest = async (text) => crypto.createHash('sha256').update(text).digest('hex');
+    const makeEntry = (i) => ({
+      id: `LOG-${i}`,
+      timestamp: new Date(Date.UTC(2026, 0, 1, 8, i)).toISOString(),
+      eventType: i % 3 === 0 ? 'AUTH_SUCCESS' : 'DATA_ACCESS',
+      deviceId: 'device-1',
+      details: { dataType: `record${i}` }
+    });
+
+    // Two appends, as AuditLogger writes batches
+    const log = Array.from({ length: 8 }, (_, i) => makeEntry(i));
+    const firstHead = await AuditChain.appendToChain(log.slice(0, 5), null, digest);
+    const head = await AuditChain.appendToChain(log.slice(5), firstHead, digest);
+    const copy = () => log.map(entry => ({ ...entry, details: { ...entry.details } }));
+
+    const intact = await AuditChain.verifyEntries(copy(), head, digest);
+    if (intact.valid && intact.checkedEntries === 8 && head.sequence === 7 &&
+        log[0].previousHash === AuditChain.GENESIS_HASH && log[5].previousHash === log[4].hash) {
+      console.log('   ✓ Chain across two appends verifies (8 entries)');
+    } else {
+      console.error('   ❌ Intact chain rejected:', JSON.stringify(intact.brokenAt));
+    }
+
+    const reordered = copy();
+    [reordered[3], reordered[4]] = [reordered[4], reordered[3]];
+    const removed = copy().filter((_, i) => i !== 2);
+    const edited = copy();
+    edited[6].details.dataType = 'somethingElse';
+    const results = {
+      reordered: await AuditChain.verifyEntries(reordered, head, digest),
+      removed: await AuditChain.verifyEntries(removed, head, digest),
+      edited: await AuditChain.verifyEntries(edited, head, digest),
+      truncated: await AuditChain.verifyEntries(copy().slice(0, 6), head, digest),
+      emptied: await AuditChain.verifyEntries([], head, digest)
+    };
+    if (results.reordered.brokenAt?.reason === 'link_mismatch' && results.reordered.brokenAt.index === 3 &&
+        results.removed.brokenAt?.reason === 'link_mismatch' && results.removed.brokenAt.index === 2 &&
+        results.edited.brokenAt?.reason === 'hash_mismatch' && results.edited.brokenAt.id === 'LOG-6' &&
+        results.truncated.brokenAt?.reason === 'truncated' && results.truncated.brokenAt.sequence === 7 &&
+        results.emptied.brokenAt?.reason === 'truncated') {
+      console.log('   ✓ Reordered, deleted, edited and truncated logs each report the first broken link');
+    } else {
+      console.error('   ❌ Broken chain not detected:', JSON.stringify(results));
+    }
+
+    // Entries replaced and re-chained up to the same sequence still differ from the stored head
+    const forged = copy().slice(0, 6);
+    const replacements = [makeEntry(98), makeEntry(99)];
+    await AuditChain.appendToChain(replacements, { sequence: 5, hash: forged[5].hash }, digest);
+    const rechained = await AuditChain.verifyEntries([...forged, ...replacements], head, digest);
+    if (rechained.checkedEntries === 8 && rechained.brokenAt?.reason === 'truncated') {
+      console.log('   ✓ Re-chained replacement entries fail against the stored head');
+    } else {
+      console.error('   ❌ Re-chained log accepted:', JSON.stringify(rechained));
+    }
+  } catch (error) {
+    console.error('❌ TEST 4 FAILED:', error.message);
+  }
+
+  // TEST 5: Remote audit delivery and retry
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST 5: Remote Audit Delivery and Retry');
+  console.log('='.repeat(60));
+
+  const { createMockAuditServer, sign } = require('./mock-audit-server');
+  const signingKey = 'test-signing-key-0123456789';
+  const mock = createMockAuditServer({ signingKey, failRate: 1 });
+  try {
+    const AuditTransport = require('./services/AuditTransport').default;
+
+    const delays = Array.from({ length: 12 }, (_, i) => AuditTransport.getRetryDelay(i + 1));
+    const nominal = (attempt) => Math.min(5000 * 2 ** (attempt - 1), 15 * 60 * 1000);
+    if (delays.every((delay, i) => delay >= nominal(i + 1) * 0.8 && delay <= nominal(i + 1) * 1.2) &&
+        delays[11] <= 15 * 60 * 1000 * 1.2) {
+      console.log(`   ✓ Backoff ${Math.round(delays[0] / 1000)} s, ${Math.round(delays[1] / 1000)} s, ... capped near 15 min (±20% jitter)`);
+    } else {
+      console.error('   ❌ Retry delays wrong:', delays);
+    }
+
+    await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+    const endpoint = `http://127.0.0.1:${mock.server.address().port}/api/audit`;
+    const target = { endpoint, signingKey, deviceId: 'device-1' };
+    const queued = Array.from({ length: 3 }, (_, i) => ({ id: `LOG-${i}`, timestamp: new Date().toISOString(), eventType: 'AUTH_FAILED' }));
+
+    // Outage: every send fails and nothing is stored, so the queue must keep the batch
+    let outageError = null;
+    try {
+      await AuditTransport.postBatch(target, queued);
+    } catch (error) {
+      outageError = error.message;
+    }
+
+    // Outage over: the retry delivers, and a resend after a lost response adds nothing
+    mock.options.failRate = 0;
+    await AuditTransport.postBatch(target, queued);
+    await AuditTransport.postBatch(target, queued);
+    if (outageError === 'Audit server responded 503' && mock.received.size === 3 &&
+        [...mock.received.values()].every(({ deviceId }) => deviceId === 'device-1')) {
+      console.log('   ✓ Batch refused during the outage is delivered once on retry');
+    } else {
+      console.error('   ❌ Retry delivery wrong:', outageError, mock.received.size);
+    }
+
+    // Signatures: same HMAC as the server, and a wrong key or altered body is refused
+    const timestamp = new Date().toISOString();
+    const body = JSON.stringify({ deviceId: 'device-1', sentAt: timestamp, entries: [{ id: 'LOG-forged' }] });
+    const post = (signature, payload = body) => fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Timestamp': timestamp, 'X-Signature': signature },
+      body: payload
+    });
+    const altered = await post(AuditTransport.signPayload(signingKey, timestamp, body), body.replace('forged', 'altered'));
+    const wrongKey = await AuditTransport.postBatch({ ...target, signingKey: 'another-signing-key-000' }, queued)
+      .then(() => null, error => error.message);
+    if (AuditTransport.signPayload(signingKey, timestamp, body) === sign(timestamp, body, signingKey) &&
+        altered.status === 401 && wrongKey === 'Audit server responded 401' && !mock.received.has('LOG-altered')) {
+      console.log('   ✓ App and server signatures match; altered bodies and wrong keys get 401');
+    } else {
+      console.error('   ❌ Signature check wrong:', altered.status, wrongKey);
+    }
+  } catch (error) {
+    console.error('❌ TEST 5 FAILED:', error.message);
+  } finally {
+    mock.server.closeAllConnections();
+    mock.server.close();
+  }
+
+  // TEST 6: Backup files
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST 6: Backup Tamper Refusal');
+  console.log('='.repeat(60));
+
+  try {
+    const CryptoEnvelope = require('./services/CryptoEnvelope').default;
+    const BackupManifest = require('./services/BackupManifest').default;
+    const data = {
+      version: '1.0.0',
+      biomarkerHistory: [{ date: '2026-01-01', hsCRP: 1.2 }, { date: '2026-02-01', hsCRP: 0.9 }],
+      wearableHistory: []
+    };
+
+    // Passphrase backup as EncryptionService.encryptWithPassphrase seals it
+    const kdf = { algorithm: 'PBKDF2-SHA256', iterations: 100000, salt: CryptoEnvelope.bytesToBase64(randomBytes(32)) };
+    const key = CryptoEnvelope.deriveKey('correct horse battery', kdf.salt, kdf.iterations);
+    const { manifest, plaintext } = BackupManifest.prepareBackup(data, 'passphrase');
+    const backup = BackupManifest.finishBackup(manifest, CryptoEnvelope.sealEnvelope(plaintext, key, randomBytes(CryptoEnvelope.IV_LENGTH)), kdf);
+    const file = JSON.parse(JSON.stringify(backup));
+
+    BackupManifest.checkBackupFile(file);
+    const restored = BackupManifest.readBackupPlaintext(file.manifest, CryptoEnvelope.openEnvelope(file.payload, [key]));
+    if (JSON.stringify(restored) === JSON.stringify(data) && file.manifest.recordCounts.biomarkers === 2 &&
+        !file.payload.includes('hsCRP')) {
+      console.log('   ✓ Intact backup passes its checks and restores the data; payload holds no plaintext');
+    } else {
+      console.error('   ❌ Intact backup did not round trip');
+    }
+
+    const edit = (change) => {
+      const copy = JSON.parse(JSON.stringify(file));
+      change(copy);
+      return copy;
+    };
+    // One ciphertext character changed
+    const flipped = edit(copy => {
+      const parts = copy.payload.split(':');
+      parts[3] = (parts[3][0] === 'A' ? 'B' : 'A') + parts[3].slice(1);
+      copy.payload = parts.join(':');
+    });
+    const checks = {
+      editedPayload: await throwsCode(() => BackupManifest.checkBackupFile(flipped), 'BACKUP_TAMPERED'),
+      missingPayload: await throwsCode(() => BackupManifest.checkBackupFile(edit(copy => { delete copy.payload; })), 'BACKUP_TAMPERED'),
+      newerSchema: await throwsCode(() => BackupManifest.checkBackupFile(edit(copy => { copy.manifest.schemaVersion = 2; })), 'UNSUPPORTED_BACKUP')
+    };
+
+    // Checksum recomputed to match the edit: the MAC still refuses the payload
+    flipped.manifest.checksum.value = crypto.createHash('sha256').update(flipped.payload).digest('hex');
+    BackupManifest.checkBackupFile(flipped);
+    checks.rechecksummed = await throwsCode(() => CryptoEnvelope.openEnvelope(flipped.payload, [key]), 'INTEGRITY_CHECK_FAILED');
+
+    // Readable manifest edited (the checksum only covers the payload)
+    const relabelled = edit(copy => { copy.manifest.recordCounts.biomarkers = 200; });
+    BackupManifest.checkBackupFile(relabelled);
+    checks.editedManifest = await throwsCode(
+      () => BackupManifest.readBackupPlaintext(relabelled.manifest, CryptoEnvelope.openEnvelope(relabelled.payload, [key])),
+      'BACKUP_TAMPERED'
+    );
+
+    if (Object.values(checks).every(Boolean)) {
+      console.log('   ✓ Edited payload, re-checksummed payload, edited manifest and newer schema are all refused');
+    } else {
+      console.error('   ❌ Tampered backup accepted:', JSON.stringify(checks));
+    }
+
+    // Plain JSON exports from older versions: refused unless the user confirmed
+    const legacy = JSON.parse(JSON.stringify(data));
+    const legacyChecks = {
+      refused: await throwsCode(() => BackupManifest.readLegacyBackup(legacy), 'UNENCRYPTED_BACKUP'),
+      notAnExport: await throwsCode(() => BackupManifest.readLegacyBackup({ settings: {} }, { allowLegacy: true }), 'UNSUPPORTED_BACKUP'),
+      encryptedLooking: await throwsCode(() => BackupManifest.readLegacyBackup(file, { allowLegacy: true }), 'UNSUPPORTED_BACKUP'),
+      confirmed: BackupManifest.readLegacyBackup(legacy, { allowLegacy: true }) === legacy
+    };
+    if (Object.values(legacyChecks).every(Boolean)) {
+      console.log('   ✓ Unencrypted backups refused by default and only read after confirmation');
+    } else {
+      console.error('   ❌ Unencrypted backup handling wrong:', JSON.stringify(legacyChecks));
+    }
+  } catch (error) {
+    console.error('❌ TEST 6 FAILED:', error.message);
+  }
+
+  // TEST 7: Automatic backups across a key rotation
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST 7: Backup Restore After Key Rotation');
+  console.log('='.repeat(60));
+
+  try {
+    const CryptoEnvelope = require('./services/CryptoEnvelope').default;
+    const BackupManifest = require('./services/BackupManifest').default;
+    const data = { version: '1.0.0', biomarkerHistory: [{ date: '2026-03-01', hba1c: 5.4 }], wearableHistory: [] };
+    const oldKey = CryptoEnvelope.bytesToBase64(randomBytes(32));
+    const newKey = CryptoEnvelope.bytesToBase64(randomBytes(32));
+
+    // Automatic backup sealed under the device master key, then a rotation:
+    // EncryptionService.reencrypt opens under either key and seals under the new one
+    const { manifest, plaintext } = BackupManifest.prepareBackup(data, 'device');
+    const backup = BackupManifest.finishBackup(manifest, CryptoEnvelope.sealEnvelope(plaintext, oldKey, randomBytes(CryptoEnvelope.IV_LENGTH)));
+    const reencrypt = async (payload) =>
+      CryptoEnvelope.sealEnvelope(CryptoEnvelope.openEnvelope(payload, [oldKey, newKey]), newKey, randomBytes(CryptoEnvelope.IV_LENGTH));
+    const resealed = JSON.parse(JSON.stringify(await BackupManifest.resealBackup(backup, reencrypt)));
+
+    // Restore once the old key is gone
+    BackupManifest.checkBackupFile(resealed);
+    const restored = BackupManifest.readBackupPlaintext(resealed.manifest, CryptoEnvelope.openEnvelope(resealed.payload, [newKey]));
+    const staleRefused = await throwsCode(() => CryptoEnvelope.openEnvelope(backup.payload, [newKey]), 'INTEGRITY_CHECK_FAILED');
+    if (JSON.stringify(restored) === JSON.stringify(data) && staleRefused &&
+        resealed.manifest.createdAt === backup.manifest.createdAt && resealed.manifest.keySource === 'device') {
+      console.log('   ✓ Re-sealed backup restores under the new key; an unrotated one would not');
+    } else {
+      console.error('   ❌ Backup unreadable after rotation');
+    }
+
+    const tampered = JSON.parse(JSON.stringify(backup));
+    tampered.payload = tampered.payload.replace(/.$/, c => (c === 'A' ? 'B' : 'A'));
+    if (await throwsCode(() => BackupManifest.resealBackup(tampered, reencrypt), 'BACKUP_TAMPERED')) {
+      console.log('   ✓ Damaged backup is not re-sealed (its checksum is not refreshed)');
+    } else {
+      console.error('   ❌ Damaged backup re-sealed with a fresh checksum');
+    }
+  } catch (error) {
+    console.error('❌ TEST 7 FAILED:', error.message);
+  }
+
+  // TEST 8: Chunked record store
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST 8: Chunked Encrypted Record Store');
+  console.log('='.repeat(60));
+
+  try {
+    const { createChunkedRecordStore, CHUNK_SIZE } = require('./services/ChunkedRecordStore').default;
+    const storage = memoryStorage();
+    const cipher = testCipher();
+    const store = createChunkedRecordStore({ storage, cipher });
+
+    // A history larger than a few chunks (SecureStore would refuse ~2 KB)
+    const history = Array.from({ length: 2000 }, (_, i) => ({ tier: 1, timestamp: new Date(Date.UTC(2020, 0, 1) + i * 864e5).toISOString(), hba1c: 5 + (i % 10) / 10, notes: 'x'.repeat(40) }));
+    const manifest = await store.writeRecord('tier1Biomarkers', history);
+    const chunkRows = [...storage.rows.keys()].filter(key => key.includes('#'));
+    const readBack = await store.readRecord('tier1Biomarkers');
+    if (manifest.chunks > 2 && chunkRows.length === manifest.chunks &&
+        [...storage.rows.values()].every(row => !row.includes('hba1c')) &&
+        JSON.stringify(readBack) === JSON.stringify(history) &&
+        (await store.listRecords()).join() === 'tier1Biomarkers' && manifest.length > 2 * CHUNK_SIZE) {
+      console.log(`   ✓ ${manifest.chunks}-chunk record round-trips; no plaintext in storage`);
+    } else {
+      console.error('   ❌ Chunked round trip failed');
+    }
+
+    // Rewrite: the old generation's chunks go once the manifest has switched
+    await store.writeRecord('tier1Biomarkers', history.slice(0, 10));
+    const rowsAfter = [...storage.rows.keys()].filter(key => key.includes('#'));
+    if (rowsAfter.length === 1 && (await store.readRecord('tier1Biomarkers')).length === 10) {
+      console.log('   ✓ Rewrite replaces the record and removes the previous chunks');
+    } else {
+      console.error('   ❌ Stale chunks left behind:', rowsAfter.length);
+    }
+
+    // Interrupted write: chunks stored, manifest switch fails
+    const setItem = storage.setItem;
+    storage.setItem = async () => { throw new Error('app killed'); };
+    const interrupted = await store.writeRecord('tier1Biomarkers', history).then(() => false, () => true);
+    storage.setItem = setItem;
+    if (interrupted && (await store.readRecord('tier1Biomarkers')).length === 10) {
+      console.log('   ✓ Interrupted write leaves the previous record readable');
+    } else {
+      console.error('   ❌ Interrupted write damaged the record');
+    }
+
+    // Missing chunk: an error, never a shorter history
+    await store.writeRecord('fitnessAssessments', history);
+    const [firstChunk] = [...storage.rows.keys()].filter(key => key.startsWith('enc_fitnessAssessments#'));
+    storage.rows.delete(firstChunk);
+    const incomplete = await store.readRecord('fitnessAssessments').then(() => null, error => error.message);
+    if (/incomplete/.test(incomplete)) {
+      console.log('   ✓ Missing chunk is reported, not read as a shorter record');
+    } else {
+      console.error('   ❌ Incomplete record read:', incomplete);
+    }
+
+    // Concurrent writes of one key land in call order
+    const writes = Array.from({ length: 5 }, (_, i) => store.writeRecord('hrvSessions', [{ session: i }]));
+    await Promise.all(writes);
+    const manifests = [...storage.rows.keys()].filter(key => key.startsWith('enc_hrvSessions#'));
+    if ((await store.readRecord('hrvSessions'))[0].session === 4 && manifests.length === 1) {
+      console.log('   ✓ Concurrent writes of one key are serialized; the last call wins');
+    } else {
+      console.error('   ❌ Concurrent writes interleaved');
+    }
+
+    // Legacy (v1) records are rewritten on first read...
+    const storeLegacy = async (key, value) => {
+      const ciphertext = cipher.legacy(JSON.stringify(value));
+      await storage.multiSet([[`enc_${key}#v1:0`, ciphertext]]);
+      await storage.setItem(`enc_${key}`, JSON.stringify({ version: 1, generation: 'v1', chunks: 1, length: ciphertext.length }));
+    };
+    await storeLegacy('tier3Biomarkers', { mriScore: 70 });
+    const legacyValue = await store.readRecord('tier3Biomarkers');
+    const tier3Chunks = [...storage.rows.entries()].filter(([key]) => key.startsWith('enc_tier3Biomarkers#'));
+
+    // ...but an upgrade racing a write must not put the old value back
+    await storeLegacy('tier2Biomarkers', [{ tier: 2, crp: 1 }]);
+    const [legacyRead] = await Promise.all([
+      store.readRecord('tier2Biomarkers'),
+      store.writeRecord('tier2Biomarkers', [{ tier: 2, crp: 2 }])
+    ]);
+    const afterRace = await store.readRecord('tier2Biomarkers');
+    if (legacyValue.mriScore === 70 && tier3Chunks.length === 1 && !cipher.isLegacyCiphertext(tier3Chunks[0][1]) &&
+        (await store.readRecord('tier3Biomarkers')).mriScore === 70 &&
+        legacyRead[0].crp === 1 && afterRace[0].crp === 2) {
+      console.log('   ✓ Legacy records are upgraded on read, but never over a newer write');
+    } else {
+      console.error('   ❌ Legacy upgrade wrong:', JSON.stringify({ legacyRead, afterRace }));
+    }
+
+    await store.removeRecord('tier1Biomarkers');
+    if (!(await store.hasRecord('tier1Biomarkers')) &&
+        ![...storage.rows.keys()].some(key => key.startsWith('enc_tier1Biomarkers'))) {
+      console.log('   ✓ Remove deletes the manifest and every chunk, including abandoned ones');
+    } else {
+      console.error('   ❌ Record remains after remove');
+    }
+  } catch (error) {
+    console.error('❌ TEST 8 FAILED:', error.message);
+  }
+
+  // TEST 9: Key rotation interrupted and resumed
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST 9: Crash-Resumed Key Rotation');
+  console.log('='.repeat(60));
+
+  try {
+    const CryptoEnvelope = require('./services/CryptoEnvelope').default;
+    const { createChunkedRecordStore } = require('./services/ChunkedRecordStore').default;
+    const { createKeyRotation } = require('./services/KeyRotationSteps').default;
+    const storage = memoryStorage();
+    const cipher = testCipher();
+    const records = createChunkedRecordStore({ storage, cipher });
+    const events = [];
+    const auditLogger = {
+      log: async (eventType, details) => { events.push({ eventType, details }); },
+      reencryptStoredLogs: async () => 0,
+      upgradeLegacyLogs: async () => 0
+    };
+    const rotation = createKeyRotation({ encryption: cipher, records, auditLogger, backups: { reencryptAutoBackups: async () => 1 } });
+
+    const values = {
+      tier1Biomarkers: [{ tier: 1, hba1c: 5.4 }],
+      tier2Biomarkers: [{ tier: 2, crp: 1.1 }],
+      hrvSessions: [{ rmssd: 42 }]
+    };
+    for (const [key, value] of Object.entries(values)) {
+      await records.writeRecord(key, value);
+    }
+    const oldKey = cipher.masterKey;
+    const readAll = async () => {
+      const read = {};
+      for (const key of Object.keys(values)) read[key] = await records.readRecord(key);
+      return JSON.stringify(read) === JSON.stringify(values);
+    };
+    const opensWith = (chunk, keys) => {
+      try {
+        CryptoEnvelope.openEnvelope(chunk, keys);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    };
+    const chunks = () => [...storage.rows.entries()].filter(([key]) => key.includes('#')).map(([, chunk]) => chunk);
+
+    // App killed while writing the second record under the new key
+    const multiSet = storage.multiSet;
+    let writes = 0;
+    storage.multiSet = async (pairs) => {
+      if (++writes === 2) throw new Error('app killed');
+      return multiSet(pairs);
+    };
+    const crashed = await rotation.rotateKey().then(() => null, error => error.message);
+    storage.multiSet = multiSet;
+    if (/resume/.test(crashed) && await cipher.isRotationPending() && cipher.masterKey === oldKey &&
+        events.some(e => e.eventType === 'KEY_ROTATION_FAILED') && await readAll() &&
+        chunks().some(chunk => opensWith(chunk, [oldKey])) && !chunks().every(chunk => opensWith(chunk, [oldKey]))) {
+      console.log('   ✓ Interrupted rotation keeps the old key and every record readable (some under each key)');
+    } else {
+      console.error('   ❌ Interrupted rotation state wrong:', crashed);
+    }
+
+    const resumed = await rotation.resumePendingRotation();
+    if (resumed && resumed.resumed && resumed.records === 3 && resumed.backups === 1 &&
+        !(await cipher.isRotationPending()) && cipher.masterKey !== oldKey &&
+        events[events.length - 1].eventType === 'KEY_ROTATED' && await readAll() &&
+        chunks().every(chunk => opensWith(chunk, [cipher.masterKey]) && !opensWith(chunk, [oldKey]))) {
+      console.log('   ✓ Resume finishes the rotation; no record is left under the retired key');
+    } else {
+      console.error('   ❌ Resumed rotation incomplete:', JSON.stringify(resumed));
+    }
+
+    if ((await rotation.resumePendingRotation()) === null) {
+      console.log('   ✓ Nothing to resume after a completed rotation');
+    } else {
+      console.error('   ❌ Completed rotation resumed again');
+    }
+
+    // Legacy migration: v1 records rewritten, then the format is retired
+    const legacyCipher = testCipher();
+    const legacyStorage = memoryStorage();
+    const legacyRecords = createChunkedRecordStore({ storage: legacyStorage, cipher: legacyCipher });
+    const ciphertext = legacyCipher.legacy(JSON.stringify({ mriScore: 70 }));
+    await legacyStorage.multiSet([['enc_tier3Biomarkers#v1:0', ciphertext]]);
+    await legacyStorage.setItem('enc_tier3Biomarkers', JSON.stringify({ version: 1, generation: 'v1', chunks: 1, length: ciphertext.length }));
+    const migration = createKeyRotation({ encryption: legacyCipher, records: legacyRecords, auditLogger, backups: {} });
+    const migrated = await migration.migrateLegacyRecords();
+    const legacyChunks = [...legacyStorage.rows.entries()].filter(([key]) => key.includes('#'));
+    if (migrated?.records === 1 && legacyCipher.isLegacyMigrated() && legacyChunks.length === 1 &&
+        !legacyCipher.isLegacyCiphertext(legacyChunks[0][1]) && (await migration.migrateLegacyRecords()) === null) {
+      console.log('   ✓ Legacy migration rewrites v1 records once, then is marked done');
+    } else {
+      console.error('   ❌ Legacy migration wrong:', JSON.stringify(migrated));
+    }
+  } catch (error) {
+    console.error('❌ TEST 9 FAILED:', error.message);
+  }
+
+  // TEST 10: Data access audit events from storage
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST 10: Storage Access Auditing');
+  console.log('='.repeat(60));
+
+  try {
+    const { createChunkedRecordStore } = require('./services/ChunkedRecordStore').default;
+    const { createSecureStorage } = require('./services/SecureStorageCore').default;
+    const storage = memoryStorage();
+    const secureItems = new Map();
+    const secureStore = {
+      getItemAsync: async (key) => (secureItems.has(key) ? secureItems.get(key) : null),
+      deleteItemAsync: async (key) => { secureItems.delete(key); }
+    };
+    const events = [];
+    const SecureStorage = createSecureStorage({
+      records: createChunkedRecordStore({ storage, cipher: testCipher() }),
+      secureStore,
+      storage,
+      audit: (operation, details) => { events.push({ operation, ...details }); }
+    });
+    const last = () => events[events.length - 1];
+
+    await SecureStorage.setItem('tier1Biomarkers', [{ hba1c: 5.4 }, { hba1c: 5.6 }]);
+    const written = last();
+    const history = await SecureStorage.getItem('tier1Biomarkers');
+    const read = last();
+    if (written.operation === 'write' && written.key === 'tier1Biomarkers' && written.recordCount === 2 && written.medical &&
+        read.operation === 'read' && read.recordCount === 2 && history.length === 2 &&
+        [...storage.rows.values()].every(row => !row.includes('hba1c'))) {
+      console.log('   ✓ Encrypted write and read each emit an event with key and record count');
+    } else {
+      console.error('   ❌ Medical access not audited:', JSON.stringify(events));
+    }
+
+    await SecureStorage.setItem('autoSync', true);
+    const settingWrite = last();
+    await SecureStorage.getItem('autoSync');
+    const settingRead = last();
+    await SecureStorage.getItem('tier2Biomarkers');
+    const emptyRead = last();
+    if (settingWrite.medical === false && settingRead.medical === false &&
+        emptyRead.key === 'tier2Biomarkers' && emptyRead.recordCount === 0) {
+      console.log('   ✓ Non-medical keys are flagged; reads of empty stores are recorded too');
+    } else {
+      console.error('   ❌ Event flags wrong:', JSON.stringify([settingWrite, settingRead, emptyRead]));
+    }
+
+    // Values from earlier versions move into the chunk store on first read
+    secureItems.set('secure_userProfile', JSON.stringify({ sex: 'female' }));
+    await storage.setItem('dateOfBirth', JSON.stringify('1970-05-01'));
+    events.length = 0;
+    const profile = await SecureStorage.getItem('userProfile');
+    const dateOfBirth = await SecureStorage.getItem('dateOfBirth');
+    if (profile.sex === 'female' && dateOfBirth === '1970-05-01' &&
+        events.map(e => `${e.operation}:${e.key}`).join() === 'write:userProfile,read:userProfile,write:dateOfBirth,read:dateOfBirth' &&
+        !secureItems.has('secure_userProfile') && !storage.rows.has('dateOfBirth')) {
+      console.log('   ✓ Migrated legacy values are audited as a write and a read');
+    } else {
+      console.error('   ❌ Migration events wrong:', JSON.stringify(events));
+    }
+
+    await SecureStorage.removeItem('tier1Biomarkers');
+    const removed = last();
+    if (removed.operation === 'delete' && removed.key === 'tier1Biomarkers' && removed.medical &&
+        (await SecureStorage.getItem('tier1Biomarkers')) === null) {
+      console.log('   ✓ Removal emits a delete event');
+    } else {
+      console.error('   ❌ Removal not audited:', JSON.stringify(removed));
+    }
+
+    // A failed read is an error, not an audited empty result
+    await SecureStorage.setItem('hrvSessions', [{ rmssd: 40 }]);
+    const [chunkKey, chunk] = [...storage.rows.entries()].find(([key]) => key.startsWith('enc_hrvSessions#'));
+    storage.rows.set(chunkKey, chunk.replace(/.$/, c => (c === 'A' ? 'B' : 'A')));
+    events.length = 0;
+    const failedRead = await SecureStorage.getItem('hrvSessions').then(() => null, error => error.code);
+    if (failedRead === 'INTEGRITY_CHECK_FAILED' && events.length === 0) {
+      console.log('   ✓ Tampered record throws and records no read');
+    } else {
+      console.error('   ❌ Tampered record read:', failedRead, JSON.stringify(events));
+    }
+  } catch (error) {
+    console.error('❌ TEST 10 FAILED:', error.message);
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('🎉 SECURITY TEST SUITE COMPLETE');
+  console.log('='.repeat(60));
+  console.log('');
+  console.log('Summary:');
+  console.log('- Envelope tampering and wrong keys rejected by the MAC');
+  console.log('- Master key wrapped under the PIN; wrong PIN and old PIN refused');
+  console.log('- PIN lockout escalates and the opt-in wipe triggers on schedule');
+  console.log('- Audit chain detects reordered, deleted, edited and truncated logs');
+  console.log('- Remote audit batches signed, retried with backoff and deduplicated');
+  console.log('- Backup files with an edited payload or manifest refused; unencrypted ones need confirmation');
+  console.log('- Automatic backups re-sealed by key rotation stay restorable');
+  console.log('- Chunked records round-trip, survive interrupted writes and serialize per key');
+  console.log('- Key rotation interrupted mid-way resumes and retires the old key');
+  console.log('- Storage reads, writes, removals and migrations emit data access events');
+  console.log('');
+  if (failedChecks > 0) {
+    console.log(`❌ ${failedChecks} check${failedChecks === 1 ? '' : 's'} failed`);
+    process.exit(1);
+  }
+};
+
+runTests();